@@ -7,7 +7,9 @@ import { capacity } from "../jos3_functions/capacity.js";
 import * as math from "mathjs";
 import {
   BODY_NAMES,
+  IDICT,
   INDEX,
+  LAYER_NAMES,
   local_arr,
   NUM_NODES,
   vessel_blood_flow,
@@ -15,6 +17,7 @@ import {
   whole_body,
 } from "../jos3_functions/matrix.js";
 import {
+  PRE_SHIV,
   set_pre_shiv,
   shivering,
 } from "../jos3_functions/thermoregulation/shivering.js";
@@ -41,6 +44,99 @@ import { cr_ms_fat_blood_flow } from "../jos3_functions/thermoregulation/cr_ms_f
 import { resp_heat_loss } from "../jos3_functions/thermoregulation/resp_heat_loss.js";
 import { sum_bf } from "../jos3_functions/thermoregulation/sum_bf.js";
 import Object from "lodash/object.js";
+import { jos3_clo_from_garments } from "../utilities/clothing.js";
+
+// input properties that a scenario can set, in the order they are applied
+const SCENARIO_PROPERTIES = [
+  "to",
+  "tdb",
+  "tr",
+  "rh",
+  "v",
+  "garments",
+  "clo",
+  "iclo",
+  "par",
+  "posture",
+  "p_atm",
+  "contacts",
+  "devices",
+];
+
+// units of the results, the columns of the local values start with the key followed by the body part
+const RESULT_UNITS = {
+  cycle_time: "-",
+  simulation_time: "sec",
+  dt: "sec",
+  t_skin_mean: "°C",
+  t_skin: "°C",
+  t_core: "°C",
+  w_mean: "-",
+  w: "-",
+  weight_loss_by_evap_and_res: "g/sec",
+  cardiac_output: "L/h",
+  q_thermogenesis_total: "W",
+  q_res: "W",
+  q_skin2env: "W",
+  name: "-",
+  height: "m",
+  weight: "kg",
+  bsa: "m2",
+  fat: "%",
+  sex: "-",
+  age: "years",
+  t_core_set: "°C",
+  t_skin_set: "°C",
+  t_cb: "°C",
+  t_artery: "°C",
+  t_vein: "°C",
+  t_superficial_vein: "°C",
+  t_muscle: "°C",
+  t_fat: "°C",
+  to: "°C",
+  r_t: "m2.K/W",
+  r_et: "m2.kPa/W",
+  tdb: "°C",
+  tr: "°C",
+  rh: "%",
+  v: "m/s",
+  par: "-",
+  clo: "clo",
+  e_skin: "W",
+  e_max: "W",
+  e_sweat: "W",
+  bf_core: "L/h",
+  bf_muscle: "L/h",
+  bf_fat: "L/h",
+  bf_skin: "L/h",
+  bf_ava_hand: "L/h",
+  bf_ava_foot: "L/h",
+  q_bmr_core: "W",
+  q_bmr_muscle: "W",
+  q_bmr_fat: "W",
+  q_bmr_skin: "W",
+  q_work: "W",
+  q_shiv: "W",
+  q_nst: "W",
+  q_thermogenesis_core: "W",
+  q_thermogenesis_muscle: "W",
+  q_thermogenesis_fat: "W",
+  q_thermogenesis_skin: "W",
+  q_skin2env_sensible: "W",
+  q_skin2env_latent: "W",
+  q_res_sensible: "W",
+  q_res_latent: "W",
+  hc: "W/(m2*K)",
+  hr: "W/(m2*K)",
+  q_ex: "W",
+  q_skin2contact: "W",
+  q_device: "W",
+  power: "W",
+  phase: "-",
+};
+
+// passed to the constructor by JOS3.from_json, the set-point initialisation is skipped
+const FROM_SNAPSHOT = Symbol("from_snapshot");
 
 /**
  * Create an array of shape (17,) with the given input.
@@ -54,7 +150,7 @@ function _to17array(inp) {
   }
 
   if (math.isCollection(inp)) {
-    const size = math.size(inp).toArray();
+    const size = math.size(math.matrix(inp)).toArray();
 
     if (!math.equal(size, [17])) {
       throw new Error("Input list is not of length 17");
@@ -70,6 +166,95 @@ function _to17array(inp) {
   throw new Error("Unsupported input type. Supported types: number");
 }
 
+/**
+ * Create an array of shape (17,) with the values given for some of the body segments, the other segments are filled.
+ *
+ * @param inp {number | number[] | object | math.Matrix}
+ * @param fill {number} - value of the segments not given
+ * @returns {number[]}
+ */
+function _segment_values(inp, fill) {
+  if (typeof inp === "number") {
+    return BODY_NAMES.map(() => inp);
+  }
+
+  if (math.isCollection(inp)) {
+    return _to17array(inp).toArray().map(Number);
+  }
+
+  if (typeof inp === "object" && inp !== null) {
+    for (const name of Object.keys(inp)) {
+      if (!BODY_NAMES.includes(name)) {
+        throw new Error(`Unknown body segment ${name}`);
+      }
+    }
+    return BODY_NAMES.map((name) => (name in inp ? inp[name] : fill));
+  }
+
+  throw new Error("Unsupported input type. Supported types: number");
+}
+
+/**
+ * @typedef {Object} JOS3Phase - phase of a scenario, the input conditions not provided are kept from the previous
+ * phase. The environmental and clothing conditions can either be uniform or given for each body part, as in the
+ * setters of {@link JOS3}.
+ * @property {number} duration - duration of the phase, [s]
+ * @property {string} [label] - label of the phase, "phase_N" by default
+ * @property {string} [phase] - alias of `label`
+ * @property {number | number[] | object} [tdb] - dry bulb air temperature, [°C]
+ * @property {number | number[] | object} [tr] - mean radiant temperature, [°C]
+ * @property {number | number[] | object} [to] - operative temperature, sets both tdb and tr, [°C]
+ * @property {number | number[] | object} [rh] - relative humidity, [%]
+ * @property {number | number[] | object} [v] - air speed, [m/s]
+ * @property {(string | import("../utilities/clothing.js").SegmentGarment)[]} [garments] - garments worn, sets clo
+ * and iclo with {@link jos3_clo_from_garments}
+ * @property {number | number[] | object} [clo] - clothing insulation, [clo]
+ * @property {number | number[] | object} [iclo] - clothing vapor permeation efficiency
+ * @property {number} [par] - physical activity ratio
+ * @property {number | string} [posture] - posture
+ * @property {number} [p_atm] - atmospheric pressure, [Pa]
+ * @property {Object<string, JOS3Contact>} [contacts] - contacts with surfaces by name, they replace the previous
+ * contacts, see {@link JOS3#set_contact}
+ * @property {Object<string, JOS3Device>} [devices] - personal comfort devices by name, they replace the previous
+ * devices, see {@link JOS3#set_device}
+ * @public
+ */
+
+/**
+ * @typedef {Object} JOS3Device - personal comfort device, e.g. a desk fan, a heated or cooled chair, a foot warmer or
+ * a radiant panel, acting on some of the body segments
+ * @property {string[]} segments - names of the body segments targeted by the device
+ * @property {number} [v] - air speed at the targeted segments, the larger of the air speed of the room and of the
+ * device is used, [m/s]
+ * @property {number} [delta_tr] - change of the mean radiant temperature of the targeted segments, [K]
+ * @property {number} [q] - conductive heat flow to the skin of the targeted segments, distributed in proportion to
+ * their area, negative for cooling, [W]
+ * @property {number} [power=0] - electrical power of the device when it is on, [W]
+ * @property {[number, number][]} [schedule] - intervals of simulation time, [start, end) in [s], in which the device
+ * is on. The device is always on if not provided.
+ * @public
+ */
+
+/**
+ * @typedef {Object} JOS3Contact - conductive contact of the skin with a surface, e.g. a seat or a mattress
+ * @property {Object<string, number>} area_fraction - fraction of the area of the body segments in contact with the
+ * surface, e.g. { pelvis: 0.3, left_thigh: 0.4, right_thigh: 0.4 }
+ * @property {number} t_surface - temperature of the surface, [°C]
+ * @property {number} r_contact - thermal resistance between the skin and the surface, including the compressed
+ * clothing and the surface material, [m2*K/W]
+ * @public
+ */
+
+/**
+ * @typedef {Object} JOS3ScheduleTable - time-indexed table of the input conditions. Each row is applied from its time
+ * to the time of the next row, the last row for one time step. The other columns are the properties of
+ * {@link JOS3Phase}, each with one value per row.
+ * @property {number[]} time - time at which the conditions of the row start, from the start of the scenario, [s]
+ * @property {string[]} [label] - labels of the rows
+ * @property {string[]} [phase] - alias of `label`
+ * @public
+ */
+
 /**
  * JOS-3 model simulates human thermal physiology including skin
  * temperature, core temperature, sweating rate, etc. for the whole body and
@@ -94,7 +279,7 @@ function _to17array(inp) {
  * The model output includes local and mean skin temperature, local core temperature,
  * local and mean skin wettedness, and heat loss from the skin etc.
  * The model output can be accessed using "dict_results()" method and be converted to a csv file
- * using "to_csv" method.
+ * using "to_csv" method. The state of the model can be saved with "to_json" and restored with "JOS3.from_json".
  * Each output parameter also can be accessed using getter methods.
  * (ex. X.t_skin, X.t_skin_mean, X.t_core)
  *
@@ -133,6 +318,8 @@ export class JOS3 {
    * @param {[] | "all"} [ex_output] - This is used when you want to display results other than the default output
    * parameters (ex.skin temperature); by default, JOS outputs only the most necessary parameters in order to reduce
    * the computational load.
+   * @param {symbol} [from_snapshot] - internal, only used by {@link JOS3.from_json} to skip the initialisation of the
+   * set-point temperatures.
    */
   constructor(
     height = JOS3Defaults.height,
@@ -144,6 +331,7 @@ export class JOS3 {
     bmr_equation = JOS3Defaults.bmr_equation,
     bsa_equation = JOS3Defaults.bsa_equation,
     ex_output = [],
+    from_snapshot = undefined,
   ) {
     // Initialize basic attributes
     this._height = height;
@@ -202,6 +390,9 @@ export class JOS3 {
     this._posture = JOS3Defaults.posture;
     this._hc = null; // Convective heat transfer coefficient
     this._hr = null; // Radiative heat transfer coefficient
+    this._p_atm = 101325; // Atmospheric pressure [Pa]
+    this._contacts = {}; // Contacts with surfaces by name
+    this._devices = {}; // Personal comfort devices by name
     this.ex_q = math.zeros(NUM_NODES); // External heat gain
     this._t = 0; // Elapsed time
     this._cycle = 0; // Cycle time
@@ -226,6 +417,9 @@ export class JOS3 {
     this._t = 0; // Elapsed time
     this._cycle = 0; // Cycle time
 
+    // The set-point temperatures and the history of a restored model are read from the snapshot
+    if (from_snapshot === FROM_SNAPSHOT) return;
+
     // Reset set-point temperature and save the last model parameters
     const dictout = this._reset_setpt(JOS3Defaults.physical_activity_ratio);
     this._history.push(dictout);
@@ -338,6 +532,90 @@ export class JOS3 {
     }
   }
 
+  /**
+   * Runs the model through a scenario of consecutive phases, e.g. a neutral, a hot and a recovery phase, and returns
+   * the results of the model with the label of the phase of each time step in the "phase" column. The input
+   * conditions change as a step at the start of each phase and are kept until they are changed by a later phase.
+   *
+   * The scenario can either be an array of phases or a time-indexed table, e.g. measured conditions. A phase whose
+   * duration is not a multiple of the time step ends with a shorter time step. The whole scenario is checked before the
+   * first time step, an invalid phase throws an error without running the previous ones.
+   *
+   * @param {JOS3Phase[] | JOS3ScheduleTable} scenario - phases or time-indexed table of the input conditions
+   * @param {number} [dtime=60] - Time delta in seconds.
+   *
+   * @returns {object} results of the model, see {@link JOS3#dict_results}
+   *
+   * @example
+   * const model = new JOS3();
+   * const results = model.simulate_scenario([
+   *   { label: "neutral", duration: 1800, to: 28, rh: 50, clo: 0.5, par: 1.2 },
+   *   { label: "hot", duration: 3600, to: 38 },
+   *   { label: "recovery", duration: 1800, to: 28 },
+   * ]);
+   * console.log(results.phase.slice(-3)); // ["recovery", "recovery", "recovery"]
+   */
+  simulate_scenario(scenario, dtime = 60) {
+    const phases = Array.isArray(scenario)
+      ? scenario
+      : _schedule_to_phases(scenario, dtime);
+
+    for (const phase of phases) {
+      if (!(phase.duration > 0)) {
+        throw new Error("The duration of each phase must be a positive number");
+      }
+      if (phase.label !== undefined && phase.phase !== undefined) {
+        throw new Error("Please provide either label or phase, not both");
+      }
+      for (const key of Object.keys(phase)) {
+        if (
+          key !== "duration" &&
+          key !== "label" &&
+          key !== "phase" &&
+          !SCENARIO_PROPERTIES.includes(key)
+        ) {
+          throw new Error(`Unknown scenario property ${key}`);
+        }
+      }
+    }
+
+    phases.forEach((phase, index) => {
+      for (const key of SCENARIO_PROPERTIES) {
+        if (phase[key] === undefined) continue;
+        if (key === "devices") {
+          this.clear_devices();
+          for (const [name, device] of Object.entries(phase.devices)) {
+            this.set_device(name, device);
+          }
+        } else if (key === "contacts") {
+          this.clear_contacts();
+          for (const [name, contact] of Object.entries(phase.contacts)) {
+            this.set_contact(name, contact);
+          }
+        } else if (key === "garments") {
+          const { clo, iclo } = jos3_clo_from_garments(phase.garments);
+          this.clo = clo;
+          this.iclo = iclo;
+        } else {
+          this[key] = phase[key];
+        }
+      }
+
+      const start = this._history.length;
+      const times = Math.floor(phase.duration / dtime + 1e-9);
+      this.simulate(times, dtime);
+      const rest = phase.duration - times * dtime;
+      if (rest > 1e-9) this.simulate(1, rest);
+
+      const label = phase.label ?? phase.phase ?? `phase_${index + 1}`;
+      for (let i = start; i < this._history.length; i++) {
+        this._history[i]["phase"] = label;
+      }
+    });
+
+    return this.dict_results();
+  }
+
   /**
    * Runs the model once and gets the model parameters.
    *
@@ -371,39 +649,29 @@ export class JOS3 {
   _run(dtime = 60, passive = false, output = true) {
     // Compute convective and radiative heat transfer coefficient [W/(m2*K)]
     // based on posture, air velocity, air temperature, and skin temperature.
-    // Manual setting is possible by setting self._hc and self._hr.
+    // Manual setting is possible with set_hc and set_hr.
     // Compute heat and evaporative heat resistance [m2.K/W], [m2.kPa/W]
 
     // Get core and skin temperatures
     let tcr = this.t_core;
     let tsk = this.t_skin;
 
-    // Convective and radiative heat transfer coefficients [W/(m2*K)]
-    let hc = fixed_hc(
-      conv_coef(this._posture, this._va, this._ta, tsk),
-      this._va,
-    );
-
-    let hr = fixed_hr(rad_coef(this._posture));
+    // Personal comfort devices switched on at the start of the time step
+    const device = this._device_inputs(this._t - dtime);
 
-    // Manually set convective and radiative heat transfer coefficients if necessary
-    if (this._hc !== null) {
-      hc = this._hc;
-    }
-
-    if (this._hr !== null) {
-      hr = this._hr;
-    }
+    // Convective and radiative heat transfer coefficients [W/(m2*K)],
+    // manually set on some segments if necessary
+    let { hc, hr } = this._heat_transfer_coefficients(device.v);
 
     // Compute operative temp. [°C], clothing heat and evaporative resistance [m2.K/W], [m2.kPa/W]
     // Operative temp. [°C]
-    let to = operative_temp(this._ta, this._tr, hc, hr);
+    let to = operative_temp(this._ta, device.tr, hc, hr);
 
     // Clothing heat resistance [m2.K/W]
     let r_t = dry_r(hc, hr, this._clo);
 
     // Clothing evaporative resistance [m2.kPa/W]
-    let r_et = wet_r(hc, this._clo, this._iclo);
+    let r_et = wet_r(hc, this._clo, this._iclo, this._lewis_rate());
 
     // ------------------------------------------------------------------
     // Thermoregulation
@@ -428,17 +696,24 @@ export class JOS3 {
     // SWEATING THERMOREGULATION
     // Skin wettedness [-], e_skin, e_max, e_sweat [W]
     // Calculate skin wettedness, sweating heat loss, maximum sweating rate, and total sweat rate
-    let { wet, e_sk, e_max, e_sweat } = evaporation(
-      err_cr,
-      err_sk,
-      tsk,
-      this._ta,
-      this._rh,
-      r_et,
-      this._height,
-      this._weight,
-      this._bsa_equation,
-      this._age,
+    // Contacts with surfaces, the area in contact does not exchange heat with the environment
+    const contact = this._contact_exchange();
+    const f_env = math.subtract(1, contact.area_fraction);
+
+    let { wet, e_sk, e_max, e_sweat } = _exposed_evaporation(
+      evaporation(
+        err_cr,
+        err_sk,
+        tsk,
+        this._ta,
+        this._rh,
+        math.dotDivide(r_et, f_env),
+        this._height,
+        this._weight,
+        this._bsa_equation,
+        this._age,
+      ),
+      f_env,
     );
 
     // VASOCONSTRICTION, VASODILATION
@@ -565,7 +840,52 @@ export class JOS3 {
     // Calculate sensible heat loss [W]
     let shl_sk = math.dotMultiply(
       math.dotDivide(math.subtract(tsk, to), r_t),
-      this._bsa,
+      math.dotMultiply(this._bsa, f_env),
+    );
+
+    // Calculate the heat gain of the skin from the devices [W], the difference of sensible and evaporative
+    // heat loss to the environment with and without the devices, plus their conductive heat
+    let q_device = device.q_skin;
+    if (device.active) {
+      const base = this._heat_transfer_coefficients();
+      const to_base = operative_temp(this._ta, this._tr, base.hc, base.hr);
+      const r_t_base = dry_r(base.hc, base.hr, this._clo);
+      const r_et_base = wet_r(
+        base.hc,
+        this._clo,
+        this._iclo,
+        this._lewis_rate(),
+      );
+      const shl_sk_base = math.dotMultiply(
+        math.dotDivide(math.subtract(tsk, to_base), r_t_base),
+        math.dotMultiply(this._bsa, f_env),
+      );
+      const e_sk_base = _exposed_evaporation(
+        evaporation(
+          err_cr,
+          err_sk,
+          tsk,
+          this._ta,
+          this._rh,
+          math.dotDivide(r_et_base, f_env),
+          this._height,
+          this._weight,
+          this._bsa_equation,
+          this._age,
+        ),
+        f_env,
+      ).e_sk;
+      q_device = math.add(
+        q_device,
+        math.subtract(shl_sk_base, shl_sk),
+        math.subtract(e_sk_base, e_sk),
+      );
+    }
+
+    // Calculate heat loss by conduction to the surfaces in contact [W]
+    let q_contact = math.subtract(
+      math.dotMultiply(contact.conductance, tsk),
+      contact.heat_flow,
     );
 
     // Calculate cardiac output [L/h]
@@ -637,14 +957,25 @@ export class JOS3 {
     arr_cdt = math.dotMultiply(arr_cdt, dtime); // Change unit [/sec] to [-]
 
     // Matrix B = Matrix for heat transfer between skin and environment
+    // The environment and the surfaces in contact are combined in an equivalent boundary of the skin
+    let g_env = math.dotMultiply(
+      math.dotDivide(1, r_t),
+      math.dotMultiply(this._bsa, f_env),
+    );
+    let g_skin = math.add(g_env, contact.conductance);
+    let t_boundary =
+      Object.keys(this._contacts).length === 0
+        ? to
+        : math.dotDivide(
+            math.add(math.dotMultiply(g_env, to), contact.heat_flow),
+            g_skin,
+          );
+
     let arr_b = math.zeros(NUM_NODES);
     arr_b = math.subset(
       arr_b,
       math.index(INDEX["skin"]),
-      math.add(
-        math.subset(arr_b, math.index(INDEX["skin"])),
-        math.dotMultiply(math.dotDivide(1, r_t), this._bsa),
-      ),
+      math.add(math.subset(arr_b, math.index(INDEX["skin"])), g_skin),
     );
     arr_b = math.dotDivide(arr_b, this._cap); // Change unit [W/K] to [/sec]
     arr_b = math.dotMultiply(arr_b, dtime); // Change unit [/sec] to [-]
@@ -721,6 +1052,13 @@ export class JOS3 {
     // Extra heat gain [W]
     arr_q = math.add(arr_q, this.ex_q.clone());
 
+    // Conductive heat gain from the devices [W]
+    arr_q = math.subset(
+      arr_q,
+      math.index(INDEX["skin"]),
+      math.add(math.subset(arr_q, math.index(INDEX["skin"])), device.q_skin),
+    );
+
     arr_q = math.dotDivide(arr_q, this._cap); // Change unit [W]/[J/K] to [K/sec]
     arr_q = math.dotMultiply(arr_q, dtime); // Change unit [K/sec] to [K]
 
@@ -729,7 +1067,7 @@ export class JOS3 {
     arr_to = math.subset(
       arr_to,
       math.index(INDEX["skin"]),
-      math.add(math.subset(arr_to, math.index(INDEX["skin"])), to),
+      math.add(math.subset(arr_to, math.index(INDEX["skin"])), t_boundary),
     );
 
     // Combines the current body temperature, the boundary matrix, and the heat generation matrix
@@ -792,6 +1130,13 @@ export class JOS3 {
       detail_out["v"] = this._va.clone().toArray();
       detail_out["par"] = this._par;
       detail_out["clo"] = this._clo.clone().toArray();
+      detail_out["hc"] = hc.toArray();
+      detail_out["hr"] = hr.toArray();
+      for (const layer of LAYER_NAMES) {
+        detail_out[`q_ex_${layer}`] = math
+          .subset(this.ex_q, math.index(INDEX[layer]))
+          .toArray();
+      }
       detail_out["e_skin"] = e_sk.toArray();
       detail_out["e_max"] = e_max.toArray();
       detail_out["e_sweat"] = e_sweat.toArray();
@@ -826,6 +1171,12 @@ export class JOS3 {
       detail_out["q_thermogenesis_skin"] = q_thermogenesis_skin.toArray();
       dict_out["q_skin2env_sensible"] = shl_sk.toArray();
       dict_out["q_skin2env_latent"] = e_sk.toArray();
+      dict_out["q_skin2contact"] = q_contact.toArray();
+      dict_out["q_device"] = q_device.toArray();
+      dict_out["power_devices"] = math.sum(Object.values(device.power));
+      for (const [name, power] of Object.entries(device.power)) {
+        dict_out[`power_${name}`] = power;
+      }
       dict_out["q_res_sensible"] = res_sh;
       dict_out["q_res_latent"] = res_lh;
     }
@@ -835,7 +1186,7 @@ export class JOS3 {
     } else if (Array.isArray(this._ex_output)) {
       const out_keys = Object.keys(detail_out);
 
-      for (const key in this._ex_output) {
+      for (const key of this._ex_output) {
         if (out_keys.includes(key)) {
           dict_out[key] = detail_out[key];
         }
@@ -861,7 +1212,9 @@ export class JOS3 {
     };
 
     let key2keys = {}; // Column keys
-    for (let [key, value] of Object.entries(this._history[0])) {
+    const entries = this._history.flatMap((dictout) => Object.entries(dictout));
+    for (let [key, value] of entries) {
+      if (key in key2keys) continue;
       let keys;
       if (value.length !== undefined) {
         if (typeof value === "string") {
@@ -889,11 +1242,12 @@ export class JOS3 {
 
     let data = this._history.map((dictout) => {
       let row = {};
-      for (let [key, value] of Object.entries(dictout)) {
-        let keys = key2keys[key];
-        let values = keys.length === 1 ? [value] : value;
+      for (let [key, keys] of Object.entries(key2keys)) {
+        // values missing from a time step, e.g. the phase of the steps run outside of a scenario, are null
+        let value = dictout[key] ?? null;
+        let values = keys.length === 1 ? [value] : value ?? [];
         keys.forEach((k, i) => {
-          row[k] = values[i];
+          row[k] = values[i] ?? null;
         });
       }
       return row;
@@ -907,6 +1261,617 @@ export class JOS3 {
     return outDict;
   }
 
+  /**
+   * Get results as a csv table, with one row per time step. The second row contains the units of the columns.
+   *
+   * @param {boolean} [unit=true] - If you don't want the row of the units, set False.
+   *
+   * @returns {string} csv table of the results
+   *
+   * @example
+   * import { writeFileSync } from "node:fs";
+   *
+   * const model = new JOS3();
+   * model.simulate(60);
+   * writeFileSync("jos3_results.csv", model.to_csv());
+   */
+  to_csv(unit = true) {
+    const results = this.dict_results();
+    if (results === null) return "";
+
+    const columns = Object.keys(results);
+    /** @param {any} value */
+    const cell = (value) => {
+      if (value === null || value === undefined) return "";
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [columns.map(cell).join(",")];
+    if (unit)
+      lines.push(columns.map((column) => cell(_unit(column))).join(","));
+    results[columns[0]].forEach((_, index) => {
+      lines.push(
+        columns.map((column) => cell(results[column][index])).join(","),
+      );
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Save a snapshot of the model as a JSON string. The snapshot contains the body parameters, the options, the input
+   * conditions, the state of the model (body temperatures, set-point temperatures and elapsed time), the history of
+   * the results and the units of the results. Use {@link JOS3.from_json} to restore the model.
+   *
+   * @returns {string} JSON snapshot of the model
+   *
+   * @example
+   * const model = new JOS3();
+   * model.simulate(60);
+   * const snapshot = model.to_json();
+   *
+   * const restored = JOS3.from_json(snapshot);
+   * restored.simulate(60); // continues the simulation of model
+   */
+  to_json() {
+    /** @param {math.Matrix | null} value */
+    const to_array = (value) => (value === null ? null : value.toArray());
+
+    return JSON.stringify({
+      model_name: this.model_name,
+      body: {
+        height: this._height,
+        weight: this._weight,
+        fat: this._fat,
+        age: this._age,
+        sex: this._sex,
+        ci: this._ci,
+        bmr_equation: this._bmr_equation,
+        bsa_equation: this._bsa_equation,
+        ex_output: this._ex_output,
+      },
+      options: this.options,
+      inputs: {
+        tdb: to_array(this._ta),
+        tr: to_array(this._tr),
+        rh: to_array(this._rh),
+        v: to_array(this._va),
+        clo: to_array(this._clo),
+        iclo: to_array(this._iclo),
+        par: this._par,
+        posture: this._posture,
+        p_atm: this._p_atm,
+        hc: to_array(this._hc),
+        hr: to_array(this._hr),
+        contacts: this.contacts,
+        devices: this.devices,
+      },
+      state: {
+        body_temp: to_array(this._bodytemp),
+        setpt_cr: to_array(this.setpt_cr),
+        setpt_sk: to_array(this.setpt_sk),
+        ex_q: to_array(this.ex_q),
+        simulation_time: this._t,
+        cycle_time: this._cycle,
+        pre_shiv: PRE_SHIV,
+      },
+      units: RESULT_UNITS,
+      history: this._history,
+    });
+  }
+
+  /**
+   * Restore a model from a snapshot saved with {@link JOS3#to_json}, without the initialisation of the set-point
+   * temperatures. The simulation can be continued from the saved state.
+   *
+   * @param {string | object} json - JSON snapshot of the model, or the parsed snapshot
+   *
+   * @returns {JOS3} restored model
+   */
+  static from_json(json) {
+    const snapshot = typeof json === "string" ? JSON.parse(json) : json;
+    if (snapshot === null || snapshot.model_name !== "JOS3") {
+      throw new Error("The snapshot is not a JOS3 model");
+    }
+    const { body, inputs, state } = snapshot;
+
+    const model = new JOS3(
+      body.height,
+      body.weight,
+      body.fat,
+      body.age,
+      body.sex,
+      body.ci,
+      body.bmr_equation,
+      body.bsa_equation,
+      body.ex_output,
+      FROM_SNAPSHOT,
+    );
+
+    model.options = { ...model.options, ...snapshot.options };
+    model._ta = math.matrix(inputs.tdb);
+    model._tr = math.matrix(inputs.tr);
+    model._rh = math.matrix(inputs.rh);
+    model._va = math.matrix(inputs.v);
+    model._clo = math.matrix(inputs.clo);
+    model._iclo = math.matrix(inputs.iclo);
+    model._par = inputs.par;
+    model._posture = inputs.posture;
+    model._p_atm = inputs.p_atm;
+    // the segments without a manual coefficient are saved as null in JSON
+    /** @param {(number | null)[] | null} value */
+    const coefficients = (value) =>
+      value === null ? null : math.matrix(value.map((v) => v ?? NaN));
+    model._hc = coefficients(inputs.hc);
+    model._hr = coefficients(inputs.hr);
+    for (const [name, contact] of Object.entries(inputs.contacts ?? {})) {
+      model.set_contact(name, contact);
+    }
+    for (const [name, device] of Object.entries(inputs.devices ?? {})) {
+      model.set_device(name, device);
+    }
+
+    model._bodytemp = math.matrix(state.body_temp);
+    model.setpt_cr = math.matrix(state.setpt_cr);
+    model.setpt_sk = math.matrix(state.setpt_sk);
+    model.ex_q = math.matrix(state.ex_q);
+    model._t = state.simulation_time;
+    model._cycle = state.cycle_time;
+    set_pre_shiv(state.pre_shiv);
+
+    model._history = snapshot.history;
+    return model;
+  }
+
+  /**
+   * Set an extra heat gain [W] in a tissue layer of the body segments, e.g. the heat of a heated garment or of a heated
+   * seat absorbed by the skin. Negative values are heat losses, e.g. of a cooled garment. The extra heat gain is kept
+   * until it is changed or cleared with {@link JOS3#clear_ex_q}, and it is included in the results as the "q_ex_"
+   * columns followed by the layer name when ex_output is "all" or includes them.
+   *
+   * @param {"artery" | "vein" | "sfvein" | "core" | "muscle" | "fat" | "skin"} layer - tissue layer, see LAYER_NAMES
+   * in matrix.js. The muscle and fat layers only exist in the head and in the pelvis, the superficial veins (sfvein)
+   * only in the limbs.
+   * @param {number | object} value - extra heat gain of each segment having the layer [W], or an object with the extra
+   * heat gain of some of the segments, e.g. { pelvis: 10, left_thigh: 5, right_thigh: 5 }
+   *
+   * @example
+   * const model = new JOS3();
+   * model.set_ex_q("skin", { back: 10, pelvis: 10 }); // heated seat
+   * model.simulate(60);
+   */
+  set_ex_q(layer, value) {
+    if (!LAYER_NAMES.includes(layer)) {
+      throw new Error(
+        `Unknown layer ${layer}, it should be one of ${LAYER_NAMES.join(", ")}`,
+      );
+    }
+
+    const entries =
+      typeof value === "number"
+        ? VINDEX[layer].map((i) => [BODY_NAMES[i], value])
+        : Object.entries(value);
+
+    for (const [segment, q] of entries) {
+      if (!BODY_NAMES.includes(segment)) {
+        throw new Error(`Unknown body segment ${segment}`);
+      }
+      if (IDICT[segment][layer] === null) {
+        throw new Error(`The ${segment} has no ${layer} layer`);
+      }
+      if (typeof q !== "number" || !Number.isFinite(q)) {
+        throw new Error("The extra heat gain must be a number");
+      }
+      this.ex_q.set([IDICT[segment][layer]], q);
+    }
+  }
+
+  /**
+   * Clear the extra heat gain set with {@link JOS3#set_ex_q}.
+   *
+   * @param {"artery" | "vein" | "sfvein" | "core" | "muscle" | "fat" | "skin"} [layer] - tissue layer to clear, all
+   * the layers if not provided
+   */
+  clear_ex_q(layer) {
+    if (layer === undefined) {
+      this.ex_q = math.zeros(NUM_NODES);
+      return;
+    }
+    if (!LAYER_NAMES.includes(layer)) {
+      throw new Error(
+        `Unknown layer ${layer}, it should be one of ${LAYER_NAMES.join(", ")}`,
+      );
+    }
+    this._set_ex_q(layer, 0);
+  }
+
+  /**
+   * Set the convective heat transfer coefficient [W/(m2*K)] of the body segments, e.g. measured on a thermal manikin,
+   * instead of the one calculated from the posture and the air speed. The coefficients are included in the results as
+   * the "hc" columns when ex_output is "all" or includes "hc".
+   *
+   * @param {number | number[] | object} value - coefficient of all the segments, of the 17 segments, or an object
+   * with the coefficients of some of the segments, the other segments keep their current value
+   *
+   * @example
+   * const model = new JOS3();
+   * model.set_hc({ back: 1, pelvis: 1 }); // seat and backrest
+   */
+  set_hc(value) {
+    this._hc = this._set_coefficient(
+      this._hc,
+      value,
+      "The convective heat transfer coefficient must be a positive number",
+    );
+  }
+
+  /**
+   * Clear the convective heat transfer coefficients set with {@link JOS3#set_hc}.
+   *
+   * @param {string[]} [segments] - names of the segments to clear, all the segments if not provided
+   */
+  clear_hc(segments) {
+    this._hc = this._clear_coefficient(this._hc, segments);
+  }
+
+  /**
+   * Set the radiative heat transfer coefficient [W/(m2*K)] of the body segments instead of the one calculated from the
+   * posture. The coefficients are included in the results as the "hr" columns when ex_output is "all" or includes
+   * "hr".
+   *
+   * @param {number | number[] | object} value - coefficient of all the segments, of the 17 segments, or an object
+   * with the coefficients of some of the segments, the other segments keep their current value
+   */
+  set_hr(value) {
+    this._hr = this._set_coefficient(
+      this._hr,
+      value,
+      "The radiative heat transfer coefficient must be a positive number",
+    );
+  }
+
+  /**
+   * Clear the radiative heat transfer coefficients set with {@link JOS3#set_hr}.
+   *
+   * @param {string[]} [segments] - names of the segments to clear, all the segments if not provided
+   */
+  clear_hr(segments) {
+    this._hr = this._clear_coefficient(this._hr, segments);
+  }
+
+  /**
+   * Convective and radiative heat transfer coefficients [W/(m2*K)], the manually set values replace the calculated
+   * ones.
+   *
+   * @private
+   *
+   * @param {math.Matrix} [va] - Air velocity [m/s].
+   *
+   * @returns {{hc: math.Matrix, hr: math.Matrix}}
+   */
+  _heat_transfer_coefficients(va = this._va) {
+    const hc = fixed_hc(
+      conv_coef(this._posture, va, this._ta, this.t_skin),
+      va,
+    );
+    const hr = fixed_hr(rad_coef(this._posture));
+
+    /**
+     * @param {math.Matrix} calculated
+     * @param {math.Matrix | null} manual
+     */
+    const merge = (calculated, manual) =>
+      manual === null
+        ? calculated
+        : math.matrix(
+            calculated
+              .toArray()
+              .map((value, i) =>
+                Number.isNaN(manual.get([i])) ? value : manual.get([i]),
+              ),
+          );
+
+    return { hc: merge(hc, this._hc), hr: merge(hr, this._hr) };
+  }
+
+  /**
+   * @private
+   *
+   * @param {math.Matrix | null} current - manually set coefficients, NaN on the segments not set
+   * @param {number | number[] | object} value - new coefficients
+   * @param {string} message - error message for invalid values
+   *
+   * @returns {math.Matrix}
+   */
+  _set_coefficient(current, value, message) {
+    const previous =
+      current === null ? BODY_NAMES.map(() => NaN) : current.toArray();
+    const values = _segment_values(value, NaN).map((v, i) =>
+      Number.isNaN(v) ? previous[i] : v,
+    );
+    for (const v of values) {
+      if (!Number.isNaN(v) && !(typeof v === "number" && v > 0)) {
+        throw new Error(message);
+      }
+    }
+    return math.matrix(values);
+  }
+
+  /**
+   * @private
+   *
+   * @param {math.Matrix | null} current - manually set coefficients, NaN on the segments not set
+   * @param {string[]} [segments] - names of the segments to clear
+   *
+   * @returns {math.Matrix | null}
+   */
+  _clear_coefficient(current, segments) {
+    if (segments === undefined) return null;
+
+    const values =
+      current === null ? BODY_NAMES.map(() => NaN) : current.toArray();
+    for (const segment of segments) {
+      const index = BODY_NAMES.indexOf(segment);
+      if (index === -1) throw new Error(`Unknown body segment ${segment}`);
+      values[index] = NaN;
+    }
+    return values.every(Number.isNaN) ? null : math.matrix(values);
+  }
+
+  /**
+   * Set the conductive contact of the skin with a surface, e.g. a seat, a backrest, a mattress or the floor. The area
+   * of the body segments in contact exchanges heat by conduction with the surface through the contact resistance and
+   * is removed from the convective, radiative and evaporative exchange with the environment. A contact with the same
+   * name is replaced. The heat loss to the surfaces is included in the results as the "q_skin2contact" columns, it is
+   * not included in "q_skin2env". A segment entirely in contact does not evaporate and keeps the minimum skin
+   * wettedness.
+   *
+   * @param {string} name - name of the contact, e.g. "seat"
+   * @param {JOS3Contact} contact - area in contact, temperature of the surface and contact resistance
+   *
+   * @example
+   * const model = new JOS3();
+   * model.posture = "sitting";
+   * model.set_contact("seat", {
+   *   area_fraction: { pelvis: 0.3, left_thigh: 0.4, right_thigh: 0.4 },
+   *   t_surface: 30,
+   *   r_contact: 0.2,
+   * });
+   * model.simulate(60);
+   */
+  set_contact(name, { area_fraction, t_surface, r_contact }) {
+    if (typeof t_surface !== "number" || !Number.isFinite(t_surface)) {
+      throw new Error("The surface temperature must be a number");
+    }
+    if (typeof r_contact !== "number" || !(r_contact > 0)) {
+      throw new Error("The contact resistance must be a positive number");
+    }
+    const fractions = _segment_values(area_fraction, 0);
+    if (fractions.some((f) => typeof f !== "number" || !(f >= 0 && f <= 1))) {
+      throw new Error("The contact area fractions must be between 0 and 1");
+    }
+
+    const others = { ...this._contacts };
+    delete others[name];
+    BODY_NAMES.forEach((segment, i) => {
+      const total = Object.values(others).reduce(
+        (sum, other) => sum + other.area_fraction[i],
+        fractions[i],
+      );
+      if (total > 1 + 1e-9) {
+        throw new Error(
+          `The contact area fractions of the ${segment} exceed 1`,
+        );
+      }
+    });
+
+    this._contacts[name] = { area_fraction: fractions, t_surface, r_contact };
+  }
+
+  /**
+   * Remove a contact set with {@link JOS3#set_contact}.
+   *
+   * @param {string} name - name of the contact
+   */
+  remove_contact(name) {
+    if (!(name in this._contacts)) {
+      throw new Error(`Unknown contact ${name}`);
+    }
+    delete this._contacts[name];
+  }
+
+  /**
+   * Remove all the contacts with surfaces.
+   */
+  clear_contacts() {
+    this._contacts = {};
+  }
+
+  /**
+   * Contacts with surfaces by name, the area fractions are given for the 17 body segments.
+   *
+   * @return {Object<string, {area_fraction: number[], t_surface: number, r_contact: number}>}
+   */
+  get contacts() {
+    return JSON.parse(JSON.stringify(this._contacts));
+  }
+
+  /**
+   * Area fraction, thermal conductance [W/K] and heat flow at null skin temperature [W] of the contacts with surfaces
+   * by body segment.
+   *
+   * @private
+   *
+   * @returns {{area_fraction: math.Matrix, conductance: math.Matrix, heat_flow: math.Matrix}}
+   */
+  _contact_exchange() {
+    let area_fraction = math.zeros(17);
+    let conductance = math.zeros(17);
+    let heat_flow = math.zeros(17);
+
+    for (const contact of Object.values(this._contacts)) {
+      const g = math.dotDivide(
+        math.dotMultiply(contact.area_fraction, this._bsa),
+        contact.r_contact,
+      );
+      area_fraction = math.add(area_fraction, contact.area_fraction);
+      conductance = math.add(conductance, g);
+      heat_flow = math.add(heat_flow, math.multiply(g, contact.t_surface));
+    }
+
+    return { area_fraction, conductance, heat_flow };
+  }
+
+  /**
+   * Set a personal comfort device, e.g. a desk fan, a heated or cooled chair, a foot warmer or a radiant panel. When
+   * the device is on, it increases the air speed, changes the mean radiant temperature or adds a conductive heat flow
+   * to the skin of the targeted body segments, without changing the input conditions set with the setters. A device
+   * with the same name is replaced.
+   *
+   * The results include the electrical power of each device in the "power_" columns followed by the name of the
+   * device, their total in "power_devices", and the heat gain of the skin from the devices in the "q_device" columns,
+   * i.e. their effect on the heat balance of each segment: the difference of the sensible and evaporative heat loss of
+   * the skin to the environment without and with the devices, in the same state of the body, plus their conductive
+   * heat.
+   *
+   * @param {string} name - name of the device, e.g. "fan"
+   * @param {JOS3Device} device - targeted segments, effects, power and schedule of the device
+   *
+   * @example
+   * const model = new JOS3();
+   * model.to = 30;
+   * model.set_device("fan", {
+   *   segments: ["head", "neck", "chest"],
+   *   v: 1,
+   *   power: 20,
+   *   schedule: [[0, 1800]],
+   * });
+   * model.set_device("foot_warmer", {
+   *   segments: ["left_foot", "right_foot"],
+   *   q: 10,
+   *   power: 30,
+   * });
+   * model.simulate(60);
+   */
+  set_device(name, { segments, v, delta_tr, q, power = 0, schedule }) {
+    if (!Array.isArray(segments) || segments.length === 0) {
+      throw new Error("The device must target at least one body segment");
+    }
+    for (const segment of segments) {
+      if (!BODY_NAMES.includes(segment)) {
+        throw new Error(`Unknown body segment ${segment}`);
+      }
+    }
+    if (v !== undefined && !(typeof v === "number" && v >= 0)) {
+      throw new Error(
+        "The air speed of the device must be a non-negative number",
+      );
+    }
+    for (const value of [delta_tr, q]) {
+      if (
+        value !== undefined &&
+        !(typeof value === "number" && Number.isFinite(value))
+      ) {
+        throw new Error("The effects of the device must be numbers");
+      }
+    }
+    if (!(typeof power === "number" && power >= 0)) {
+      throw new Error("The power of the device must be a non-negative number");
+    }
+    if (
+      schedule !== undefined &&
+      !(
+        Array.isArray(schedule) &&
+        schedule.every(
+          (interval) =>
+            Array.isArray(interval) &&
+            interval.length === 2 &&
+            interval[0] < interval[1],
+        )
+      )
+    ) {
+      throw new Error(
+        "The schedule of the device must be a list of [start, end] intervals",
+      );
+    }
+
+    this._devices[name] = { segments, v, delta_tr, q, power, schedule };
+  }
+
+  /**
+   * Remove a device set with {@link JOS3#set_device}.
+   *
+   * @param {string} name - name of the device
+   */
+  remove_device(name) {
+    if (!(name in this._devices)) {
+      throw new Error(`Unknown device ${name}`);
+    }
+    delete this._devices[name];
+  }
+
+  /**
+   * Remove all the personal comfort devices.
+   */
+  clear_devices() {
+    this._devices = {};
+  }
+
+  /**
+   * Personal comfort devices by name.
+   *
+   * @return {Object<string, JOS3Device>}
+   */
+  get devices() {
+    return JSON.parse(JSON.stringify(this._devices));
+  }
+
+  /**
+   * Local air velocity [m/s], mean radiant temperature [°C] and conductive heat gain of the skin [W] with the devices
+   * switched on at the given time, and electrical power of each device [W].
+   *
+   * @private
+   *
+   * @param {number} time - Simulation time [sec].
+   *
+   * @returns {{active: boolean, v: math.Matrix, tr: math.Matrix, q_skin: math.Matrix, power: Object<string, number>}}
+   */
+  _device_inputs(time) {
+    const v = this._va.clone();
+    const tr = this._tr.clone();
+    const q_skin = math.zeros(17);
+    const power = {};
+    let active = false;
+
+    for (const [name, device] of Object.entries(this._devices)) {
+      const on =
+        device.schedule === undefined ||
+        device.schedule.some(([start, end]) => time >= start && time < end);
+      power[name] = on ? device.power : 0;
+      if (!on) continue;
+      active = true;
+
+      const indices = device.segments.map((segment) =>
+        BODY_NAMES.indexOf(segment),
+      );
+      const area = indices.reduce((sum, i) => sum + this._bsa.get([i]), 0);
+      for (const i of indices) {
+        if (device.v !== undefined) v.set([i], Math.max(v.get([i]), device.v));
+        if (device.delta_tr !== undefined) {
+          tr.set([i], tr.get([i]) + device.delta_tr);
+        }
+        if (device.q !== undefined) {
+          q_skin.set(
+            [i],
+            q_skin.get([i]) + (device.q * this._bsa.get([i])) / area,
+          );
+        }
+      }
+    }
+
+    return { active, v, tr, q_skin, power };
+  }
+
   /**
    * Set extra heat gain by tissue name.
    *
@@ -960,12 +1925,7 @@ export class JOS3 {
    * @return {math.Matrix}
    */
   get to() {
-    const hc = fixed_hc(
-      conv_coef(this._posture, this._va, this._ta, this.t_skin),
-      this._va,
-    );
-
-    const hr = fixed_hr(rad_coef(this._posture));
+    const { hc, hr } = this._heat_transfer_coefficients();
 
     return operative_temp(this._ta, this._tr, hc, hr);
   }
@@ -1058,6 +2018,22 @@ export class JOS3 {
     this._clo = _to17array(inp);
   }
 
+  /**
+   * Clothing vapor permeation efficiency [-].
+   *
+   * @return {math.Matrix}
+   */
+  get iclo() {
+    return this._iclo;
+  }
+
+  /**
+   * @param inp {number | number[] | object | math.Matrix}
+   */
+  set iclo(inp) {
+    this._iclo = _to17array(inp);
+  }
+
   /**
    * Physical activity ratio [-].This equals the ratio of metabolic rate to basal metabolic rate. par of sitting quietly is 1.2.
    *
@@ -1074,6 +2050,36 @@ export class JOS3 {
     this._par = inp;
   }
 
+  /**
+   * Atmospheric pressure [Pa]. It changes the Lewis relation between the convective and the evaporative heat
+   * transfer coefficients, which is inversely proportional to the pressure. The convective heat transfer coefficients
+   * are those measured at sea level. Use {@link #p_atm_altitude|p_atm_altitude} to calculate it from the altitude.
+   *
+   * @return {number}
+   */
+  get p_atm() {
+    return this._p_atm;
+  }
+
+  /**
+   * @param inp {number}
+   */
+  set p_atm(inp) {
+    if (!(inp > 0)) {
+      throw new Error("The atmospheric pressure must be a positive number");
+    }
+    this._p_atm = inp;
+  }
+
+  /**
+   * Lewis rate at the atmospheric pressure of the model [K/kPa].
+   *
+   * @return {number}
+   */
+  _lewis_rate() {
+    return (JOS3Defaults.lewis_rate * 101325) / this._p_atm;
+  }
+
   /**
    * All segment temperatures of JOS-3.
    *
@@ -1105,12 +2111,7 @@ export class JOS3 {
    * @return {math.Matrix}
    */
   get r_t() {
-    const hc = fixed_hc(
-      conv_coef(this._posture, this._va, this._ta, this.t_skin),
-      this._va,
-    );
-
-    const hr = fixed_hr(rad_coef(this._posture));
+    const { hc, hr } = this._heat_transfer_coefficients();
 
     return dry_r(hc, hr, this._clo);
   }
@@ -1121,12 +2122,9 @@ export class JOS3 {
    * @return {math.Matrix}
    */
   get r_et() {
-    const hc = fixed_hc(
-      conv_coef(this._posture, this._va, this._ta, this.t_skin),
-      this._va,
-    );
+    const { hc } = this._heat_transfer_coefficients();
 
-    return wet_r(hc, this._clo, this._iclo);
+    return wet_r(hc, this._clo, this._iclo, this._lewis_rate());
   }
 
   /**
@@ -1296,3 +2294,77 @@ export class JOS3 {
     return tcr / math.sum(this._bsa);
   }
 }
+
+/**
+ * Removes the evaporation of the body segments that are entirely in contact with surfaces. Their evaporative
+ * resistance is infinite, so instead of saturating the skin wettedness because of the null maximum evaporative heat
+ * loss they keep the minimum skin wettedness and do not evaporate.
+ *
+ * @param {{wet: math.Matrix, e_sk: math.Matrix, e_max: math.Matrix, e_sweat: math.Matrix}} result - skin
+ * wettedness and evaporative heat losses calculated with the evaporative resistance of the exposed area
+ * @param {math.Matrix} f_env - fraction of the area of each segment exposed to the environment
+ *
+ * @returns {{wet: math.Matrix, e_sk: math.Matrix, e_max: math.Matrix, e_sweat: math.Matrix}}
+ */
+function _exposed_evaporation({ wet, e_sk, e_max, e_sweat }, f_env) {
+  const exposed = (/** @type {number[]} */ index) => f_env.get(index) > 0;
+  return {
+    wet: wet.map((value, index) => (exposed(index) ? value : 0.06)),
+    e_sk: e_sk.map((value, index) => (exposed(index) ? value : 0)),
+    e_max: e_max.map((value, index) => (exposed(index) ? value : 0)),
+    e_sweat: e_sweat.map((value, index) => (exposed(index) ? value : 0)),
+  };
+}
+
+/**
+ * Converts a time-indexed table of the input conditions to the phases of a scenario.
+ *
+ * @param {JOS3ScheduleTable} table - time-indexed table of the input conditions
+ * @param {number} dtime - Time delta in seconds, duration of the last row.
+ *
+ * @returns {JOS3Phase[]}
+ */
+function _schedule_to_phases(table, dtime) {
+  const { time, ...columns } = table;
+  if (!Array.isArray(time) || time.length === 0) {
+    throw new Error("The scenario table must have a time column");
+  }
+  for (const [key, values] of Object.entries(columns)) {
+    if (!Array.isArray(values) || values.length !== time.length) {
+      throw new Error(
+        `The column ${key} of the scenario table must have the same length as the time column`,
+      );
+    }
+  }
+
+  return time.map((start, index) => {
+    /** @type {JOS3Phase} */
+    const phase = {
+      duration: index < time.length - 1 ? time[index + 1] - start : dtime,
+    };
+    for (const [key, values] of Object.entries(columns)) {
+      phase[key] = values[index];
+    }
+    return phase;
+  });
+}
+
+/**
+ * Returns the unit of a column of the results.
+ *
+ * @param {string} column - name of the column
+ *
+ * @returns {string}
+ */
+function _unit(column) {
+  let key = "";
+  for (const name of Object.keys(RESULT_UNITS)) {
+    if (
+      (column === name || column.startsWith(`${name}_`)) &&
+      name.length > key.length
+    ) {
+      key = name;
+    }
+  }
+  return key === "" ? "-" : RESULT_UNITS[key];
+}
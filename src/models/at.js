@@ -1,4 +1,8 @@
-import { round } from "../utilities/utilities.js";
+import {
+  round,
+  units_converter,
+  units_converter_array,
+} from "../utilities/utilities.js";
 import { psy_ta_rh } from "../psychrometrics/psy_ta_rh.js";
 
 /**
@@ -14,37 +18,100 @@ import { psy_ta_rh } from "../psychrometrics/psy_ta_rh.js";
  * radiation and the other one does not ({@link http://www.bom.gov.au/info/thermal_stress/}, 29 Sep 2021).
  * Please specify q if you want to estimate AT with solar load.
  *
+ * @see {@link at_array} for a version that supports arrays
+ *
  * @public
  * @memberof models
  * @docname Apparent Temperature (AT)
  *
- * @param {number} tdb - dry bulb air temperature, [°C]
+ * @param {number} tdb - dry bulb air temperature, default in [°C] in [°F] if `units` = 'IP'
  * @param {number} rh - relative humidity, [%]
- * @param {number} v - wind speed 10m above ground level, [m/s]
+ * @param {number} v - wind speed 10m above ground level, default in [m/s] in [fps] if `units` = 'IP'
  * @param {number | undefined} [q] - Net radiation absorbed per unit area of body surface [W/m2]
  * @param {object} [kwargs] - other parameters
  * @param {boolean} [kwargs.round=true] - if True rounds output value, if False it does not round it
+ * @param {"SI" | "IP"} [kwargs.units="SI"] - select the SI (International System of Units) or the IP (Imperial Units) system.
  *
- * @returns {number} apparent temperature, [°C]
+ * @returns {number} apparent temperature, default in [°C] in [°F] if `units` = 'IP'
  *
  * @example
  * const result = at(25, 30, 0.1);
  * console.log(result); // 24.1
  */
 export function at(tdb, rh, v, q, kwargs = { round: true }) {
-  // dividing it by 100 since the at eq. requires p_vap to be in hPa
-  const p_vap = psy_ta_rh(tdb, rh).p_vap / 100;
-  let t_at;
-  if (q !== undefined) {
-    // equation sources {@link #ref_16|[16]} and {@link http://www.bom.gov.au/info/thermal_stress/#apparent}
-    t_at = tdb + 0.348 * p_vap - 0.7 * v + (0.7 * q) / (v + 10) - 4.25;
-  } else {
-    t_at = tdb + 0.33 * p_vap - 0.7 * v - 4.0;
+  const units = kwargs.units ?? "SI";
+
+  if (units === "IP") {
+    ({ tdb, v } = units_converter({ tdb, v }));
   }
 
+  let t_at = calculate_at(tdb, rh, v, q);
+
+  if (units === "IP") {
+    t_at = units_converter({ tmp: t_at }, "SI").tmp;
+  }
   if (kwargs.round) {
     t_at = round(t_at, 1);
   }
 
   return t_at;
 }
+
+/**
+ * Calculates the Apparent Temperature (AT) when the input parameters are arrays.
+ *
+ * @see {@link at} for scalar arguments
+ *
+ * @public
+ * @memberof models
+ * @docname Apparent Temperature (AT) (array version)
+ *
+ * @param {number[]} tdb - dry bulb air temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @param {number[]} rh - relative humidity, [%]
+ * @param {number[]} v - wind speed 10m above ground level, default in [m/s] in [fps] if `units` = 'IP'
+ * @param {number[] | undefined} [q] - Net radiation absorbed per unit area of body surface [W/m2]
+ * @param {object} [kwargs] - other parameters
+ * @param {boolean} [kwargs.round=true] - if True rounds output value, if False it does not round it
+ * @param {"SI" | "IP"} [kwargs.units="SI"] - select the SI (International System of Units) or the IP (Imperial Units) system.
+ *
+ * @returns {number[]} apparent temperature, default in [°C] in [°F] if `units` = 'IP'
+ *
+ * @example
+ * const result = at_array([25, 23], [30, 70], [0.1, 1]);
+ * console.log(result); // [24.1, 24.8]
+ */
+export function at_array(tdb, rh, v, q, kwargs = { round: true }) {
+  const units = kwargs.units ?? "SI";
+
+  if (units === "IP") {
+    ({ tdb, v } = units_converter_array({ tdb, v }));
+  }
+
+  let t_at = tdb.map((_tdb, i) => calculate_at(_tdb, rh[i], v[i], q?.[i]));
+
+  if (units === "IP") {
+    t_at = units_converter_array({ tmp: t_at }, "SI").tmp;
+  }
+  if (kwargs.round) {
+    t_at = t_at.map((_t_at) => round(_t_at, 1));
+  }
+
+  return t_at;
+}
+
+/**
+ * @param {number} tdb - dry bulb air temperature, [°C]
+ * @param {number} rh - relative humidity, [%]
+ * @param {number} v - wind speed 10m above ground level, [m/s]
+ * @param {number | undefined} q - Net radiation absorbed per unit area of body surface [W/m2]
+ * @returns {number} apparent temperature, [°C]
+ */
+function calculate_at(tdb, rh, v, q) {
+  // dividing it by 100 since the at eq. requires p_vap to be in hPa
+  const p_vap = psy_ta_rh(tdb, rh).p_vap / 100;
+  if (q !== undefined) {
+    // equation sources {@link #ref_16|[16]} and {@link http://www.bom.gov.au/info/thermal_stress/#apparent}
+    return tdb + 0.348 * p_vap - 0.7 * v + (0.7 * q) / (v + 10) - 4.25;
+  }
+  return tdb + 0.33 * p_vap - 0.7 * v - 4.0;
+}
@@ -0,0 +1,147 @@
+import {
+  p_atm_option,
+  round,
+  units_converter,
+} from "../utilities/utilities.js";
+import { psy_ta_rh } from "../psychrometrics/psy_ta_rh.js";
+import { pmv_unrounded } from "./pmv_ppd.js";
+import { brent } from "./cooling_effect.js";
+
+/**
+ * @typedef {Object} ComfortZoneKwargs
+ * @property {[number, number]} [pmv_limits=[-0.5, 0.5]] - lower and upper PMV limits of the comfort zone
+ * @property {"ISO" | "ASHRAE"} [standard="ASHRAE"] - comfort standard used to calculate the PMV. If "ASHRAE" the
+ * cooling effect calculated with the SET model is used for vr > 0.1 m/s.
+ * @property {number} [wme=0] - external work, [met]
+ * @property {number} [rh_step=10] - step between the relative humidity values of two consecutive boundary points, [%]
+ * @property {number} [p_atm=101325] - atmospheric pressure used to calculate the humidity ratio, default in [Pa] in
+ * [atm] if `units` = 'IP'
+ * @property {number} [altitude] - altitude above sea level, default in [m] in [ft] if `units` = 'IP', it can be used
+ * instead of `p_atm`
+ * @property {"SI" | "IP"} [units="SI"] - select the SI (International System of Units) or the IP (Imperial Units) system.
+ * @public
+ */
+
+/**
+ * @typedef {Object} ComfortZonePoint
+ * @property {number} t_o - operative temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @property {number} rh - relative humidity, [%]
+ * @property {number} hr - humidity ratio, [kg water/kg dry air]
+ * @public
+ */
+
+/**
+ * @typedef {Object} ComfortZoneReturnType
+ * @property {ComfortZonePoint[]} cool_edge - points where the PMV equals the lower limit, sorted by increasing rh
+ * @property {ComfortZonePoint[]} warm_edge - points where the PMV equals the upper limit, sorted by increasing rh
+ * @property {ComfortZonePoint[]} polygon - vertices of the comfort zone, the cool edge followed by the warm edge in
+ * reverse order, ready to be drawn as a closed polygon on a psychrometric chart
+ * @public
+ */
+
+/**
+ * Calculates the boundaries of the PMV comfort zone on the psychrometric chart, in the same way as the
+ * {@link https://comfort.cbe.berkeley.edu|CBE Thermal Comfort Tool} does. For each relative humidity value the
+ * operative temperatures at which the PMV equals the lower and the upper limits are calculated by inverting the PMV
+ * model with the Brent's root finding method. It is assumed that the air temperature is equal to the mean radiant
+ * temperature. If standard = "ASHRAE" the elevated air speed is accounted for using the cooling effect
+ * {@link #ref_1|[1]}.
+ *
+ * Boundary points that cannot be found between 10 and 40 °C, the ASHRAE 55 applicability limits, are returned as NaN.
+ *
+ * @public
+ * @memberof models
+ * @docname Comfort zone boundaries
+ *
+ * @param {number} met - metabolic rate, [met]
+ * @param {number} clo - clothing insulation, [clo]
+ * @param {number} vr - relative air speed, default in [m/s] in [fps] if `units` = 'IP'
+ * @param {ComfortZoneKwargs} [kwargs] - additional arguments
+ *
+ * @returns {ComfortZoneReturnType} points of the comfort zone boundaries
+ *
+ * @example
+ * const zone = comfort_zone(1.1, 0.5, 0.1, { rh_step: 50 });
+ * console.log(zone.cool_edge.map((point) => point.t_o)); // [25, 23.9, 22.9]
+ * console.log(zone.warm_edge.map((point) => point.t_o)); // [28.3, 26.9, 25.7]
+ */
+export function comfort_zone(met, clo, vr, kwargs = {}) {
+  const default_kwargs = {
+    pmv_limits: [-0.5, 0.5],
+    standard: "ASHRAE",
+    wme: 0,
+    rh_step: 10,
+    p_atm: undefined,
+    altitude: undefined,
+    units: "SI",
+  };
+  const joint_kwargs = Object.assign(default_kwargs, kwargs);
+  const { pmv_limits, standard, wme, rh_step, units } = joint_kwargs;
+  const p_atm = p_atm_option(joint_kwargs, units) ?? 101325;
+
+  if (!(typeof rh_step === "number" && rh_step > 0)) {
+    throw new Error("rh_step must be a positive number");
+  }
+
+  if (units === "IP") {
+    vr = units_converter({ vr }, "IP").vr;
+  }
+
+  const rh_values = [];
+  for (let rh = 0; rh < 100; rh += rh_step) {
+    rh_values.push(rh);
+  }
+  rh_values.push(100);
+
+  const edge = (/** @type {number} */ pmv_limit) =>
+    rh_values.map((rh) => {
+      const t_o = comfort_zone_t_o(pmv_limit, vr, rh, met, clo, wme, standard);
+      const hr = isNaN(t_o) ? NaN : psy_ta_rh(t_o, rh, p_atm).hr;
+      return {
+        t_o: round(
+          units === "IP" ? units_converter({ tmp: t_o }, "SI").tmp : t_o,
+          1,
+        ),
+        rh,
+        hr: round(hr, 5),
+      };
+    });
+
+  const cool_edge = edge(pmv_limits[0]);
+  const warm_edge = edge(pmv_limits[1]);
+
+  return {
+    cool_edge,
+    warm_edge,
+    polygon: [...cool_edge, ...[...warm_edge].reverse()],
+  };
+}
+
+/**
+ * Finds the operative temperature at which the PMV equals the target value.
+ *
+ * @param {number} pmv_target - target PMV
+ * @param {number} vr - relative air speed, [m/s]
+ * @param {number} rh - relative humidity, [%]
+ * @param {number} met - metabolic rate, [met]
+ * @param {number} clo - clothing insulation, [clo]
+ * @param {number} wme - external work, [met]
+ * @param {"ISO" | "ASHRAE"} standard - comfort standard
+ * @returns {number} operative temperature, [°C], NaN if it cannot be found
+ */
+function comfort_zone_t_o(pmv_target, vr, rh, met, clo, wme, standard) {
+  const fn = (/** @type {number} */ t_o) =>
+    pmv_unrounded(t_o, t_o, vr, rh, met, clo, wme, standard) - pmv_target;
+  try {
+    return brent(fn, 10, 40, 0.001);
+  } catch (error) {
+    // the PMV does not reach the target between 10 and 40 °C
+    if (
+      error instanceof Error &&
+      error.message.startsWith("Root is not bracketed")
+    ) {
+      return NaN;
+    }
+    throw error;
+  }
+}
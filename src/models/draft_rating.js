@@ -0,0 +1,162 @@
+import {
+  check_standard_compliance,
+  check_standard_compliance_array,
+  round,
+  units_converter,
+  units_converter_array,
+} from "../utilities/utilities.js";
+
+/**
+ * @typedef {Object} DraftRatingReturnType - a result set containing the draught rating and the ISO 7730 category
+ * @property {number} DR - Draught Rating, percentage of people dissatisfied due to draught, [%]
+ * @property {"A" | "B" | "C" | null} Category - ISO 7730 category of the thermal environment based on the draught
+ * rating (A: DR < 10 %, B: DR < 20 %, C: DR < 30 %). It is null if DR is 30 % or higher.
+ * @property {boolean} Acceptability - true if the draught rating falls within one of the ISO 7730 categories
+ * @public
+ */
+
+/**
+ * Calculates the Draught Rating (DR), the percentage of people predicted to be bothered by draught, in
+ * accordance with the ISO 7730 Standard {@link #ref_2|[2]}. The draught rating depends on the local air
+ * temperature, the local mean air speed and the local turbulence intensity.
+ *
+ * DR = (34 − ta,l)(va,l − 0.05)^0.62(0.37 · va,l · Tu + 3.14)
+ *
+ * For va,l < 0.05 m/s use va,l = 0.05 m/s and for DR > 100 % use DR = 100 %.
+ * The model applies to people at light, mainly sedentary activity with a thermal sensation for the whole
+ * body close to neutral and for prediction of draught at the neck. The ISO 7730 applicability limits
+ * are 20 < tdb [°C] < 26, 0 < v [m/s] < 0.5 and 10 < tu [%] < 60.
+ *
+ * @see {@link draft_rating_array} for a version that supports arrays
+ *
+ * @public
+ * @memberof models
+ * @docname Draught rating (DR)
+ *
+ * @param {number} tdb - local air temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @param {number} v - local mean air speed, default in [m/s] in [fps] if `units` = 'IP'
+ * @param {number} [tu=40] - local turbulence intensity, [%]. ISO 7730 suggests a value of 40 % for mixing
+ * ventilation if the turbulence intensity was not measured.
+ * @param {"SI" | "IP"} [units="SI"] - select the SI (International System of Units) or the IP (Imperial Units) system.
+ *
+ * @returns {DraftRatingReturnType} object with the draught rating and the ISO 7730 category
+ *
+ * @example
+ * const result = draft_rating(20, 0.15, 40); // returns { DR: 18, Category: "B", Acceptability: true }
+ */
+export function draft_rating(tdb, v, tu = 40, units = "SI") {
+  if (units.toLowerCase() === "ip") {
+    ({ tdb, v } = units_converter({ tdb, v }, "IP"));
+  }
+
+  const warnings = check_standard_compliance("DRAFT_RATING", { tdb, v, tu });
+  warnings.forEach((warning) => console.warn(warning));
+
+  const dr = round(calculate_dr(tdb, v, tu), 1);
+  const category = dr_category(dr);
+
+  return { DR: dr, Category: category, Acceptability: category !== null };
+}
+
+/**
+ * @typedef {Object} DraftRatingArrayReturnType - a result set containing the draught rating and the ISO 7730 category
+ * @property {number[]} DR - Draught Rating, percentage of people dissatisfied due to draught, [%]
+ * @property {("A" | "B" | "C" | null)[]} Category - ISO 7730 category of the thermal environment based on the
+ * draught rating (A: DR < 10 %, B: DR < 20 %, C: DR < 30 %). It is null if DR is 30 % or higher or NaN.
+ * @property {boolean[]} Acceptability - true if the draught rating falls within one of the ISO 7730 categories
+ * @public
+ */
+
+/**
+ * Calculates the Draught Rating (DR), the percentage of people predicted to be bothered by draught, in
+ * accordance with the ISO 7730 Standard {@link #ref_2|[2]}. The draught rating depends on the local air
+ * temperature, the local mean air speed and the local turbulence intensity.
+ *
+ * DR = (34 − ta,l)(va,l − 0.05)^0.62(0.37 · va,l · Tu + 3.14)
+ *
+ * For va,l < 0.05 m/s use va,l = 0.05 m/s and for DR > 100 % use DR = 100 %.
+ *
+ * @see {@link draft_rating} for a version that supports scalar arguments
+ *
+ * @public
+ * @memberof models
+ * @docname Draught rating (DR) (array version)
+ *
+ * @param {number[]} tdb - local air temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @param {number[]} v - local mean air speed, default in [m/s] in [fps] if `units` = 'IP'
+ * @param {number[]} tu - local turbulence intensity, [%]
+ * @param {"SI" | "IP"} [units="SI"] - select the SI (International System of Units) or the IP (Imperial Units) system.
+ * @param {boolean} [limit_inputs=true] - By default, if the inputs are outside the ISO 7730 applicability limits
+ * the function returns NaN. If false, returns DR values even if input values are outside the applicability limits
+ * of the model. The valid input ranges are 20 < tdb [°C] < 26, 0 < v [m/s] < 0.5 and 10 < tu [%] < 60.
+ *
+ * @returns {DraftRatingArrayReturnType} object with the draught rating and the ISO 7730 category
+ *
+ * @example
+ * const result = draft_rating_array([20, 24], [0.15, 0.1], [40, 20]);
+ * // returns { DR: [18, 6.1], Category: ["B", "A"], Acceptability: [true, true] }
+ */
+export function draft_rating_array(
+  tdb,
+  v,
+  tu,
+  units = "SI",
+  limit_inputs = true,
+) {
+  if (units.toLowerCase() === "ip") {
+    ({ tdb, v } = units_converter_array({ tdb, v }, "IP"));
+  }
+
+  let dr = tdb.map((_tdb, i) => round(calculate_dr(_tdb, v[i], tu[i]), 1));
+
+  if (limit_inputs) {
+    const {
+      tdb: tdb_valid,
+      v: v_valid,
+      tu: tu_valid,
+    } = check_standard_compliance_array("DRAFT_RATING", { tdb, v, tu });
+    dr = dr.map((_dr, i) =>
+      isNaN(tdb_valid[i]) || isNaN(v_valid[i]) || isNaN(tu_valid[i])
+        ? NaN
+        : _dr,
+    );
+  }
+
+  const category = dr.map(dr_category);
+
+  return {
+    DR: dr,
+    Category: category,
+    Acceptability: category.map((_category) => _category !== null),
+  };
+}
+
+/**
+ * Calculates the draught rating according to ISO 7730 equation (5).
+ *
+ * @param {number} tdb - local air temperature, [°C]
+ * @param {number} v - local mean air speed, [m/s]
+ * @param {number} tu - local turbulence intensity, [%]
+ * @returns {number} draught rating, [%]
+ */
+function calculate_dr(tdb, v, tu) {
+  const v_limited = Math.max(v, 0.05);
+  const dr =
+    (34 - tdb) *
+    Math.pow(v_limited - 0.05, 0.62) *
+    (0.37 * v_limited * tu + 3.14);
+  return Math.min(Math.max(dr, 0), 100);
+}
+
+/**
+ * Classifies the draught rating into the ISO 7730 categories (Table A.1).
+ *
+ * @param {number} dr - draught rating, [%]
+ * @returns {"A" | "B" | "C" | null} category of the thermal environment
+ */
+function dr_category(dr) {
+  if (dr < 10) return "A";
+  if (dr < 20) return "B";
+  if (dr < 30) return "C";
+  return null;
+}
@@ -0,0 +1,45 @@
+import { round, units_converter } from "../utilities/utilities.js";
+
+/**
+ * @typedef {Object} FloorTmpReturnType - a result set containing the predicted percentage of dissatisfied and the acceptability
+ * @property {number} PPD_fl Predicted Percentage of Dissatisfied occupants due to a warm or cool floor, [%]
+ * @property {boolean} Acceptability The ASHRAE 55 2020 standard defines that the floor surface temperature
+ * is acceptable if PPD_fl is lower or equal than 10 %
+ * @public
+ */
+
+/**
+ * Calculates the percentage of thermally dissatisfied people due to a warm or cool floor {@link #ref_1|[1]} {@link #ref_2|[2]}.
+ * The equation applies to people wearing light indoor shoes, for people that are barefoot or sitting on
+ * the floor the floor material also matters.
+ *
+ * PPD = 100 − 94 · exp(−1.387 + 0.118 · t_f − 0.0025 · t_f²)
+ *
+ * @public
+ * @memberof models
+ * @docname Warm or cool floor
+ *
+ * @param {number} t_floor - floor surface temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @param {"SI" | "IP"} [units="SI"] - select the SI (International System of Units) or the IP (Imperial Units) system.
+ *
+ * @returns {FloorTmpReturnType} Object with results of the PPD with the floor surface temperature.
+ *
+ * @example
+ * const result = floor_tmp_ppd(18); // returns { PPD_fl: 12.6, Acceptability: false }
+ */
+export function floor_tmp_ppd(t_floor, units = "SI") {
+  if (units === "IP") {
+    t_floor = units_converter({ tmp: t_floor }, "IP").tmp;
+  }
+
+  const ppd_fl = round(
+    100 -
+      94 * Math.exp(-1.387 + 0.118 * t_floor - 0.0025 * Math.pow(t_floor, 2)),
+    1,
+  );
+
+  return {
+    PPD_fl: ppd_fl,
+    Acceptability: ppd_fl <= 10,
+  };
+}
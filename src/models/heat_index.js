@@ -1,9 +1,59 @@
-import { round } from "../utilities/utilities.js";
+import {
+  check_sea_level,
+  p_atm_option,
+  round,
+  units_converter,
+} from "../utilities/utilities.js";
+
+/**
+ * @typedef {"no risk" | "caution" | "extreme caution" | "danger" | "extreme danger"} HeatIndexStressCategory
+ */
+
+/**
+ * @typedef {Object} HeatIndexReturnType - a result set containing the heat index and the NWS stress category
+ * @property {number} hi - Heat Index, default in [°C] in [°F] if `units` = 'IP'
+ * @property {HeatIndexStressCategory} stress_category - NWS stress category
+ * @public
+ */
+
+/**
+ * @typedef {Object} HeatIndexArrayReturnType - a result set containing the heat index and the NWS stress category arrays
+ * @property {number[]} hi - Heat Index, default in [°C] in [°F] if `units` = 'IP'
+ * @property {HeatIndexStressCategory[]} stress_category - NWS stress category
+ * @public
+ */
+
+/**
+ * @typedef {Object} HeatIndexOptions
+ * @property {boolean} [round=true] - If True rounds output value, if False it does not round it.
+ * @property {"SI" | "IP"} [units="SI"] - Select the SI (International System of Units) or the IP (Imperial Units) system.
+ * @property {"nws" | "lu_romps"} [model="nws"] - Select the full NWS procedure or the extended heat index of Lu
+ * and Romps (2022).
+ * @property {boolean} [return_stress_category=false] - If true, also returns the NWS stress category.
+ * @property {number} [p_atm] - atmospheric pressure, default in [Pa] in [atm] if `units` = 'IP'. Both models are
+ * defined at sea level and do not depend on the pressure, a warning is emitted if it differs from the standard
+ * atmospheric pressure.
+ * @property {number} [altitude] - altitude above sea level, default in [m] in [ft] if `units` = 'IP', it can be used
+ * instead of `p_atm`.
+ * @public
+ */
 
 /**
  * Calculates the Heat Index (HI). It combines air temperature and relative humidity to determine an apparent temperature.
- * The HI equation {@link #ref_12|[12]} is derived by multiple regression analysis in temperature and relative humidity from the first version
- * of Steadman’s (1979) apparent temperature (AT) {@link #ref_13|[13]}.
+ *
+ * If `model` = "nws" the procedure of the US National Weather Service {@link #ref_30|[30]} is used. The simple
+ * formula of Steadman (1979) {@link #ref_13|[13]} is calculated first and, if the result is equal to or higher than
+ * 80 °F (26.7 °C), the Rothfusz regression {@link #ref_12|[12]} is used instead. The regression is corrected
+ * when the relative humidity is lower than 13% and the air temperature is between 80 and 112 °F, or when the relative
+ * humidity is higher than 85% and the air temperature is between 80 and 87 °F.
+ *
+ * If `model` = "lu_romps" the extended heat index of Lu and Romps (2022) {@link #ref_29|[29]} is used. It solves the
+ * thermoregulatory model of Steadman (1979) and extends it to all combinations of air temperature and humidity.
+ *
+ * The stress category is determined according to the NWS thresholds: caution for 80–90 °F (26.7–32.2 °C), extreme
+ * caution for 90–103 °F (32.2–39.4 °C), danger for 103–125 °F (39.4–51.7 °C) and extreme danger above 125 °F.
+ *
+ * @see {@link heat_index_array} for a version that supports arrays
  *
  * @public
  * @memberof models
@@ -11,48 +61,448 @@ import { round } from "../utilities/utilities.js";
  *
  * @param {number} tdb Dry bulb air temperature, default in [°C] in [°F] if `units` = 'IP'.
  * @param {number} rh Relative humidity, [%].
- * @param {Object} [options] (Optional) Other parameters.
- * @param {boolean} [options.round=true] - If True rounds output value, if False it does not round it.
- * @param {"SI" | "IP"} [options.units="SI"] - Select the SI (International System of Units) or the IP (Imperial Units) system.
+ * @param {HeatIndexOptions} [options] (Optional) Other parameters.
  *
- * @returns {number} Heat Index, default in [°C] in [°F] if `units` = 'IP'.
+ * @returns {number | HeatIndexReturnType} Heat Index, default in [°C] in [°F] if `units` = 'IP'. If
+ * `return_stress_category` is true an object with the heat index and the stress category is returned.
  *
  * @example
- * const hi = heat_index(25, 50); // returns 25.9
+ * const hi = heat_index(25, 50); // returns 24.9
+ *
+ * @example
+ * const result = heat_index(30, 80, { return_stress_category: true });
+ * // returns { hi: 37.7, stress_category: "extreme caution" }
  *
  * @category Thermophysiological models
  */
-export function heat_index(tdb, rh, options = { round: true, units: "SI" }) {
-  /**
-   * @type {number}
-   */
-  let hi;
-  let tdb_squared = Math.pow(tdb, 2);
-  let rh_squared = Math.pow(rh, 2);
-
-  if (options.units === undefined || options.units === "SI") {
-    hi =
-      -8.784695 +
-      1.61139411 * tdb +
-      2.338549 * rh -
-      0.14611605 * tdb * rh -
-      0.012308094 * tdb_squared -
-      0.016424828 * rh_squared +
-      0.002211732 * tdb_squared * rh +
-      0.00072546 * tdb * rh_squared -
-      0.000003582 * tdb_squared * rh_squared;
+export function heat_index(tdb, rh, options = {}) {
+  const default_options = {
+    round: true,
+    units: "SI",
+    model: "nws",
+    return_stress_category: false,
+  };
+  const joint_options = Object.assign(default_options, options);
+  check_sea_level(
+    "heat index",
+    p_atm_option(joint_options, joint_options.units.toUpperCase()),
+  );
+
+  if (joint_options.model !== "nws" && joint_options.model !== "lu_romps") {
+    throw new Error(
+      `Unknown model ${joint_options.model}, it should be either nws or lu_romps`,
+    );
+  }
+
+  const tdb_f =
+    joint_options.units === "IP"
+      ? tdb
+      : units_converter({ tmp: tdb }, "SI").tmp;
+
+  const hi_f =
+    joint_options.model === "nws"
+      ? heat_index_nws(tdb_f, rh)
+      : units_converter(
+          {
+            tmp:
+              heat_index_lu_romps(
+                units_converter({ tmp: tdb_f }).tmp + 273.15,
+                rh / 100,
+              ) - 273.15,
+          },
+          "SI",
+        ).tmp;
+
+  const hi =
+    joint_options.units === "IP" ? hi_f : units_converter({ tmp: hi_f }).tmp;
+
+  const hi_rounded = joint_options.round ? round(hi, 1) : hi;
+
+  if (joint_options.return_stress_category) {
+    return { hi: hi_rounded, stress_category: stress_category(hi_f) };
+  }
+  return hi_rounded;
+}
+
+/**
+ * Calculates the Heat Index (HI) when the input parameters are arrays.
+ *
+ * @see {@link heat_index} for scalar arguments and a description of the models
+ *
+ * @public
+ * @memberof models
+ * @docname Heat Index (array version)
+ *
+ * @param {number[]} tdb Dry bulb air temperature, default in [°C] in [°F] if `units` = 'IP'.
+ * @param {number[]} rh Relative humidity, [%].
+ * @param {HeatIndexOptions} [options] (Optional) Other parameters.
+ *
+ * @returns {number[] | HeatIndexArrayReturnType} Heat Index, default in [°C] in [°F] if `units` = 'IP'. If
+ * `return_stress_category` is true an object with the heat index and the stress category arrays is returned.
+ *
+ * @example
+ * const hi = heat_index_array([25, 30], [50, 80]); // returns [24.9, 37.7]
+ *
+ * @example
+ * const result = heat_index_array([25, 30], [50, 80], { return_stress_category: true });
+ * // returns { hi: [24.9, 37.7], stress_category: ["no risk", "extreme caution"] }
+ */
+export function heat_index_array(tdb, rh, options = {}) {
+  const scalar_options = Object.assign({}, options, {
+    return_stress_category: true,
+  });
+  const results = tdb.map(
+    (_tdb, index) =>
+      /** @type {HeatIndexReturnType} */ (
+        heat_index(_tdb, rh[index], scalar_options)
+      ),
+  );
+  const hi = results.map((result) => result.hi);
+
+  if (options.return_stress_category) {
+    return {
+      hi: hi,
+      stress_category: results.map((result) => result.stress_category),
+    };
+  }
+  return hi;
+}
+
+/**
+ * Heat index calculated with the procedure of the National Weather Service.
+ *
+ * @param {number} tdb - air temperature, [°F]
+ * @param {number} rh - relative humidity, [%]
+ * @returns {number} heat index, [°F]
+ */
+function heat_index_nws(tdb, rh) {
+  const hi_simple = 0.5 * (tdb + 61.0 + (tdb - 68.0) * 1.2 + rh * 0.094);
+  if (hi_simple < 80) {
+    return hi_simple;
+  }
+
+  const tdb_squared = Math.pow(tdb, 2);
+  const rh_squared = Math.pow(rh, 2);
+  let hi =
+    -42.379 +
+    2.04901523 * tdb +
+    10.14333127 * rh -
+    0.22475541 * tdb * rh -
+    0.00683783 * tdb_squared -
+    0.05481717 * rh_squared +
+    0.00122874 * tdb_squared * rh +
+    0.00085282 * tdb * rh_squared -
+    0.00000199 * tdb_squared * rh_squared;
+
+  if (rh < 13 && tdb >= 80 && tdb <= 112) {
+    hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(tdb - 95)) / 17);
+  } else if (rh > 85 && tdb >= 80 && tdb <= 87) {
+    hi += ((rh - 85) / 10) * ((87 - tdb) / 5);
+  }
+
+  return hi;
+}
+
+/**
+ * Determines the NWS stress category.
+ *
+ * @param {number} hi - heat index, [°F]
+ * @returns {HeatIndexStressCategory} stress category
+ */
+function stress_category(hi) {
+  if (hi < 80) return "no risk";
+  if (hi < 90) return "caution";
+  if (hi < 103) return "extreme caution";
+  if (hi < 125) return "danger";
+  return "extreme danger";
+}
+
+// thermodynamic parameters of Lu and Romps (2022)
+const t_trip = 273.16; // K
+const p_trip = 611.65; // Pa
+const e0_v = 2.374e6; // J/kg
+const e0_s = 0.3337e6; // J/kg
+const r_gas_a = 287.04; // J/kg/K
+const r_gas_v = 461; // J/kg/K
+const cv_a = 719; // J/kg/K
+const cv_v = 1418; // J/kg/K
+const cv_l = 4119; // J/kg/K
+const cv_s = 1861; // J/kg/K
+const cp_a = cv_a + r_gas_a;
+const cp_v = cv_v + r_gas_v;
+
+// thermoregulatory parameters of Lu and Romps (2022)
+const sigma = 5.67e-8; // W/m2/K4, Stefan-Boltzmann constant
+const epsilon = 0.97; // emissivity of the skin
+const mass = 83.6; // kg, mass of the average US adult
+const height = 1.69; // m, height of the average US adult
+const area = 0.202 * Math.pow(mass, 0.425) * Math.pow(height, 0.725); // m2, DuBois formula
+const cp_c = 3492; // J/kg/K, specific heat capacity of the core
+const c_core = (mass * cp_c) / area; // heat capacity of the core per unit of skin area
+const r = 124; // Pa/K, Zf/Rf
+const q = 180; // W/m2, metabolic rate per unit of skin area
+const phi_salt = 0.9; // vapour saturation pressure level of saline solution
+const t_c = 310; // K, core temperature
+const p_c = phi_salt * pv_star(t_c); // Pa, core vapour pressure
+const l = latent_heat(310); // J/kg, latent heat of vaporization at 310 K
+const p = 1.013e5; // Pa, atmospheric pressure
+const eta = 1.43e-6; // kg/J, inhaled mass over metabolic rate
+const pa0 = 1.6e3; // Pa, reference air vapour pressure in regions III, IV, V and VI
+const za = 60.6 / 17.4; // Pa m2/W, mass transfer resistance through air, exposed part of skin
+const za_bar = 60.6 / 11.6; // Pa m2/W, mass transfer resistance through air, clothed part of skin
+const za_un = 60.6 / 12.3; // Pa m2/W, mass transfer resistance through air, when naked
+const tolerance = 1e-8;
+
+/**
+ * Finds the root of a function with the bisection method. The Brent's method is not used since the resistances
+ * of the thermoregulatory model can be infinite, which breaks the interpolation steps.
+ *
+ * @param {(x: number) => number} fn - function whose root is found
+ * @param {number} lower - lower bound of the search interval
+ * @param {number} upper - upper bound of the search interval
+ * @returns {number} root of the function
+ */
+function solve(fn, lower, upper) {
+  let f_upper = fn(upper);
+  if (fn(lower) * f_upper > 0) {
+    throw new Error(`Root is not bracketed: [${lower}, ${upper}].`);
+  }
+  for (let i = 0; i < 100 && Math.abs(upper - lower) > tolerance; i++) {
+    const mid = (lower + upper) / 2;
+    const f_mid = fn(mid);
+    if (f_upper * f_mid > 0) {
+      upper = mid;
+      f_upper = f_mid;
+    } else {
+      lower = mid;
+    }
+  }
+  return (lower + upper) / 2;
+}
+
+/**
+ * Saturation vapour pressure.
+ *
+ * @param {number} t - temperature, [K]
+ * @returns {number} saturation vapour pressure, [Pa]
+ */
+function pv_star(t) {
+  if (t === 0) return 0;
+  if (t < t_trip) {
+    return (
+      p_trip *
+      Math.pow(t / t_trip, (cp_v - cv_s) / r_gas_v) *
+      Math.exp(
+        ((e0_v + e0_s - (cv_v - cv_s) * t_trip) / r_gas_v) *
+          (1 / t_trip - 1 / t),
+      )
+    );
+  }
+  return (
+    p_trip *
+    Math.pow(t / t_trip, (cp_v - cv_l) / r_gas_v) *
+    Math.exp(((e0_v - (cv_v - cv_l) * t_trip) / r_gas_v) * (1 / t_trip - 1 / t))
+  );
+}
+
+/**
+ * Latent heat of vaporization of water.
+ *
+ * @param {number} t - temperature, [K]
+ * @returns {number} latent heat, [J/kg]
+ */
+function latent_heat(t) {
+  return e0_v + (cv_v - cv_l) * (t - t_trip) + r_gas_v * t;
+}
+
+/**
+ * Respiratory heat loss, [W/m2].
+ *
+ * @param {number} ta - air temperature, [K]
+ * @param {number} pa - air vapour pressure, [Pa]
+ * @returns {number}
+ */
+function q_v(ta, pa) {
+  return (
+    eta * q * (cp_a * (t_c - ta) + ((l * r_gas_a) / (p * r_gas_v)) * (p_c - pa))
+  );
+}
+
+/**
+ * Mass transfer resistance through the skin, [Pa m2/W].
+ *
+ * @param {number} rs - heat transfer resistance through the skin, [K m2/W]
+ * @returns {number}
+ */
+function z_s(rs) {
+  return rs === 0.0387 ? 52.1 : 6.0e8 * Math.pow(rs, 5);
+}
+
+/**
+ * Heat transfer resistance through air, [K m2/W].
+ *
+ * @param {number} ts - surface temperature, [K]
+ * @param {number} ta - air temperature, [K]
+ * @param {number} hc - convective heat transfer coefficient, [W/m2/K]
+ * @param {number} phi_rad - fraction of the surface exchanging heat by radiation
+ * @returns {number}
+ */
+function r_a(ts, ta, hc, phi_rad) {
+  const hr = epsilon * phi_rad * sigma * (ts * ts + ta * ta) * (ts + ta);
+  return 1 / (hc + hr);
+}
+
+/** @param {number} ts @param {number} ta */
+const r_a_exposed = (ts, ta) => r_a(ts, ta, 17.4, 0.85);
+/** @param {number} tf @param {number} ta */
+const r_a_clothed = (tf, ta) => r_a(tf, ta, 11.6, 0.79);
+/** @param {number} ts @param {number} ta */
+const r_a_naked = (ts, ta) => r_a(ts, ta, 12.3, 0.8);
+
+/**
+ * @typedef {Object} EquivalentVariable
+ * @property {"phi" | "rf" | "rs" | "rs*" | "dtc_dt"} name - name of the equivalent variable
+ * @property {number} phi - covering fraction
+ * @property {number} rf - heat transfer resistance through the clothing, [K m2/W]
+ * @property {number} rs - heat transfer resistance through the skin, [K m2/W]
+ * @property {number} dtc_dt - rate of change of the core temperature, [K/s]
+ */
+
+/**
+ * Finds the variable that keeps the thermoregulatory model in balance for the given air temperature and humidity.
+ *
+ * @param {number} ta - air temperature, [K]
+ * @param {number} rh - relative humidity, [fraction]
+ * @returns {EquivalentVariable}
+ */
+function find_equivalent_variable(ta, rh) {
+  const pa = rh * pv_star(ta);
+  let rs = 0.0387;
+  let phi = 0.84;
+  let rf = Infinity;
+  let dtc_dt = 0;
+  /** @type {EquivalentVariable["name"]} */
+  let name;
+
+  const m = (p_c - pa) / (z_s(rs) + za);
+  const m_bar = (p_c - pa) / (z_s(rs) + za_bar);
+  let ts = solve(
+    (ts) =>
+      (ts - ta) / r_a_exposed(ts, ta) +
+      (p_c - pa) / (z_s(rs) + za) -
+      (t_c - ts) / rs,
+    Math.max(0, Math.min(t_c, ta) - rs * Math.abs(m)),
+    Math.max(t_c, ta) + rs * Math.abs(m),
+  );
+  const tf = solve(
+    (tf) =>
+      (tf - ta) / r_a_clothed(tf, ta) +
+      (p_c - pa) / (z_s(rs) + za_bar) -
+      (t_c - tf) / rs,
+    Math.max(0, Math.min(t_c, ta) - rs * Math.abs(m_bar)),
+    Math.max(t_c, ta) + rs * Math.abs(m_bar),
+  );
+
+  const net_heat = q - q_v(ta, pa);
+  const flux1 = net_heat - ((1 - phi) * (t_c - ts)) / rs; // C dTc/dt when Rf = Zf = inf
+  const flux2 =
+    net_heat - ((1 - phi) * (t_c - ts)) / rs - (phi * (t_c - tf)) / rs; // C dTc/dt when Rf = Zf = 0
+
+  if (flux1 <= 0) {
+    // region I
+    name = "phi";
+    phi = 1 - (net_heat * rs) / (t_c - ts);
+  } else if (flux2 <= 0) {
+    // regions II and III
+    name = "rf";
+    const ts_bar = t_c - (net_heat * rs) / phi + (1 / phi - 1) * (t_c - ts);
+    const tf_bar = solve(
+      (tf) =>
+        (tf - ta) / r_a_clothed(tf, ta) +
+        ((p_c - pa) * (tf - ta)) /
+          ((z_s(rs) + za_bar) * (tf - ta) +
+            r * r_a_clothed(tf, ta) * (ts_bar - tf)) -
+        (t_c - ts_bar) / rs,
+      ta,
+      ts_bar,
+    );
+    rf = (r_a_clothed(tf_bar, ta) * (ts_bar - tf_bar)) / (tf_bar - ta);
   } else {
-    hi =
-      -42.379 +
-      2.04901523 * tdb +
-      10.14333127 * rh -
-      0.22475541 * tdb * rh -
-      0.00683783 * tdb_squared -
-      0.05481717 * rh_squared +
-      0.00122874 * tdb_squared * rh +
-      0.00085282 * tdb * rh_squared -
-      0.00000199 * tdb_squared * rh_squared;
-  }
-
-  return options.round === undefined || options.round ? round(hi, 1) : hi;
+    // regions IV, V and VI
+    rf = 0;
+    const flux3 =
+      net_heat -
+      (t_c - ta) / r_a_naked(t_c, ta) -
+      (phi_salt * pv_star(t_c) - pa) / za_un;
+    if (flux3 < 0) {
+      // regions IV and V
+      ts = solve(
+        (ts) =>
+          (ts - ta) / r_a_naked(ts, ta) +
+          (p_c - pa) / (z_s((t_c - ts) / net_heat) + za_un) -
+          net_heat,
+        0,
+        t_c,
+      );
+      rs = (t_c - ts) / net_heat;
+      name = "rs";
+      const ps = p_c - ((p_c - pa) * z_s(rs)) / (z_s(rs) + za_un);
+      if (ps > phi_salt * pv_star(ts)) {
+        // region V
+        ts = solve(
+          (ts) =>
+            (ts - ta) / r_a_naked(ts, ta) +
+            (phi_salt * pv_star(ts) - pa) / za_un -
+            net_heat,
+          0,
+          t_c,
+        );
+        rs = (t_c - ts) / net_heat;
+        name = "rs*";
+      }
+    } else {
+      // region VI
+      rs = 0;
+      name = "dtc_dt";
+      dtc_dt = (1 / c_core) * flux3;
+    }
+  }
+
+  return { name, phi, rf, rs, dtc_dt };
+}
+
+/**
+ * Heat index calculated with the extended model of Lu and Romps (2022).
+ *
+ * @param {number} ta - air temperature, [K]
+ * @param {number} rh - relative humidity, [fraction]
+ * @returns {number} heat index, [K]
+ */
+function heat_index_lu_romps(ta, rh) {
+  if (ta === 0) return 0;
+
+  const { name, phi, rf, rs, dtc_dt } = find_equivalent_variable(ta, rh);
+
+  if (name === "phi") {
+    return solve((t) => find_equivalent_variable(t, 1).phi - phi, 0, 240);
+  }
+  if (name === "rf") {
+    return solve(
+      (t) => find_equivalent_variable(t, Math.min(1, pa0 / pv_star(t))).rf - rf,
+      230,
+      300,
+    );
+  }
+  if (name === "rs" || name === "rs*") {
+    return solve(
+      (t) => find_equivalent_variable(t, pa0 / pv_star(t)).rs - rs,
+      295,
+      350,
+    );
+  }
+  return solve(
+    (t) => find_equivalent_variable(t, pa0 / pv_star(t)).dtc_dt - dtc_dt,
+    340,
+    1000,
+  );
 }
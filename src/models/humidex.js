@@ -1,4 +1,8 @@
-import { round } from "../utilities/utilities.js";
+import {
+  round,
+  units_converter,
+  units_converter_array,
+} from "../utilities/utilities.js";
 
 /**
  * @typedef {object} HumidexResult - a result set containing the humidex and
@@ -7,6 +11,20 @@ import { round } from "../utilities/utilities.js";
  * air temperature and relative humidity.
  * @property {string} discomfort - a human description of how the weather
  * would be felt by the average person.
+ * @property {string} [stress_category] - the discomfort level, only returned
+ * if `return_stress_category` is true.
+ * @public
+ */
+
+/**
+ * @typedef {object} HumidexArrayResult - a result set containing the humidex
+ * and discomfort level arrays.
+ * @property {number[]} humidex - the humidex given the provided dry bulb
+ * air temperatures and relative humidities.
+ * @property {string[]} discomfort - a human description of how the weather
+ * would be felt by the average person.
+ * @property {string[]} [stress_category] - the discomfort levels, only
+ * returned if `return_stress_category` is true.
  * @public
  */
 
@@ -18,45 +36,139 @@ import { round } from "../utilities/utilities.js";
  * Humidex differs from the heat index in being related to the dew point
  * rather than relative humidity {@link #ref_15|[15]}.
  *
+ * The stress categories are the discomfort levels: little or no discomfort up to 30 °C, noticeable
+ * discomfort up to 35 °C, evident discomfort up to 40 °C, intense discomfort
+ * up to 45 °C, dangerous discomfort up to 54 °C and heat stroke probable above.
+ *
+ * @see {@link humidex_array} for a version that supports arrays
+ *
  * @public
  * @memberof models
  * @docname Humidex
  *
- * @param {number} tdb - dry bulb air temperature, [°C]
+ * @param {number} tdb - dry bulb air temperature, default in [°C] in [°F] if
+ * `units` = 'IP'
  * @param {number} rh - relative humidity, [%]
  * @param {object} [options] - configuration options for the function.
  * @param {boolean} [options.round = true] - If true, rounds output value. If
  * false, it does not.
+ * @param {"SI" | "IP"} [options.units = "SI"] - select the SI (International
+ * System of Units) or the IP (Imperial Units) system.
+ * @param {boolean} [options.return_stress_category = false] - If true, also
+ * returns the discomfort level under `stress_category`.
  *
  * @returns {HumidexResult} the result given the provided temperature and
- * relative humidity.
+ * relative humidity, the humidex is in [°F] if `units` = 'IP'.
  *
  * @example
  * const result = humidex(25, 50);
  * console.log(result); // -> { humidex: 28.2, discomfort: "Little or no discomfort" }
  */
 export function humidex(tdb, rh, options = { round: true }) {
-  let hi =
-    tdb +
-    (5 / 9) * ((6.112 * 10 ** ((7.5 * tdb) / (237.7 + tdb)) * rh) / 100 - 10);
+  const opt = Object.assign(
+    { units: "SI", return_stress_category: false },
+    options,
+  );
+
+  if (opt.units === "IP") {
+    tdb = units_converter({ tdb }).tdb;
+  }
+
+  let hi = calculate_humidex(tdb, rh);
+  const discomfort = discomfort_level(opt.round ? round(hi, 1) : hi);
 
-  if (options.round) {
+  if (opt.units === "IP") {
+    hi = units_converter({ tmp: hi }, "SI").tmp;
+  }
+
+  if (opt.round) {
     hi = round(hi, 1);
   }
 
-  let stress_category = "Heat stroke probable";
+  if (opt.return_stress_category) {
+    return { humidex: hi, discomfort, stress_category: discomfort };
+  }
+  return { humidex: hi, discomfort };
+}
 
-  if (hi <= 30) {
-    stress_category = "Little or no discomfort";
-  } else if (hi <= 35) {
-    stress_category = "Noticeable discomfort";
-  } else if (hi <= 40) {
-    stress_category = "Evident discomfort";
-  } else if (hi <= 45) {
-    stress_category = "Intense discomfort; avoid exertion";
-  } else if (hi <= 54) {
-    stress_category = "Dangerous discomfort";
+/**
+ * Calculates the humidex when the input parameters are arrays.
+ *
+ * @see {@link humidex} for scalar arguments and the discomfort levels
+ *
+ * @public
+ * @memberof models
+ * @docname Humidex (array version)
+ *
+ * @param {number[]} tdb - dry bulb air temperature, default in [°C] in [°F] if
+ * `units` = 'IP'
+ * @param {number[]} rh - relative humidity, [%]
+ * @param {object} [options] - configuration options for the function.
+ * @param {boolean} [options.round = true] - If true, rounds output value. If
+ * false, it does not.
+ * @param {"SI" | "IP"} [options.units = "SI"] - select the SI (International
+ * System of Units) or the IP (Imperial Units) system.
+ * @param {boolean} [options.return_stress_category = false] - If true, also
+ * returns the discomfort levels under `stress_category`.
+ *
+ * @returns {HumidexArrayResult} the result given the provided temperatures
+ * and relative humidities, the humidex is in [°F] if `units` = 'IP'.
+ *
+ * @example
+ * const result = humidex_array([25, 30], [50, 50]);
+ * console.log(result);
+ * // -> { humidex: [28.2, 36.2], discomfort: ["Little or no discomfort", "Evident discomfort"] }
+ */
+export function humidex_array(tdb, rh, options = { round: true }) {
+  const opt = Object.assign(
+    { units: "SI", return_stress_category: false },
+    options,
+  );
+
+  if (opt.units === "IP") {
+    tdb = units_converter_array({ tdb }).tdb;
   }
 
-  return { humidex: hi, discomfort: stress_category };
+  let hi = tdb.map((_tdb, i) => calculate_humidex(_tdb, rh[i]));
+  const discomfort = hi.map((_hi) =>
+    discomfort_level(opt.round ? round(_hi, 1) : _hi),
+  );
+
+  if (opt.units === "IP") {
+    hi = units_converter_array({ tmp: hi }, "SI").tmp;
+  }
+
+  if (opt.round) {
+    hi = hi.map((_hi) => round(_hi, 1));
+  }
+
+  if (opt.return_stress_category) {
+    return { humidex: hi, discomfort, stress_category: discomfort };
+  }
+  return { humidex: hi, discomfort };
+}
+
+/**
+ * @param {number} tdb - dry bulb air temperature, [°C]
+ * @param {number} rh - relative humidity, [%]
+ * @returns {number} humidex, [°C]
+ */
+function calculate_humidex(tdb, rh) {
+  return (
+    tdb +
+    (5 / 9) * ((6.112 * 10 ** ((7.5 * tdb) / (237.7 + tdb)) * rh) / 100 - 10)
+  );
+}
+
+/**
+ * @param {number} hi - humidex, [°C]
+ * @returns {string} discomfort level
+ */
+function discomfort_level(hi) {
+  if (hi <= 30) return "Little or no discomfort";
+  if (hi <= 35) return "Noticeable discomfort";
+  if (hi <= 40) return "Evident discomfort";
+  if (hi <= 45) return "Intense discomfort; avoid exertion";
+  if (hi <= 54) return "Dangerous discomfort";
+  return "Heat stroke probable";
 }
@@ -1,34 +1,49 @@
-import { heat_index } from "./heat_index.js";
-import { phs } from "./phs.js";
-import { humidex } from "./humidex.js";
-import { net } from "./net.js";
-import { wbgt } from "./wbgt.js";
+import { heat_index, heat_index_array } from "./heat_index.js";
+import { phs, phs_array, phs_schedule } from "./phs.js";
+import { work_rest_schedule } from "./work_rest_schedule.js";
+import { humidex, humidex_array } from "./humidex.js";
+import { net, net_array } from "./net.js";
+import { wbgt, wbgt_array } from "./wbgt.js";
+import { wbgt_liljegren, wbgt_liljegren_array } from "./wbgt_liljegren.js";
 import {
   discomfort_index,
   discomfort_index_array,
 } from "./discomfort_index.js";
 import { two_nodes, two_nodes_array } from "./two_nodes.js";
 import { set_tmp, set_tmp_array } from "./set_tmp.js";
-import { wc } from "./wc.js";
+import { wc, wc_array } from "./wc.js";
 import { adaptive_en, adaptive_en_array } from "./adaptive_en.js";
-import { at } from "./at.js";
+import { at, at_array } from "./at.js";
 import { pmv_ppd, pmv_ppd_array } from "./pmv_ppd.js";
 import { adaptive_ashrae, adaptive_ashrae_array } from "./adaptive_ashrae.js";
-import { solar_gain } from "./solar_gain.js";
+import { solar_gain, solar_gain_array } from "./solar_gain.js";
+import { solar_adjusted_mrt } from "./solar_adjusted_mrt.js";
 import { cooling_effect } from "./cooling_effect.js";
+import { comfort_zone } from "./comfort_zone.js";
+import { solve_pmv_target } from "./solve_pmv_target.js";
 import { athb, athb_array } from "./athb.js";
 import { pmv, pmv_array } from "./pmv.js";
 import { a_pmv, a_pmv_array } from "./a_pmv.js";
 import { ankle_draft } from "./ankle_draft.js";
+import { draft_rating, draft_rating_array } from "./draft_rating.js";
 import { e_pmv, e_pmv_array } from "./e_pmv.js";
 import { vertical_tmp_grad_ppd } from "./vertical_tmp_grad_ppd.js";
+import { radiant_asymmetry_ppd } from "./radiant_asymmetry_ppd.js";
+import { floor_tmp_ppd } from "./floor_tmp_ppd.js";
+import { local_discomfort } from "./local_discomfort.js";
 import { use_fans_heatwaves } from "./use_fans_heatwave.js";
 import { clo_tout, clo_tout_array } from "./clo_tout.js";
 import { utci, utci_array } from "./utci.js";
-import { pet_steady } from "./pet_steady.js";
+import { pet_steady, pet_steady_array } from "./pet_steady.js";
 import { JOS3 } from "./JOS3.js";
 
 /**
+ * The indices that classify their result (e.g. {@link utci}, {@link heat_index}, {@link humidex}, {@link net},
+ * {@link wbgt} and {@link wc}) add their classification under `stress_category` if the `return_stress_category`
+ * option is true. Those that return only the value of the index by default then return an object with the value of
+ * the index, under the name of the index, and its classification, while {@link humidex} and {@link wc}, which
+ * already return an object, add `stress_category` to it. The array versions follow the same convention.
+ *
  * @public
  * @name models
  * @docname Comfort Models
@@ -45,22 +60,39 @@ export default {
   e_pmv,
   e_pmv_array,
   at,
+  at_array,
   ankle_draft,
   clo_tout,
   clo_tout_array,
+  comfort_zone,
+  solve_pmv_target,
   cooling_effect,
   discomfort_index,
   discomfort_index_array,
+  draft_rating,
+  draft_rating_array,
+  floor_tmp_ppd,
   heat_index,
+  heat_index_array,
   humidex,
+  humidex_array,
+  local_discomfort,
   net,
+  net_array,
   phs,
+  phs_array,
+  phs_schedule,
+  work_rest_schedule,
   pet_steady,
+  pet_steady_array,
   pmv_ppd,
   pmv_ppd_array,
   pmv,
   pmv_array,
+  radiant_asymmetry_ppd,
   solar_gain,
+  solar_gain_array,
+  solar_adjusted_mrt,
   set_tmp,
   set_tmp_array,
   two_nodes,
@@ -70,6 +102,10 @@ export default {
   use_fans_heatwaves,
   vertical_tmp_grad_ppd,
   wbgt,
+  wbgt_array,
+  wbgt_liljegren,
+  wbgt_liljegren_array,
   wc,
+  wc_array,
   JOS3,
 };
@@ -0,0 +1,303 @@
+import { ankle_draft } from "./ankle_draft.js";
+import { vertical_tmp_grad_ppd } from "./vertical_tmp_grad_ppd.js";
+import { draft_rating } from "./draft_rating.js";
+import { radiant_asymmetry_ppd } from "./radiant_asymmetry_ppd.js";
+import { floor_tmp_ppd } from "./floor_tmp_ppd.js";
+import { units_converter } from "../utilities/utilities.js";
+
+/**
+ * @typedef {Object} PlaneRadiantTemperatures - plane radiant temperatures of the six directions around the occupant
+ * @property {number} [up] - plane radiant temperature of the upper half space (ceiling)
+ * @property {number} [down] - plane radiant temperature of the lower half space (floor)
+ * @property {number} [front] - plane radiant temperature in front of the occupant
+ * @property {number} [back] - plane radiant temperature behind the occupant
+ * @property {number} [left] - plane radiant temperature on the left of the occupant
+ * @property {number} [right] - plane radiant temperature on the right of the occupant
+ * @public
+ */
+
+/**
+ * @typedef {Object} LocalDiscomfortRecord - a measurement record, all values in SI or IP units depending on `units`
+ * @property {number} tdb - dry bulb air temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @property {number} tr - mean radiant temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @property {number} vr - relative air speed, default in [m/s] in [fps] if `units` = 'IP'. It is also used
+ * as local mean air speed for the draught rating.
+ * @property {number} rh - relative humidity, [%]
+ * @property {number} met - metabolic rate, [met]
+ * @property {number} clo - clothing insulation, [clo]
+ * @property {number} [v_ankle] - air speed at 0.1 m above the floor, default in [m/s] in [fps] if `units` = 'IP'
+ * @property {number} [vertical_tmp_grad] - vertical temperature gradient between the feet and the head,
+ * default in [°C/m] in [°F/ft] if `units` = 'IP'
+ * @property {number} [tu] - local turbulence intensity, [%]
+ * @property {number} [t_floor] - floor surface temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @property {PlaneRadiantTemperatures} [t_pr] - plane radiant temperatures, default in [°C] in [°F] if `units` = 'IP'
+ * @public
+ */
+
+/**
+ * @typedef {Object} LocalDiscomfortCriterion - result of a single local discomfort criterion
+ * @property {number} PPD - Predicted Percentage of Dissatisfied occupants, [%]
+ * @property {boolean} Acceptability - whether the criterion is met
+ * @property {"A" | "B" | "C" | null} [Category] - ISO 7730 category, not defined for the ankle draft
+ * @property {string} [surface] - surface causing the largest radiant asymmetry, only for the radiant asymmetry
+ * @public
+ */
+
+/**
+ * @typedef {Object} LocalDiscomfortReturnType - a result set containing the outcome of all the local discomfort criteria
+ * @property {Object.<string, LocalDiscomfortCriterion>} criteria - results of the criteria that could be evaluated,
+ * with keys "draft", "ankle_draft", "vertical_tmp_grad", "radiant_asymmetry" and "floor"
+ * @property {string | null} limiting_criterion - criterion with the highest PPD relative to its acceptability limit
+ * @property {"A" | "B" | "C" | null} iso_category - worst ISO 7730 category among the ISO 7730 criteria, null if
+ * any of them falls outside category C or if none of them could be evaluated
+ * @property {boolean} ashrae_acceptability - true if all the ASHRAE 55 local discomfort criteria are met
+ * @public
+ */
+
+/**
+ * PPD limits used to determine the acceptability of each criterion.
+ */
+const acceptability_limits = {
+  draft: 30,
+  ankle_draft: 20,
+  vertical_tmp_grad: 5,
+  radiant_asymmetry: 5,
+  floor: 10,
+};
+
+/**
+ * ISO 7730 Table A.1, upper PPD limits of categories A, B and C for each local discomfort criterion.
+ */
+const iso_category_limits = {
+  vertical_tmp_grad: [3, 5, 10],
+  radiant_asymmetry: [5, 5, 10],
+  floor: [10, 10, 15],
+};
+
+const ashrae_criteria = [
+  "ankle_draft",
+  "vertical_tmp_grad",
+  "radiant_asymmetry",
+  "floor",
+];
+
+const iso_categories = ["A", "B", "C"];
+
+/**
+ * Assesses the local thermal discomfort of an occupant, combining all the local discomfort criteria
+ * of the ISO 7730 {@link #ref_2|[2]} and ASHRAE 55 {@link #ref_1|[1]} Standards: draught, ankle draft,
+ * vertical air temperature difference, radiant temperature asymmetry and warm or cool floor.
+ *
+ * Only the criteria whose inputs are provided in the record are evaluated: the draught rating requires `tu`,
+ * the ankle draft `v_ankle`, the vertical gradient `vertical_tmp_grad`, the floor `t_floor` and the radiant
+ * asymmetry `t_pr`. The ankle draft and the vertical gradient are only applicable for vr <= 0.2 m/s, for
+ * higher air speeds they are skipped and a warning is emitted.
+ *
+ * The radiant asymmetry is calculated between the upper and lower half spaces (warm or cool ceiling) and between
+ * the two opposite sides of each horizontal pair (front and back, left and right). A horizontal asymmetry is
+ * attributed to a warm wall if the warmer side deviates more from the mean radiant temperature than the cooler
+ * side does, otherwise to a cool wall. The largest PPD among them is reported.
+ *
+ * @public
+ * @memberof models
+ * @docname Local thermal discomfort
+ *
+ * @param {LocalDiscomfortRecord} record - measurement record
+ * @param {"SI" | "IP"} [units="SI"] - select the SI (International System of Units) or the IP (Imperial Units) system.
+ *
+ * @returns {LocalDiscomfortReturnType} object with the results of all local discomfort criteria
+ *
+ * @example
+ * const result = local_discomfort({
+ *   tdb: 23, tr: 23, vr: 0.1, rh: 50, met: 1.2, clo: 0.5,
+ *   v_ankle: 0.15, vertical_tmp_grad: 2, tu: 40, t_floor: 22,
+ *   t_pr: { up: 25, down: 22 },
+ * });
+ * // returns {
+ * //   criteria: {
+ * //     draft: { PPD: 7.9, Acceptability: true, Category: "A" },
+ * //     ankle_draft: { PPD: 17.1, Acceptability: true },
+ * //     vertical_tmp_grad: { PPD: 2.3, Acceptability: true, Category: "A" },
+ * //     radiant_asymmetry: { PPD: 3.5, Acceptability: true, Category: "A", surface: "warm ceiling" },
+ * //     floor: { PPD: 6.1, Acceptability: true, Category: "A" },
+ * //   },
+ * //   limiting_criterion: "ankle_draft",
+ * //   iso_category: "A",
+ * //   ashrae_acceptability: true,
+ * // }
+ */
+export function local_discomfort(record, units = "SI") {
+  const { tdb, tr, vr, rh, met, clo } = record;
+
+  /** @type {Object.<string, LocalDiscomfortCriterion>} */
+  const criteria = {};
+
+  // the ankle draft and the vertical gradient are only applicable for vr up to 0.2 m/s
+  const vr_si = units === "IP" ? units_converter({ vr }, "IP").vr : vr;
+  const low_air_speed = vr_si <= 0.2;
+  const skip_criterion = (/** @type {string} */ name) =>
+    console.warn(
+      `The ${name} criterion is only applicable for air speed lower than 0.2 m/s`,
+    );
+
+  if (record.tu !== undefined) {
+    const { DR, Category, Acceptability } = draft_rating(
+      tdb,
+      vr,
+      record.tu,
+      units,
+    );
+    criteria.draft = { PPD: DR, Acceptability, Category };
+  }
+
+  if (record.v_ankle !== undefined && !low_air_speed) {
+    skip_criterion("ankle_draft");
+  } else if (record.v_ankle !== undefined) {
+    const result = ankle_draft(
+      tdb,
+      tr,
+      vr,
+      rh,
+      met,
+      clo,
+      record.v_ankle,
+      units,
+    );
+    criteria.ankle_draft = {
+      PPD: result.PPD_ad,
+      Acceptability: result.Acceptability,
+    };
+  }
+
+  if (record.vertical_tmp_grad !== undefined && !low_air_speed) {
+    skip_criterion("vertical_tmp_grad");
+  } else if (record.vertical_tmp_grad !== undefined) {
+    const result = vertical_tmp_grad_ppd(
+      tdb,
+      tr,
+      vr,
+      rh,
+      met,
+      clo,
+      record.vertical_tmp_grad,
+      units,
+    );
+    criteria.vertical_tmp_grad = with_iso_category("vertical_tmp_grad", {
+      PPD: result.PPD_vg,
+      Acceptability: result.Acceptability,
+    });
+  }
+
+  if (record.t_pr !== undefined) {
+    const asymmetries = radiant_asymmetries(record.t_pr, tr);
+    if (asymmetries.length > 0) {
+      const worst = asymmetries
+        .map(({ delta_t_pr, surface }) => ({
+          surface,
+          ...radiant_asymmetry_ppd(delta_t_pr, surface, units),
+        }))
+        .reduce((a, b) => (b.PPD_ra > a.PPD_ra ? b : a));
+      criteria.radiant_asymmetry = {
+        ...with_iso_category("radiant_asymmetry", {
+          PPD: worst.PPD_ra,
+          Acceptability: worst.Acceptability,
+        }),
+        surface: worst.surface,
+      };
+    }
+  }
+
+  if (record.t_floor !== undefined) {
+    const { PPD_fl, Acceptability } = floor_tmp_ppd(record.t_floor, units);
+    criteria.floor = with_iso_category("floor", {
+      PPD: PPD_fl,
+      Acceptability,
+    });
+  }
+
+  let limiting_criterion = null;
+  let max_ratio = -Infinity;
+  for (const [name, criterion] of Object.entries(criteria)) {
+    const ratio = criterion.PPD / acceptability_limits[name];
+    if (ratio > max_ratio) {
+      max_ratio = ratio;
+      limiting_criterion = name;
+    }
+  }
+
+  const iso_results = Object.values(criteria).filter(
+    (criterion) => criterion.Category !== undefined,
+  );
+  let iso_category = null;
+  if (
+    iso_results.length > 0 &&
+    iso_results.every((criterion) => criterion.Category !== null)
+  ) {
+    iso_category =
+      iso_categories[
+        Math.max(
+          ...iso_results.map((criterion) =>
+            iso_categories.indexOf(criterion.Category),
+          ),
+        )
+      ];
+  }
+
+  const ashrae_acceptability = ashrae_criteria
+    .filter((name) => criteria[name] !== undefined)
+    .every((name) => criteria[name].Acceptability);
+
+  return {
+    criteria,
+    limiting_criterion,
+    iso_category,
+    ashrae_acceptability,
+  };
+}
+
+/**
+ * Adds the ISO 7730 category to the result of a criterion.
+ *
+ * @param {"vertical_tmp_grad" | "radiant_asymmetry" | "floor"} name - name of the criterion
+ * @param {{PPD: number, Acceptability: boolean}} result - result of the criterion
+ * @returns {LocalDiscomfortCriterion} result with the ISO 7730 category
+ */
+function with_iso_category(name, result) {
+  const index = iso_category_limits[name].findIndex(
+    (limit) => result.PPD < limit,
+  );
+  return { ...result, Category: index === -1 ? null : iso_categories[index] };
+}
+
+/**
+ * Determines the radiant temperature asymmetries and the type of surface that causes them.
+ *
+ * @param {PlaneRadiantTemperatures} t_pr - plane radiant temperatures
+ * @param {number} tr - mean radiant temperature
+ * @returns {{delta_t_pr: number, surface: import("./radiant_asymmetry_ppd.js").RadiantAsymmetrySurface}[]} asymmetries
+ */
+function radiant_asymmetries(t_pr, tr) {
+  const asymmetries = [];
+
+  if (t_pr.up !== undefined && t_pr.down !== undefined) {
+    asymmetries.push({
+      delta_t_pr: Math.abs(t_pr.up - t_pr.down),
+      surface: t_pr.up >= t_pr.down ? "warm ceiling" : "cool ceiling",
+    });
+  }
+
+  for (const [a, b] of [
+    ["front", "back"],
+    ["left", "right"],
+  ]) {
+    if (t_pr[a] === undefined || t_pr[b] === undefined) continue;
+    const warm = Math.max(t_pr[a], t_pr[b]);
+    const cool = Math.min(t_pr[a], t_pr[b]);
+    asymmetries.push({
+      delta_t_pr: warm - cool,
+      surface: warm - tr > tr - cool ? "warm wall" : "cool wall",
+    });
+  }
+
+  return asymmetries;
+}
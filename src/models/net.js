@@ -1,4 +1,46 @@
-import { round } from "../utilities/utilities.js";
+import {
+  round,
+  units_converter,
+  units_converter_array,
+} from "../utilities/utilities.js";
+
+/**
+ * @typedef {"very cold" | "cold" | "cool" | "fresh" | "comfortable" | "warm" | "hot"} NetStressCategory
+ */
+
+/**
+ * @typedef {Object} NetReturnType - a result set containing the NET and the thermal sensation class
+ * @property {number} net - Normal Effective Temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @property {NetStressCategory} stress_category - thermal sensation class
+ * @public
+ */
+
+/**
+ * @typedef {Object} NetArrayReturnType - a result set containing the NET and the thermal sensation class arrays
+ * @property {number[]} net - Normal Effective Temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @property {NetStressCategory[]} stress_category - thermal sensation class
+ * @public
+ */
+
+/**
+ * @typedef {Object} NetOptions
+ * @property {boolean} [round=true] - If true, rounds output value. If false, it does not.
+ * @property {"SI" | "IP"} [units="SI"] - select the SI (International System of Units) or the IP (Imperial Units)
+ * system.
+ * @property {boolean} [return_stress_category=false] - If true, also returns the thermal sensation class.
+ * @public
+ */
+
+const stress_categories = [
+  "very cold",
+  "cold",
+  "cool",
+  "fresh",
+  "comfortable",
+  "warm",
+  "hot",
+];
+const stress_categories_upper_limits = [1, 9, 17, 21, 23, 27, Infinity];
 
 /**
  * Calculates the Normal Effective Temperature (NET). Missenard (1933)
@@ -18,33 +60,119 @@ import { round } from "../utilities/utilities.js";
  * in use: <1°C = very cold; 1–9 = cold; 9–17 = cool; 17–21 = fresh;
  * 21–23 = comfortable; 23–27 = warm; >27°C = hot [1].
  *
+ * @see {@link net_array} for a version that supports arrays
+ *
  * @public
  * @memberof models
  * @docname Normal Effective Temperature (NET)
  *
- * @param {number} tdb - dry bulb air temperature, [°C]
+ * @param {number} tdb - dry bulb air temperature, default in [°C] in [°F] if `units` = 'IP'
  * @param {number} rh - relative humidity, [%]
- * @param {number} v - wind speed [m/s] at 1.2 m above the ground
- * @param {object} [options] - configuration options for the function.
- * @param {boolean} [options.round = true] - If true, rounds output value. If
- * false, it does not.
+ * @param {number} v - wind speed [m/s] at 1.2 m above the ground, in [fps] if `units` = 'IP'
+ * @param {NetOptions} [options] - configuration options for the function.
  *
- * @returns {number} Normal Effective Temperature, [°C]
+ * @returns {number | NetReturnType} Normal Effective Temperature, default in [°C] in [°F] if `units` = 'IP'. If
+ * `return_stress_category` is true an object with the NET and the thermal sensation class is returned.
  *
  * @example
  * const result = net(37, 100, 0.1);
  * console.log(result); // -> 37
+ *
+ * @example
+ * const result = net(25, 50, 0.1, { return_stress_category: true });
+ * console.log(result); // -> { net: 22.5, stress_category: "comfortable" }
  */
 export function net(tdb, rh, v, options = { round: true }) {
-  const frac = 1.0 / (1.76 + 1.4 * v ** 0.75);
-  const et =
-    37 -
-    (37 - tdb) / (0.68 - 0.0014 * rh + frac) -
-    0.29 * tdb * (1 - 0.01 * rh);
+  const opt = Object.assign(
+    { units: "SI", return_stress_category: false },
+    options,
+  );
+
+  if (opt.units === "IP") {
+    ({ tdb, v } = units_converter({ tdb, v }));
+  }
+
+  let et = calculate_net(tdb, rh, v);
+  const stress_category = net_stress_category(et);
+
+  if (opt.units === "IP") {
+    et = units_converter({ tmp: et }, "SI").tmp;
+  }
+  if (opt.round) {
+    et = round(et, 1);
+  }
+
+  if (opt.return_stress_category) {
+    return { net: et, stress_category };
+  }
+  return et;
+}
+
+/**
+ * Calculates the Normal Effective Temperature (NET) when the input parameters are arrays.
+ *
+ * @see {@link net} for scalar arguments and a description of the thermal sensation classes
+ *
+ * @public
+ * @memberof models
+ * @docname Normal Effective Temperature (NET) (array version)
+ *
+ * @param {number[]} tdb - dry bulb air temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @param {number[]} rh - relative humidity, [%]
+ * @param {number[]} v - wind speed [m/s] at 1.2 m above the ground, in [fps] if `units` = 'IP'
+ * @param {NetOptions} [options] - configuration options for the function.
+ *
+ * @returns {number[] | NetArrayReturnType} Normal Effective Temperature, default in [°C] in [°F] if `units` = 'IP'.
+ * If `return_stress_category` is true an object with the NET and the thermal sensation class arrays is returned.
+ *
+ * @example
+ * const result = net_array([37, 25], [100, 50], [0.1, 0.1]);
+ * console.log(result); // -> [37, 22.5]
+ */
+export function net_array(tdb, rh, v, options = { round: true }) {
+  const opt = Object.assign(
+    { units: "SI", return_stress_category: false },
+    options,
+  );
 
-  if (options.round) {
-    return round(et, 1);
+  if (opt.units === "IP") {
+    ({ tdb, v } = units_converter_array({ tdb, v }));
   }
 
+  let et = tdb.map((_tdb, i) => calculate_net(_tdb, rh[i], v[i]));
+  const stress_category = et.map(net_stress_category);
+
+  if (opt.units === "IP") {
+    et = units_converter_array({ tmp: et }, "SI").tmp;
+  }
+  if (opt.round) {
+    et = et.map((_et) => round(_et, 1));
+  }
+
+  if (opt.return_stress_category) {
+    return { net: et, stress_category };
+  }
   return et;
 }
+
+/**
+ * @param {number} tdb - dry bulb air temperature, [°C]
+ * @param {number} rh - relative humidity, [%]
+ * @param {number} v - wind speed [m/s] at 1.2 m above the ground
+ * @returns {number} Normal Effective Temperature, [°C]
+ */
+function calculate_net(tdb, rh, v) {
+  const frac = 1.0 / (1.76 + 1.4 * v ** 0.75);
+  return (
+    37 - (37 - tdb) / (0.68 - 0.0014 * rh + frac) - 0.29 * tdb * (1 - 0.01 * rh)
+  );
+}
+
+/**
+ * @param {number} et - Normal Effective Temperature, [°C]
+ * @returns {NetStressCategory} thermal sensation class
+ */
+function net_stress_category(et) {
+  const index = stress_categories_upper_limits.findIndex((limit) => et < limit);
+  return stress_categories[index];
+}
@@ -1,6 +1,76 @@
-import { body_surface_area } from "../utilities/utilities.js";
+import {
+  body_surface_area,
+  p_atm_option,
+  round,
+  units_converter,
+  units_converter_array,
+} from "../utilities/utilities.js";
 import { p_sat } from "../psychrometrics/p_sat.js";
-import { round } from "../utilities/utilities.js";
+
+/**
+ * @typedef {Object} PetKwargs
+ * @property {"SI" | "IP"} [units="SI"] - select the SI (International System of Units) or the IP (Imperial Units)
+ * system. Only the air and mean radiant temperatures, the air speed, the atmospheric pressure and the PET are
+ * converted.
+ * @property {boolean} [return_stress_category=false] - If true returns the PET together with the thermal perception
+ * and the grade of physiological stress.
+ * @property {"central_european" | "tropical"} [scale="central_european"] - scale used to classify the PET, the
+ * Central European one of Matzarakis and Mayer (1996) {@link #ref_33|[33]} or the one of Lin and Matzarakis (2008)
+ * {@link #ref_34|[34]} for tropical and subtropical climates.
+ * @property {number | number[]} [altitude] - altitude above sea level, default in [m] in [ft] if `units` = 'IP'. If
+ * provided, `p_atm` is calculated from it assuming a standard atmosphere, it cannot be used together with `p_atm`.
+ * @public
+ */
+
+/**
+ * @typedef {"very cold" | "cold" | "cool" | "slightly cool" | "comfortable" | "slightly warm" | "warm" | "hot" | "very hot"} PetThermalPerception
+ */
+
+/**
+ * @typedef {Object} PetReturnType
+ * @property {number} pet - Steady-state PET, default in [°C] in [°F] if `units` = 'IP'
+ * @property {PetThermalPerception} thermal_perception - thermal perception
+ * @property {string} stress_category - grade of physiological stress
+ * @public
+ */
+
+/**
+ * @typedef {Object} PetArrayReturnType
+ * @property {number[]} pet - Steady-state PET, default in [°C] in [°F] if `units` = 'IP'
+ * @property {PetThermalPerception[]} thermal_perception - thermal perception
+ * @property {string[]} stress_category - grade of physiological stress
+ * @public
+ */
+
+const thermal_perceptions = [
+  "very cold",
+  "cold",
+  "cool",
+  "slightly cool",
+  "comfortable",
+  "slightly warm",
+  "warm",
+  "hot",
+  "very hot",
+];
+
+const stress_categories = [
+  "extreme cold stress",
+  "strong cold stress",
+  "moderate cold stress",
+  "slight cold stress",
+  "no thermal stress",
+  "slight heat stress",
+  "moderate heat stress",
+  "strong heat stress",
+  "extreme heat stress",
+];
+
+// upper limits of the PET classes, [°C]
+const scales_upper_limits = {
+  central_european: [4, 8, 13, 18, 23, 29, 35, 41, Infinity],
+  tropical: [14, 18, 22, 26, 30, 34, 38, 42, Infinity],
+};
 
 /**
  * The steady physiological equivalent temperature (PET) is calculated using the Munich
@@ -23,29 +93,43 @@ import { round } from "../utilities/utilities.js";
  * PET calculation routine, and implementing a state-of-the-art vapour diffusion model.
  * Walther and Goestchel (2018) model is therefore used to calculate the PET.
  *
+ * The PET can be classified in terms of thermal perception and grade of physiological stress. The Central European
+ * scale {@link #ref_33|[33]} goes from very cold (PET < 4 °C) to very hot (PET > 41 °C), with comfortable conditions
+ * between 18 and 23 °C. The scale for tropical and subtropical climates {@link #ref_34|[34]} goes from very cold
+ * (PET < 14 °C) to very hot (PET > 42 °C), with comfortable conditions between 26 and 30 °C.
+ *
+ * @see {@link pet_steady_array} for a version that supports arrays
+ *
  * @public
  * @memberof models
  * @docname Physiological Equivalent Temperature (PET)
  *
- * @param {number} tdb - dry bulb air temperature, [°C]
- * @param {number} tr - mean radiant temperature, [°C]
- * @param {number} v - air speed, [m/s]
+ * @param {number} tdb - dry bulb air temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @param {number} tr - mean radiant temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @param {number} v - air speed, default in [m/s] in [fps] if `units` = 'IP'
  * @param {number} rh - relative humidity, [%]
  * @param {number} met - metabolic rate, [met]
  * @param {number} clo - clothing insulation, [clo]
- * @param {number} [p_atm=1013.25] - atmospheric pressure, default value 1013.25 [hPa]
+ * @param {number} [p_atm=1013.25] - atmospheric pressure, default value 1013.25 [hPa] in [atm] if `units` = 'IP'
  * @param {1 | 2 | 3} [position=1] - position of the individual (1=sitting, 2=standing, 3=standing, forced convection)
  * @param {number} [age=23] - age in years
  * @param {1 | 2} [sex=1] - male (1) or female (2).
  * @param {number} [weight=75] - body mass, [kg]
  * @param {number} [height=1.8] - height, [m]
  * @param {number} [wme=0] - external work, [W/(m2)]
+ * @param {PetKwargs} [kwargs] - additional arguments
  *
- * @returns {number} Steady-state PET under the given ambient conditions
+ * @returns {number | PetReturnType} Steady-state PET under the given ambient conditions, default in [°C] in [°F]
+ * if `units` = 'IP'. If `return_stress_category` is true an object with the PET and its classification is returned.
  *
  * @example
  * const result = pet_steady(20, 20, 50, 0.15, 1.37, 0.5);
  * console.log(result); // 18.85
+ *
+ * @example
+ * const result = pet_steady(30, 30, 0.15, 50, 1.37, 0.5, undefined, undefined, undefined, undefined, undefined,
+ *   undefined, undefined, { return_stress_category: true, scale: "tropical" });
+ * console.log(result); // { pet: 30.59, thermal_perception: "slightly warm", stress_category: "slight heat stress" }
  */
 export function pet_steady(
   tdb,
@@ -54,13 +138,235 @@ export function pet_steady(
   rh,
   met,
   clo,
-  p_atm = 1013.25,
+  p_atm,
+  position = 1,
+  age = 23,
+  sex = 1,
+  weight = 75,
+  height = 1.8,
+  wme = 0,
+  kwargs = {},
+) {
+  const { units, return_stress_category, scale, altitude } = pet_kwargs(kwargs);
+
+  p_atm = pet_p_atm(p_atm, /** @type {number} */ (altitude), units);
+  if (units === "IP") {
+    ({ tdb, tr, v } = units_converter({ tdb, tr, v }));
+  }
+
+  const pet = calculate_pet(
+    tdb,
+    tr,
+    v,
+    rh,
+    met,
+    clo,
+    p_atm,
+    position,
+    age,
+    sex,
+    weight,
+    height,
+    wme,
+  );
+  const pet_out = round(
+    units === "IP" ? units_converter({ tmp: pet }, "SI").tmp : pet,
+    2,
+  );
+
+  if (return_stress_category) {
+    return { pet: pet_out, ...pet_classes(pet, scale) };
+  }
+  return pet_out;
+}
+
+/**
+ * Calculates the steady physiological equivalent temperature (PET) when the input parameters are arrays. The
+ * parameters describing the person and the atmospheric pressure can be either arrays or single values, which are
+ * used for all the elements.
+ *
+ * @see {@link pet_steady} for scalar arguments and a description of the model and of the classification scales
+ *
+ * @public
+ * @memberof models
+ * @docname Physiological Equivalent Temperature (PET) (array version)
+ *
+ * @param {number[]} tdb - dry bulb air temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @param {number[]} tr - mean radiant temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @param {number[]} v - air speed, default in [m/s] in [fps] if `units` = 'IP'
+ * @param {number[]} rh - relative humidity, [%]
+ * @param {number | number[]} met - metabolic rate, [met]
+ * @param {number | number[]} clo - clothing insulation, [clo]
+ * @param {number | number[]} [p_atm=1013.25] - atmospheric pressure, default value 1013.25 [hPa] in [atm] if
+ * `units` = 'IP'
+ * @param {(1 | 2 | 3) | (1 | 2 | 3)[]} [position=1] - position of the individual (1=sitting, 2=standing,
+ * 3=standing, forced convection)
+ * @param {number | number[]} [age=23] - age in years
+ * @param {(1 | 2) | (1 | 2)[]} [sex=1] - male (1) or female (2).
+ * @param {number | number[]} [weight=75] - body mass, [kg]
+ * @param {number | number[]} [height=1.8] - height, [m]
+ * @param {number | number[]} [wme=0] - external work, [W/(m2)]
+ * @param {PetKwargs} [kwargs] - additional arguments
+ *
+ * @returns {number[] | PetArrayReturnType} Steady-state PET under the given ambient conditions, default in [°C] in
+ * [°F] if `units` = 'IP'. If `return_stress_category` is true an object with the PET and its classification is
+ * returned.
+ *
+ * @example
+ * const result = pet_steady_array([20, 30], [20, 30], [0.15, 0.15], [50, 50], 1.37, 0.5);
+ * console.log(result); // [18.85, 30.59]
+ */
+export function pet_steady_array(
+  tdb,
+  tr,
+  v,
+  rh,
+  met,
+  clo,
+  p_atm,
   position = 1,
   age = 23,
   sex = 1,
   weight = 75,
   height = 1.8,
   wme = 0,
+  kwargs = {},
+) {
+  const { units, return_stress_category, scale, altitude } = pet_kwargs(kwargs);
+
+  p_atm = tdb.map((_, index) =>
+    pet_p_atm(element(p_atm, index), element(altitude, index), units),
+  );
+  if (units === "IP") {
+    ({ tdb, tr, v } = units_converter_array({ tdb, tr, v }));
+  }
+
+  const pet = tdb.map((_tdb, index) =>
+    calculate_pet(
+      _tdb,
+      tr[index],
+      v[index],
+      rh[index],
+      element(met, index),
+      element(clo, index),
+      element(p_atm, index),
+      element(position, index),
+      element(age, index),
+      element(sex, index),
+      element(weight, index),
+      element(height, index),
+      element(wme, index),
+    ),
+  );
+  const pet_out = (
+    units === "IP" ? units_converter_array({ tmp: pet }, "SI").tmp : pet
+  ).map((_pet) => round(_pet, 2));
+
+  if (return_stress_category) {
+    const classes = pet.map((_pet) => pet_classes(_pet, scale));
+    return {
+      pet: pet_out,
+      thermal_perception: classes.map((c) => c.thermal_perception),
+      stress_category: classes.map((c) => c.stress_category),
+    };
+  }
+  return pet_out;
+}
+
+/**
+ * @template T
+ * @param {T | T[]} value
+ * @param {number} index
+ * @returns {T}
+ */
+function element(value, index) {
+  return Array.isArray(value) ? value[index] : value;
+}
+
+/**
+ * Atmospheric pressure used by the model, from either the `p_atm` argument or the `altitude` option.
+ *
+ * @param {number | undefined} p_atm - atmospheric pressure, [hPa] or [atm] if `units` = 'IP'
+ * @param {number | undefined} altitude - altitude above sea level, [m] or [ft] if `units` = 'IP'
+ * @param {"SI" | "IP"} units
+ * @returns {number} atmospheric pressure, [hPa]
+ */
+function pet_p_atm(p_atm, altitude, units) {
+  // p_atm_option works in Pa in SI units
+  const p_atm_pa = p_atm_option(
+    {
+      p_atm: units === "SI" && p_atm !== undefined ? p_atm * 100 : p_atm,
+      altitude,
+    },
+    units,
+  );
+  return p_atm_pa === undefined ? 1013.25 : p_atm_pa / 100;
+}
+
+/**
+ * @param {PetKwargs} kwargs
+ * @returns {PetKwargs & Required<Omit<PetKwargs, "altitude">>}
+ */
+function pet_kwargs(kwargs) {
+  const joint_kwargs = Object.assign(
+    { units: "SI", return_stress_category: false, scale: "central_european" },
+    kwargs,
+  );
+  if (!(joint_kwargs.scale in scales_upper_limits)) {
+    throw new Error(
+      `Unknown scale ${joint_kwargs.scale}, it should be either central_european or tropical`,
+    );
+  }
+  return joint_kwargs;
+}
+
+/**
+ * Classifies the PET in terms of thermal perception and grade of physiological stress.
+ *
+ * @param {number} pet - physiological equivalent temperature, [°C]
+ * @param {"central_european" | "tropical"} scale - classification scale
+ * @returns {{thermal_perception: PetThermalPerception, stress_category: string}}
+ */
+function pet_classes(pet, scale) {
+  const index = scales_upper_limits[scale].findIndex((limit) => pet < limit);
+  return {
+    thermal_perception: thermal_perceptions[index],
+    stress_category: stress_categories[index],
+  };
+}
+
+/**
+ * Calculates the steady-state PET, [°C].
+ *
+ * @param {number} tdb - dry bulb air temperature, [°C]
+ * @param {number} tr - mean radiant temperature, [°C]
+ * @param {number} v - air speed, [m/s]
+ * @param {number} rh - relative humidity, [%]
+ * @param {number} met - metabolic rate, [met]
+ * @param {number} clo - clothing insulation, [clo]
+ * @param {number} p_atm - atmospheric pressure, [hPa]
+ * @param {1 | 2 | 3} position - position of the individual
+ * @param {number} age - age in years
+ * @param {1 | 2} sex - male (1) or female (2)
+ * @param {number} weight - body mass, [kg]
+ * @param {number} height - height, [m]
+ * @param {number} wme - external work, [W/(m2)]
+ * @returns {number} steady-state PET, [°C]
+ */
+function calculate_pet(
+  tdb,
+  tr,
+  v,
+  rh,
+  met,
+  clo,
+  p_atm,
+  position,
+  age,
+  sex,
+  weight,
+  height,
+  wme,
 ) {
   const met_factor = 58.2; // met conversion factor
   met = met * met_factor; // metabolic rate
@@ -118,7 +424,7 @@ function pet_fc(_t_stable) {
     },
     [pet_guess],
   );
-  return round(result[0], 2);
+  return result[0];
 }
 
 /**
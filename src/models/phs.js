@@ -1,6 +1,8 @@
 import {
   body_surface_area,
   check_standard_compliance,
+  check_standard_compliance_array,
+  p_atm_option,
   round,
 } from "../utilities/utilities.js";
 import { p_sat } from "../psychrometrics/p_sat.js";
@@ -38,6 +40,8 @@ import { p_sat } from "../psychrometrics/p_sat.js";
  * @property {number} [t_cr_eq] -  mean core temperature as a function of met when worker starts working, [°C]
  * @property {number} [sweat_rate=0] - sweat rate
  * @property {boolean} [round=true] - round the result of the PHS model
+ * @property {number} [p_atm=101325] - atmospheric pressure, [Pa]
+ * @property {number} [altitude] - altitude above sea level, [m], it can be used instead of `p_atm`
  * @public
  */
 
@@ -59,6 +63,7 @@ import { p_sat } from "../psychrometrics/p_sat.js";
  * @property {number} t_cr_eq
  * @property {number} sweat_rate
  * @property {boolean} round
+ * @property {number} p_atm
  */
 
 /**
@@ -75,10 +80,17 @@ import { p_sat } from "../psychrometrics/p_sat.js";
  * evaporative heat flow at the skin surface, predicted sweat rate, predicted evaporative
  * heat flow, and rectal temperature.
  *
+ * ISO 7933 is defined at sea level. At other atmospheric pressures the evaporative
+ * resistance of the clothing and of the boundary air layer is scaled with the
+ * pressure, since the Lewis relation is inversely proportional to it, as in
+ * {@link #jos3|JOS3}. The respiratory heat flows are those of ISO 7933.
+ *
  * @public
  * @memberof models
  * @docname Predicted Heat Strain (PHS) Index
  *
+ * @see {@link phs_array} for a version that supports arrays
+ *
  * @param {number} tdb - dry bulb air temperature, default in [°C]
  * @param {number} tr - mean radiant temperature, default in [°C]
  * @param {number} v - air speed, default in [m/s]
@@ -115,7 +127,10 @@ export function phs(tdb, tr, v, rh, met, clo, posture, wme = 0, kwargs = {}) {
     sweat_rate: 0,
     round: true,
   };
-  let joint_kwargs = Object.assign(defaults_kwargs, kwargs);
+  const { p_atm, altitude, ...model_kwargs } = kwargs;
+  let joint_kwargs = Object.assign(defaults_kwargs, model_kwargs, {
+    p_atm: p_atm_option({ p_atm, altitude }) ?? 101325,
+  });
   joint_kwargs.t_re = joint_kwargs.t_re || joint_kwargs.t_cr;
   joint_kwargs.t_cr_eq = joint_kwargs.t_cr_eq || joint_kwargs.t_cr;
 
@@ -129,6 +144,472 @@ export function phs(tdb, tr, v, rh, met, clo, posture, wme = 0, kwargs = {}) {
   });
   warnings.forEach((warning) => console.warn(warning));
 
+  const result = _phs_calculation(
+    tdb,
+    tr,
+    v,
+    rh,
+    met,
+    clo,
+    posture,
+    wme,
+    joint_kwargs,
+  );
+
+  return joint_kwargs.round ? _round_phs(result) : result;
+}
+
+/**
+ * @typedef {Object} PhsArrayReturnType
+ * @property {number[]} t_re - rectal temperature, [°C]
+ * @property {number[]} t_sk - skin temperature, [°C]
+ * @property {number[]} t_cr - core temperature, [°C]
+ * @property {number[]} t_cr_eq - core temperature as a function of the metabolic rate, [°C]
+ * @property {number[]} t_sk_t_cr_wg - fraction of the body mass at the skin temperature
+ * @property {number[]} d_lim_loss_50 - maximum allowable exposure time for water loss, mean subject, [minutes]
+ * @property {number[]} d_lim_loss_95 - maximum allowable exposure time for water loss, 95% of the working population, [minutes]
+ * @property {number[]} d_lim_t_re - maximum allowable exposure time for heat storage, [minutes]
+ * @property {number[]} water_loss_watt - maximum water loss in watts, [W]
+ * @property {number[]} water_loss - maximum water loss, [g]
+ * @public
+ */
+
+/**
+ * @typedef {Object} PhsArrayKwargs - the same arguments as {@link PhsKwargs}, each of them can either be a single value
+ * used for all the elements or an array with one value per element
+ * @property {number | number[]} [i_mst=0.38] - static moisture permeability index, [dimensionless]
+ * @property {number | number[]} [a_p=0.54] - fraction of the body surface covered by the reflective clothing, [dimensionless]
+ * @property {0 | 1 | (0 | 1)[]} [drink=1] - 1 if workers can drink freely, 0 otherwise
+ * @property {number | number[]} [weight=75] - body weight, [kg]
+ * @property {number | number[]} [height=1.8] - height, [m]
+ * @property {number | number[]} [walk_sp=0] - walking speed, [m/s]
+ * @property {number | number[]} [theta=0] - angle between walking direction and wind direction [degrees]
+ * @property {number | number[]} [acclimatized=100] - 100 if acclimatized subject, 0 otherwise
+ * @property {number | number[]} [duration=480] - duration of the work sequence, [minutes]
+ * @property {number | number[]} [f_r=0.97] - emissivity of the reflective clothing, [dimensionless]
+ * @property {number | number[]} [t_sk=34.1] - mean skin temperature when worker starts working, [°C]
+ * @property {number | number[]} [t_cr=36.8] - mean core temperature when worker starts working, [°C]
+ * @property {number | number[]} [t_re] - mean rectal temperature when worker starts working, [°C]
+ * @property {number | number[]} [t_cr_eq] -  mean core temperature as a function of met when worker starts working, [°C]
+ * @property {number | number[]} [sweat_rate=0] - sweat rate
+ * @property {boolean} [round=true] - round the result of the PHS model
+ * @property {boolean} [limit_inputs=true] - by default, if the inputs are outside the ISO 7933 applicability limits
+ * the function returns NaN for the corresponding elements. If false returns values regardless of the input values.
+ * @property {number} [p_atm=101325] - atmospheric pressure, [Pa]
+ * @property {number} [altitude] - altitude above sea level, [m], it can be used instead of `p_atm`
+ * @public
+ */
+
+/**
+ * Calculates the Predicted Heat Strain (PHS) index when the input parameters are arrays, in compliance with
+ * the ISO 7933:2004 Standard {@link #ref_8|[8]}.
+ *
+ * @public
+ * @memberof models
+ * @docname Predicted Heat Strain (PHS) Index (array version)
+ *
+ * @see {@link phs} for a version that supports scalar arguments
+ *
+ * @param {number[]} tdb - dry bulb air temperature, default in [°C]
+ * @param {number[]} tr - mean radiant temperature, default in [°C]
+ * @param {number[]} v - air speed, default in [m/s]
+ * @param {number[]} rh - relative humidity, [%]
+ * @param {number[]} met - metabolic rate, [W/(m2)]
+ * @param {number[]} clo - clothing insulation, [clo]
+ * @param {(1 | 2 | 3)[]} posture - a numeric value presenting posture of person [sitting=1, standing=2, crouching=3]
+ * @param {number[]} [wme] - external work, [W/(m2)] default 0
+ * @param {PhsArrayKwargs} [kwargs] - additional arguments
+ *
+ * @returns {PhsArrayReturnType} object with arrays of the results of phs, the elements whose inputs are outside the
+ * ISO 7933 applicability limits are NaN
+ *
+ * @example
+ * import { phs_array } from "jsthermalcomfort";
+ * const results = phs_array([40, 35], [40, 35], [0.3, 0.3], [33.85, 71], [150, 150], [0.5, 0.5], [2, 2]);
+ * console.log(results.t_re); // [37.5, 39.8]
+ */
+export function phs_array(tdb, tr, v, rh, met, clo, posture, wme, kwargs = {}) {
+  const { limit_inputs = true, p_atm, altitude, ...phs_kwargs } = kwargs;
+  const pressure = p_atm_option({ p_atm, altitude }) ?? 101325;
+  if (wme === undefined) {
+    wme = tdb.map(() => 0);
+  }
+
+  const element_kwargs = tdb.map((_, index) => {
+    const joint_kwargs = {
+      i_mst: 0.38,
+      a_p: 0.54,
+      drink: 1,
+      weight: 75,
+      height: 1.8,
+      walk_sp: 0,
+      theta: 0,
+      acclimatized: 100,
+      duration: 480,
+      f_r: 0.97,
+      t_sk: 34.1,
+      t_cr: 36.8,
+      t_re: undefined,
+      t_cr_eq: undefined,
+      sweat_rate: 0,
+      round: true,
+      p_atm: pressure,
+    };
+    for (const [key, value] of Object.entries(phs_kwargs)) {
+      if (value !== undefined)
+        joint_kwargs[key] = Array.isArray(value) ? value[index] : value;
+    }
+    joint_kwargs.t_re = joint_kwargs.t_re || joint_kwargs.t_cr;
+    joint_kwargs.t_cr_eq = joint_kwargs.t_cr_eq || joint_kwargs.t_cr;
+    return joint_kwargs;
+  });
+
+  if (limit_inputs) {
+    ({ tdb, tr, v, rh, met, clo } = check_standard_compliance_array("ISO7933", {
+      tdb,
+      tr,
+      v,
+      rh,
+      met: met.map(
+        (_met, index) =>
+          _met *
+          body_surface_area(
+            element_kwargs[index].weight,
+            element_kwargs[index].height,
+          ),
+      ),
+      clo,
+    }));
+    met = met.map(
+      (_met, index) =>
+        _met /
+        body_surface_area(
+          element_kwargs[index].weight,
+          element_kwargs[index].height,
+        ),
+    );
+  }
+
+  const results = tdb.map((_, index) => {
+    const inputs = [tdb, tr, v, rh, met, clo].map((array) => array[index]);
+    if (inputs.some((value) => isNaN(value))) {
+      return /** @type {PhsReturnType} */ (
+        Object.fromEntries(phs_result_keys.map((key) => [key, NaN]))
+      );
+    }
+    const joint_kwargs = element_kwargs[index];
+    const result = _phs_calculation(
+      tdb[index],
+      tr[index],
+      v[index],
+      rh[index],
+      met[index],
+      clo[index],
+      posture[index],
+      wme[index],
+      joint_kwargs,
+    );
+    return joint_kwargs.round ? _round_phs(result) : result;
+  });
+
+  return /** @type {PhsArrayReturnType} */ (
+    Object.fromEntries(
+      phs_result_keys.map((key) => [key, results.map((result) => result[key])]),
+    )
+  );
+}
+
+/**
+ * @typedef {Object} PhsSegment - a period of constant working conditions
+ * @property {number} tdb - dry bulb air temperature, [°C]
+ * @property {number} tr - mean radiant temperature, [°C]
+ * @property {number} v - air speed, [m/s]
+ * @property {number} rh - relative humidity, [%]
+ * @property {number} met - metabolic rate, [W/(m2)]
+ * @property {number} clo - clothing insulation, [clo]
+ * @property {1 | 2 | 3} posture - a numeric value presenting posture of person [sitting=1, standing=2, crouching=3]
+ * @property {number} duration - duration of the segment, a positive integer, [minutes]
+ * @property {number} [walk_sp=0] - walking speed, [m/s]
+ * @property {number} [theta=0] - angle between walking direction and wind direction [degrees]
+ * @property {number} [wme=0] - external work, [W/(m2)]
+ * @public
+ */
+
+/**
+ * @typedef {Object} PhsScheduleKwargs - subject characteristics and initial state, see {@link PhsKwargs}
+ * @property {number} [i_mst=0.38] - static moisture permeability index, [dimensionless]
+ * @property {number} [a_p=0.54] - fraction of the body surface covered by the reflective clothing, [dimensionless]
+ * @property {0 | 1} [drink=1] - 1 if workers can drink freely, 0 otherwise
+ * @property {number} [weight=75] - body weight, [kg]
+ * @property {number} [height=1.8] - height, [m]
+ * @property {number} [acclimatized=100] - 100 if acclimatized subject, 0 otherwise
+ * @property {number} [f_r=0.97] - emissivity of the reflective clothing, [dimensionless]
+ * @property {number} [t_sk=34.1] - mean skin temperature when worker starts working, [°C]
+ * @property {number} [t_cr=36.8] - mean core temperature when worker starts working, [°C]
+ * @property {number} [t_re] - mean rectal temperature when worker starts working, [°C]
+ * @property {number} [t_cr_eq] -  mean core temperature as a function of met when worker starts working, [°C]
+ * @property {number} [sweat_rate=0] - sweat rate
+ * @property {boolean} [round=true] - round the time series
+ * @property {number} [p_atm=101325] - atmospheric pressure, [Pa]
+ * @property {number} [altitude] - altitude above sea level, [m], it can be used instead of `p_atm`
+ * @public
+ */
+
+/**
+ * @typedef {Object} PhsScheduleReturnType
+ * @property {number[]} time - minute since the start of the schedule, [minutes]
+ * @property {number[]} t_re - rectal temperature at the end of each minute, [°C]
+ * @property {number[]} t_sk - skin temperature at the end of each minute, [°C]
+ * @property {number[]} t_cr - core temperature at the end of each minute, [°C]
+ * @property {number[]} t_cr_eq - core temperature as a function of the metabolic rate at the end of each minute, [°C]
+ * @property {number[]} water_loss_watt - sweat rate at the end of each minute, [W]
+ * @property {number[]} water_loss - cumulative water loss since the start of the schedule, [g]
+ * @property {number} d_lim_t_re - minute at which the rectal temperature reaches 38 °C, [minutes]
+ * @property {number} d_lim_loss_50 - minute at which the maximum water loss of the mean subject is reached, [minutes]
+ * @property {number} d_lim_loss_95 - minute at which the maximum water loss of 95% of the working population is
+ * reached, [minutes]
+ * @public
+ */
+
+/**
+ * Simulates the Predicted Heat Strain (PHS) model {@link #ref_8|[8]} over a schedule of segments, for example
+ * alternating work and rest periods, each with its own environmental conditions, activity and clothing. The
+ * skin, core and rectal temperatures and the sweat rate at the end of each segment are used as the initial state of
+ * the next one, and the water loss is accumulated over the whole schedule.
+ *
+ * The allowable exposure times are counted from the start of the schedule. If a limit is not reached, the total
+ * duration of the schedule is returned, as {@link phs} does. If workers cannot drink freely the maximum water loss
+ * is 3% of the body mass for both the mean subject and 95% of the working population.
+ *
+ * @public
+ * @memberof models
+ * @docname Predicted Heat Strain (PHS) Index (work/rest schedule)
+ *
+ * @see {@link phs} for a single segment of constant conditions
+ *
+ * @param {PhsSegment[]} segments - consecutive segments of the schedule
+ * @param {PhsScheduleKwargs} [kwargs] - additional arguments
+ *
+ * @returns {PhsScheduleReturnType} minute by minute time series and allowable exposure times
+ *
+ * @example
+ * import { phs_schedule } from "jsthermalcomfort";
+ * const work = { tdb: 40, tr: 40, v: 0.3, rh: 33.85, met: 150, clo: 0.5, posture: 2, duration: 45 };
+ * const rest = { tdb: 25, tr: 25, v: 0.1, rh: 50, met: 65, clo: 0.5, posture: 1, duration: 15 };
+ * const results = phs_schedule([work, rest, work, rest]);
+ * console.log(results.t_re.length); // 120
+ */
+export function phs_schedule(segments, kwargs = {}) {
+  const defaults_kwargs = {
+    i_mst: 0.38,
+    a_p: 0.54,
+    drink: 1,
+    weight: 75,
+    height: 1.8,
+    acclimatized: 100,
+    f_r: 0.97,
+    t_sk: 34.1,
+    t_cr: 36.8,
+    t_re: undefined,
+    t_cr_eq: undefined,
+    sweat_rate: 0,
+    round: true,
+  };
+  const { p_atm, altitude, ...model_kwargs } = kwargs;
+  const joint_kwargs = Object.assign(defaults_kwargs, model_kwargs, {
+    p_atm: p_atm_option({ p_atm, altitude }) ?? 101325,
+  });
+
+  for (const segment of segments) {
+    if (!(Number.isInteger(segment.duration) && segment.duration > 0)) {
+      throw new Error(
+        "The duration of each segment must be a positive integer",
+      );
+    }
+    for (const key of phs_segment_properties) {
+      if (typeof segment[key] !== "number") {
+        throw new Error(`The ${key} of each segment must be a number`);
+      }
+    }
+  }
+
+  /** @type {PhsState} */
+  let state = {
+    t_sk: joint_kwargs.t_sk,
+    t_re: joint_kwargs.t_re || joint_kwargs.t_cr,
+    t_cr: joint_kwargs.t_cr,
+    t_cr_eq: joint_kwargs.t_cr_eq || joint_kwargs.t_cr,
+    // the same function of the core temperature used in each step, so that a schedule can continue from the state
+    // at the end of another one
+    t_sk_t_cr_wg: Math.min(
+      Math.max(0.3 - 0.09 * (joint_kwargs.t_cr - 36.8), 0.1),
+      0.3,
+    ),
+    sweat_rate: joint_kwargs.sweat_rate,
+  };
+
+  /** @type {Omit<PhsScheduleReturnType, "d_lim_t_re" | "d_lim_loss_50" | "d_lim_loss_95">} */
+  const series = {
+    time: [],
+    t_re: [],
+    t_sk: [],
+    t_cr: [],
+    t_cr_eq: [],
+    water_loss_watt: [],
+    water_loss: [],
+  };
+
+  let time = 0;
+  let sw_tot = joint_kwargs.sweat_rate;
+  let d_lim_t_re = 0;
+  let d_lim_loss_50 = 0;
+  let d_lim_loss_95 = 0;
+
+  for (const segment of segments) {
+    const {
+      tdb,
+      tr,
+      v,
+      rh,
+      met,
+      clo,
+      posture,
+      duration,
+      walk_sp = 0,
+      theta = 0,
+      wme = 0,
+    } = segment;
+
+    const warnings = check_standard_compliance("ISO7933", {
+      tdb,
+      tr,
+      v,
+      rh,
+      met: met * body_surface_area(joint_kwargs.weight, joint_kwargs.height),
+      clo,
+    });
+    warnings.forEach((warning) => console.warn(warning));
+
+    const p_a = ((p_sat(tdb) / 1000) * rh) / 100;
+    const variables = _calculate_variables_for_loop(
+      v,
+      met,
+      posture,
+      clo,
+      tdb,
+      p_a,
+      {
+        ...joint_kwargs,
+        t_re: state.t_re,
+        t_cr_eq: state.t_cr_eq,
+        t_sk: state.t_sk,
+        walk_sp,
+        theta,
+        duration,
+      },
+    );
+    const { e_res, a_dubois, d_max_50, d_max_95 } = variables;
+    const max_loss_50 = joint_kwargs.drink === 0 ? d_max_95 * 0.6 : d_max_50;
+    const max_loss_95 = joint_kwargs.drink === 0 ? d_max_95 * 0.6 : d_max_95;
+
+    for (let minute = 1; minute <= duration; minute++) {
+      time++;
+      state = _phs_step(state, tdb, tr, v, met, clo, wme, p_a, variables);
+
+      sw_tot = sw_tot + state.sweat_rate + e_res;
+      const sw_tot_g = (sw_tot * 2.67 * a_dubois) / 1.8 / 60;
+      if (d_lim_t_re === 0 && state.t_re >= 38) {
+        d_lim_t_re = time;
+      }
+      if (d_lim_loss_50 === 0 && sw_tot_g >= max_loss_50) {
+        d_lim_loss_50 = time;
+      }
+      if (d_lim_loss_95 === 0 && sw_tot_g >= max_loss_95) {
+        d_lim_loss_95 = time;
+      }
+
+      series.time.push(time);
+      series.t_re.push(state.t_re);
+      series.t_sk.push(state.t_sk);
+      series.t_cr.push(state.t_cr);
+      series.t_cr_eq.push(state.t_cr_eq);
+      series.water_loss_watt.push(state.sweat_rate);
+      series.water_loss.push(sw_tot_g);
+    }
+  }
+
+  if (joint_kwargs.round) {
+    for (const key of [
+      "t_re",
+      "t_sk",
+      "t_cr",
+      "t_cr_eq",
+      "water_loss_watt",
+      "water_loss",
+    ]) {
+      series[key] = series[key].map((value) => round(value, 1));
+    }
+  }
+
+  return {
+    ...series,
+    d_lim_t_re: d_lim_t_re === 0 ? time : d_lim_t_re,
+    d_lim_loss_50: d_lim_loss_50 === 0 ? time : d_lim_loss_50,
+    d_lim_loss_95: d_lim_loss_95 === 0 ? time : d_lim_loss_95,
+  };
+}
+
+/** @type {(keyof PhsSegment)[]} */
+const phs_segment_properties = [
+  "tdb",
+  "tr",
+  "v",
+  "rh",
+  "met",
+  "clo",
+  "posture",
+];
+
+/** @type {(keyof PhsReturnType)[]} */
+const phs_result_keys = [
+  "t_re",
+  "t_sk",
+  "t_cr",
+  "t_cr_eq",
+  "t_sk_t_cr_wg",
+  "d_lim_loss_50",
+  "d_lim_loss_95",
+  "d_lim_t_re",
+  "water_loss_watt",
+  "water_loss",
+];
+
+/**
+ * Runs the PHS model without checking the compliance of the inputs and without rounding the results.
+ *
+ * @param {number} tdb
+ * @param {number} tr
+ * @param {number} v
+ * @param {number} rh
+ * @param {number} met
+ * @param {number} clo
+ * @param {1 | 2 | 3} posture
+ * @param {number} wme
+ * @param {PhsKwargsRequired} joint_kwargs
+ *
+ * @returns {PhsReturnType}
+ */
+function _phs_calculation(
+  tdb,
+  tr,
+  v,
+  rh,
+  met,
+  clo,
+  posture,
+  wme,
+  joint_kwargs,
+) {
   const p_a = ((p_sat(tdb) / 1000) * rh) / 100;
 
   const variables_for_loop = _calculate_variables_for_loop(
@@ -141,7 +622,7 @@ export function phs(tdb, tr, v, rh, met, clo, posture, wme = 0, kwargs = {}) {
     joint_kwargs,
   );
 
-  const result = _phs_loop(
+  return _phs_loop(
     tdb,
     tr,
     v,
@@ -152,22 +633,26 @@ export function phs(tdb, tr, v, rh, met, clo, posture, wme = 0, kwargs = {}) {
     joint_kwargs,
     variables_for_loop,
   );
+}
 
-  if (joint_kwargs.round) {
-    return {
-      t_re: round(result.t_re, 1),
-      t_sk: round(result.t_sk, 1),
-      t_cr: round(result.t_cr, 1),
-      t_cr_eq: round(result.t_cr_eq, 1),
-      t_sk_t_cr_wg: round(result.t_sk_t_cr_wg, 2),
-      d_lim_loss_50: round(result.d_lim_loss_50, 1),
-      d_lim_loss_95: round(result.d_lim_loss_95, 1),
-      d_lim_t_re: round(result.d_lim_t_re, 1),
-      water_loss_watt: round(result.water_loss_watt, 1),
-      water_loss: round(result.water_loss, 1),
-    };
-  }
-  return result;
+/**
+ * @param {PhsReturnType} result
+ *
+ * @returns {PhsReturnType}
+ */
+function _round_phs(result) {
+  return {
+    t_re: round(result.t_re, 1),
+    t_sk: round(result.t_sk, 1),
+    t_cr: round(result.t_cr, 1),
+    t_cr_eq: round(result.t_cr_eq, 1),
+    t_sk_t_cr_wg: round(result.t_sk_t_cr_wg, 2),
+    d_lim_loss_50: round(result.d_lim_loss_50, 1),
+    d_lim_loss_95: round(result.d_lim_loss_95, 1),
+    d_lim_t_re: round(result.d_lim_t_re, 1),
+    water_loss_watt: round(result.water_loss_watt, 1),
+    water_loss: round(result.water_loss, 1),
+  };
 }
 
 /**
@@ -298,7 +783,9 @@ function _calculate_variables_for_loop(v, met, posture, clo, tdb, p_a, kwargs) {
   const i_cl_dyn = i_tot_dyn - i_a_dyn / fcl;
   const corr_e = (2.6 * corr_tot - 6.5) * corr_tot + 4.9;
   const im_dyn = Math.min(kwargs.i_mst * corr_e, 0.9);
-  const r_t_dyn = i_tot_dyn / im_dyn / 16.7;
+  // the Lewis relation, 16.7 K/kPa at sea level, is inversely proportional to the atmospheric pressure
+  const lewis_ratio = (16.7 * 101325) / kwargs.p_atm;
+  const r_t_dyn = i_tot_dyn / im_dyn / lewis_ratio;
   const t_exp = 28.56 + 0.115 * tdb + 0.641 * p_a;
   const c_res = 0.001516 * met * (t_exp - tdb);
   const e_res = 0.00127 * met * (59.34 + 0.53 * tdb - 11.63 * p_a);
@@ -353,157 +840,37 @@ function _calculate_variables_for_loop(v, met, posture, clo, tdb, p_a, kwargs) {
  */
 function _phs_loop(tdb, tr, v, met, clo, wme, p_a, kwargs, variables) {
   let {
-    sw_max,
-    w_max,
-    fcl,
-    i_cl_dyn,
-    r_t_dyn,
-    c_res,
     e_res,
-    hc_dyn,
-    aux_r,
-    f_cl_r,
     a_dubois,
-    sp_heat,
     d_lim_t_re,
     d_lim_loss_50,
     d_lim_loss_95,
     d_max_50,
     d_max_95,
-    const_t_eq,
-    const_t_sk,
-    const_sw,
   } = variables;
 
-  let { duration, t_sk, t_re, t_cr, t_cr_eq, sweat_rate, drink } = kwargs;
+  let { duration, drink } = kwargs;
 
-  let sw_tot = sweat_rate;
+  /** @type {PhsState} */
+  let state = {
+    t_sk: kwargs.t_sk,
+    t_re: kwargs.t_re,
+    t_cr: kwargs.t_cr,
+    t_cr_eq: kwargs.t_cr_eq,
+    t_sk_t_cr_wg: 0.3,
+    sweat_rate: kwargs.sweat_rate,
+  };
 
-  let t_sk_t_cr_wg = 0.3;
+  let sw_tot = kwargs.sweat_rate;
   let sw_tot_g = 0.0;
 
   for (let time = 1; time <= duration; time++) {
-    let t_sk0 = t_sk;
-    let t_re0 = t_re;
-    let t_cr0 = t_cr;
-    let t_cr_eq0 = t_cr_eq;
-    let t_sk_t_cr_wg0 = t_sk_t_cr_wg;
-
-    // equilibrium core temperature associated to the metabolic rate
-    let t_cr_eq_m = 0.0036 * met + 36.6;
-    // Core temperature at this minute, by exponential averaging
-    t_cr_eq = t_cr_eq0 * const_t_eq + t_cr_eq_m * (1 - const_t_eq);
-    // Heat storage associated with this core temperature increase during the last minute
-    let d_stored_eq = sp_heat * (t_cr_eq - t_cr_eq0) * (1 - t_sk_t_cr_wg0);
-    // skin temperature prediction -- clothed model
-    let t_sk_eq_cl =
-      12.165 + 0.02017 * tdb + 0.04361 * tr + 0.19354 * p_a - 0.25315 * v;
-    t_sk_eq_cl = t_sk_eq_cl + 0.005346 * met + 0.51274 * t_re;
-    // nude model
-    let t_sk_eq_nu = 7.191 + 0.064 * tdb + 0.061 * tr + 0.198 * p_a - 0.348 * v;
-    t_sk_eq_nu = t_sk_eq_nu + 0.616 * t_re;
-    let t_sk_eq;
-    if (clo >= 0.6) {
-      t_sk_eq = t_sk_eq_cl;
-    } else if (clo <= 0.2) {
-      t_sk_eq = t_sk_eq_nu;
-    } else {
-      t_sk_eq = t_sk_eq_nu + 2.5 * (t_sk_eq_cl - t_sk_eq_nu) * (clo - 0.2);
-    }
-
-    // skin temperature [C]
-    t_sk = t_sk0 * const_t_sk + t_sk_eq * (1 - const_t_sk);
-    // Saturated water vapour pressure at the surface of the skin
-    let p_sk = 0.6105 * Math.exp((17.27 * t_sk) / (t_sk + 237.3));
-    let t_cl = tr + 0.1; // clothing surface temperature
-    let h_r;
-    while (true) {
-      // radiative heat transfer coefficient
-      h_r =
-        (f_cl_r * aux_r * ((t_cl + 273) ** 4 - (tr + 273) ** 4)) / (t_cl - tr);
-      let t_cl_new =
-        (fcl * (hc_dyn * tdb + h_r * tr) + t_sk / i_cl_dyn) /
-        (fcl * (hc_dyn + h_r) + 1 / i_cl_dyn);
-      if (Math.abs(t_cl - t_cl_new) <= 0.001) {
-        break;
-      }
-      t_cl = (t_cl + t_cl_new) / 2;
-    }
-
-    let convection = fcl * hc_dyn * (t_cl - tdb);
-    let radiation = fcl * h_r * (t_cl - tr);
-    // maximum evaporative heat flow at the skin surface [W/m2]
-    let e_max = (p_sk - p_a) / r_t_dyn;
-    // required evaporative heat flow [W/m2]
-    let e_req =
-      met - d_stored_eq - wme - c_res - e_res - convection - radiation;
-    // required skin wettedness
-    let w_req = e_req / e_max;
-
-    let sw_req;
-    if (e_req <= 0) {
-      e_req = 0;
-      sw_req = 0; // required sweat rate [W/m2]
-    } else if (e_max <= 0) {
-      e_max = 0;
-      sw_req = sw_max;
-    } else if (w_req >= 1.7) {
-      sw_req = sw_max;
-    } else {
-      let e_v_eff = 1 - w_req ** 2 / 2;
-      if (w_req > 1) {
-        e_v_eff = (2 - w_req) ** 2 / 2;
-      }
-      sw_req = e_req / e_v_eff;
-      if (sw_req > sw_max) {
-        sw_req = sw_max;
-      }
-    }
-    sweat_rate = sweat_rate * const_sw + sw_req * (1 - const_sw);
-
-    let e_p;
-    if (sweat_rate <= 0) {
-      e_p = 0; // predicted evaporative heat flow [W/m2]
-      sweat_rate = 0;
-    } else {
-      let k = e_max / sweat_rate;
-      let wp = 1;
-      if (k >= 0.5) {
-        wp = -k + Math.sqrt(k * k + 2);
-      }
-      if (wp > w_max) {
-        wp = w_max;
-      }
-      e_p = wp * e_max;
-    }
-
-    // body heat storage rate [W/m2]
-    let d_storage = e_req - e_p + d_stored_eq;
-    let t_cr_new = t_cr0;
-    while (true) {
-      t_sk_t_cr_wg = 0.3 - 0.09 * (t_cr_new - 36.8);
-      if (t_sk_t_cr_wg > 0.3) {
-        t_sk_t_cr_wg = 0.3;
-      }
-      if (t_sk_t_cr_wg < 0.1) {
-        t_sk_t_cr_wg = 0.1;
-      }
-      t_cr =
-        d_storage / sp_heat +
-        (t_sk0 * t_sk_t_cr_wg0) / 2 -
-        (t_sk * t_sk_t_cr_wg) / 2;
-      t_cr = (t_cr + t_cr0 * (1 - t_sk_t_cr_wg0 / 2)) / (1 - t_sk_t_cr_wg / 2);
-      if (Math.abs(t_cr - t_cr_new) <= 0.001) {
-        break;
-      }
-      t_cr_new = (t_cr_new + t_cr) / 2;
-    }
+    state = _phs_step(state, tdb, tr, v, met, clo, wme, p_a, variables);
 
-    t_re = t_re0 + (2 * t_cr - 1.962 * t_re0 - 1.31) / 9;
-    if (d_lim_t_re == 0 && t_re >= 38) {
+    if (d_lim_t_re == 0 && state.t_re >= 38) {
       d_lim_t_re = time;
     }
-    sw_tot = sw_tot + sweat_rate + e_res;
+    sw_tot = sw_tot + state.sweat_rate + e_res;
     sw_tot_g = (sw_tot * 2.67 * a_dubois) / 1.8 / 60;
     if (d_lim_loss_50 == 0 && sw_tot_g >= d_max_50) {
       d_lim_loss_50 = time;
@@ -530,15 +897,180 @@ function _phs_loop(tdb, tr, v, met, clo, wme, p_a, kwargs, variables) {
   }
 
   return {
-    t_re,
-    t_sk,
-    t_cr,
-    t_cr_eq,
-    t_sk_t_cr_wg,
+    t_re: state.t_re,
+    t_sk: state.t_sk,
+    t_cr: state.t_cr,
+    t_cr_eq: state.t_cr_eq,
+    t_sk_t_cr_wg: state.t_sk_t_cr_wg,
     d_lim_loss_50,
     d_lim_loss_95,
     d_lim_t_re,
-    water_loss_watt: sweat_rate,
+    water_loss_watt: state.sweat_rate,
     water_loss: sw_tot_g,
   };
 }
+
+/**
+ * @typedef {Object} PhsState - physiological state of the subject that is carried from one minute to the next
+ * @property {number} t_sk - skin temperature, [°C]
+ * @property {number} t_re - rectal temperature, [°C]
+ * @property {number} t_cr - core temperature, [°C]
+ * @property {number} t_cr_eq - core temperature as a function of the metabolic rate, [°C]
+ * @property {number} t_sk_t_cr_wg - fraction of the body mass at the skin temperature
+ * @property {number} sweat_rate - sweat rate, [W/m2]
+ */
+
+/**
+ * Simulates one minute of exposure.
+ *
+ * @param {PhsState} state - state at the end of the previous minute
+ * @param {number} tdb
+ * @param {number} tr
+ * @param {number} v
+ * @param {number} met
+ * @param {number} clo
+ * @param {number} wme
+ * @param {number} p_a
+ * @param {VariablesForLoop} variables
+ *
+ * @returns {PhsState} state at the end of this minute
+ */
+function _phs_step(state, tdb, tr, v, met, clo, wme, p_a, variables) {
+  const {
+    sw_max,
+    w_max,
+    fcl,
+    i_cl_dyn,
+    r_t_dyn,
+    c_res,
+    e_res,
+    hc_dyn,
+    aux_r,
+    f_cl_r,
+    sp_heat,
+    const_t_eq,
+    const_t_sk,
+    const_sw,
+  } = variables;
+
+  let { t_sk, t_re, t_cr, t_cr_eq, t_sk_t_cr_wg, sweat_rate } = state;
+
+  let t_sk0 = t_sk;
+  let t_re0 = t_re;
+  let t_cr0 = t_cr;
+  let t_cr_eq0 = t_cr_eq;
+  let t_sk_t_cr_wg0 = t_sk_t_cr_wg;
+
+  // equilibrium core temperature associated to the metabolic rate
+  let t_cr_eq_m = 0.0036 * met + 36.6;
+  // Core temperature at this minute, by exponential averaging
+  t_cr_eq = t_cr_eq0 * const_t_eq + t_cr_eq_m * (1 - const_t_eq);
+  // Heat storage associated with this core temperature increase during the last minute
+  let d_stored_eq = sp_heat * (t_cr_eq - t_cr_eq0) * (1 - t_sk_t_cr_wg0);
+  // skin temperature prediction -- clothed model
+  let t_sk_eq_cl =
+    12.165 + 0.02017 * tdb + 0.04361 * tr + 0.19354 * p_a - 0.25315 * v;
+  t_sk_eq_cl = t_sk_eq_cl + 0.005346 * met + 0.51274 * t_re;
+  // nude model
+  let t_sk_eq_nu = 7.191 + 0.064 * tdb + 0.061 * tr + 0.198 * p_a - 0.348 * v;
+  t_sk_eq_nu = t_sk_eq_nu + 0.616 * t_re;
+  let t_sk_eq;
+  if (clo >= 0.6) {
+    t_sk_eq = t_sk_eq_cl;
+  } else if (clo <= 0.2) {
+    t_sk_eq = t_sk_eq_nu;
+  } else {
+    t_sk_eq = t_sk_eq_nu + 2.5 * (t_sk_eq_cl - t_sk_eq_nu) * (clo - 0.2);
+  }
+
+  // skin temperature [C]
+  t_sk = t_sk0 * const_t_sk + t_sk_eq * (1 - const_t_sk);
+  // Saturated water vapour pressure at the surface of the skin
+  let p_sk = 0.6105 * Math.exp((17.27 * t_sk) / (t_sk + 237.3));
+  let t_cl = tr + 0.1; // clothing surface temperature
+  let h_r;
+  while (true) {
+    // radiative heat transfer coefficient
+    h_r =
+      (f_cl_r * aux_r * ((t_cl + 273) ** 4 - (tr + 273) ** 4)) / (t_cl - tr);
+    let t_cl_new =
+      (fcl * (hc_dyn * tdb + h_r * tr) + t_sk / i_cl_dyn) /
+      (fcl * (hc_dyn + h_r) + 1 / i_cl_dyn);
+    if (Math.abs(t_cl - t_cl_new) <= 0.001) {
+      break;
+    }
+    t_cl = (t_cl + t_cl_new) / 2;
+  }
+
+  let convection = fcl * hc_dyn * (t_cl - tdb);
+  let radiation = fcl * h_r * (t_cl - tr);
+  // maximum evaporative heat flow at the skin surface [W/m2]
+  let e_max = (p_sk - p_a) / r_t_dyn;
+  // required evaporative heat flow [W/m2]
+  let e_req = met - d_stored_eq - wme - c_res - e_res - convection - radiation;
+  // required skin wettedness
+  let w_req = e_req / e_max;
+
+  let sw_req;
+  if (e_req <= 0) {
+    e_req = 0;
+    sw_req = 0; // required sweat rate [W/m2]
+  } else if (e_max <= 0) {
+    e_max = 0;
+    sw_req = sw_max;
+  } else if (w_req >= 1.7) {
+    sw_req = sw_max;
+  } else {
+    let e_v_eff = 1 - w_req ** 2 / 2;
+    if (w_req > 1) {
+      e_v_eff = (2 - w_req) ** 2 / 2;
+    }
+    sw_req = e_req / e_v_eff;
+    if (sw_req > sw_max) {
+      sw_req = sw_max;
+    }
+  }
+  sweat_rate = sweat_rate * const_sw + sw_req * (1 - const_sw);
+
+  let e_p;
+  if (sweat_rate <= 0) {
+    e_p = 0; // predicted evaporative heat flow [W/m2]
+    sweat_rate = 0;
+  } else {
+    let k = e_max / sweat_rate;
+    let wp = 1;
+    if (k >= 0.5) {
+      wp = -k + Math.sqrt(k * k + 2);
+    }
+    if (wp > w_max) {
+      wp = w_max;
+    }
+    e_p = wp * e_max;
+  }
+
+  // body heat storage rate [W/m2]
+  let d_storage = e_req - e_p + d_stored_eq;
+  let t_cr_new = t_cr0;
+  while (true) {
+    t_sk_t_cr_wg = 0.3 - 0.09 * (t_cr_new - 36.8);
+    if (t_sk_t_cr_wg > 0.3) {
+      t_sk_t_cr_wg = 0.3;
+    }
+    if (t_sk_t_cr_wg < 0.1) {
+      t_sk_t_cr_wg = 0.1;
+    }
+    t_cr =
+      d_storage / sp_heat +
+      (t_sk0 * t_sk_t_cr_wg0) / 2 -
+      (t_sk * t_sk_t_cr_wg) / 2;
+    t_cr = (t_cr + t_cr0 * (1 - t_sk_t_cr_wg0 / 2)) / (1 - t_sk_t_cr_wg / 2);
+    if (Math.abs(t_cr - t_cr_new) <= 0.001) {
+      break;
+    }
+    t_cr_new = (t_cr_new + t_cr) / 2;
+  }
+
+  t_re = t_re0 + (2 * t_cr - 1.962 * t_re0 - 1.31) / 9;
+
+  return { t_sk, t_re, t_cr, t_cr_eq, t_sk_t_cr_wg, sweat_rate };
+}
@@ -18,6 +18,11 @@ import { pmv_ppd, pmv_ppd_array } from "./pmv_ppd.js";
  *    On the other hand, if the occupant has no control over the airspeed,
  *    the ASHRAE 55 imposes an upper limit for v which varies as a function of
  *    the operative temperature, for more information please consult the Standard.
+ * @property {number} [p_atm] - atmospheric pressure, default in [Pa] in [atm] if `units` = 'IP'. The PMV model
+ *    has only been validated at sea level and does not depend on the pressure, a warning is emitted if it differs
+ *    from the standard atmospheric pressure.
+ * @property {number} [altitude] - altitude above sea level, default in [m] in [ft] if `units` = 'IP', it can be
+ *    used instead of `p_atm`.
  * @public
  */
 
@@ -1,5 +1,7 @@
 import {
+  check_sea_level,
   check_standard_compliance_array,
+  p_atm_option,
   round,
   units_converter,
   units_converter_array,
@@ -25,6 +27,11 @@ import { cooling_effect } from "./cooling_effect.js";
  *    On the other hand, if the occupant has no control over the airspeed,
  *    the ASHRAE 55 imposes an upper limit for v which varies as a function of
  *    the operative temperature, for more information please consult the Standard.
+ * @property { number } [p_atm] - atmospheric pressure, default in [Pa] in [atm] if `units` = 'IP'. The PMV model
+ *    has only been validated at sea level and does not depend on the pressure, a warning is emitted if it differs
+ *    from the standard atmospheric pressure.
+ * @property { number } [altitude] - altitude above sea level, default in [m] in [ft] if `units` = 'IP', it can be
+ *    used instead of `p_atm`.
  * @public
  */
 
@@ -128,6 +135,7 @@ export function pmv_ppd(
     airspeed_control: true,
   };
   kwargs = Object.assign(default_kwargs, kwargs);
+  check_sea_level("PMV", p_atm_option(kwargs, kwargs.units));
 
   if (kwargs.units && kwargs.units === "IP") {
     // Conversion from IP to SI units
@@ -298,6 +306,7 @@ export function pmv_ppd_array(
     airspeed_control: true,
   };
   kwargs = Object.assign(default_kwargs, kwargs);
+  check_sea_level("PMV", p_atm_option(kwargs, kwargs.units));
 
   // default wme is an array of 0
   if (wme === undefined) {
@@ -402,6 +411,38 @@ export function pmv_ppd_array(
   };
 }
 
+/**
+ * Calculates the PMV in SI units without rounding it and without checking the applicability limits.
+ * If standard is "ASHRAE" and vr is higher than 0.1 m/s, the cooling effect is subtracted from tdb and tr.
+ * This is used by the functions that need to invert the PMV model.
+ *
+ * @param {number} tdb
+ * @param {number} tr
+ * @param {number} vr
+ * @param {number} rh
+ * @param {number} met
+ * @param {number} clo
+ * @param {number} wme
+ * @param {"ISO" | "ASHRAE"} standard
+ *
+ * @returns {number} pmv
+ */
+export function pmv_unrounded(tdb, tr, vr, rh, met, clo, wme, standard) {
+  const ce =
+    standard === "ASHRAE" && vr > 0.1
+      ? cooling_effect(tdb, tr, vr, rh, met, clo, wme)
+      : 0;
+  return pmv_calculation(
+    tdb - ce,
+    tr - ce,
+    ce > 0 ? 0.1 : vr,
+    rh,
+    met,
+    clo,
+    wme,
+  );
+}
+
 /**
  * @param {number} tdb
  * @param {number} tr
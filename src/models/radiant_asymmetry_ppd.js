@@ -0,0 +1,80 @@
+import { round } from "../utilities/utilities.js";
+
+/**
+ * @typedef {Object} RadiantAsymmetryReturnType - a result set containing the predicted percentage of dissatisfied and the acceptability
+ * @property {number} PPD_ra Predicted Percentage of Dissatisfied occupants due to radiant temperature asymmetry, [%]
+ * @property {boolean} Acceptability The ASHRAE 55 2020 standard defines that the radiant temperature asymmetry
+ * is acceptable if PPD_ra is lower or equal than 5 %
+ * @public
+ */
+
+/**
+ * @typedef {"warm ceiling" | "cool wall" | "cool ceiling" | "warm wall"} RadiantAsymmetrySurface
+ */
+
+/**
+ * Coefficients of the logistic curves that relate the radiant temperature asymmetry to the percentage of
+ * dissatisfied (ISO 7730 Figure 4). PPD = 100 / (1 + exp(a - b * delta_t_pr)) - c, valid for delta_t_pr < limit.
+ *
+ * @type {Object.<RadiantAsymmetrySurface, {a: number, b: number, c: number, limit: number}>}
+ */
+const curves = {
+  "warm ceiling": { a: 2.84, b: 0.174, c: 5.5, limit: 23 },
+  "cool wall": { a: 6.61, b: 0.345, c: 0, limit: 15 },
+  "cool ceiling": { a: 9.93, b: 0.5, c: 0, limit: 15 },
+  "warm wall": { a: 3.72, b: 0.052, c: 3.5, limit: 35 },
+};
+
+/**
+ * Calculates the percentage of thermally dissatisfied people due to the radiant temperature asymmetry
+ * {@link #ref_1|[1]} {@link #ref_2|[2]}. The radiant temperature asymmetry is the difference between the plane
+ * radiant temperatures of the two opposite sides of a small plane element. People are more sensitive to the
+ * radiant asymmetry caused by a warm ceiling or by a cool wall than to the one caused by a cool ceiling or by a
+ * warm wall, hence four different curves are used.
+ *
+ * The equations are only applicable for a radiant temperature asymmetry lower than 23 °C for a warm ceiling,
+ * 15 °C for a cool wall, 15 °C for a cool ceiling and 35 °C for a warm wall.
+ *
+ * @public
+ * @memberof models
+ * @docname Radiant temperature asymmetry
+ *
+ * @param {number} delta_t_pr - radiant temperature asymmetry, difference between the plane radiant temperatures
+ * of the two opposite sides, default in [°C] in [°F] if `units` = 'IP'
+ * @param {RadiantAsymmetrySurface} surface - surface causing the asymmetry, one of "warm ceiling", "cool wall",
+ * "cool ceiling" or "warm wall"
+ * @param {"SI" | "IP"} [units="SI"] - select the SI (International System of Units) or the IP (Imperial Units) system.
+ *
+ * @returns {RadiantAsymmetryReturnType} Object with results of the PPD with radiant temperature asymmetry.
+ *
+ * @example
+ * const result = radiant_asymmetry_ppd(10, "cool wall"); // returns { PPD_ra: 4.1, Acceptability: true }
+ */
+export function radiant_asymmetry_ppd(delta_t_pr, surface, units = "SI") {
+  const curve = curves[surface];
+  if (curve === undefined) {
+    throw new Error(
+      `Unknown surface ${surface}, it should be one of ${Object.keys(curves)}`,
+    );
+  }
+
+  if (units === "IP") {
+    delta_t_pr = delta_t_pr / 1.8;
+  }
+
+  if (delta_t_pr < 0 || delta_t_pr > curve.limit) {
+    console.warn(
+      `The radiant asymmetry model for a ${surface} is only applicable for a radiant temperature asymmetry between 0 and ${curve.limit} °C`,
+    );
+  }
+
+  const ppd_ra = round(
+    Math.max(100 / (1 + Math.exp(curve.a - curve.b * delta_t_pr)) - curve.c, 0),
+    1,
+  );
+
+  return {
+    PPD_ra: ppd_ra,
+    Acceptability: ppd_ra <= 5,
+  };
+}
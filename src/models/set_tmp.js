@@ -2,6 +2,7 @@ import {
   units_converter,
   units_converter_array,
   check_standard_compliance_array,
+  p_atm_option,
   round,
 } from "../utilities/utilities.js";
 import { two_nodes, two_nodes_array, roundArray } from "../models/two_nodes.js";
@@ -10,6 +11,9 @@ import { two_nodes, two_nodes_array, roundArray } from "../models/two_nodes.js";
  * @typedef {Object} SetTmpKwargs - a keywords argument set containing the additional arguments for Standard Effective Temperature calculation
  * @property {boolean} [round=true] - round the result of the SET
  * @property {boolean} [calculate_ce=false] - select if SET is used to calculate Cooling Effect
+ * @property {number | number[]} [altitude] - altitude above sea level, default in [m] in [ft] if `units` = 'IP'. If
+ * provided, the atmospheric pressure is calculated from it assuming a standard atmosphere, it cannot be used together
+ * with `p_atm`.
  * @public
  */
 
@@ -74,7 +78,11 @@ export function set_tmp(
 
   if (body_surface_area === undefined)
     body_surface_area = units === "SI" ? 1.8258 : 19.65;
-  if (p_atm === undefined) p_atm = units === "SI" ? 101325 : 1;
+  p_atm =
+    p_atm_option(
+      { p_atm, altitude: /** @type {number} */ (joint_kwargs.altitude) },
+      units,
+    ) ?? 101325;
 
   if (units === "IP") {
     const unit_convert = units_converter(
@@ -83,7 +91,6 @@ export function set_tmp(
         tr: tr,
         v: v,
         area: body_surface_area,
-        pressure: p_atm,
       },
       "IP",
     );
@@ -91,7 +98,6 @@ export function set_tmp(
     tr = unit_convert.tr;
     v = unit_convert.v;
     body_surface_area = unit_convert.area;
-    p_atm = unit_convert.pressure;
   }
 
   let set_tmp = two_nodes(
@@ -222,8 +228,17 @@ export function set_tmp_array(
 
   if (bodySurfaceArray === undefined)
     bodySurfaceArray = tdbArray.map((_) => (units === "SI" ? 1.8258 : 19.65));
-  if (pAtmArray === undefined)
-    pAtmArray = tdbArray.map((_) => (units === "SI" ? 101325 : 1));
+  const altitude = joint_kwargs.altitude;
+  pAtmArray = tdbArray.map(
+    (_, index) =>
+      p_atm_option(
+        {
+          p_atm: pAtmArray?.[index],
+          altitude: Array.isArray(altitude) ? altitude[index] : altitude,
+        },
+        units,
+      ) ?? 101325,
+  );
 
   if (units === "IP") {
     const unit_convert = units_converter_array(
@@ -232,7 +247,6 @@ export function set_tmp_array(
         tr: trArray,
         v: vArray,
         area: bodySurfaceArray,
-        pressure: pAtmArray,
       },
       "IP",
     );
@@ -240,7 +254,6 @@ export function set_tmp_array(
     trArray = unit_convert.tr;
     vArray = unit_convert.v;
     bodySurfaceArray = unit_convert.area;
-    pAtmArray = unit_convert.pressure;
   }
 
   let setArray = two_nodes_array(
@@ -0,0 +1,142 @@
+import {
+  f_svv,
+  round,
+  sharp_angle,
+  sun_position,
+} from "../utilities/utilities.js";
+import { solar_gain_array } from "./solar_gain.js";
+
+/**
+ * @typedef {Object} SolarWindow - window through which the occupant is exposed to the sun
+ * @property {number} width - width of the window, [m]
+ * @property {number} height - height of the window, [m]
+ * @property {number} distance - distance between the occupant and the window, [m]
+ * @property {number} azimuth - direction the window faces, degrees clockwise from north [deg]
+ * @public
+ */
+
+/**
+ * @typedef {Object} SolarAdjustedMrtOptions
+ * @property {number | number[]} tr - mean radiant temperature of the space without solar radiation, [°C]
+ * @property {(string | Date)[]} dates - date and time of each element of the time series, see
+ * {@link #sun_position|sun_position}
+ * @property {number} latitude - latitude of the site, positive north of the equator, [deg]
+ * @property {number} longitude - longitude of the site, positive east of Greenwich, [deg]
+ * @property {number} [time_zone=0] - time zone of the site, hours east of UTC
+ * @property {SolarWindow} window - window description
+ * @property {number} facing_azimuth - direction the occupant is facing, degrees clockwise from north [deg]
+ * @property {number} sol_transmittance - total solar transmittance of the window system, ranges from 0 to 1
+ * @property {number[]} sol_radiation_dir - direct normal irradiance, [W/m2]
+ * @property {number} f_bes - fraction of the possible body surface exposed to sun, ranges from 0 to 1. See Table
+ * C2-2 and equation C-7 ASHRAE 55 2020 {@link #ref_1|[1]}.
+ * @property {number} [asw=0.7] - average short-wave absorptivity of the occupant
+ * @property {"standing" | "supine" | "seated"} [posture="seated"] - posture of the occupant
+ * @property {number} [floor_reflectance=0.6] - floor reflectance
+ * @public
+ */
+
+/**
+ * @typedef {Object} SolarAdjustedMrtReturnType
+ * @property {number[]} sol_altitude - solar altitude, [deg]
+ * @property {number[]} sharp - solar horizontal angle relative to the front of the person, [deg]
+ * @property {number[]} delta_mrt - increase of the mean radiant temperature due to the solar radiation, [°C]
+ * @property {number[]} tr - mean radiant temperature adjusted for the solar radiation, [°C]
+ * @public
+ */
+
+/**
+ * Calculates the increase of the mean radiant temperature caused by the direct and diffuse solar radiation
+ * entering through a window, for a time series of weather data, following the method of Appendix C of ASHRAE 55
+ * {@link #ref_1|[1]}. For each time step the position of the sun is calculated with
+ * {@link #sun_position|sun_position}, the SHARP from the direction the occupant is facing, the sky-vault view
+ * fraction from the size of the window with {@link #f_svv|f_svv}, and the solar gain with
+ * {@link solar_gain_array}.
+ *
+ * The diffuse solar radiation is estimated as 20% of the direct normal irradiance. When the sun is below the
+ * horizon the solar gain is zero, and when it is behind the façade the occupant is only exposed to the diffuse
+ * and reflected radiation.
+ *
+ * @public
+ * @memberof models
+ * @docname Solar-adjusted mean radiant temperature
+ *
+ * @param {SolarAdjustedMrtOptions} options - site, window, occupant and weather data
+ *
+ * @returns {SolarAdjustedMrtReturnType} solar geometry, delta mean radiant temperature and adjusted mean radiant
+ * temperature for each time step
+ *
+ * @example
+ * const result = solar_adjusted_mrt({
+ *   tr: 24,
+ *   dates: ["2023-06-21T09:00", "2023-06-21T12:00", "2023-06-21T22:00"],
+ *   latitude: 37.87,
+ *   longitude: -122.27,
+ *   time_zone: -8,
+ *   window: { width: 3, height: 2, distance: 1.5, azimuth: 180 },
+ *   facing_azimuth: 90,
+ *   sol_transmittance: 0.5,
+ *   sol_radiation_dir: [600, 800, 0],
+ *   f_bes: 0.5,
+ * });
+ * console.log(result);
+ * // {
+ * //   sol_altitude: [47.1, 75.4, -21.4],
+ * //   sharp: [5.5, 80.4, 122.1],
+ * //   delta_mrt: [6.7, 6.7, 0],
+ * //   tr: [30.7, 30.7, 24],
+ * // }
+ */
+export function solar_adjusted_mrt({
+  tr,
+  dates,
+  latitude,
+  longitude,
+  time_zone = 0,
+  window,
+  facing_azimuth,
+  sol_transmittance,
+  sol_radiation_dir,
+  f_bes,
+  asw = 0.7,
+  posture = "seated",
+  floor_reflectance = 0.6,
+}) {
+  const positions = dates.map((date) =>
+    sun_position(latitude, longitude, date, time_zone),
+  );
+  const sol_altitude = positions.map((position) => position.altitude);
+  const sharp = positions.map((position) =>
+    sharp_angle(position.azimuth, facing_azimuth),
+  );
+  const sun_up = positions.map(
+    (position, index) => position.altitude > 0 && sol_radiation_dir[index] > 0,
+  );
+  // the direct radiation only reaches the occupant if the sun is in front of the façade
+  const f_bes_array = positions.map((position) =>
+    sharp_angle(position.azimuth, window.azimuth) < 90 ? f_bes : 0,
+  );
+
+  const { delta_mrt } = solar_gain_array(
+    sol_altitude.map((altitude) => Math.max(altitude, 0)),
+    sharp,
+    sol_radiation_dir,
+    sol_transmittance,
+    f_svv(window.width, window.height, window.distance),
+    f_bes_array,
+    asw,
+    posture,
+    floor_reflectance,
+  );
+  const delta_mrt_sun = delta_mrt.map((value, index) =>
+    sun_up[index] ? value : 0,
+  );
+
+  return {
+    sol_altitude,
+    sharp: sharp.map((value) => round(value, 1)),
+    delta_mrt: delta_mrt_sun,
+    tr: delta_mrt_sun.map((value, index) =>
+      round((Array.isArray(tr) ? tr[index] : tr) + value, 1),
+    ),
+  };
+}
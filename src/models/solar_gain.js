@@ -57,6 +57,9 @@ const _fp_table = [
  *
  * More information on the calculation procedure can be found in Appendix C of {@link #ref_1|[1]}.
  *
+ * @see {@link solar_gain_array} for a version that supports arrays
+ * @see {@link solar_adjusted_mrt} to calculate the solar altitude and the SHARP from the sun position
+ *
  * @memberof models
  * @public
  * @docname Solar gain on people
@@ -105,10 +108,136 @@ export function solar_gain(
   posture = "seated",
   floor_reflectance = 0.6,
 ) {
+  posture = check_posture(posture);
+  const { erf, delta_mrt } = calculate_solar_gain(
+    sol_altitude,
+    sharp,
+    sol_radiation_dir,
+    sol_transmittance,
+    f_svv,
+    f_bes,
+    asw,
+    posture,
+    floor_reflectance,
+  );
+  return { erf: round(erf, 1), delta_mrt: round(delta_mrt, 1) };
+}
+
+/**
+ * @typedef {object} SolarGainArrayReturnType
+ * @property {number[]} erf - Solar gain to the human body using the Effective Radiant Field [W/m2]
+ * @property {number[]} delta_mrt - Delta mean radiant temperature. The amount by which the mean radiant
+ * temperature of the space should be increased if no solar radiation is present.
+ * @public
+ */
+
+/**
+ * Calculates the solar gain to the human body using the Effective Radiant
+ * Field (ERF) and the delta mean radiant temperature when the input parameters are arrays. The
+ * properties of the window and of the occupant can be either arrays or single values, which are
+ * used for all the elements.
+ *
+ * @see {@link solar_gain} for scalar arguments and a description of the parameters
+ *
+ * @memberof models
+ * @public
+ * @docname Solar gain on people (array version)
+ *
+ * @param {number[]} sol_altitude - Solar altitude, degrees from horizontal [deg]. Ranges between 0 and 90.
+ * @param {number[]} sharp - Solar horizontal angle relative to the front of the person (SHARP) [deg].
+ * Ranges between 0 and 180.
+ * @param {number[]} sol_radiation_dir - Direct-beam solar radiation, [W/m2].
+ * @param {number | number[]} sol_transmittance - Total solar transmittance, ranges from 0 to 1.
+ * @param {number | number[]} f_svv - Fraction of sky-vault view fraction exposed to body, ranges from 0 to 1.
+ * @param {number | number[]} f_bes - Fraction of the possible body surface exposed to sun, ranges from 0 to 1.
+ * @param {number | number[]} [asw=0.7] - The average short-wave absorptivity of the occupant.
+ * @param {"standing" | "supine" | "seated"} [posture="seated"] - Default 'seated' list of available options 'standing', 'supine' or 'seated'
+ * @param {number | number[]} [floor_reflectance=0.6] - Floor refectance.
+ *
+ * @returns {SolarGainArrayReturnType}
+ *
+ * @example
+ * import {solar_gain_array} from "jsthermalcomfort/models";
+ * const results = solar_gain_array([0, 30], [120, 120], [800, 800], 0.5, 0.7, 1);
+ * console.log(results); // {erf: [76.7, 90.5], delta_mrt: [18.4, 21.7]}
+ */
+export function solar_gain_array(
+  sol_altitude,
+  sharp,
+  sol_radiation_dir,
+  sol_transmittance,
+  f_svv,
+  f_bes,
+  asw = 0.7,
+  posture = "seated",
+  floor_reflectance = 0.6,
+) {
+  posture = check_posture(posture);
+
+  /**
+   * @param {number | number[]} value
+   * @param {number} index
+   * @returns {number}
+   */
+  const element = (value, index) =>
+    Array.isArray(value) ? value[index] : value;
+
+  const results = sol_altitude.map((_sol_altitude, index) =>
+    calculate_solar_gain(
+      _sol_altitude,
+      sharp[index],
+      sol_radiation_dir[index],
+      element(sol_transmittance, index),
+      element(f_svv, index),
+      element(f_bes, index),
+      element(asw, index),
+      posture,
+      element(floor_reflectance, index),
+    ),
+  );
+  return {
+    erf: results.map((result) => round(result.erf, 1)),
+    delta_mrt: results.map((result) => round(result.delta_mrt, 1)),
+  };
+}
+
+/**
+ * @param {string} posture
+ * @returns {"standing" | "supine" | "seated"}
+ */
+function check_posture(posture) {
   posture = posture.toLowerCase();
   if (posture !== "standing" && posture !== "supine" && posture !== "seated")
     throw new Error("Posture has to be either standing, supine or seated");
+  return posture;
+}
 
+/**
+ * Calculates the unrounded solar gain, see {@link solar_gain} for a description of the parameters.
+ *
+ * @param {number} sol_altitude
+ * @param {number} sharp
+ * @param {number} sol_radiation_dir
+ * @param {number} sol_transmittance
+ * @param {number} f_svv
+ * @param {number} f_bes
+ * @param {number} asw
+ * @param {"standing" | "supine" | "seated"} posture
+ * @param {number} floor_reflectance
+ *
+ * @returns {SolarGainReturnType}
+ */
+function calculate_solar_gain(
+  sol_altitude,
+  sharp,
+  sol_radiation_dir,
+  sol_transmittance,
+  f_svv,
+  f_bes,
+  asw,
+  posture,
+  floor_reflectance,
+) {
   const deg_to_rad = 0.0174532925;
   const hr = 6;
   const i_diff = 0.2 * sol_radiation_dir;
@@ -155,7 +284,7 @@ export function solar_gain(
   const erf = e_solar * (sw_abs / lw_abs);
   const d_mrt = erf / (hr * f_eff);
 
-  return { erf: round(erf, 1), delta_mrt: round(d_mrt, 1) };
+  return { erf, delta_mrt: d_mrt };
 }
 
 /**
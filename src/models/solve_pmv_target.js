@@ -0,0 +1,202 @@
+import { round, units_converter } from "../utilities/utilities.js";
+import { pmv_unrounded } from "./pmv_ppd.js";
+import { set_tmp } from "./set_tmp.js";
+import { brent } from "./cooling_effect.js";
+
+/**
+ * @typedef {"tdb" | "to" | "vr" | "clo" | "met"} SolvePmvTargetVariable
+ */
+
+/**
+ * @typedef {Object} SolvePmvTargetFixed - values of the inputs that are not varied
+ * @property {number} [tdb] - dry bulb air temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @property {number} [tr] - mean radiant temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @property {number} [vr] - relative air speed, default in [m/s] in [fps] if `units` = 'IP'
+ * @property {number} [rh] - relative humidity, [%]
+ * @property {number} [met] - metabolic rate, [met]
+ * @property {number} [clo] - clothing insulation, [clo]
+ * @property {number} [wme=0] - external work, [met]
+ * @public
+ */
+
+/**
+ * @typedef {Object} SolvePmvTargetOptions
+ * @property {number} [target=0] - target value of the PMV, or of the SET in [°C] ([°F] if `units` = 'IP') if
+ * `model` = "set"
+ * @property {SolvePmvTargetVariable} vary - input that is varied to reach the target. If "to" both the air and
+ * the mean radiant temperatures are varied and kept equal.
+ * @property {SolvePmvTargetFixed} fixed - values of the other inputs
+ * @property {"ISO" | "ASHRAE"} [standard="ISO"] - comfort standard used to calculate the PMV, if "ASHRAE" the
+ * cooling effect is used for vr > 0.1 m/s. Not used if `model` = "set".
+ * @property {"pmv" | "set"} [model="pmv"] - model whose output should reach the target
+ * @property {[number, number]} [bracket] - search interval of the varied input, in the same units as the input.
+ * Defaults are [10, 40] °C for tdb and to, [0, 2] m/s for vr, [0, 2] clo for clo and [0.8, 4] met for met.
+ * @property {"SI" | "IP"} [units="SI"] - select the SI (International System of Units) or the IP (Imperial Units) system.
+ * @public
+ */
+
+/**
+ * @typedef {Object} SolvePmvTargetReturnType
+ * @property {number} value - value of the varied input that reaches the target, NaN if no solution exists
+ * @property {string | null} reason - reason why no solution was found, null if a solution was found
+ * @public
+ */
+
+const default_brackets = {
+  tdb: [10, 40],
+  to: [10, 40],
+  vr: [0, 2],
+  clo: [0, 2],
+  met: [0.8, 4],
+};
+
+/**
+ * Finds the value of one input (air temperature, operative temperature, relative air speed, clothing
+ * insulation or metabolic rate) for which the PMV, or the SET, reaches a target value, while all the other
+ * inputs are fixed. This can be used, for example, to design a setpoint temperature, or to find the air speed
+ * needed to offset a warm environment. The inverse problem is solved using the Brent's root finding method
+ * in the search bracket.
+ *
+ * If the target cannot be reached within the search bracket the value is NaN and the reason is returned.
+ *
+ * @public
+ * @memberof models
+ * @docname Inverse PMV and SET solver
+ *
+ * @param {SolvePmvTargetOptions} options - target, varied input and fixed inputs
+ *
+ * @returns {SolvePmvTargetReturnType} value of the varied input that reaches the target
+ *
+ * @example
+ * const result = solve_pmv_target({
+ *   target: 0,
+ *   vary: "to",
+ *   fixed: { vr: 0.1, rh: 50, met: 1.2, clo: 0.5 },
+ * });
+ * console.log(result); // { value: 24.72, reason: null }
+ *
+ * @example
+ * const result = solve_pmv_target({
+ *   target: 0.5,
+ *   vary: "vr",
+ *   fixed: { tdb: 29, tr: 29, rh: 50, met: 1.2, clo: 0.5 },
+ *   standard: "ASHRAE",
+ * });
+ * console.log(result); // { value: 0.44, reason: null }
+ */
+export function solve_pmv_target({
+  target = 0,
+  vary,
+  fixed,
+  standard = "ISO",
+  model = "pmv",
+  bracket,
+  units = "SI",
+}) {
+  if (!(vary in default_brackets)) {
+    throw new Error(
+      `vary should be one of ${Object.keys(default_brackets)}, got ${vary}`,
+    );
+  }
+  if (standard !== "ISO" && standard !== "ASHRAE") {
+    throw new Error(
+      "PMV calculations can only be performed in compliance with ISO or ASHRAE Standards",
+    );
+  }
+  if (model !== "pmv" && model !== "set") {
+    throw new Error(`model should be either pmv or set, got ${model}`);
+  }
+
+  const required = ["tdb", "tr", "vr", "rh", "met", "clo"].filter(
+    (key) =>
+      !(vary === key || (vary === "to" && (key === "tdb" || key === "tr"))),
+  );
+  const missing = required.filter((key) => fixed[key] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Missing fixed inputs: ${missing.join(", ")}`);
+  }
+
+  let inputs = { wme: 0, ...fixed };
+  const [bracket_lower, bracket_upper] = bracket ?? default_brackets[vary];
+  let [lower, upper] = [bracket_lower, bracket_upper];
+  let target_si = target;
+
+  if (units === "IP") {
+    const converted = units_converter(
+      { tdb: inputs.tdb, tr: inputs.tr, vr: inputs.vr },
+      "IP",
+    );
+    inputs = { ...inputs, ...converted };
+    if (model === "set") target_si = units_converter({ tmp: target }).tmp;
+    // the default brackets are in SI units
+    if (bracket !== undefined && vary !== "clo" && vary !== "met") {
+      const key = vary === "to" ? "tdb" : vary;
+      lower = units_converter({ [key]: lower })[key];
+      upper = units_converter({ [key]: upper })[key];
+    }
+  }
+
+  const fn = (/** @type {number} */ x) => {
+    const { tdb, tr, vr, rh, met, clo, wme } = with_varied(inputs, vary, x);
+    if (model === "set") {
+      return (
+        set_tmp(
+          tdb,
+          tr,
+          vr,
+          rh,
+          met,
+          clo,
+          wme,
+          undefined,
+          undefined,
+          undefined,
+          "SI",
+          false,
+          { round: false },
+        ) - target_si
+      );
+    }
+    return pmv_unrounded(tdb, tr, vr, rh, met, clo, wme, standard) - target_si;
+  };
+
+  let value;
+  try {
+    value = brent(fn, lower, upper, 1e-4);
+  } catch (error) {
+    let f_lower = fn(lower) + target_si;
+    let f_upper = fn(upper) + target_si;
+    if (units === "IP" && model === "set") {
+      f_lower = units_converter({ tmp: f_lower }, "SI").tmp;
+      f_upper = units_converter({ tmp: f_upper }, "SI").tmp;
+    }
+    const reason = isNaN(f_lower * f_upper)
+      ? error.message
+      : `The ${model} ranges from ${round(f_lower, 2)} to ${round(
+          f_upper,
+          2,
+        )} when ${vary} varies between ${bracket_lower} and ${bracket_upper}, the target ${target} cannot be reached`;
+    return { value: NaN, reason };
+  }
+
+  if (units === "IP") {
+    if (vary === "tdb" || vary === "to")
+      value = units_converter({ tmp: value }, "SI").tmp;
+    if (vary === "vr") value = units_converter({ vr: value }, "SI").vr;
+  }
+
+  return { value: round(value, 2), reason: null };
+}
+
+/**
+ * Returns the inputs with the varied input set to the given value.
+ *
+ * @param {SolvePmvTargetFixed} inputs - fixed inputs
+ * @param {SolvePmvTargetVariable} vary - input that is varied
+ * @param {number} x - value of the varied input
+ * @returns {Required<SolvePmvTargetFixed>} all the inputs
+ */
+function with_varied(inputs, vary, x) {
+  if (vary === "to") return { ...inputs, tdb: x, tr: x };
+  return { ...inputs, [vary]: x };
+}
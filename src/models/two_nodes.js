@@ -1,4 +1,4 @@
-import { round } from "../utilities/utilities.js";
+import { p_atm_option, round } from "../utilities/utilities.js";
 import { p_sat_torr } from "../psychrometrics/p_sat_torr.js";
 
 /**
@@ -30,6 +30,8 @@ import { p_sat_torr } from "../psychrometrics/p_sat_torr.js";
  * @property {boolean} [calculate_ce=false] - select if SET is used to calculate Cooling Effect
  * @property {number} [max_sweating] - maximum rate at which regulatory sweat is generated, [kg/h/m2]
  * @property {number} [w_max]  – maximum skin wettedness (w) adimensional. Ranges from 0 and 1
+ * @property {number | number[]} [altitude] - altitude above sea level, [m]. If provided, the atmospheric pressure is
+ * calculated from it assuming a standard atmosphere, it cannot be used together with `p_atmospheric`.
  * @public
  */
 
@@ -120,7 +122,7 @@ export function two_nodes(
   clo,
   wme = 0,
   body_surface_area = 1.8258,
-  p_atmospheric = 101325,
+  p_atmospheric,
   body_position = "standing",
   max_skin_blood_flow = 90,
   kwargs = {},
@@ -133,6 +135,11 @@ export function two_nodes(
   };
 
   let joint_kwargs = Object.assign(defaults_kwargs, kwargs);
+  p_atmospheric =
+    p_atm_option({
+      p_atm: p_atmospheric,
+      altitude: /** @type {number} */ (joint_kwargs.altitude),
+    }) ?? 101325;
 
   const vapor_pressure = cal_vapor_pressure(tdb, rh);
 
@@ -352,9 +359,14 @@ export function two_nodes_array(
     bodySurfaceArray = tdbArray.map((_) => 1.8258);
   }
 
-  if (pAtmArray === undefined) {
-    pAtmArray = tdbArray.map((_) => 101325);
-  }
+  const altitude = joint_kwargs.altitude;
+  pAtmArray = tdbArray.map(
+    (_, index) =>
+      p_atm_option({
+        p_atm: pAtmArray?.[index],
+        altitude: Array.isArray(altitude) ? altitude[index] : altitude,
+      }) ?? 101325,
+  );
   if (bodyPositionArray === undefined) {
     bodyPositionArray = tdbArray.map((_) => "standing");
   }
@@ -1,4 +1,6 @@
 import {
+  check_sea_level,
+  p_atm_option,
   units_converter,
   valid_range,
   round,
@@ -32,6 +34,16 @@ const stress_categories_vals = [
   -40.0, -27.0, -13.0, 0.0, 9.0, 26, 32, 38, 46, 1000,
 ];
 
+/**
+ * @typedef {Object} UtciOptions
+ * @property {number} [p_atm] - atmospheric pressure, default in [Pa] in [atm] if `units` = 'IP'. The UTCI
+ * regression has only been derived for sea level conditions and does not depend on the pressure, a warning is emitted
+ * if it differs from the standard atmospheric pressure.
+ * @property {number} [altitude] - altitude above sea level, default in [m] in [ft] if `units` = 'IP', it can be used
+ * instead of `p_atm`.
+ * @public
+ */
+
 /**
  * Determines the Universal Thermal Climate Index (UTCI). The UTCI is the
     equivalent temperature for the environment derived from a reference
@@ -60,6 +72,7 @@ const stress_categories_vals = [
         function returns nan. If False returns UTCI values even if input values are
         outside the applicability limits of the model. The valid input ranges are
         -50 < tdb [°C] < 50, tdb - 70 < tr [°C] < tdb + 30, and for 0.5 < v [m/s] < 17.0.
+ * @param {UtciOptions} [options] - atmospheric pressure or altitude of the site
  * @example
  * console.log(utci(25, 25, 1.0, 50)) // will print 24.6
  * console.log(utci(77, 77, 3.28, 50, 'ip')) // will print 76.4
@@ -74,7 +87,9 @@ export function utci(
   units = "SI",
   return_stress_category = false,
   limit_inputs = true,
+  options = {},
 ) {
+  check_sea_level("UTCI", p_atm_option(options, units.toUpperCase()));
   let kwargs;
   let ret;
   if (units.toLowerCase() == "ip") {
@@ -153,6 +168,7 @@ export function utci(
         function returns nan. If False returns UTCI values even if input values are
         outside the applicability limits of the model. The valid input ranges are
         -50 < tdb [°C] < 50, tdb - 70 < tr [°C] < tdb + 30, and for 0.5 < v [m/s] < 17.0.
+ * @param {UtciOptions} [options] - atmospheric pressure or altitude of the site
  * @example
  * console.log(utci_array([25, 25], [27, 25], [1, 1], [50, 50])) // will print [25.2, 24.6]
  * console.log(utci_array([25, 25], [27, 25], [1, 1], [50, 50], "si", true))
@@ -170,7 +186,9 @@ export function utci_array(
   units = "SI",
   return_stress_category = false,
   limit_inputs = true,
+  options = {},
 ) {
+  check_sea_level("UTCI", p_atm_option(options, units.toUpperCase()));
   let kwargs;
   let ret;
   if (units.toLowerCase() == "ip") {
@@ -1,11 +1,38 @@
-import { round } from "../utilities/utilities.js";
+import {
+  round,
+  units_converter,
+  units_converter_array,
+} from "../utilities/utilities.js";
 
 const optionDefaults = {
   round: true,
   tdb: undefined,
   with_solar_load: false,
+  units: "SI",
+  return_stress_category: false,
 };
 
+/**
+ * @typedef {"white" | "green" | "yellow" | "red" | "black"} WbgtFlag
+ */
+
+/**
+ * @typedef {Object} WbgtReturnType - a result set containing the WBGT and the flag colour
+ * @property {number} wbgt - Wet Bulb Globe Temperature Index, default in [°C] in [°F] if `units` = 'IP'
+ * @property {WbgtFlag} stress_category - flag colour
+ * @public
+ */
+
+/**
+ * @typedef {Object} WbgtArrayReturnType - a result set containing the WBGT and the flag colour arrays
+ * @property {number[]} wbgt - Wet Bulb Globe Temperature Index, default in [°C] in [°F] if `units` = 'IP'
+ * @property {WbgtFlag[]} stress_category - flag colour
+ * @public
+ */
+
+const flags = ["white", "green", "yellow", "red", "black"];
+const flags_upper_limits = [82, 85, 88, 90, Infinity]; // °F
+
 /**
  * Calculates the Wet Bulb Globe Temperature (WBGT) index calculated in
  * compliance with the ISO 7243 {@link #ref_11|[11]}. The WBGT is a heat stress index that
@@ -25,23 +52,41 @@ const optionDefaults = {
  * exposed to direct radiant heat from the sun. When a person is exposed to
  * direct radiant heat, tdb must also be specified.
  *
+ * The heat categories of the US Army TB MED 507 {@link #ref_32|[32]} can also
+ * be returned as flag colours: white for 78–81.9 °F (25.6–27.7 °C), green for
+ * 82–84.9 °F (27.8–29.4 °C), yellow for 85–87.9 °F (29.4–31.1 °C), red for
+ * 88–89.9 °F (31.1–32.2 °C) and black for 90 °F (32.2 °C) and above. TB MED
+ * 507 does not define a flag below 78 °F, in this range the lowest risk flag
+ * (white) is returned.
+ *
+ * @see {@link wbgt_array} for a version that supports arrays
+ *
  * @public
  * @memberof models
  * @docname Wet Bulb Globe Temperature Index (WBGT)
  *
- * @param {number} twb - natural (no forced air flow) wet bulb temperature, [°C]
- * @param {number} tg - globe temperature, [°C]
+ * @param {number} twb - natural (no forced air flow) wet bulb temperature,
+ * default in [°C] in [°F] if `units` = 'IP'
+ * @param {number} tg - globe temperature, default in [°C] in [°F] if `units` =
+ * 'IP'
  * @param {object} [options] - configuration options for the function.
  * @param {boolean} [options.round = true] - If true rounds output value. If
  * false it does not round it.
- * @param {number} [options.tdb = undefined] - Dry bulb air temperature, [°C].
+ * @param {number} [options.tdb = undefined] - Dry bulb air temperature,
+ * default in [°C] in [°F] if `units` = 'IP'.
  * This value is needed as input if the person is exposed to direct solar
  * radiation.
  * @param {boolean} [options.with_solar_load = false] - If the globe sensor is
  * exposed to direct solar radiation. If this is set to true without also
  * setting `options.tdb` then an error will be thrown.
+ * @param {"SI" | "IP"} [options.units = "SI"] - select the SI (International
+ * System of Units) or the IP (Imperial Units) system.
+ * @param {boolean} [options.return_stress_category = false] - If true, also
+ * returns the flag colour.
  *
- * @returns {number} Wet Bulb Globe Temperature Index, [°C]
+ * @returns {number | WbgtReturnType} Wet Bulb Globe Temperature Index, default
+ * in [°C] in [°F] if `units` = 'IP'. If `return_stress_category` is true an
+ * object with the WBGT and the flag colour is returned.
  *
  * @example
  * const result = wbgt(25, 32);
@@ -50,25 +95,115 @@ const optionDefaults = {
  * @example
  * const result = wbgt(25, 32, { tdb: 20, with_solar_radiation: true });
  * console.log(result); // -> 25.9
+ *
+ * @example
+ * const result = wbgt(25, 32, { return_stress_category: true });
+ * console.log(result); // -> { wbgt: 27.1, stress_category: "white" }
  */
 export function wbgt(twb, tg, options) {
   const opt = Object.assign({}, optionDefaults, options);
 
-  let t_wbg;
+  if (opt.with_solar_load && opt.tdb === undefined) {
+    throw new Error("Please enter the dry bulb air temperature");
+  }
 
-  if (opt.with_solar_load) {
-    if (opt.tdb === undefined) {
-      throw new Error("Please enter the dry bulb air temperature");
-    }
+  // the weights sum to one, hence the WBGT is in the same units as the inputs
+  let t_wbg = calculate_wbgt(twb, tg, opt.tdb, opt.with_solar_load);
+  const t_wbg_f =
+    opt.units === "IP" ? t_wbg : units_converter({ tmp: t_wbg }, "SI").tmp;
 
-    t_wbg = 0.7 * twb + 0.2 * tg + 0.1 * opt.tdb;
-  } else {
-    t_wbg = 0.7 * twb + 0.3 * tg;
+  if (opt.round) {
+    t_wbg = round(t_wbg, 1);
   }
 
+  if (opt.return_stress_category) {
+    return { wbgt: t_wbg, stress_category: wbgt_flag(t_wbg_f) };
+  }
+  return t_wbg;
+}
+
+/**
+ * Calculates the Wet Bulb Globe Temperature (WBGT) index when the input
+ * parameters are arrays.
+ *
+ * @see {@link wbgt} for scalar arguments and a description of the flag colours
+ *
+ * @public
+ * @memberof models
+ * @docname Wet Bulb Globe Temperature Index (WBGT) (array version)
+ *
+ * @param {number[]} twb - natural (no forced air flow) wet bulb temperature,
+ * default in [°C] in [°F] if `units` = 'IP'
+ * @param {number[]} tg - globe temperature, default in [°C] in [°F] if `units`
+ * = 'IP'
+ * @param {object} [options] - configuration options for the function.
+ * @param {boolean} [options.round = true] - If true rounds output value. If
+ * false it does not round it.
+ * @param {number[]} [options.tdb = undefined] - Dry bulb air temperature,
+ * default in [°C] in [°F] if `units` = 'IP'. This value is needed as input if
+ * the person is exposed to direct solar radiation.
+ * @param {boolean} [options.with_solar_load = false] - If the globe sensor is
+ * exposed to direct solar radiation. If this is set to true without also
+ * setting `options.tdb` then an error will be thrown.
+ * @param {"SI" | "IP"} [options.units = "SI"] - select the SI (International
+ * System of Units) or the IP (Imperial Units) system.
+ * @param {boolean} [options.return_stress_category = false] - If true, also
+ * returns the flag colours.
+ *
+ * @returns {number[] | WbgtArrayReturnType} Wet Bulb Globe Temperature Index,
+ * default in [°C] in [°F] if `units` = 'IP'. If `return_stress_category` is
+ * true an object with the WBGT and the flag colour arrays is returned.
+ *
+ * @example
+ * const result = wbgt_array([25, 28], [32, 37], { return_stress_category: true });
+ * console.log(result); // -> { wbgt: [27.1, 30.7], stress_category: ["white", "yellow"] }
+ */
+export function wbgt_array(twb, tg, options) {
+  const opt = Object.assign({}, optionDefaults, options);
+
+  if (opt.with_solar_load && opt.tdb === undefined) {
+    throw new Error("Please enter the dry bulb air temperature");
+  }
+
+  // the weights sum to one, hence the WBGT is in the same units as the inputs
+  let t_wbg = twb.map((_twb, i) =>
+    calculate_wbgt(_twb, tg[i], opt.tdb?.[i], opt.with_solar_load),
+  );
+  const t_wbg_f =
+    opt.units === "IP"
+      ? t_wbg
+      : units_converter_array({ tmp: t_wbg }, "SI").tmp;
+
   if (opt.round) {
-    return round(t_wbg, 1);
+    t_wbg = t_wbg.map((_t_wbg) => round(_t_wbg, 1));
   }
 
+  if (opt.return_stress_category) {
+    return { wbgt: t_wbg, stress_category: t_wbg_f.map(wbgt_flag) };
+  }
   return t_wbg;
 }
+
+/**
+ * @param {number} twb - natural wet bulb temperature
+ * @param {number} tg - globe temperature
+ * @param {number | undefined} tdb - dry bulb air temperature
+ * @param {boolean} with_solar_load - if the globe sensor is exposed to direct
+ * solar radiation
+ * @returns {number} Wet Bulb Globe Temperature Index
+ */
+function calculate_wbgt(twb, tg, tdb, with_solar_load) {
+  if (with_solar_load) {
+    return 0.7 * twb + 0.2 * tg + 0.1 * tdb;
+  }
+  return 0.7 * twb + 0.3 * tg;
+}
+
+/**
+ * @param {number} t_wbg - Wet Bulb Globe Temperature Index, [°F]
+ * @returns {WbgtFlag} flag colour
+ */
+function wbgt_flag(t_wbg) {
+  const index = flags_upper_limits.findIndex((limit) => t_wbg < limit);
+  return flags[index];
+}
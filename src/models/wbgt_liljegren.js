@@ -0,0 +1,376 @@
+import { round } from "../utilities/utilities.js";
+import { p_sat } from "../psychrometrics/p_sat.js";
+import { t_dp } from "../psychrometrics/t_dp.js";
+import { wbgt } from "./wbgt.js";
+
+/**
+ * @typedef {Object} WbgtLiljegrenKwargs
+ * @property {number} [fdir] - fraction of the solar irradiance due to the direct beam, [dimensionless]. If it is
+ * not provided it is estimated from the ratio between the measured and the top of the atmosphere solar irradiance.
+ * @property {boolean} [round=true] - round the results
+ * @public
+ */
+
+/**
+ * @typedef {Object} WbgtLiljegrenReturnType
+ * @property {number} wbgt - Wet Bulb Globe Temperature, [°C]
+ * @property {number} twb - natural wet bulb temperature, [°C]
+ * @property {number} tg - globe temperature, [°C]
+ * @public
+ */
+
+/**
+ * @typedef {Object} WbgtLiljegrenArrayReturnType
+ * @property {number[]} wbgt - Wet Bulb Globe Temperature, [°C]
+ * @property {number[]} twb - natural wet bulb temperature, [°C]
+ * @property {number[]} tg - globe temperature, [°C]
+ * @public
+ */
+
+const stefan_boltzmann = 5.6696e-8;
+const solar_constant = 1367;
+const cp = 1003.5; // specific heat capacity of air at constant pressure, [J/(kg K)]
+const m_air = 28.97; // molecular weight of dry air, [kg/kmol]
+const m_h2o = 18.015; // molecular weight of water vapour, [kg/kmol]
+const r_air = 8314.34 / m_air; // gas constant of dry air, [J/(kg K)]
+const ratio = (cp * m_air) / m_h2o;
+const prandtl = cp / (cp + 1.25 * r_air);
+const min_speed = 0.13;
+const convergence = 0.02;
+const max_iterations = 50;
+
+// dimensions and radiative properties of the standard globe and wick
+const globe = { diameter: 0.0508, emissivity: 0.95, albedo: 0.05 };
+const wick = { diameter: 0.007, length: 0.0254, emissivity: 0.95, albedo: 0.4 };
+const surface = { emissivity: 0.999, albedo: 0.45 };
+
+/**
+ * Estimates the Wet Bulb Globe Temperature (WBGT) from standard meteorological measurements using the method
+ * developed by Liljegren et al. {@link #ref_28|[28]}. The natural wet bulb temperature and the globe temperature
+ * are calculated by solving the energy balance of the wick and of a standard 50 mm black globe, iteratively,
+ * and then combined with the air temperature using {@link wbgt} with solar load.
+ *
+ * The air speed should be measured, or estimated, at 2 m above the ground. The surface temperature is assumed to be
+ * equal to the air temperature.
+ *
+ * @public
+ * @memberof models
+ * @docname Wet Bulb Globe Temperature Index (WBGT) from meteorological data
+ *
+ * @see {@link wbgt_liljegren_array} for a version that supports arrays
+ *
+ * @param {number} tdb - dry bulb air temperature, [°C]
+ * @param {number} rh - relative humidity, [%]
+ * @param {number} v - air speed at 2 m above the ground, [m/s]
+ * @param {number} solar - global horizontal solar irradiance, [W/m2]
+ * @param {number} zenith - solar zenith angle, [degrees]
+ * @param {number} [p_atm=101325] - atmospheric pressure, [Pa]
+ * @param {WbgtLiljegrenKwargs} [kwargs] - additional arguments
+ *
+ * @returns {WbgtLiljegrenReturnType} WBGT, natural wet bulb and globe temperatures
+ *
+ * @example
+ * const result = wbgt_liljegren(30, 50, 1, 800, 30);
+ * console.log(result); // { wbgt: 30.2, twb: 25.2, tg: 48.1 }
+ */
+export function wbgt_liljegren(
+  tdb,
+  rh,
+  v,
+  solar,
+  zenith,
+  p_atm = 101325,
+  kwargs = {},
+) {
+  const default_kwargs = { fdir: undefined, round: true };
+  const joint_kwargs = Object.assign(default_kwargs, kwargs);
+
+  const cza = Math.cos((zenith * Math.PI) / 180);
+  const p_air = p_atm / 100; // the equations use the pressure in [hPa]
+
+  // the solar irradiance cannot be higher than 85% of the top of the atmosphere one
+  const toa_solar =
+    cza > Math.cos((89.5 * Math.PI) / 180) ? solar_constant * cza : 0;
+  const norm_solar = toa_solar > 0 ? Math.min(solar / toa_solar, 0.85) : 0;
+  solar = norm_solar * toa_solar;
+
+  let fdir = joint_kwargs.fdir;
+  if (fdir === undefined) {
+    fdir =
+      norm_solar > 0
+        ? Math.min(
+            Math.max(Math.exp(3 - 1.34 * norm_solar - 1.65 / norm_solar), 0),
+            0.9,
+          )
+        : 0;
+  }
+
+  const t_air = tdb + 273.15;
+  const tg = _t_globe(t_air, rh / 100, p_air, v, solar, fdir, cza) - 273.15;
+  const twb =
+    _t_nwb(t_air, tdb, rh, p_air, v, solar, fdir, Math.acos(cza)) - 273.15;
+  const wbgt_value = wbgt(twb, tg, {
+    tdb,
+    with_solar_load: true,
+    round: false,
+  });
+
+  if (joint_kwargs.round) {
+    return {
+      wbgt: round(wbgt_value, 1),
+      twb: round(twb, 1),
+      tg: round(tg, 1),
+    };
+  }
+  return { wbgt: wbgt_value, twb, tg };
+}
+
+/**
+ * Estimates the Wet Bulb Globe Temperature (WBGT) from standard meteorological measurements using the method
+ * developed by Liljegren et al. {@link #ref_28|[28]} when the input parameters are arrays.
+ *
+ * @public
+ * @memberof models
+ * @docname Wet Bulb Globe Temperature Index (WBGT) from meteorological data (array version)
+ *
+ * @see {@link wbgt_liljegren} for a version that supports scalar arguments
+ *
+ * @param {number[]} tdb - dry bulb air temperature, [°C]
+ * @param {number[]} rh - relative humidity, [%]
+ * @param {number[]} v - air speed at 2 m above the ground, [m/s]
+ * @param {number[]} solar - global horizontal solar irradiance, [W/m2]
+ * @param {number[]} zenith - solar zenith angle, [degrees]
+ * @param {number[]} [p_atm] - atmospheric pressure, default 101325 [Pa]
+ * @param {WbgtLiljegrenKwargs} [kwargs] - additional arguments
+ *
+ * @returns {WbgtLiljegrenArrayReturnType} WBGT, natural wet bulb and globe temperatures
+ *
+ * @example
+ * const result = wbgt_liljegren_array([30, 25], [50, 60], [1, 2], [800, 0], [30, 90]);
+ * console.log(result); // { wbgt: [30.2, 20.9], twb: [25.2, 19.4], tg: [48.1, 24] }
+ */
+export function wbgt_liljegren_array(
+  tdb,
+  rh,
+  v,
+  solar,
+  zenith,
+  p_atm,
+  kwargs = {},
+) {
+  if (p_atm === undefined) {
+    p_atm = tdb.map(() => 101325);
+  }
+
+  const results = tdb.map((_tdb, index) =>
+    wbgt_liljegren(
+      _tdb,
+      rh[index],
+      v[index],
+      solar[index],
+      zenith[index],
+      p_atm[index],
+      kwargs,
+    ),
+  );
+
+  return {
+    wbgt: results.map((result) => result.wbgt),
+    twb: results.map((result) => result.twb),
+    tg: results.map((result) => result.tg),
+  };
+}
+
+/**
+ * Calculates the globe temperature.
+ *
+ * @param {number} t_air - air temperature, [K]
+ * @param {number} rh - relative humidity, [fraction]
+ * @param {number} p_air - atmospheric pressure, [hPa]
+ * @param {number} speed - air speed, [m/s]
+ * @param {number} solar - solar irradiance, [W/m2]
+ * @param {number} fdir - fraction of the solar irradiance due to the direct beam
+ * @param {number} cza - cosine of the solar zenith angle
+ * @returns {number} globe temperature, [K]
+ */
+function _t_globe(t_air, rh, p_air, speed, solar, fdir, cza) {
+  const t_sfc = t_air;
+  let t_globe_prev = t_air;
+
+  for (let i = 0; i < max_iterations; i++) {
+    const t_ref = 0.5 * (t_globe_prev + t_air);
+    const h = _h_sphere_in_air(globe.diameter, t_ref, p_air, speed);
+    const t_globe = Math.pow(
+      0.5 *
+        (_emis_atm(t_air, rh) * Math.pow(t_air, 4) +
+          surface.emissivity * Math.pow(t_sfc, 4)) -
+        (h / (stefan_boltzmann * globe.emissivity)) * (t_globe_prev - t_air) +
+        (solar / (2 * stefan_boltzmann * globe.emissivity)) *
+          (1 - globe.albedo) *
+          (fdir * (1 / (2 * cza) - 1) + 1 + surface.albedo),
+      0.25,
+    );
+    if (Math.abs(t_globe - t_globe_prev) < convergence) {
+      return t_globe;
+    }
+    t_globe_prev = 0.9 * t_globe_prev + 0.1 * t_globe;
+  }
+  return NaN;
+}
+
+/**
+ * Calculates the natural wet bulb temperature.
+ *
+ * @param {number} t_air - air temperature, [K]
+ * @param {number} tdb - air temperature, [°C]
+ * @param {number} rh - relative humidity, [%]
+ * @param {number} p_air - atmospheric pressure, [hPa]
+ * @param {number} speed - air speed, [m/s]
+ * @param {number} solar - solar irradiance, [W/m2]
+ * @param {number} fdir - fraction of the solar irradiance due to the direct beam
+ * @param {number} sza - solar zenith angle, [radians]
+ * @returns {number} natural wet bulb temperature, [K]
+ */
+function _t_nwb(t_air, tdb, rh, p_air, speed, solar, fdir, sza) {
+  const a = 0.56; // from Bedingfield and Drew
+  const t_sfc = t_air;
+  const e_air = ((rh / 100) * p_sat(tdb)) / 100;
+  let t_wb_prev = t_dp(tdb, rh) + 273.15;
+
+  for (let i = 0; i < max_iterations; i++) {
+    const t_ref = 0.5 * (t_wb_prev + t_air);
+    const h = _h_cylinder_in_air(wick.diameter, t_ref, p_air, speed);
+    const f_atm =
+      stefan_boltzmann *
+        wick.emissivity *
+        (0.5 *
+          (_emis_atm(t_air, rh / 100) * Math.pow(t_air, 4) +
+            surface.emissivity * Math.pow(t_sfc, 4)) -
+          Math.pow(t_wb_prev, 4)) +
+      (1 - wick.albedo) *
+        solar *
+        ((1 - fdir) * (1 + (0.25 * wick.diameter) / wick.length) +
+          fdir *
+            (Math.tan(sza) / Math.PI + (0.25 * wick.diameter) / wick.length) +
+          surface.albedo);
+    const e_wick = p_sat(t_wb_prev - 273.15) / 100;
+    const density = (p_air * 100) / (r_air * t_ref);
+    const schmidt = _viscosity(t_ref) / (density * _diffusivity(t_ref, p_air));
+    const t_wb =
+      t_air -
+      (((_evaporation_heat(t_ref) / ratio) * (e_wick - e_air)) /
+        (p_air - e_wick)) *
+        Math.pow(prandtl / schmidt, a) +
+      f_atm / h;
+    if (Math.abs(t_wb - t_wb_prev) < convergence) {
+      return t_wb;
+    }
+    t_wb_prev = 0.9 * t_wb_prev + 0.1 * t_wb;
+  }
+  return NaN;
+}
+
+/**
+ * Convective heat transfer coefficient of a sphere in cross flow.
+ *
+ * @param {number} diameter - diameter of the sphere, [m]
+ * @param {number} t_air - air temperature, [K]
+ * @param {number} p_air - atmospheric pressure, [hPa]
+ * @param {number} speed - air speed, [m/s]
+ * @returns {number} heat transfer coefficient, [W/(m2 K)]
+ */
+function _h_sphere_in_air(diameter, t_air, p_air, speed) {
+  const density = (p_air * 100) / (r_air * t_air);
+  const reynolds =
+    (Math.max(speed, min_speed) * density * diameter) / _viscosity(t_air);
+  const nusselt = 2.0 + 0.6 * Math.sqrt(reynolds) * Math.pow(prandtl, 0.3333);
+  return (nusselt * _thermal_conductivity(t_air)) / diameter;
+}
+
+/**
+ * Convective heat transfer coefficient of a long cylinder in cross flow.
+ *
+ * @param {number} diameter - diameter of the cylinder, [m]
+ * @param {number} t_air - air temperature, [K]
+ * @param {number} p_air - atmospheric pressure, [hPa]
+ * @param {number} speed - air speed, [m/s]
+ * @returns {number} heat transfer coefficient, [W/(m2 K)]
+ */
+function _h_cylinder_in_air(diameter, t_air, p_air, speed) {
+  const a = 0.56; // parameters from Bedingfield and Drew
+  const b = 0.281;
+  const c = 0.4;
+  const density = (p_air * 100) / (r_air * t_air);
+  const reynolds =
+    (Math.max(speed, min_speed) * density * diameter) / _viscosity(t_air);
+  const nusselt = b * Math.pow(reynolds, 1 - c) * Math.pow(prandtl, 1 - a);
+  return (nusselt * _thermal_conductivity(t_air)) / diameter;
+}
+
+/**
+ * Emissivity of the atmosphere.
+ *
+ * @param {number} t_air - air temperature, [K]
+ * @param {number} rh - relative humidity, [fraction]
+ * @returns {number} emissivity, [dimensionless]
+ */
+function _emis_atm(t_air, rh) {
+  const e = (rh * p_sat(t_air - 273.15)) / 100;
+  return 0.575 * Math.pow(e, 0.143);
+}
+
+/**
+ * Dynamic viscosity of air.
+ *
+ * @param {number} t_air - air temperature, [K]
+ * @returns {number} viscosity, [kg/(m s)]
+ */
+function _viscosity(t_air) {
+  const sigma = 3.617;
+  const eps_kappa = 97.0;
+  const omega = ((t_air / eps_kappa - 2.9) / 0.4) * -0.034 + 1.048;
+  return (2.6693e-6 * Math.sqrt(m_air * t_air)) / (sigma * sigma * omega);
+}
+
+/**
+ * Thermal conductivity of air.
+ *
+ * @param {number} t_air - air temperature, [K]
+ * @returns {number} thermal conductivity, [W/(m K)]
+ */
+function _thermal_conductivity(t_air) {
+  return (cp + 1.25 * r_air) * _viscosity(t_air);
+}
+
+/**
+ * Diffusivity of water vapour in air.
+ *
+ * @param {number} t_air - air temperature, [K]
+ * @param {number} p_air - atmospheric pressure, [hPa]
+ * @returns {number} diffusivity, [m2/s]
+ */
+function _diffusivity(t_air, p_air) {
+  const p_crit_13 = Math.pow(36.4 * 218.0, 1 / 3);
+  const t_crit_512 = Math.pow(132.0 * 647.3, 5 / 12);
+  const t_crit_12 = Math.sqrt(132.0 * 647.3);
+  const m_mix = Math.sqrt(1 / m_air + 1 / m_h2o);
+  return (
+    ((3.64e-4 *
+      Math.pow(t_air / t_crit_12, 2.334) *
+      p_crit_13 *
+      t_crit_512 *
+      m_mix) /
+      (p_air / 1013.25)) *
+    1e-4
+  );
+}
+
+/**
+ * Heat of evaporation of water.
+ *
+ * @param {number} t_air - air temperature, [K]
+ * @returns {number} heat of evaporation, [J/kg]
+ */
+function _evaporation_heat(t_air) {
+  return ((313.15 - t_air) / 30) * -71100 + 2.4073e6;
+}
@@ -1,4 +1,47 @@
-import { round } from "../utilities/utilities.js";
+import {
+  round,
+  units_converter,
+  units_converter_array,
+} from "../utilities/utilities.js";
+
+/**
+ * @typedef {"no risk" | "10 to 30 minutes" | "5 to 10 minutes" | "2 to 5 minutes" | "less than 2 minutes"} WcStressCategory
+ */
+
+/**
+ * @typedef {Object} WcKwargs
+ * @property {boolean} [round=true] - If True rounds output value, if False it does not round it.
+ * @property {"SI" | "IP"} [units="SI"] - select the SI (International System of Units) or the IP (Imperial Units)
+ * system.
+ * @property {boolean} [return_stress_category=false] - If True also returns the stress category, i.e. the time it
+ * takes for exposed skin to freeze.
+ * @public
+ */
+
+/**
+ * @typedef {Object} WcReturnType - a result set containing the WCI and optionally the frostbite time
+ * @property {number} wci - wind chill index, [W/m2]
+ * @property {WcStressCategory} [stress_category] - time it takes for exposed skin to freeze, only returned if
+ * `return_stress_category` is True
+ * @public
+ */
+
+/**
+ * @typedef {Object} WcArrayReturnType - a result set containing the WCI and optionally the frostbite time arrays
+ * @property {number[]} wci - wind chill index, [W/m2]
+ * @property {WcStressCategory[]} [stress_category] - time it takes for exposed skin to freeze, only returned if
+ * `return_stress_category` is True
+ * @public
+ */
+
+const frostbite_times = [
+  "less than 2 minutes",
+  "2 to 5 minutes",
+  "5 to 10 minutes",
+  "10 to 30 minutes",
+  "no risk",
+];
+const frostbite_wct_upper_limits = [-55, -48, -40, -28, Infinity];
 
 /**
  * Calculates the Wind Chill Index (WCI) in accordance with the ASHRAE 2017 Handbook Fundamentals - Chapter 9 {@link #ref_18|[18]}.
@@ -13,22 +56,122 @@ import { round } from "../utilities/utilities.js";
  * increases. Nonetheless, this score reliably represents the combined effects of temperature and wind on subjective discomfort
  * for velocities below 80 km/h {@link #ref_18|[18]}.
  *
+ * The stress category is the frostbite time estimated from the wind chill temperature used by Environment and Climate Change Canada
+ * {@link #ref_31|[31]}, exposed skin can freeze in 10 to 30 minutes if the wind chill temperature is -28 °C or lower,
+ * in 5 to 10 minutes at -40 °C or lower, in 2 to 5 minutes at -48 °C or lower and in less than 2 minutes at -55 °C or
+ * lower.
+ *
+ * @see {@link wc_array} for a version that supports arrays
+ *
  * @public
  * @memberof models
  * @docname Wind chill index
  *
- * @param {number} tdb - dry bulb air temperature,[°C]
- * @param {number} v - wind speed 10m above ground level, [m/s]
- * @param {object} [kwargs] (Optional) Other parameters.
- * @param {boolean} [kwargs.round=true] - If True rounds output value, if False it does not round it.
- * @returns {{wci: number}} wind chill index, [W/m2]
+ * @param {number} tdb - dry bulb air temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @param {number} v - wind speed 10m above ground level, default in [m/s] in [fps] if `units` = 'IP'
+ * @param {WcKwargs} [kwargs] (Optional) Other parameters.
+ * @returns {WcReturnType} wind chill index, [W/m2]. If `return_stress_category` is True the frostbite time is
+ * also returned.
+ *
+ * @example
+ * const result = wc(-10, 11);
+ * console.log(result); // { wci: 1631.1 }
+ *
+ * @example
+ * const result = wc(-10, 11, { return_stress_category: true });
+ * console.log(result); // { wci: 1631.1, stress_category: "no risk" }
  */
 export function wc(tdb, v, kwargs = { round: true }) {
-  let wci = (10.45 + 10 * Math.pow(v, 0.5) - v) * (33 - tdb);
-  // the factor 1.163 is used to convert to W/m2
-  wci = wci * 1.163;
-  if (kwargs.round) {
+  const opt = Object.assign(
+    { units: "SI", return_stress_category: false },
+    kwargs,
+  );
+
+  if (opt.units === "IP") {
+    ({ tdb, v } = units_converter({ tdb, v }));
+  }
+
+  let wci = calculate_wci(tdb, v);
+  if (opt.round) {
     wci = round(wci, 1);
   }
+
+  if (opt.return_stress_category) {
+    return { wci: wci, stress_category: frostbite_time(tdb, v) };
+  }
   return { wci: wci };
 }
+
+/**
+ * Calculates the Wind Chill Index (WCI) when the input parameters are arrays.
+ *
+ * @see {@link wc} for scalar arguments and a description of the frostbite times
+ *
+ * @public
+ * @memberof models
+ * @docname Wind chill index (array version)
+ *
+ * @param {number[]} tdb - dry bulb air temperature, default in [°C] in [°F] if `units` = 'IP'
+ * @param {number[]} v - wind speed 10m above ground level, default in [m/s] in [fps] if `units` = 'IP'
+ * @param {WcKwargs} [kwargs] (Optional) Other parameters.
+ * @returns {WcArrayReturnType} wind chill index, [W/m2]. If `return_stress_category` is True the frostbite times
+ * are also returned.
+ *
+ * @example
+ * const result = wc_array([0, -30], [0.1, 10], { return_stress_category: true });
+ * console.log(result);
+ * // { wci: [518.6, 2349.9], stress_category: ["no risk", "5 to 10 minutes"] }
+ */
+export function wc_array(tdb, v, kwargs = { round: true }) {
+  const opt = Object.assign(
+    { units: "SI", return_stress_category: false },
+    kwargs,
+  );
+
+  if (opt.units === "IP") {
+    ({ tdb, v } = units_converter_array({ tdb, v }));
+  }
+
+  let wci = tdb.map((_tdb, i) => calculate_wci(_tdb, v[i]));
+  if (opt.round) {
+    wci = wci.map((_wci) => round(_wci, 1));
+  }
+
+  if (opt.return_stress_category) {
+    return {
+      wci: wci,
+      stress_category: tdb.map((_tdb, i) => frostbite_time(_tdb, v[i])),
+    };
+  }
+  return { wci: wci };
+}
+
+/**
+ * @param {number} tdb - dry bulb air temperature, [°C]
+ * @param {number} v - wind speed 10m above ground level, [m/s]
+ * @returns {number} wind chill index, [W/m2]
+ */
+function calculate_wci(tdb, v) {
+  const wci = (10.45 + 10 * Math.pow(v, 0.5) - v) * (33 - tdb);
+  // the factor 1.163 is used to convert to W/m2
+  return wci * 1.163;
+}
+
+/**
+ * @param {number} tdb - dry bulb air temperature, [°C]
+ * @param {number} v - wind speed 10m above ground level, [m/s]
+ * @returns {WcStressCategory} time it takes for exposed skin to freeze
+ */
+function frostbite_time(tdb, v) {
+  const v_kmh = v * 3.6;
+  // the wind chill temperature is only defined for wind speeds above 4.8 km/h
+  const wct =
+    v_kmh < 4.8
+      ? tdb
+      : 13.12 +
+        0.6215 * tdb -
+        11.37 * Math.pow(v_kmh, 0.16) +
+        0.3965 * tdb * Math.pow(v_kmh, 0.16);
+  const index = frostbite_wct_upper_limits.findIndex((limit) => wct <= limit);
+  return frostbite_times[index];
+}
@@ -0,0 +1,206 @@
+import { body_surface_area, round } from "../utilities/utilities.js";
+import { phs_schedule } from "./phs.js";
+import { wbgt } from "./wbgt.js";
+
+/**
+ * @typedef {Object} WorkRestHour - environmental conditions during one hour
+ * @property {number} tdb - dry bulb air temperature, [°C]
+ * @property {number} tr - mean radiant temperature, [°C]
+ * @property {number} v - air speed, [m/s]
+ * @property {number} rh - relative humidity, [%]
+ * @property {number} [twb] - natural (no forced air flow) wet bulb temperature, [°C]
+ * @property {number} [tg] - globe temperature, [°C]
+ * @property {number} [wbgt] - Wet Bulb Globe Temperature, [°C]. If it is not provided it is calculated from
+ * `twb` and `tg`, if neither is provided the WBGT cross-check is skipped for that hour.
+ * @public
+ */
+
+/**
+ * @typedef {Object} WorkRestKwargs
+ * @property {number} [rest_met=65] - metabolic rate during the rest periods, [W/(m2)]
+ * @property {number} [clo=0.5] - clothing insulation, [clo]
+ * @property {1 | 2 | 3} [posture=2] - posture during work [sitting=1, standing=2, crouching=3], the rest periods are
+ * always spent sitting
+ * @property {number[]} [work_fractions=[1, 0.75, 0.5, 0.25]] - fractions of each hour spent working that are
+ * tested, from the largest to the smallest
+ * @property {number} [acclimatized=100] - 100 if acclimatized subject, 0 otherwise
+ * @property {0 | 1} [drink=1] - 1 if workers can drink freely, 0 otherwise
+ * @property {number} [weight=75] - body weight, [kg]
+ * @property {number} [height=1.8] - height, [m]
+ * @public
+ */
+
+/**
+ * @typedef {"t_re" | "water_loss" | "wbgt"} WorkRestConstraint
+ */
+
+/**
+ * @typedef {Object} WorkRestRecommendation
+ * @property {number} hour - index of the hour in the input array
+ * @property {number} work_fraction - recommended fraction of the hour spent working, 0 if the worker should rest
+ * for the whole hour
+ * @property {number} work_minutes - minutes of work at the beginning of the hour
+ * @property {number} rest_minutes - minutes of rest at the end of the hour
+ * @property {number} t_re - rectal temperature at the end of the hour, [°C]
+ * @property {number} water_loss - water loss since the beginning of the first hour, [g]
+ * @property {number} wbgt - Wet Bulb Globe Temperature, NaN if it is not available, [°C]
+ * @property {number} wbgt_limit - ISO 7243 WBGT reference value for the time-weighted metabolic rate, [°C]
+ * @property {WorkRestConstraint | null} binding_constraint - constraint that prevents a larger work fraction,
+ * null if the worker can work for the whole hour
+ * @public
+ */
+
+/**
+ * Recommends a work/rest cycle for each hour of a working day in a hot environment. For each hour, the work
+ * fractions are tested from the largest to the smallest and the first one that satisfies all the following
+ * constraints is selected:
+ * - the rectal temperature predicted by the PHS model {@link #ref_8|[8]} stays below 38 °C;
+ * - the water loss predicted by the PHS model, accumulated since the beginning of the day, stays below 5% of the
+ *   body mass, or 3% if workers cannot drink freely;
+ * - the WBGT does not exceed the ISO 7243 reference value {@link #ref_11|[11]} for the time-weighted average
+ *   metabolic rate of the hour.
+ *
+ * Each hour starts with the work period followed by the rest period, which is spent sitting in the same
+ * environment. The physiological state of the worker is carried from one hour to the next. If none of the work
+ * fractions satisfies the constraints the worker should rest for the whole hour.
+ *
+ * @public
+ * @memberof models
+ * @docname Work/rest cycle recommendation
+ *
+ * @param {WorkRestHour[]} hours - hourly environmental conditions
+ * @param {number} met - metabolic rate of the task, [W/(m2)]
+ * @param {WorkRestKwargs} [kwargs] - additional arguments
+ *
+ * @returns {WorkRestRecommendation[]} recommended work/rest cycle for each hour
+ *
+ * @example
+ * import { work_rest_schedule } from "jsthermalcomfort";
+ * const hour = { tdb: 33, tr: 33, v: 0.3, rh: 50, twb: 26, tg: 34 };
+ * const schedule = work_rest_schedule([hour, hour], 200);
+ * console.log(schedule[0]);
+ * // {
+ * //   hour: 0,
+ * //   work_fraction: 0.5,
+ * //   work_minutes: 30,
+ * //   rest_minutes: 30,
+ * //   t_re: 37.2,
+ * //   water_loss: 405.8,
+ * //   wbgt: 28.4,
+ * //   wbgt_limit: 29,
+ * //   binding_constraint: "wbgt",
+ * // }
+ */
+export function work_rest_schedule(hours, met, kwargs = {}) {
+  const default_kwargs = {
+    rest_met: 65,
+    clo: 0.5,
+    posture: 2,
+    work_fractions: [1, 0.75, 0.5, 0.25],
+    acclimatized: 100,
+    drink: 1,
+    weight: 75,
+    height: 1.8,
+  };
+  const joint_kwargs = Object.assign(default_kwargs, kwargs);
+  const { rest_met, clo, posture, work_fractions, acclimatized, drink } =
+    joint_kwargs;
+  const { weight, height } = joint_kwargs;
+
+  const bsa = body_surface_area(weight, height);
+  const max_water_loss = (drink === 0 ? 0.03 : 0.05) * weight * 1000;
+  const phs_kwargs = { acclimatized, drink, weight, height, round: false };
+
+  // physiological state of the worker at the end of the previous hour
+  let state = { t_sk: 34.1, t_cr: 36.8, t_re: 36.8, t_cr_eq: 36.8 };
+  let sweat_rate = 0;
+  let water_loss = 0;
+  /** @type {WorkRestRecommendation[]} */
+  const recommendations = [];
+
+  hours.forEach((hour, index) => {
+    const wbgt_value =
+      hour.wbgt ??
+      (hour.twb !== undefined && hour.tg !== undefined
+        ? wbgt(hour.twb, hour.tg, { round: false })
+        : NaN);
+
+    /** @type {WorkRestConstraint | null} */
+    let binding_constraint = null;
+    for (const work_fraction of [...work_fractions, 0]) {
+      const work_minutes = Math.round(work_fraction * 60);
+      const hour_segments = [
+        { ...hour, met, clo, posture, duration: work_minutes },
+        {
+          ...hour,
+          met: rest_met,
+          clo,
+          posture: 1,
+          duration: 60 - work_minutes,
+        },
+      ].filter((segment) => segment.duration > 0);
+      const result = phs_schedule(hour_segments, {
+        ...phs_kwargs,
+        ...state,
+        sweat_rate,
+      });
+      // phs_schedule starts the water loss from the initial sweat rate, which was already accounted for in the
+      // previous hour
+      const hour_water_loss =
+        result.water_loss.at(-1) - (sweat_rate * 2.67 * bsa) / 1.8 / 60;
+      const wbgt_limit = wbgt_reference_value(
+        (work_fraction * met + (1 - work_fraction) * rest_met) * bsa,
+        acclimatized,
+      );
+
+      /** @type {WorkRestConstraint | null} */
+      let violated = null;
+      if (Math.max(...result.t_re) >= 38) {
+        violated = "t_re";
+      } else if (water_loss + hour_water_loss >= max_water_loss) {
+        violated = "water_loss";
+      } else if (wbgt_value > wbgt_limit) {
+        violated = "wbgt";
+      }
+
+      if (violated === null || work_fraction === 0) {
+        state = {
+          t_sk: result.t_sk.at(-1),
+          t_cr: result.t_cr.at(-1),
+          t_re: result.t_re.at(-1),
+          t_cr_eq: result.t_cr_eq.at(-1),
+        };
+        sweat_rate = result.water_loss_watt.at(-1);
+        water_loss += hour_water_loss;
+        recommendations.push({
+          hour: index,
+          work_fraction,
+          work_minutes,
+          rest_minutes: 60 - work_minutes,
+          t_re: round(state.t_re, 1),
+          water_loss: round(water_loss, 1),
+          wbgt: round(wbgt_value, 1),
+          wbgt_limit: round(wbgt_limit, 1),
+          binding_constraint: violated ?? binding_constraint,
+        });
+        return;
+      }
+      binding_constraint = violated;
+    }
+  });
+
+  return recommendations;
+}
+
+/**
+ * Calculates the WBGT reference value of the ISO 7243 Annex A.
+ *
+ * @param {number} met - metabolic rate, [W]
+ * @param {number} acclimatized - 100 if acclimatized subject, 0 otherwise
+ * @returns {number} WBGT reference value, [°C]
+ */
+function wbgt_reference_value(met, acclimatized) {
+  return acclimatized >= 50
+    ? 56.7 - 11.5 * Math.log10(met)
+    : 59.9 - 14.1 * Math.log10(met);
+}
@@ -5,7 +5,11 @@ import { enthalpy } from "./enthalpy.js";
 import { t_wb } from "./t_wb.js";
 import { t_dp } from "./t_dp.js";
 import { t_mrt, t_mrt_array } from "./t_mrt.js";
+import { t_globe, t_globe_transient } from "./t_globe.js";
+import { t_mrt_outdoor, t_mrt_outdoor_array } from "./t_mrt_outdoor.js";
+import { t_mrt_surfaces } from "./t_mrt_surfaces.js";
 import { psy_ta_rh } from "./psy_ta_rh.js";
+import { psy_state, psy_state_array } from "./psy_state.js";
 
 /**
  * @public
@@ -17,6 +21,8 @@ export default {
   p_sat_torr,
   p_sat_torr_array,
   psy_ta_rh,
+  psy_state,
+  psy_state_array,
   t_o,
   t_o_array,
   enthalpy,
@@ -24,4 +30,9 @@ export default {
   t_dp,
   t_mrt,
   t_mrt_array,
+  t_globe,
+  t_globe_transient,
+  t_mrt_outdoor,
+  t_mrt_outdoor_array,
+  t_mrt_surfaces,
 };
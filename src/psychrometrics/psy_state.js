@@ -0,0 +1,474 @@
+import { p_atm_option, round } from "../utilities/utilities.js";
+import { p_sat } from "./p_sat.js";
+import { enthalpy } from "./enthalpy.js";
+
+// ratio of the molecular masses of water vapour and dry air
+const mass_ratio = 0.621945;
+
+/**
+ * @typedef {"tdb" | "rh" | "twb" | "tdp" | "hr" | "h" | "p_vap"} PsyProperty
+ */
+
+/**
+ * @typedef {Object} PsyStateProperties - two of the following properties of moist air
+ * @property {number} [tdb] - dry bulb air temperature, [°C] in SI units, [°F] in IP units
+ * @property {number} [rh] - relative humidity, [%]
+ * @property {number} [twb] - thermodynamic wet bulb temperature, [°C] in SI units, [°F] in IP units
+ * @property {number} [tdp] - dew point temperature, [°C] in SI units, [°F] in IP units
+ * @property {number} [hr] - humidity ratio, [kg water/kg dry air] in SI units, [lb water/lb dry air] in IP units
+ * @property {number} [h] - enthalpy, [J/kg dry air] in SI units, [Btu/lb dry air] in IP units
+ * @property {number} [p_vap] - partial pressure of water vapour, [Pa] in SI units, [psi] in IP units
+ * @public
+ */
+
+/**
+ * @typedef {Object} PsyStateKwargs
+ * @property {number} [p_atm=101325] - atmospheric pressure, [Pa] in SI units, [atm] in IP units
+ * @property {number} [altitude] - altitude above sea level, [m] in SI units, [ft] in IP units. If provided, the
+ * atmospheric pressure is calculated from it with {@link #p_atm_altitude|p_atm_altitude}, it cannot be used together
+ * with `p_atm`.
+ * @property {"SI" | "IP"} [units="SI"] - select the SI (International System of Units) or the IP (Imperial Units)
+ * system
+ * @property {boolean} [round=true] - if true rounds the output values
+ * @public
+ */
+
+/**
+ * @typedef {Object} PsyStateReturnType
+ * @property {number} tdb - dry bulb air temperature, [°C] in SI units, [°F] in IP units
+ * @property {number} rh - relative humidity, [%]
+ * @property {number} twb - thermodynamic wet bulb temperature, [°C] in SI units, [°F] in IP units
+ * @property {number} tdp - dew point temperature, [°C] in SI units, [°F] in IP units
+ * @property {number} hr - humidity ratio, [kg water/kg dry air] in SI units, [lb water/lb dry air] in IP units
+ * @property {number} h - enthalpy, [J/kg dry air] in SI units, [Btu/lb dry air] in IP units
+ * @property {number} p_vap - partial pressure of water vapour, [Pa] in SI units, [psi] in IP units
+ * @property {number} p_sat - saturation vapour pressure at the dry bulb temperature, [Pa] in SI units, [psi] in IP
+ * units
+ * @property {number} specific_volume - volume of moist air per unit mass of dry air, [m3/kg dry air] in SI units,
+ * [ft3/lb dry air] in IP units
+ * @property {number} density - mass of moist air per unit volume, [kg/m3] in SI units, [lb/ft3] in IP units
+ * @property {number} degree_saturation - ratio between the humidity ratio and the humidity ratio of saturated air
+ * at the same temperature and pressure
+ * @property {number} p_atm - atmospheric pressure, [Pa] in SI units, [atm] in IP units
+ * @public
+ */
+
+/**
+ * @typedef {Object} PsyStateArrayReturnType
+ * @property {number[]} tdb
+ * @property {number[]} rh
+ * @property {number[]} twb
+ * @property {number[]} tdp
+ * @property {number[]} hr
+ * @property {number[]} h
+ * @property {number[]} p_vap
+ * @property {number[]} p_sat
+ * @property {number[]} specific_volume
+ * @property {number[]} density
+ * @property {number[]} degree_saturation
+ * @property {number[]} p_atm
+ * @public
+ */
+
+/**
+ * Calculates the psychrometric state of moist air from any two independent properties among dry bulb temperature,
+ * relative humidity, wet bulb temperature, dew point temperature, humidity ratio, enthalpy and partial pressure of
+ * water vapour, at a given atmospheric pressure or altitude. The equations are those of the ASHRAE Handbook
+ * Fundamentals {@link #ref_18|[18]}: the humidity ratio is calculated from the partial pressure of water vapour,
+ * the thermodynamic wet bulb temperature from the energy balance of the adiabatic saturation process, over water
+ * or ice, and the specific volume from the ideal gas law. The saturation pressure is calculated with
+ * {@link #p_sat|p_sat} and the enthalpy with {@link #enthalpy|enthalpy}.
+ *
+ * Contrary to {@link #t_wb|t_wb} and {@link #t_dp|t_dp} the results depend on the atmospheric pressure. When
+ * the dry bulb temperature is not one of the two properties it is solved iteratively. The humidity ratio, the dew
+ * point temperature and the partial pressure of water vapour all describe the water content of the air, hence two of
+ * them cannot be used together. The lines of constant wet bulb temperature and of constant enthalpy are almost
+ * parallel, so that pair gives inaccurate results. In IP units the enthalpy is referenced to dry air at 0 °F, as in the IP
+ * psychrometric charts.
+ *
+ * @public
+ * @memberof psychrometrics
+ *
+ * @see {@link psy_state_array} for a version that supports arrays
+ *
+ * @param {PsyStateProperties} properties - two properties of moist air
+ * @param {PsyStateKwargs} [kwargs] - additional arguments
+ * @returns {PsyStateReturnType} psychrometric state of moist air
+ *
+ * @example
+ * const state = psy_state({ tdb: 25, tdp: 14 });
+ * console.log(state.rh); // 50.4
+ * console.log(state.twb); // 18
+ *
+ * @example
+ * const state = psy_state({ twb: 18, rh: 50 }, { altitude: 1600 });
+ * console.log(state.tdb); // 25.7
+ */
+export function psy_state(properties, kwargs = {}) {
+  const default_kwargs = {
+    p_atm: undefined,
+    altitude: undefined,
+    units: "SI",
+    round: true,
+  };
+  const joint_kwargs = Object.assign(default_kwargs, kwargs);
+
+  const names = /** @type {PsyProperty[]} */ (
+    Object.keys(properties).filter((name) => properties[name] !== undefined)
+  );
+  if (names.length !== 2) {
+    throw new Error("Please provide exactly two properties of moist air");
+  }
+  for (const name of names) {
+    if (!(name in to_si)) throw new Error(`Unknown property ${name}`);
+  }
+
+  /** @type {Object.<string, number>} */
+  const values = {};
+  const units = joint_kwargs.units.toUpperCase();
+  if (units === "IP") {
+    for (const name of names) values[name] = to_si[name](properties[name]);
+  } else if (units === "SI") {
+    for (const name of names) values[name] = properties[name];
+  } else {
+    throw new Error(`Unknown system ${joint_kwargs.units}`);
+  }
+
+  const p_atm = p_atm_option(joint_kwargs, units) ?? 101325;
+
+  const state = calculate_state(names, values, p_atm);
+  if (state.rh > 100.05) {
+    throw new Error(
+      "The air would be supersaturated, relative humidity > 100%",
+    );
+  }
+
+  /** @type {Object.<string, number>} */
+  const result =
+    units === "IP"
+      ? Object.fromEntries(
+          Object.entries(state).map(([name, value]) => [
+            name,
+            to_ip[name](value),
+          ]),
+        )
+      : state;
+
+  if (joint_kwargs.round) {
+    const precision = units === "IP" ? precision_ip : precision_si;
+    for (const name of Object.keys(result)) {
+      result[name] = round(result[name], precision[name]);
+    }
+  }
+
+  return /** @type {PsyStateReturnType} */ (result);
+}
+
+/**
+ * Calculates the psychrometric state of moist air from any two independent properties, when the input values are
+ * arrays.
+ *
+ * @public
+ * @memberof psychrometrics
+ *
+ * @see {@link psy_state} for scalar arguments and a description of the method
+ *
+ * @param {Object.<PsyProperty, number[]>} properties - two properties of moist air, see {@link psy_state}
+ * @param {Object} [kwargs] - additional arguments, see {@link psy_state}
+ * @param {number | number[]} [kwargs.p_atm=101325] - atmospheric pressure, [Pa] in SI units, [atm] in IP units
+ * @param {number | number[]} [kwargs.altitude] - altitude above sea level, [m] in SI units, [ft] in IP units
+ * @param {"SI" | "IP"} [kwargs.units="SI"] - select the SI or the IP system
+ * @param {boolean} [kwargs.round=true] - if true rounds the output values
+ * @returns {PsyStateArrayReturnType} psychrometric state of moist air
+ *
+ * @example
+ * const state = psy_state_array({ tdb: [25, 30], twb: [18, 20] });
+ * console.log(state.rh); // [50.7, 39.7]
+ */
+export function psy_state_array(properties, kwargs = {}) {
+  const lengths = [...Object.values(properties), ...Object.values(kwargs)]
+    .filter((value) => Array.isArray(value))
+    .map((value) => value.length);
+  if (lengths.length === 0) {
+    throw new Error("At least one of the inputs should be an array");
+  }
+  if (lengths.some((length) => length !== lengths[0])) {
+    throw new Error("Provided arrays are not the same lengths");
+  }
+  const length = lengths[0];
+
+  const results = Array.from({ length }, (_, index) => {
+    /** @type {Object.<string, number>} */
+    const element_properties = {};
+    for (const [name, value] of Object.entries(properties)) {
+      element_properties[name] = Array.isArray(value) ? value[index] : value;
+    }
+    /** @type {Object} */
+    const element_kwargs = {};
+    for (const [name, value] of Object.entries(kwargs)) {
+      element_kwargs[name] = Array.isArray(value) ? value[index] : value;
+    }
+    return psy_state(element_properties, element_kwargs);
+  });
+
+  /** @type {Object.<string, number[]>} */
+  const state = {};
+  for (const name of Object.keys(precision_si)) {
+    state[name] = results.map((result) => result[name]);
+  }
+  return /** @type {PsyStateArrayReturnType} */ (state);
+}
+
+/**
+ * @param {number} p_vap - partial pressure of water vapour, [Pa]
+ * @param {number} p_atm - atmospheric pressure, [Pa]
+ * @returns {number} humidity ratio, [kg water/kg dry air]
+ */
+function hr_p_vap(p_vap, p_atm) {
+  return (mass_ratio * p_vap) / (p_atm - p_vap);
+}
+
+/**
+ * Humidity ratio from the dry bulb and the thermodynamic wet bulb temperatures.
+ *
+ * @param {number} tdb - dry bulb air temperature, [°C]
+ * @param {number} twb - thermodynamic wet bulb temperature, [°C]
+ * @param {number} p_atm - atmospheric pressure, [Pa]
+ * @returns {number} humidity ratio, [kg water/kg dry air]
+ */
+function hr_twb(tdb, twb, p_atm) {
+  const hr_sat = hr_p_vap(p_sat(twb), p_atm);
+  if (twb >= 0) {
+    return (
+      ((2501 - 2.326 * twb) * hr_sat - 1.006 * (tdb - twb)) /
+      (2501 + 1.86 * tdb - 4.186 * twb)
+    );
+  }
+  return (
+    ((2830 - 0.24 * twb) * hr_sat - 1.006 * (tdb - twb)) /
+    (2830 + 1.86 * tdb - 2.1 * twb)
+  );
+}
+
+/**
+ * Humidity ratio of air at a given dry bulb temperature and with one other known property.
+ *
+ * @param {number} tdb - dry bulb air temperature, [°C]
+ * @param {PsyProperty} name - name of the other property
+ * @param {number} value - value of the other property, in SI units
+ * @param {number} p_atm - atmospheric pressure, [Pa]
+ * @returns {number} humidity ratio, [kg water/kg dry air]
+ */
+function hr_from(tdb, name, value, p_atm) {
+  switch (name) {
+    case "rh":
+      return hr_p_vap((value / 100) * p_sat(tdb), p_atm);
+    case "twb":
+      return hr_twb(tdb, value, p_atm);
+    case "tdp":
+      return hr_p_vap(p_sat(value), p_atm);
+    case "hr":
+      return value;
+    case "h":
+      return (value - 1004 * tdb) / (2501000 + 1805 * tdb);
+    case "p_vap":
+      return hr_p_vap(value, p_atm);
+  }
+}
+
+/**
+ * Finds the dry bulb temperature at which two properties give the same humidity ratio. The root is bracketed
+ * scanning the temperature range and then refined by bisection.
+ *
+ * @param {PsyProperty[]} names
+ * @param {Object.<string, number>} values
+ * @param {number} p_atm
+ * @returns {number} dry bulb air temperature, [°C]
+ */
+function solve_tdb(names, values, p_atm) {
+  /** @param {number} tdb */
+  const residual = (tdb) =>
+    hr_from(tdb, names[0], values[names[0]], p_atm) -
+    hr_from(tdb, names[1], values[names[1]], p_atm);
+
+  // the dry bulb temperature cannot be lower than the wet bulb and the dew point temperatures
+  let lower = Math.max(-100, values.twb ?? -100, values.tdp ?? -100);
+  const upper = 200;
+  const step = 1;
+  let f_lower = residual(lower);
+  for (let tdb = lower + step; tdb <= upper; tdb += step) {
+    const f_tdb = residual(tdb);
+    if (f_lower === 0) return lower;
+    if (Number.isFinite(f_lower) && Number.isFinite(f_tdb)) {
+      if (Math.sign(f_lower) !== Math.sign(f_tdb)) {
+        let upper_bracket = tdb;
+        for (let i = 0; i < 100; i++) {
+          const middle = (lower + upper_bracket) / 2;
+          const f_middle = residual(middle);
+          if (Math.sign(f_middle) === Math.sign(f_lower)) {
+            lower = middle;
+            f_lower = f_middle;
+          } else {
+            upper_bracket = middle;
+          }
+          if (upper_bracket - lower < 1e-8) break;
+        }
+        return (lower + upper_bracket) / 2;
+      }
+    }
+    lower = tdb;
+    f_lower = f_tdb;
+  }
+  throw new Error("No psychrometric state matches the given properties");
+}
+
+/**
+ * Dew point temperature, the temperature at which the saturation pressure equals the partial pressure of water
+ * vapour, solved by bisection.
+ *
+ * @param {number} p_vap - partial pressure of water vapour, [Pa]
+ * @returns {number} dew point temperature, [°C]
+ */
+function tdp_p_vap(p_vap) {
+  let lower = -100;
+  let upper = 200;
+  for (let i = 0; i < 100 && upper - lower > 1e-8; i++) {
+    const middle = (lower + upper) / 2;
+    if (p_sat(middle) < p_vap) lower = middle;
+    else upper = middle;
+  }
+  return (lower + upper) / 2;
+}
+
+/**
+ * Thermodynamic wet bulb temperature, solved by bisection between the dew point and the dry bulb temperatures.
+ *
+ * @param {number} tdb - dry bulb air temperature, [°C]
+ * @param {number} hr - humidity ratio, [kg water/kg dry air]
+ * @param {number} tdp - dew point temperature, [°C]
+ * @param {number} p_atm - atmospheric pressure, [Pa]
+ * @returns {number} wet bulb temperature, [°C]
+ */
+function twb_hr(tdb, hr, tdp, p_atm) {
+  let lower = Math.min(tdp, tdb);
+  let upper = tdb;
+  for (let i = 0; i < 100 && upper - lower > 1e-8; i++) {
+    const middle = (lower + upper) / 2;
+    if (hr_twb(tdb, middle, p_atm) < hr) lower = middle;
+    else upper = middle;
+  }
+  return (lower + upper) / 2;
+}
+
+/**
+ * @param {PsyProperty[]} names
+ * @param {Object.<string, number>} values - values of the properties, in SI units
+ * @param {number} p_atm - atmospheric pressure, [Pa]
+ * @returns {Omit<PsyStateReturnType, never>}
+ */
+function calculate_state(names, values, p_atm) {
+  const water_content = names.filter(
+    (name) => name === "hr" || name === "tdp" || name === "p_vap",
+  );
+  if (water_content.length === 2) {
+    throw new Error(
+      `${water_content[0]} and ${water_content[1]} are not independent, please provide a different pair of properties`,
+    );
+  }
+
+  let tdb = values.tdb;
+  if (tdb === undefined) {
+    tdb = solve_tdb(names, values, p_atm);
+  }
+  const other = names.find((name) => name !== "tdb");
+  const hr = hr_from(tdb, other, values[other], p_atm);
+  if (hr < 0) {
+    throw new Error("No psychrometric state matches the given properties");
+  }
+
+  const p_vap = (p_atm * hr) / (mass_ratio + hr);
+  const p_saturation = p_sat(tdb);
+  const tdp = other === "tdp" ? values.tdp : tdp_p_vap(p_vap);
+  const twb = other === "twb" ? values.twb : twb_hr(tdb, hr, tdp, p_atm);
+  const specific_volume =
+    (287.042 * (tdb + 273.15) * (1 + 1.607858 * hr)) / p_atm;
+
+  return {
+    tdb,
+    rh: (100 * p_vap) / p_saturation,
+    twb,
+    tdp,
+    hr,
+    h: enthalpy(tdb, hr),
+    p_vap,
+    p_sat: p_saturation,
+    specific_volume,
+    density: (1 + hr) / specific_volume,
+    degree_saturation: hr / hr_p_vap(p_saturation, p_atm),
+    p_atm,
+  };
+}
+
+/** @param {number} value */
+const temperature_to_si = (value) => ((value - 32) * 5) / 9;
+/** @param {number} value */
+const temperature_to_ip = (value) => (value * 9) / 5 + 32;
+/** @param {number} value */
+const pressure_to_si = (value) => value * 6894.757;
+/** @param {number} value */
+const pressure_to_ip = (value) => value / 6894.757;
+/** @param {number} value */
+const same = (value) => value;
+
+/** @type {Object.<string, (value: number) => number>} */
+const to_si = {
+  tdb: temperature_to_si,
+  rh: same,
+  twb: temperature_to_si,
+  tdp: temperature_to_si,
+  hr: same,
+  h: (value) => (value - 7.68) * 2326,
+  p_vap: pressure_to_si,
+};
+
+/** @type {Object.<string, (value: number) => number>} */
+const to_ip = {
+  tdb: temperature_to_ip,
+  rh: same,
+  twb: temperature_to_ip,
+  tdp: temperature_to_ip,
+  hr: same,
+  h: (value) => value / 2326 + 7.68,
+  p_vap: pressure_to_ip,
+  p_sat: pressure_to_ip,
+  specific_volume: (value) => value * 16.01846,
+  density: (value) => value * 0.06242796,
+  degree_saturation: same,
+  p_atm: (value) => value / 101325,
+};
+
+/** @type {Object.<string, number>} */
+const precision_si = {
+  tdb: 1,
+  rh: 1,
+  twb: 1,
+  tdp: 1,
+  hr: 5,
+  h: 0,
+  p_vap: 0,
+  p_sat: 0,
+  specific_volume: 4,
+  density: 4,
+  degree_saturation: 3,
+  p_atm: 0,
+};
+
+/** @type {Object.<string, number>} */
+const precision_ip = {
+  ...precision_si,
+  h: 2,
+  p_vap: 4,
+  p_sat: 4,
+  specific_volume: 3,
+  p_atm: 4,
+};
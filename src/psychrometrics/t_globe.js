@@ -0,0 +1,135 @@
+import { round } from "../utilities/utilities.js";
+import { brent } from "../models/cooling_effect.js";
+import { get_tr_iso, get_tr_mixed_convection } from "./t_mrt.js";
+
+const c_to_k = 273.15;
+const o = 0.0000000567;
+
+/**
+ * Calculates the temperature that a globe thermometer reaches in steady state, given the air temperature, the mean
+ * radiant temperature and the air speed. It is the inverse of {@link t_mrt} and it is solved iteratively using the
+ * same convective heat transfer formulations, either the Mixed Convection developed by Teitelbaum E. et al. (2022)
+ * {@link #ref_22|[22]} or the ISO 7726:1998 Standard {@link #ref_5|[5]}.
+ *
+ * @public
+ * @memberof psychrometrics
+ *
+ * @see {@link t_globe_transient} to correct the readings of a globe thermometer for its response time
+ *
+ * @param {number} tdb - air temperature, [°C]
+ * @param {number} tr - mean radiant temperature, [°C]
+ * @param {number} v - air speed, [m/s]
+ * @param {number} [d=0.15] - diameter of the globe, [m]
+ * @param {number} [emissivity=0.95] - emissivity of the globe temperature sensor
+ * @param {"Mixed Convection" | "ISO"} [standard="Mixed Convection"] - either choose between the Mixed Convection
+ * and ISO formulations. Refer to the {@link #t_mrt|t_mrt} function for more information. The Mixed Convection model
+ * returns NaN for globes with a diameter outside 0.04 and 0.15 m.
+ * @returns {number} globe temperature, [°C]
+ *
+ * @example
+ * const tg = t_globe(30, 74.8, 0.3, 0.1, 0.95, "ISO"); // returns 53.2
+ */
+export function t_globe(
+  tdb,
+  tr,
+  v,
+  d = 0.15,
+  emissivity = 0.95,
+  standard = "Mixed Convection",
+) {
+  standard = standard.toLowerCase();
+  let get_tr;
+  if (standard === "mixed convection") {
+    if (d < 0.04 || d > 0.15) return NaN;
+    get_tr = get_tr_mixed_convection;
+  } else if (standard === "iso") {
+    get_tr = get_tr_iso;
+  } else {
+    throw new Error(
+      "No standard found, please choose standard from ISO and Mixed Convection",
+    );
+  }
+
+  if (tdb === tr) return round(tdb, 1);
+
+  // the globe temperature is always between the air and the mean radiant temperatures
+  const tg = brent(
+    (_tg) => get_tr(_tg, tdb, v, d, emissivity) - tr,
+    Math.min(tdb, tr),
+    Math.max(tdb, tr),
+    1e-4,
+  );
+  return round(tg, 1);
+}
+
+/**
+ * @typedef {Object} TGlobeTransientKwargs
+ * @property {number} [d=0.15] - diameter of the globe, [m]
+ * @property {number} [emissivity=0.95] - emissivity of the globe temperature sensor
+ * @property {number} [heat_capacity=1725] - heat capacity of the globe shell per unit of surface area,
+ * [J/(m2 K)]. The default value corresponds to a 0.5 mm thick copper shell, a table tennis ball is about
+ * 700 J/(m2 K).
+ * @property {number} [tau] - time constant of the globe, [s]. If provided it is used instead of the one
+ * calculated from the heat capacity and the heat transfer coefficients.
+ * @public
+ */
+
+/**
+ * Corrects a time series of globe temperature readings for the response time of the globe thermometer. The globe is
+ * modelled as a first order system whose time constant is the ratio between the heat capacity of its shell and the
+ * sum of the convective and radiative heat transfer coefficients, calculated as in the ISO 7726:1998 Standard
+ * {@link #ref_5|[5]}. Since the convective heat transfer coefficient increases with the air speed, globes respond
+ * faster in moving air. The corrected values are the temperatures that the globe would have reached in steady state,
+ * tg + tau * dtg/dt, and can be used as input of {@link t_mrt_array}.
+ *
+ * The time derivative is approximated with central differences, and with one-sided differences at the two ends of
+ * the series. Noisy readings should be smoothed before the correction, since it amplifies high frequency noise.
+ *
+ * @public
+ * @memberof psychrometrics
+ *
+ * @see {@link t_globe} for the steady state globe temperature
+ *
+ * @param {number[]} tg - globe temperature readings, [°C]
+ * @param {number[]} time - time of each reading, [s]
+ * @param {number[]} tdb - air temperature, [°C]
+ * @param {number[]} v - air speed, [m/s]
+ * @param {TGlobeTransientKwargs} [kwargs] - additional arguments
+ * @returns {number[]} globe temperatures corrected for the response time of the globe, [°C]
+ *
+ * @example
+ * const tg = t_globe_transient([25, 26, 26.8], [0, 60, 120], [25, 25, 25], [0.1, 0.1, 0.1], { tau: 300 });
+ * console.log(tg); // [30, 30.5, 30.8]
+ */
+export function t_globe_transient(tg, time, tdb, v, kwargs = {}) {
+  const default_kwargs = {
+    d: 0.15,
+    emissivity: 0.95,
+    heat_capacity: 1725,
+    tau: undefined,
+  };
+  const { d, emissivity, heat_capacity, tau } = Object.assign(
+    default_kwargs,
+    kwargs,
+  );
+
+  if (tg.length < 2) {
+    throw new Error("At least two globe temperature readings are required");
+  }
+
+  return tg.map((_tg, i) => {
+    const prev = Math.max(i - 1, 0);
+    const next = Math.min(i + 1, tg.length - 1);
+    const dtg_dt = (tg[next] - tg[prev]) / (time[next] - time[prev]);
+
+    let _tau = tau;
+    if (_tau === undefined) {
+      const h_n = Math.pow(1.4 * (Math.abs(_tg - tdb[i]) / d), 0.25); // natural convection
+      const h_f = (6.3 * Math.pow(v[i], 0.6)) / Math.pow(d, 0.4); // forced convection
+      const h_r = 4 * emissivity * o * Math.pow(_tg + c_to_k, 3);
+      _tau = heat_capacity / (Math.max(h_n, h_f) + h_r);
+    }
+
+    return round(_tg + _tau * dtg_dt, 1);
+  });
+}
@@ -50,7 +50,7 @@ export function t_mrt(
   }
 
   if (standard === "iso") {
-    return get_tr_iso(tg, tdb, v, d, emissivity);
+    return round(get_tr_iso(tg, tdb, v, d, emissivity), 1);
   }
   throw new Error(
     "No standard found, please choose standard from ISO and Mixed Convectioin",
@@ -99,7 +99,7 @@ export function t_mrt_array(
 
   if (standard === "iso") {
     tr_array = tg.map((_tg, i) => {
-      return get_tr_iso(_tg, tdb[i], v[i], d[i], emissivity[i]);
+      return round(get_tr_iso(_tg, tdb[i], v[i], d[i], emissivity[i]), 1);
     });
     return tr_array;
   }
@@ -108,7 +108,17 @@ export function t_mrt_array(
   );
 }
 
-function get_tr_mixed_convection(_tg, _tdb, _v, _d, _emissivity) {
+/**
+ * Mean radiant temperature according to the Mixed Convection formulation, not rounded.
+ *
+ * @param {number} _tg - globe temperature, [°C]
+ * @param {number} _tdb - air temperature, [°C]
+ * @param {number} _v - air speed, [m/s]
+ * @param {number} _d - diameter of the globe, [m]
+ * @param {number} _emissivity - emissivity of the globe
+ * @returns {number} mean radiant temperature, [°C]
+ */
+export function get_tr_mixed_convection(_tg, _tdb, _v, _d, _emissivity) {
   const ra = (g * beta * Math.abs(_tg - _tdb) * _d * _d * _d) / nu / alpha;
   const re = (_v * _d) / nu;
   const n = 1.27 * _d + 0.57;
@@ -135,7 +145,17 @@ function get_tr_mixed_convection(_tg, _tdb, _v, _d, _emissivity) {
   return tr;
 }
 
-function get_tr_iso(_tg, _tdb, _v, _d, _emissivity) {
+/**
+ * Mean radiant temperature according to the ISO 7726 formulation, not rounded.
+ *
+ * @param {number} _tg - globe temperature, [°C]
+ * @param {number} _tdb - air temperature, [°C]
+ * @param {number} _v - air speed, [m/s]
+ * @param {number} _d - diameter of the globe, [m]
+ * @param {number} _emissivity - emissivity of the globe
+ * @returns {number} mean radiant temperature, [°C]
+ */
+export function get_tr_iso(_tg, _tdb, _v, _d, _emissivity) {
   _tg += c_to_k;
   _tdb += c_to_k;
 
@@ -152,5 +172,5 @@ function get_tr_iso(_tg, _tdb, _v, _d, _emissivity) {
       0.25,
     ) - c_to_k;
 
-  return round(tr, 1);
+  return tr;
 }
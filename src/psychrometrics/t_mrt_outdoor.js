@@ -0,0 +1,276 @@
+import { round } from "../utilities/utilities.js";
+
+const c_to_k = 273.15;
+const o = 0.0000000567;
+
+/**
+ * @typedef {Object} DirectionalFluxes - radiation fluxes received from the six directions, [W/m2]
+ * @property {number} sky - flux received from the upper hemisphere by a horizontal surface facing up
+ * @property {number} ground - flux received from the lower hemisphere by a horizontal surface facing down
+ * @property {number} north - flux received by a vertical surface facing north
+ * @property {number} east - flux received by a vertical surface facing east
+ * @property {number} south - flux received by a vertical surface facing south
+ * @property {number} west - flux received by a vertical surface facing west
+ * @public
+ */
+
+/**
+ * @typedef {Object} TMrtOutdoorOptions
+ * @property {DirectionalFluxes} [shortwave] - measured six-directional shortwave fluxes, [W/m2]. If not provided
+ * they are estimated from `glob`, `diff` and `sol_altitude`.
+ * @property {number} [glob] - global horizontal irradiance, [W/m2]
+ * @property {number} [diff] - diffuse horizontal irradiance, [W/m2]
+ * @property {number} [sol_altitude] - solar altitude, degrees from horizontal [deg]
+ * @property {boolean} [sunlit=true] - false if the person is shaded from the direct solar radiation
+ * @property {number} [albedo=0.2] - shortwave albedo of the ground and of the surrounding surfaces
+ * @property {number} [svf=1] - sky view factor, ranges from 0 (sky fully obstructed) to 1 (open field)
+ * @property {DirectionalFluxes} [longwave] - measured six-directional longwave fluxes, [W/m2]. If not provided
+ * they are estimated from `t_sky` and `t_ground`.
+ * @property {number} [t_sky] - effective radiant temperature of the sky, [°C]
+ * @property {number} [t_ground] - surface temperature of the ground and of the surrounding surfaces, [°C]
+ * @property {number} [emissivity_ground=0.95] - emissivity of the ground and of the surrounding surfaces
+ * @property {number} [absorptivity=0.7] - shortwave absorptivity of the human body
+ * @property {number} [emissivity=0.97] - emissivity of the human body
+ * @property {"standing" | "sphere"} [posture="standing"] - standing person or spherical body, e.g. a globe
+ * thermometer
+ * @property {boolean} [round=true] - if true rounds the output value
+ * @public
+ */
+
+/**
+ * @typedef {Object} TMrtOutdoorArrayOptions - same as {@link TMrtOutdoorOptions} but each numerical value can also
+ * be an array, single values are used for all the elements
+ * @property {DirectionalFluxesArray} [shortwave]
+ * @property {number | number[]} [glob]
+ * @property {number | number[]} [diff]
+ * @property {number | number[]} [sol_altitude]
+ * @property {boolean | boolean[]} [sunlit=true]
+ * @property {number | number[]} [albedo=0.2]
+ * @property {number | number[]} [svf=1]
+ * @property {DirectionalFluxesArray} [longwave]
+ * @property {number | number[]} [t_sky]
+ * @property {number | number[]} [t_ground]
+ * @property {number | number[]} [emissivity_ground=0.95]
+ * @property {number | number[]} [absorptivity=0.7]
+ * @property {number | number[]} [emissivity=0.97]
+ * @property {"standing" | "sphere"} [posture="standing"]
+ * @property {boolean} [round=true]
+ * @public
+ */
+
+/**
+ * @typedef {Object} DirectionalFluxesArray
+ * @property {number | number[]} sky
+ * @property {number | number[]} ground
+ * @property {number | number[]} north
+ * @property {number | number[]} east
+ * @property {number | number[]} south
+ * @property {number | number[]} west
+ * @public
+ */
+
+/**
+ * Calculates the mean radiant temperature of a person outdoors from the shortwave and longwave radiation fluxes,
+ * using the six-directional method of Höppe (1992) and the VDI 3787 guideline, as implemented in the RayMan and
+ * SOLWEIG models {@link #ref_36|[36]}. The mean radiant flux density absorbed by the body is the sum of the fluxes
+ * received from the four cardinal directions, from the sky and from the ground, weighted with the angular factors of
+ * a standing person (0.22 for the lateral directions and 0.06 for the vertical ones) or of a sphere (1/6 for all the
+ * directions).
+ *
+ * The shortwave fluxes can either be measured or estimated from the global and diffuse horizontal irradiance. In
+ * the latter case the diffuse radiation from the visible sky and the radiation reflected by the ground and by the
+ * surrounding surfaces are assumed isotropic, while the direct radiation is absorbed by the projected area of the
+ * body, calculated for a standing person as a function of the solar altitude. The longwave fluxes can either be
+ * measured or estimated from the temperatures of the sky and of the ground, the part of the sky hidden by
+ * obstructions is assumed at the ground temperature.
+ *
+ * The result can be used as the mean radiant temperature input of {@link #utci|utci} and
+ * {@link #pet_steady|pet_steady}.
+ *
+ * @public
+ * @memberof psychrometrics
+ *
+ * @see {@link t_mrt_outdoor_array} for a version that supports arrays
+ *
+ * @param {TMrtOutdoorOptions} options - radiation fluxes and properties of the surroundings and of the body
+ * @returns {number} mean radiant temperature, [°C]
+ *
+ * @example
+ * const tr = t_mrt_outdoor({
+ *   glob: 800,
+ *   diff: 100,
+ *   sol_altitude: 60,
+ *   t_sky: 10,
+ *   t_ground: 40,
+ * }); // returns 52.4
+ */
+export function t_mrt_outdoor(options) {
+  const tr = calculate_t_mrt_outdoor(options);
+  return options.round === false ? tr : round(tr, 1);
+}
+
+/**
+ * Calculates the mean radiant temperature of a person outdoors from the shortwave and longwave radiation fluxes
+ * when the input parameters are arrays.
+ *
+ * @public
+ * @memberof psychrometrics
+ *
+ * @see {@link t_mrt_outdoor} for scalar arguments and a description of the method
+ *
+ * @param {TMrtOutdoorArrayOptions} options - radiation fluxes and properties of the surroundings and of the body
+ * @returns {number[]} mean radiant temperature, [°C]
+ *
+ * @example
+ * const tr = t_mrt_outdoor_array({
+ *   glob: [800, 400],
+ *   diff: [100, 150],
+ *   sol_altitude: [60, 20],
+ *   t_sky: 10,
+ *   t_ground: [40, 30],
+ * }); // returns [52.4, 53.5]
+ */
+export function t_mrt_outdoor_array(options) {
+  const lengths = array_lengths(options);
+  if (lengths.length === 0) {
+    throw new Error("At least one of the inputs should be an array");
+  }
+  if (lengths.some((length) => length !== lengths[0])) {
+    throw new Error("Provided arrays are not the same lengths");
+  }
+  const length = lengths[0];
+
+  return Array.from({ length }, (_, index) => {
+    /** @type {TMrtOutdoorOptions} */
+    const element_options = element(options, index);
+    return t_mrt_outdoor(element_options);
+  });
+}
+
+/**
+ * @param {TMrtOutdoorOptions} options
+ * @returns {number} mean radiant temperature, [°C]
+ */
+function calculate_t_mrt_outdoor({
+  shortwave,
+  glob,
+  diff,
+  sol_altitude,
+  sunlit = true,
+  albedo = 0.2,
+  svf = 1,
+  longwave,
+  t_sky,
+  t_ground,
+  emissivity_ground = 0.95,
+  absorptivity = 0.7,
+  emissivity = 0.97,
+  posture = "standing",
+}) {
+  if (posture !== "standing" && posture !== "sphere") {
+    throw new Error("Posture has to be either standing or sphere");
+  }
+  const f_lateral = posture === "standing" ? 0.22 : 1 / 6;
+  const f_vertical = posture === "standing" ? 0.06 : 1 / 6;
+
+  let k = shortwave;
+  let direct_absorbed = 0;
+  if (k === undefined) {
+    if (glob === undefined || diff === undefined || sol_altitude === undefined)
+      throw new Error(
+        "Please provide either the shortwave fluxes or glob, diff and sol_altitude",
+      );
+    const k_sky = svf * diff + (1 - svf) * albedo * glob;
+    const k_ground = albedo * glob;
+    const k_lateral = 0.5 * (k_sky + k_ground);
+    k = isotropic_fluxes(k_sky, k_ground, k_lateral);
+
+    if (sunlit && sol_altitude > 0) {
+      const alt_rad = (sol_altitude * Math.PI) / 180;
+      const i_dir = Math.max(glob - diff, 0) / Math.sin(alt_rad);
+      // projected area factor of the body for the direct radiation
+      const f_p =
+        posture === "standing"
+          ? 0.308 *
+            Math.cos(
+              (sol_altitude *
+                (1 - (sol_altitude * sol_altitude) / 48402) *
+                Math.PI) /
+                180,
+            )
+          : 0.25;
+      direct_absorbed = absorptivity * f_p * i_dir;
+    }
+  }
+
+  let l = longwave;
+  if (l === undefined) {
+    if (t_sky === undefined || t_ground === undefined)
+      throw new Error(
+        "Please provide either the longwave fluxes or t_sky and t_ground",
+      );
+    const l_ground = emissivity_ground * o * Math.pow(t_ground + c_to_k, 4);
+    const l_sky = svf * o * Math.pow(t_sky + c_to_k, 4) + (1 - svf) * l_ground;
+    l = isotropic_fluxes(l_sky, l_ground, 0.5 * (l_sky + l_ground));
+  }
+
+  /** @param {DirectionalFluxes} fluxes */
+  const weighted = (fluxes) =>
+    f_vertical * (fluxes.sky + fluxes.ground) +
+    f_lateral * (fluxes.north + fluxes.east + fluxes.south + fluxes.west);
+
+  const s_str =
+    absorptivity * weighted(k) + direct_absorbed + emissivity * weighted(l);
+
+  return Math.pow(s_str / (emissivity * o), 0.25) - c_to_k;
+}
+
+/**
+ * @param {number} sky - flux from the upper hemisphere, [W/m2]
+ * @param {number} ground - flux from the lower hemisphere, [W/m2]
+ * @param {number} lateral - flux on each vertical surface, [W/m2]
+ * @returns {DirectionalFluxes}
+ */
+function isotropic_fluxes(sky, ground, lateral) {
+  return {
+    sky,
+    ground,
+    north: lateral,
+    east: lateral,
+    south: lateral,
+    west: lateral,
+  };
+}
+
+/**
+ * Returns the lengths of the arrays in the options, including those of the nested objects.
+ *
+ * @param {Object} options
+ * @returns {number[]}
+ */
+function array_lengths(options) {
+  return Object.values(options).flatMap((value) => {
+    if (Array.isArray(value)) return [value.length];
+    if (typeof value === "object" && value !== null)
+      return array_lengths(value);
+    return [];
+  });
+}
+
+/**
+ * Returns the options of one element, arrays are replaced by their value at the given index.
+ *
+ * @param {Object} options
+ * @param {number} index
+ * @returns {any}
+ */
+function element(options, index) {
+  return Object.fromEntries(
+    Object.entries(options).map(([key, value]) => {
+      if (Array.isArray(value)) return [key, value[index]];
+      if (typeof value === "object" && value !== null)
+        return [key, element(value, index)];
+      return [key, value];
+    }),
+  );
+}
@@ -0,0 +1,363 @@
+import { round } from "../utilities/utilities.js";
+
+const c_to_k = 273.15;
+
+/**
+ * Coefficients of the angle factors between a person and a rectangle, F = f_max * (1 - exp(-(a/c)/tau)) *
+ * (1 - exp(-(b/c)/gamma)), with tau = a_1 + b_1 * a/c and gamma = c_1 + d_1 * b/c + e_1 * a/c.
+ */
+const angle_factor_coefficients = {
+  seated: {
+    vertical: {
+      f_max: 0.118,
+      a_1: 1.216,
+      b_1: 0.169,
+      c_1: 0.717,
+      d_1: 0.087,
+      e_1: 0.052,
+    },
+    horizontal: {
+      f_max: 0.116,
+      a_1: 1.396,
+      b_1: 0.13,
+      c_1: 0.951,
+      d_1: 0.08,
+      e_1: 0.055,
+    },
+  },
+  standing: {
+    vertical: {
+      f_max: 0.12,
+      a_1: 1.242,
+      b_1: 0.167,
+      c_1: 0.616,
+      d_1: 0.082,
+      e_1: 0.051,
+    },
+    horizontal: {
+      f_max: 0.116,
+      a_1: 1.595,
+      b_1: 0.128,
+      c_1: 1.226,
+      d_1: 0.046,
+      e_1: 0.044,
+    },
+  },
+};
+
+const axis_names = /** @type {const} */ (["x", "y", "z"]);
+
+// height of the centre of the person above the floor, [m]
+const center_heights = { seated: 0.6, standing: 1.0 };
+
+/**
+ * @typedef {"floor" | "ceiling" | "west" | "east" | "south" | "north"} RoomSurface
+ */
+
+/**
+ * @typedef {Object} RoomDimensions
+ * @property {number} length - length of the room along the x axis, from the west wall to the east wall, [m]
+ * @property {number} width - width of the room along the y axis, from the south wall to the north wall, [m]
+ * @property {number} height - height of the room along the z axis, from the floor to the ceiling, [m]
+ * @public
+ */
+
+/**
+ * @typedef {Object} SurfacePatch - rectangular part of a surface with a different temperature, e.g. a window or a
+ * radiant panel. The coordinates are measured from the south-west corner of the floor.
+ * @property {RoomSurface} surface - surface the patch belongs to
+ * @property {number} temperature - surface temperature of the patch, [°C]
+ * @property {[number, number]} [x] - extent of the patch along the x axis, not used for the west and east walls, [m].
+ * Defaults to the length of the room.
+ * @property {[number, number]} [y] - extent of the patch along the y axis, not used for the south and north walls, [m].
+ * Defaults to the width of the room.
+ * @property {[number, number]} [z] - extent of the patch along the z axis, not used for the floor and ceiling, [m].
+ * Defaults to the height of the room.
+ * @public
+ */
+
+/**
+ * @typedef {Object} TMrtSurfacesOptions
+ * @property {RoomDimensions} room - dimensions of the room
+ * @property {{x: number, y: number}} location - location of the occupant, measured from the south-west corner, [m]
+ * @property {Object.<RoomSurface, number>} surfaces - surface temperatures of the floor, ceiling and walls, [°C]
+ * @property {SurfacePatch[]} [patches=[]] - windows or other parts of the surfaces with a different temperature
+ * @property {"seated" | "standing"} [posture="seated"] - posture of the occupant
+ * @public
+ */
+
+/**
+ * @typedef {Object} TMrtSurfacesReturnType
+ * @property {number} tr - mean radiant temperature, [°C]
+ * @property {Object.<RoomSurface, number>} t_pr - plane radiant temperatures of a small plane element at the centre
+ * of the occupant facing each surface, [°C]
+ * @property {{vertical: number, horizontal: number}} asymmetry - radiant temperature asymmetry, [°C]. The vertical
+ * one is the difference between the plane radiant temperatures facing the ceiling and the floor, positive if the
+ * ceiling is warmer. The horizontal one is the largest absolute difference between the plane radiant temperatures
+ * facing two opposite walls.
+ * @property {Object.<RoomSurface, number>} angle_factors - angle factors between the occupant and each surface,
+ * the patches are included in the surface they belong to
+ * @public
+ */
+
+/**
+ * Calculates the mean radiant temperature and the plane radiant temperatures at the location of an occupant of a
+ * rectangular room from the temperatures of its surfaces. The mean radiant temperature is calculated from the angle
+ * factors between the person and each surface, using the analytical approximations of the Fanger charts of
+ * Cannistraro et al. (1992) {@link #ref_37|[37]} adopted by the ASHRAE Handbook Fundamentals {@link #ref_18|[18]} for
+ * seated and standing occupants. The angle factors are normalized so that their sum is equal to one.
+ *
+ * The plane radiant temperatures are calculated with the exact view factors between a small plane element at the
+ * centre of the occupant, 0.6 m above the floor for seated people and 1.0 m for standing ones, and each surface.
+ * The radiant temperature asymmetry can be used as input of {@link #radiant_asymmetry_ppd|radiant_asymmetry_ppd},
+ * and the mean radiant temperature as input of {@link #pmv_ppd|pmv_ppd}, {@link #set_tmp|set_tmp} or of the `tr`
+ * setter of {@link #jos3|JOS3}.
+ *
+ * @public
+ * @memberof psychrometrics
+ *
+ * @see {@link t_mrt} to calculate the mean radiant temperature from the globe temperature
+ *
+ * @param {TMrtSurfacesOptions} options - room geometry, location of the occupant and surface temperatures
+ * @returns {TMrtSurfacesReturnType} mean and plane radiant temperatures, radiant asymmetry and angle factors
+ *
+ * @example
+ * const result = t_mrt_surfaces({
+ *   room: { length: 6, width: 4, height: 3 },
+ *   location: { x: 3, y: 2 },
+ *   surfaces: { floor: 22, ceiling: 30, west: 20, east: 20, south: 20, north: 20 },
+ *   patches: [{ surface: "east", y: [1, 3], z: [0.8, 2.4], temperature: 10 }],
+ * });
+ * console.log(result.tr); // 22
+ * console.log(result.asymmetry); // { vertical: 3.5, horizontal: 0.8 }
+ */
+export function t_mrt_surfaces({
+  room,
+  location,
+  surfaces,
+  patches = [],
+  posture = "seated",
+}) {
+  if (posture !== "seated" && posture !== "standing") {
+    throw new Error("Posture has to be either seated or standing");
+  }
+  if (
+    !(location.x > 0 && location.x < room.length) ||
+    !(location.y > 0 && location.y < room.width)
+  ) {
+    throw new Error("The occupant should be inside the room");
+  }
+
+  /** @type {[number, number, number]} */
+  const p = [location.x, location.y, center_heights[posture]];
+  const rectangles = room_rectangles(room);
+
+  const elements = [
+    ...Object.entries(rectangles).map(([name, rectangle]) => {
+      if (surfaces[name] === undefined) {
+        throw new Error(`Missing the temperature of the ${name}`);
+      }
+      return {
+        surface: name,
+        rectangle,
+        t_4: Math.pow(surfaces[name] + c_to_k, 4),
+        t_4_base: 0,
+      };
+    }),
+    ...patches.map((patch) => {
+      const rectangle = rectangles[patch.surface];
+      if (rectangle === undefined) {
+        throw new Error(`Unknown surface ${patch.surface}`);
+      }
+      const bounds = rectangle.bounds.map((bound, axis) => {
+        if (axis === rectangle.axis) return bound;
+        const name = axis_names[axis];
+        const extent = patch[name] ?? bound;
+        if (
+          !Array.isArray(extent) ||
+          extent.length !== 2 ||
+          !(extent[0] >= bound[0] && extent[0] < extent[1]) ||
+          !(extent[1] <= bound[1])
+        ) {
+          throw new Error(
+            `The ${name} extent of the patch on the ${patch.surface} should be within [${bound[0]}, ${bound[1]}]`,
+          );
+        }
+        return extent;
+      });
+      return {
+        surface: patch.surface,
+        rectangle: { ...rectangle, bounds },
+        t_4: Math.pow(patch.temperature + c_to_k, 4),
+        t_4_base: Math.pow(surfaces[patch.surface] + c_to_k, 4),
+      };
+    }),
+  ];
+
+  // mean radiant temperature, the patches replace the part of the surface they cover
+  const angle_factors = elements.map(({ rectangle }) =>
+    person_angle_factor(p, rectangle, posture),
+  );
+  const surface_factors = angle_factors.slice(0, 6);
+  const f_total = surface_factors.reduce((sum, f) => sum + f, 0);
+  const tr_4 =
+    elements.reduce(
+      (sum, { t_4, t_4_base }, i) => sum + angle_factors[i] * (t_4 - t_4_base),
+      0,
+    ) / f_total;
+
+  // plane radiant temperatures facing each surface
+  /** @type {Object.<string, number>} */
+  const t_pr = {};
+  for (const [name, { axis, side }] of Object.entries(rectangles)) {
+    const t_pr_4 = elements.reduce(
+      (sum, { rectangle, t_4, t_4_base }) =>
+        sum + plane_view_factor(p, axis, side, rectangle) * (t_4 - t_4_base),
+      0,
+    );
+    t_pr[name] = Math.pow(t_pr_4, 0.25) - c_to_k;
+  }
+
+  return {
+    tr: round(Math.pow(tr_4, 0.25) - c_to_k, 1),
+    t_pr: Object.fromEntries(
+      Object.entries(t_pr).map(([name, value]) => [name, round(value, 1)]),
+    ),
+    asymmetry: {
+      vertical: round(t_pr.ceiling - t_pr.floor, 1),
+      horizontal: round(
+        Math.max(
+          Math.abs(t_pr.east - t_pr.west),
+          Math.abs(t_pr.north - t_pr.south),
+        ),
+        1,
+      ),
+    },
+    angle_factors: Object.fromEntries(
+      Object.keys(rectangles).map((name, i) => [
+        name,
+        round(surface_factors[i] / f_total, 3),
+      ]),
+    ),
+  };
+}
+
+/**
+ * @typedef {Object} Rectangle - axis-aligned rectangle
+ * @property {0 | 1 | 2} axis - axis normal to the rectangle, 0 = x, 1 = y, 2 = z
+ * @property {1 | -1} side - direction of the normal from the centre of the room towards the rectangle
+ * @property {[number, number][]} bounds - extent of the rectangle along the three axes, the extent along the
+ * normal axis has the same lower and upper values
+ */
+
+/**
+ * @param {RoomDimensions} room
+ * @returns {Object.<RoomSurface, Rectangle>}
+ */
+function room_rectangles({ length, width, height }) {
+  const x = [0, length];
+  const y = [0, width];
+  const z = [0, height];
+  return {
+    floor: { axis: 2, side: -1, bounds: [x, y, [0, 0]] },
+    ceiling: { axis: 2, side: 1, bounds: [x, y, [height, height]] },
+    west: { axis: 0, side: -1, bounds: [[0, 0], y, z] },
+    east: { axis: 0, side: 1, bounds: [[length, length], y, z] },
+    south: { axis: 1, side: -1, bounds: [x, [0, 0], z] },
+    north: { axis: 1, side: 1, bounds: [x, [width, width], z] },
+  };
+}
+
+/**
+ * Angle factor between a person and a rectangle, calculated by superposition of the rectangles that have a corner
+ * at the foot of the perpendicular from the centre of the person.
+ *
+ * @param {[number, number, number]} p - centre of the person, [m]
+ * @param {Rectangle} rectangle
+ * @param {"seated" | "standing"} posture
+ * @returns {number}
+ */
+function person_angle_factor(p, { axis, bounds }, posture) {
+  const c = Math.abs(bounds[axis][0] - p[axis]);
+  // for vertical surfaces a is the vertical side and b the horizontal one
+  const [axis_a, axis_b] =
+    axis === 2 ? [0, 1] : [2, /** @type {0 | 1} */ (1 - axis)];
+  const coefficients =
+    angle_factor_coefficients[posture][axis === 2 ? "horizontal" : "vertical"];
+
+  /**
+   * @param {number} a
+   * @param {number} b
+   */
+  const corner = (a, b) => {
+    const { f_max, a_1, b_1, c_1, d_1, e_1 } = coefficients;
+    const tau = a_1 + (b_1 * Math.abs(a)) / c;
+    const gamma = c_1 + (d_1 * Math.abs(b)) / c + (e_1 * Math.abs(a)) / c;
+    return (
+      Math.sign(a) *
+      Math.sign(b) *
+      f_max *
+      (1 - Math.exp(-Math.abs(a) / c / tau)) *
+      (1 - Math.exp(-Math.abs(b) / c / gamma))
+    );
+  };
+
+  const [a_1, a_2] = bounds[axis_a].map((value) => value - p[axis_a]);
+  const [b_1, b_2] = bounds[axis_b].map((value) => value - p[axis_b]);
+  return (
+    corner(a_2, b_2) - corner(a_1, b_2) - corner(a_2, b_1) + corner(a_1, b_1)
+  );
+}
+
+/**
+ * View factor between a small plane element and a rectangle, calculated with the contour integral of the
+ * rectangle after removing the part behind the element.
+ *
+ * @param {[number, number, number]} p - position of the element, [m]
+ * @param {0 | 1 | 2} axis - axis normal to the element
+ * @param {1 | -1} side - direction the element faces along its normal axis
+ * @param {Rectangle} rectangle
+ * @returns {number}
+ */
+function plane_view_factor(p, axis, side, rectangle) {
+  const bounds = rectangle.bounds.map(([lower, upper], i) => {
+    if (i !== axis) return [lower, upper];
+    return side > 0
+      ? [Math.max(lower, p[axis]), upper]
+      : [lower, Math.min(upper, p[axis])];
+  });
+  if (bounds[axis][0] > bounds[axis][1]) return 0;
+  if (rectangle.axis === axis && (bounds[axis][0] - p[axis]) * side <= 0)
+    return 0;
+
+  const [u, v] = [0, 1, 2].filter((i) => i !== rectangle.axis);
+  const corners = [
+    [bounds[u][0], bounds[v][0]],
+    [bounds[u][1], bounds[v][0]],
+    [bounds[u][1], bounds[v][1]],
+    [bounds[u][0], bounds[v][1]],
+  ].map(([value_u, value_v]) => {
+    const r = [0, 0, 0];
+    r[rectangle.axis] = bounds[rectangle.axis][0] - p[rectangle.axis];
+    r[u] = value_u - p[u];
+    r[v] = value_v - p[v];
+    return r;
+  });
+
+  let sum = 0;
+  for (let i = 0; i < 4; i++) {
+    const r_1 = corners[i];
+    const r_2 = corners[(i + 1) % 4];
+    const cross = [
+      r_1[1] * r_2[2] - r_1[2] * r_2[1],
+      r_1[2] * r_2[0] - r_1[0] * r_2[2],
+      r_1[0] * r_2[1] - r_1[1] * r_2[0],
+    ];
+    const cross_norm = Math.hypot(...cross);
+    if (cross_norm === 0) continue;
+    const dot = r_1[0] * r_2[0] + r_1[1] * r_2[1] + r_1[2] * r_2[2];
+    const angle = Math.atan2(cross_norm, dot);
+    sum += (angle * side * cross[axis]) / cross_norm;
+  }
+  return Math.abs(sum) / (2 * Math.PI);
+}
@@ -0,0 +1,382 @@
+import { clo_individual_garments, round } from "./utilities.js";
+import JOS3Defaults from "../jos3_functions/JOS3Defaults.js";
+import { BODY_NAMES } from "../jos3_functions/matrix.js";
+
+// Lewis relation, [K/kPa]
+const lewis_ratio = 16.7;
+// insulation of the boundary air layer of a standing person in still air, [clo]
+const i_a_static = 0.7;
+
+/**
+ * @typedef {Object} Garment - garment not included in {@link clo_individual_garments}
+ * @property {number} clo - intrinsic insulation of the garment, [clo]
+ * @property {number} [i_mst=0.38] - static moisture permeability index of the garment
+ * @public
+ */
+
+/**
+ * @typedef {Object} ClothingEnsembleKwargs
+ * @property {"sum" | "regression"} [method="sum"] - either the sum of the insulation of the garments, as in ASHRAE
+ * 55 {@link #ref_1|[1]}, or the regression of ISO 9920 {@link #ref_38|[38]}, I_cl = 0.835 * ΣI_clu + 0.161
+ * @property {number} [v=0.15] - relative air speed, [m/s]. Still air corresponds to 0.15 m/s.
+ * @property {number} [walk_sp=0] - walking speed, [m/s]
+ * @property {boolean} [round=true] - if true rounds the output values
+ * @public
+ */
+
+/**
+ * @typedef {Object} ClothingEnsembleReturnType
+ * @property {number} clo - intrinsic (static) insulation of the ensemble, [clo]. Use it as the `clo` input of
+ * {@link #pmv_ppd|pmv_ppd}, {@link #set_tmp|set_tmp} and {@link #phs|phs}.
+ * @property {number} f_cl - clothing area factor
+ * @property {number} i_a - insulation of the boundary air layer, [clo]
+ * @property {number} i_t - total static insulation, including the boundary air layer, [clo]
+ * @property {number} clo_r - resultant intrinsic insulation corrected for the air speed and walking, [clo]
+ * @property {number} i_t_r - resultant total insulation corrected for the air speed and walking, [clo]
+ * @property {number} i_mst - static moisture permeability index of the ensemble. Use it as the `i_mst` kwarg of
+ * {@link #phs|phs}.
+ * @property {number} i_m - moisture permeability index corrected for the air speed and walking
+ * @property {number} iclo - clothing vapour permeation efficiency. Use it as the `iclo` of {@link #jos3|JOS3}.
+ * @property {number} r_et - resultant total evaporative resistance, including the boundary air layer,
+ * [m2 kPa/W]
+ * @property {number} r_ecl - resultant evaporative resistance of the clothing, [m2 kPa/W]
+ * @public
+ */
+
+/**
+ * Calculates the thermal properties of a clothing ensemble from its garments following ISO 9920
+ * {@link #ref_38|[38]}. The intrinsic insulation of the ensemble is calculated from the insulation of the garments,
+ * either taken from {@link clo_individual_garments} or provided directly, and the clothing area factor is
+ * f_cl = 1 + 0.28 * I_cl. The total insulation adds the insulation of the boundary air layer, 0.7 clo in still air.
+ *
+ * The evaporative resistance is calculated from the total insulation and the moisture permeability index with the
+ * Lewis relation. The moisture permeability index of the ensemble is the insulation-weighted harmonic mean of the
+ * indices of the garments, 0.38 if not provided. The insulation and the moisture permeability index are corrected
+ * for the air speed, from 0.15 to 3.5 m/s, and for the walking speed, up to 1.2 m/s, with the equations of ISO 9920.
+ *
+ * @public
+ * @memberof utilities
+ * @docname Clothing ensemble
+ *
+ * @param {(string | Garment)[]} garments - names of the garments in {@link clo_individual_garments} or garments with
+ * their insulation and moisture permeability index
+ * @param {ClothingEnsembleKwargs} [kwargs] - additional arguments
+ * @returns {ClothingEnsembleReturnType} insulation, clothing area factor and evaporative resistance of the ensemble
+ *
+ * @example
+ * const ensemble = clothing_ensemble([
+ *   "Men_underwear",
+ *   "T_shirt",
+ *   "Thin_trousers",
+ *   "Calf_length_socks",
+ *   "Shoes_or_sandals",
+ * ]);
+ * console.log(ensemble.clo); // 0.32
+ * console.log(ensemble.r_et); // 0.0235
+ */
+export function clothing_ensemble(garments, kwargs = {}) {
+  const default_kwargs = {
+    method: "sum",
+    v: 0.15,
+    walk_sp: 0,
+    round: true,
+  };
+  const joint_kwargs = Object.assign(default_kwargs, kwargs);
+
+  const items = garments.map((garment) => {
+    if (typeof garment !== "string") {
+      return { clo: garment.clo, i_mst: garment.i_mst ?? 0.38 };
+    }
+    if (!(garment in clo_individual_garments)) {
+      throw new Error(`Unknown garment ${garment}`);
+    }
+    return { clo: clo_individual_garments[garment], i_mst: 0.38 };
+  });
+
+  const sum_clo = items.reduce((sum, item) => sum + item.clo, 0);
+  let clo;
+  if (joint_kwargs.method === "sum") {
+    clo = sum_clo;
+  } else if (joint_kwargs.method === "regression") {
+    clo = items.length > 0 ? 0.835 * sum_clo + 0.161 : 0;
+  } else {
+    throw new Error(
+      `Unknown method ${joint_kwargs.method}, it should be either sum or regression`,
+    );
+  }
+
+  // the evaporative resistances of the layers are in series
+  const sum_resistance = items.reduce(
+    (sum, item) => sum + item.clo / item.i_mst,
+    0,
+  );
+  const i_mst = sum_clo > 0 ? sum_clo / sum_resistance : 0.38;
+
+  const f_cl = 1 + 0.28 * clo;
+  const i_t = clo + i_a_static / f_cl;
+
+  const corrections = dynamic_corrections(
+    clo,
+    joint_kwargs.v,
+    joint_kwargs.walk_sp,
+  );
+  const i_t_r = i_t * corrections.corr_tot;
+  const i_a_r = i_a_static * corrections.corr_ia;
+  const clo_r = i_t_r - i_a_r / f_cl;
+  const i_m = Math.min(i_mst * corrections.corr_e, 0.9);
+
+  // resistances in [m2 K/W] converted to [m2 kPa/W] with the Lewis relation
+  const r_et = (0.155 * i_t_r) / (i_m * lewis_ratio);
+  const r_ecl = r_et - (0.155 * i_a_r) / (f_cl * lewis_ratio);
+  const iclo = clo > 0 ? vapour_permeation_efficiency(clo, i_mst) : 1;
+
+  const result = { clo, f_cl, i_a: i_a_static, i_t, clo_r, i_t_r, i_mst, i_m };
+  if (!joint_kwargs.round) {
+    return { ...result, iclo, r_et, r_ecl };
+  }
+  return {
+    ...Object.fromEntries(
+      Object.entries(result).map(([key, value]) => [key, round(value, 3)]),
+    ),
+    iclo: round(iclo, 3),
+    r_et: round(r_et, 4),
+    r_ecl: round(r_ecl, 4),
+  };
+}
+
+/**
+ * Correction factors of the total insulation, of the boundary air layer insulation and of the moisture permeability
+ * index for the relative air speed and the walking speed, ISO 9920. The factors are equal to one in still air,
+ * relative air speed of 0.15 m/s, without walking.
+ *
+ * @param {number} clo - intrinsic insulation of the ensemble, [clo]
+ * @param {number} v - relative air speed, [m/s]
+ * @param {number} walk_sp - walking speed, [m/s]
+ * @returns {{corr_tot: number, corr_ia: number, corr_e: number}}
+ */
+function dynamic_corrections(clo, v, walk_sp) {
+  const v_ux = Math.min(3.5, Math.max(v, 0.15)) - 0.15;
+  const w_a_ux = Math.min(1.2, Math.max(walk_sp, 0));
+
+  const corr_cl = Math.exp(
+    -0.281 * v_ux +
+      0.044 * v_ux * v_ux -
+      0.492 * w_a_ux +
+      0.176 * w_a_ux * w_a_ux,
+  );
+  const corr_ia = Math.exp(
+    -0.533 * v_ux +
+      0.069 * v_ux * v_ux -
+      0.462 * w_a_ux +
+      0.201 * w_a_ux * w_a_ux,
+  );
+  const corr_tot =
+    clo <= 0.6 ? ((0.6 - clo) * corr_ia + clo * corr_cl) / 0.6 : corr_cl;
+  const corr_e = (2.6 * corr_tot - 6.5) * corr_tot + 4.9;
+
+  return { corr_tot, corr_ia, corr_e };
+}
+
+/**
+ * Vapour permeation efficiency of the clothing, i.e. the ratio of the evaporative resistance of the clothing that
+ * a fully permeable clothing of the same insulation would have to its static evaporative resistance, ISO 9920.
+ *
+ * @param {number} clo - intrinsic insulation of the clothing, [clo]
+ * @param {number} i_mst - static moisture permeability index of the clothing
+ * @returns {number} vapour permeation efficiency
+ */
+function vapour_permeation_efficiency(clo, i_mst) {
+  const f_cl = 1 + 0.28 * clo;
+  const i_t = clo + i_a_static / f_cl;
+  // resistances in [m2 K/W] converted to [m2 kPa/W] with the Lewis relation
+  const r_ecl =
+    (0.155 * i_t) / (i_mst * lewis_ratio) -
+    (0.155 * i_a_static) / (f_cl * lewis_ratio);
+  return (0.155 * clo) / (lewis_ratio * r_ecl);
+}
+
+const torso = ["chest", "back"];
+const upper_arms = ["left_shoulder", "right_shoulder"];
+const forearms = ["left_arm", "right_arm"];
+const thighs = ["left_thigh", "right_thigh"];
+const legs = ["left_leg", "right_leg"];
+const feet = ["left_foot", "right_foot"];
+const shirt = [...torso, ...upper_arms];
+const long_sleeve_shirt = [...shirt, ...forearms];
+const trousers = ["pelvis", ...thighs, ...legs];
+const skirt = ["pelvis", ...thighs];
+const chair = ["back", "pelvis", ...thighs];
+
+/**
+ * Body parts of {@link #jos3|JOS3} covered by each garment of {@link clo_individual_garments}. The sleeves of
+ * short-sleeve garments cover the shoulders, i.e. the upper arms, long sleeves also cover the arms. Chairs insulate
+ * the body parts in contact with the seat and with the backrest.
+ *
+ * @public
+ * @memberof reference_values
+ * @constant
+ * @type {Object<string, string[]>}
+ * @example
+ * import { garment_coverage } from "jsthermalcomfort/utilities"; //The path to utilities
+ * console.log(garment_coverage["T_shirt"]);
+ * // output ["chest", "back", "left_shoulder", "right_shoulder"]
+ */
+export const garment_coverage = {
+  Metal_chair: chair,
+  Bra: torso,
+  Wooden_stool: skirt,
+  Ankle_socks: feet,
+  Shoes_or_sandals: feet,
+  Slippers: feet,
+  Panty_hose: [...trousers, ...feet],
+  Calf_length_socks: [...legs, ...feet],
+  Women_underwear: ["pelvis"],
+  Men_underwear: ["pelvis"],
+  Knee_socks_thick: [...legs, ...feet],
+  Short_shorts: skirt,
+  Walking_shorts: skirt,
+  T_shirt: shirt,
+  Standard_office_chair: chair,
+  Executive_chair: chair,
+  Boots: [...legs, ...feet],
+  Sleeveless_scoop_neck_blouse: torso,
+  Half_slip: skirt,
+  Long_underwear_bottoms: trousers,
+  Full_slip: [...torso, ...skirt],
+  Short_sleeve_knit_shirt: shirt,
+  Sleeveless_vest_thin: torso,
+  Sleeveless_vest_thick: torso,
+  Sleeveless_short_gown_thin: [...torso, ...skirt],
+  Short_sleeve_dress_shirt: shirt,
+  Sleeveless_long_gown_thin: [...torso, ...trousers],
+  Long_underwear_top: long_sleeve_shirt,
+  Thick_skirt: skirt,
+  Long_sleeve_dress_shirt: long_sleeve_shirt,
+  Long_sleeve_flannel_shirt: long_sleeve_shirt,
+  Long_sleeve_sweat_shirt: long_sleeve_shirt,
+  Short_sleeve_hospital_gown: [...shirt, ...skirt],
+  Short_sleeve_short_robe_thin: [...shirt, ...skirt],
+  Short_sleeve_pajamas: [...shirt, ...trousers],
+  Long_sleeve_long_gown: [...long_sleeve_shirt, ...trousers],
+  Long_sleeve_short_wrap_robe_thick: [...long_sleeve_shirt, ...skirt],
+  Long_sleeve_pajamas_thick: [...long_sleeve_shirt, ...trousers],
+  Long_sleeve_long_wrap_robe_thick: [...long_sleeve_shirt, ...trousers],
+  Thin_trousers: trousers,
+  Thick_trousers: trousers,
+  Sweatpants: trousers,
+  Overalls: ["chest", ...trousers],
+  Coveralls: [...long_sleeve_shirt, ...trousers],
+  Thin_skirt: skirt,
+  Long_sleeve_shirt_dress_thin: [...long_sleeve_shirt, ...skirt],
+  Long_sleeve_shirt_dress_thick: [...long_sleeve_shirt, ...skirt],
+  Short_sleeve_shirt_dress: [...shirt, ...skirt],
+  Sleeveless_scoop_neck_shirt_thin: torso,
+  Sleeveless_scoop_neck_shirt_thick: torso,
+  Long_sleeve_shirt_thin: long_sleeve_shirt,
+  Long_sleeve_shirt_thick: long_sleeve_shirt,
+  Single_breasted_coat_thin: [...long_sleeve_shirt, "pelvis"],
+  Single_breasted_coat_thick: [...long_sleeve_shirt, "pelvis"],
+  Double_breasted_coat_thin: [...long_sleeve_shirt, "pelvis"],
+  Double_breasted_coat_thick: [...long_sleeve_shirt, "pelvis"],
+};
+
+/**
+ * @typedef {Object} SegmentGarment - garment not included in {@link clo_individual_garments}
+ * @property {number} clo - whole-body insulation of the garment, [clo]
+ * @property {string[]} segments - names of the body parts covered by the garment, see
+ * {@link #jos3|JOS3.body_names}
+ * @property {number} [i_mst=0.38] - static moisture permeability index of the garment
+ * @public
+ */
+
+/**
+ * @typedef {Object} Jos3CloFromGarmentsReturnType
+ * @property {number[]} clo - local clothing insulation of the 17 body parts, [clo]
+ * @property {number[]} iclo - local clothing vapour permeation efficiency of the 17 body parts
+ * @public
+ */
+
+/**
+ * Calculates the local clothing insulation and vapour permeation efficiency of the 17 body parts of
+ * {@link #jos3|JOS3} from the garments worn. The whole-body insulation of each garment is distributed uniformly on
+ * the body parts it covers, listed in {@link garment_coverage}, so that the area-weighted mean of its local
+ * insulation is equal to its whole-body insulation. The insulation of the layers covering the same body part is
+ * summed and their moisture permeability index is the insulation-weighted harmonic mean of the indices of the
+ * garments, 0.38 if not provided. The vapour permeation efficiency of each body part is then calculated from its
+ * local insulation and moisture permeability index with ISO 9920 {@link #ref_38|[38]}, as in
+ * {@link clothing_ensemble}.
+ *
+ * Body parts without clothing have a null insulation and the default vapour permeation efficiency of JOS3, 0.45.
+ *
+ * @public
+ * @memberof utilities
+ * @docname JOS3 clothing from garments
+ *
+ * @param {(string | SegmentGarment)[]} garments - names of the garments in {@link clo_individual_garments} or
+ * garments with their insulation and covered body parts
+ * @param {{ round?: boolean }} [kwargs] - if round is true (default) rounds the output values
+ * @returns {Jos3CloFromGarmentsReturnType} local insulation and vapour permeation efficiency, in the order of
+ * {@link #jos3|JOS3.body_names}
+ *
+ * @example
+ * const { clo, iclo } = jos3_clo_from_garments([
+ *   "Men_underwear",
+ *   "T_shirt",
+ *   "Thin_trousers",
+ *   "Calf_length_socks",
+ *   "Shoes_or_sandals",
+ * ]);
+ * const model = new JOS3();
+ * model.clo = clo;
+ * model.iclo = iclo;
+ */
+export function jos3_clo_from_garments(garments, kwargs = {}) {
+  const joint_kwargs = Object.assign({ round: true }, kwargs);
+  const area = JOS3Defaults.local_bsa;
+  const total_area = area.reduce((sum, value) => sum + value, 0);
+
+  const clo = BODY_NAMES.map(() => 0);
+  // sum of clo / i_mst of the layers, proportional to their evaporative resistance
+  const resistance = BODY_NAMES.map(() => 0);
+
+  for (const garment of garments) {
+    let item;
+    if (typeof garment === "string") {
+      if (!(garment in clo_individual_garments)) {
+        throw new Error(`Unknown garment ${garment}`);
+      }
+      item = {
+        clo: clo_individual_garments[garment],
+        segments: garment_coverage[garment],
+        i_mst: 0.38,
+      };
+    } else {
+      item = { i_mst: 0.38, ...garment };
+    }
+
+    const indices = item.segments.map((segment) => {
+      const index = BODY_NAMES.indexOf(segment);
+      if (index === -1) throw new Error(`Unknown body part ${segment}`);
+      return index;
+    });
+    const covered_area = indices.reduce((sum, index) => sum + area[index], 0);
+    const local_clo = (item.clo * total_area) / covered_area;
+
+    for (const index of indices) {
+      clo[index] += local_clo;
+      resistance[index] += local_clo / item.i_mst;
+    }
+  }
+
+  const iclo = clo.map((value, index) =>
+    value > 0
+      ? vapour_permeation_efficiency(value, value / resistance[index])
+      : JOS3Defaults.clothing_vapor_permeation_efficiency,
+  );
+
+  if (!joint_kwargs.round) return { clo, iclo };
+  return {
+    clo: clo.map((value) => round(value, 3)),
+    iclo: iclo.map((value) => round(value, 3)),
+  };
+}
@@ -8,10 +8,18 @@ import {
   units_converter_array,
   running_mean_outdoor_temperature,
   f_svv,
+  sun_position,
+  sharp_angle,
+  p_atm_altitude,
   met_typical_tasks,
   clo_typical_ensembles,
   clo_individual_garments,
 } from "./utilities.js";
+import {
+  clothing_ensemble,
+  jos3_clo_from_garments,
+  garment_coverage,
+} from "./clothing.js";
 
 /**
  * @public
@@ -28,9 +36,15 @@ export default {
   units_converter_array,
   running_mean_outdoor_temperature,
   f_svv,
+  sun_position,
+  sharp_angle,
+  p_atm_altitude,
+  clothing_ensemble,
+  jos3_clo_from_garments,
   met_typical_tasks,
   clo_typical_ensembles,
   clo_individual_garments,
+  garment_coverage,
 };
 
 /**
@@ -23,6 +23,7 @@ export function round(number, precision) {
  * @property {number} [vr]
  * @property {number} [v_limited]
  * @property {number} [rh]
+ * @property {number} [tu]
  */
 
 /**
@@ -34,10 +35,11 @@ export function round(number, precision) {
  * @property {number[]} [v]
  * @property {number[]} [v_limited]
  * @property {number[]} [rh]
+ * @property {number[]} [tu]
  */
 
 /**
- * @typedef {"ANKLE_DRAFT" | "ASHRAE" | "ISO" | "ISO7933"} Standard
+ * @typedef {"ANKLE_DRAFT" | "ASHRAE" | "DRAFT_RATING" | "ISO" | "ISO7933"} Standard
  */
 
 /**
@@ -98,6 +100,8 @@ export function check_standard_compliance(standard, kwargs) {
       return _ankle_draft_compliance(kwargs);
     case "ASHRAE":
       return _ashrae_compliance(kwargs);
+    case "DRAFT_RATING":
+      return _draft_rating_compliance(kwargs);
     case "ISO":
       return _iso_compliance(kwargs);
     case "ISO7933":
@@ -115,6 +119,7 @@ export function check_standard_compliance(standard, kwargs) {
  * @property {number[]} [met]
  * @property {number[]} [clo]
  * @property {number[]} [rh]
+ * @property {number[]} [tu]
  */
 
 /**
@@ -132,7 +137,6 @@ export function check_standard_compliance_array(standard, kwargs) {
   kwargs = Object.assign(default_kwargs, kwargs);
 
   switch (standard) {
-    case "ISO7933":
     case "ANKLE_DRAFT":
       throw new Error(`Unsupported standard ${standard}`);
     case "ASHRAE": {
@@ -193,6 +197,31 @@ export function check_standard_compliance_array(standard, kwargs) {
       const clo = valid_range(kwargs.clo, [0.0, 2]);
       return { tdb, tr, v, met, clo };
     }
+    case "DRAFT_RATING": {
+      // based on ISO 7730:2005 section 6.2
+      const tdb = valid_range(kwargs.tdb, [20.0, 26.0]);
+      const v = valid_range(kwargs.v, [0.0, 0.5]);
+      const tu = valid_range(kwargs.tu, [10.0, 60.0]);
+      return { tdb, v, tu };
+    }
+    case "ISO7933": {
+      // based on ISO 7933:2004 section 1
+      const tdb = valid_range(kwargs.tdb, [15.0, 50.0]);
+      const tr = kwargs.tr.map((_tr, index) =>
+        _tr - kwargs.tdb[index] >= 0 && _tr - kwargs.tdb[index] <= 60
+          ? _tr
+          : NaN,
+      );
+      const v = valid_range(kwargs.v, [0.0, 3.0]);
+      // the partial vapour pressure should be between 0 and 4.5 kPa
+      const rh = kwargs.rh.map((_rh, index) => {
+        const p_a = ((p_sat(kwargs.tdb[index]) / 1000) * _rh) / 100;
+        return p_a >= 0 && p_a <= 4.5 ? _rh : NaN;
+      });
+      const met = valid_range(kwargs.met, [100.0, 450.0]);
+      const clo = valid_range(kwargs.clo, [0.1, 1.0]);
+      return { tdb, tr, v, rh, met, clo };
+    }
   }
 }
 
@@ -214,6 +243,32 @@ function _ankle_draft_compliance(kwargs) {
   return warnings;
 }
 
+/**
+ * @param {ComplianceKwargs} kwargs
+ *
+ * @returns {string[]} strings with warnings emitted
+ */
+function _draft_rating_compliance(kwargs) {
+  /** @type {string[]} */
+  let warnings = [];
+  for (const [key, value] of Object.entries(kwargs)) {
+    if (value === undefined) continue;
+    if (key === "tdb" && (value > 26 || value < 20))
+      warnings.push(
+        "ISO 7730 draught rating applicability limits between 20 and 26 ºC",
+      );
+    if (key === "v" && (value > 0.5 || value < 0))
+      warnings.push(
+        "ISO 7730 draught rating air speed applicability limits between 0 and 0.5 m/s",
+      );
+    if (key === "tu" && (value > 60 || value < 10))
+      warnings.push(
+        "ISO 7730 draught rating turbulence intensity applicability limits between 10 and 60 %",
+      );
+  }
+  return warnings;
+}
+
 /**
  * @param {ComplianceKwargs} kwargs
  *
@@ -705,6 +760,110 @@ export function f_svv(w, h, d) {
   return (h_degrees * w_degrees) / 16200;
 }
 
+/**
+ * Calculates the position of the sun in the sky using the equations of the NOAA Global Monitoring Division
+ * {@link #ref_35|[35]}, which are accurate to about one degree for dates between 1950 and 2050.
+ *
+ * @public
+ * @memberof utilities
+ * @docname Sun position
+ *
+ * @see {@link sharp_angle} to calculate the SHARP from the solar azimuth
+ *
+ * @param {number} latitude - latitude of the site, positive north of the equator, [deg]
+ * @param {number} longitude - longitude of the site, positive east of Greenwich, [deg]
+ * @param {string | Date} date - date and time. An ISO 8601 date-time string without a UTC offset, e.g.
+ * "2023-06-21T12:00", is interpreted as the local standard time in `time_zone`. Date objects and strings with a UTC
+ * offset define the instant unambiguously and `time_zone` is not used.
+ * @param {number} [time_zone=0] - time zone of the site, hours east of UTC, e.g. 1 for Central European Time
+ *
+ * @returns {{altitude: number, azimuth: number}} solar altitude, degrees from horizontal, and solar azimuth,
+ * degrees clockwise from north, [deg]
+ *
+ * @example
+ * const position = sun_position(37.87, -122.27, "2023-06-21T12:00", -8);
+ * console.log(position); // { altitude: 75.4, azimuth: 170.4 }
+ */
+export function sun_position(latitude, longitude, date, time_zone = 0) {
+  const local_time =
+    typeof date === "string" && !/(Z|[+-]\d{2}:?\d{2})$/.test(date);
+  const instant = new Date(
+    local_time ? Date.parse(`${date}Z`) - time_zone * 3600000 : date,
+  );
+  if (isNaN(instant.getTime())) {
+    throw new Error(`Invalid date ${date}`);
+  }
+
+  const year_start = Date.UTC(instant.getUTCFullYear(), 0, 1);
+  const year_end = Date.UTC(instant.getUTCFullYear() + 1, 0, 1);
+  const days_in_year = (year_end - year_start) / 86400000;
+  const day_of_year = Math.floor((instant.getTime() - year_start) / 86400000);
+  const minutes =
+    instant.getUTCHours() * 60 +
+    instant.getUTCMinutes() +
+    instant.getUTCSeconds() / 60;
+
+  // fractional year, [rad]
+  const g =
+    ((2 * Math.PI) / days_in_year) * (day_of_year + (minutes / 60 - 12) / 24);
+  const eq_time =
+    229.18 *
+    (0.000075 +
+      0.001868 * Math.cos(g) -
+      0.032077 * Math.sin(g) -
+      0.014615 * Math.cos(2 * g) -
+      0.040849 * Math.sin(2 * g));
+  const decl =
+    0.006918 -
+    0.399912 * Math.cos(g) +
+    0.070257 * Math.sin(g) -
+    0.006758 * Math.cos(2 * g) +
+    0.000907 * Math.sin(2 * g) -
+    0.002697 * Math.cos(3 * g) +
+    0.00148 * Math.sin(3 * g);
+
+  const true_solar_time = minutes + eq_time + 4 * longitude;
+  const hour_angle = ((true_solar_time / 4 - 180) * Math.PI) / 180;
+  const lat = (latitude * Math.PI) / 180;
+
+  const cos_zenith =
+    Math.sin(lat) * Math.sin(decl) +
+    Math.cos(lat) * Math.cos(decl) * Math.cos(hour_angle);
+  const altitude =
+    90 - (Math.acos(Math.min(1, Math.max(-1, cos_zenith))) * 180) / Math.PI;
+  const azimuth =
+    ((Math.atan2(
+      Math.sin(hour_angle),
+      Math.cos(hour_angle) * Math.sin(lat) - Math.tan(decl) * Math.cos(lat),
+    ) *
+      180) /
+      Math.PI +
+      540) %
+    360;
+
+  return { altitude: round(altitude, 1), azimuth: round(azimuth, 1) };
+}
+
+/**
+ * Calculates the solar horizontal angle relative to the front of the person (SHARP), which is used by
+ * {@link #solar_gain|solar_gain}.
+ *
+ * @public
+ * @memberof utilities
+ * @docname Solar horizontal angle relative to the front of the person (SHARP)
+ *
+ * @param {number} sol_azimuth - solar azimuth, degrees clockwise from north [deg]
+ * @param {number} facing_azimuth - direction the person is facing, degrees clockwise from north [deg]
+ *
+ * @returns {number} SHARP, ranges between 0 (sun in front of the person) and 180 (sun behind the person) [deg]
+ *
+ * @example
+ * const sharp = sharp_angle(220, 270); // returns 50
+ */
+export function sharp_angle(sol_azimuth, facing_azimuth) {
+  return Math.abs(((((sol_azimuth - facing_azimuth) % 360) + 540) % 360) - 180);
+}
+
 /**
  * Filter values based on a valid range (It turns the filtered values to NaNs)
  *
@@ -717,6 +876,71 @@ export function valid_range(range, [min, max]) {
   return range.map((n) => (n >= min && n <= max ? n : NaN));
 }
 
+/**
+ * Calculates the atmospheric pressure of the standard atmosphere at a given altitude, using the equation of the
+ * ASHRAE Handbook Fundamentals {@link #ref_18|[18]}, valid from sea level up to 11,000 m.
+ *
+ * @public
+ * @memberof utilities
+ * @docname Atmospheric pressure from altitude
+ *
+ * @param {number} altitude - altitude above sea level, default in [m] in [ft] if `units` = 'IP'
+ * @param {"SI" | "IP"} [units="SI"] - select the SI (International System of Units) or the IP (Imperial Units)
+ * system
+ * @returns {number} atmospheric pressure, default in [Pa] in [atm] if `units` = 'IP'
+ *
+ * @example
+ * const p_atm = p_atm_altitude(1600); // returns 83523
+ */
+export function p_atm_altitude(altitude, units = "SI") {
+  if (units.toUpperCase() === "IP") {
+    return p_atm_altitude(altitude * 0.3048) / 101325;
+  }
+  return round(101325 * Math.pow(1 - 2.25577e-5 * altitude, 5.2559), 0);
+}
+
+/**
+ * Atmospheric pressure from the `p_atm` or `altitude` option of a model, the two options cannot be used together.
+ *
+ * @param {{p_atm?: number, altitude?: number}} kwargs - atmospheric pressure, [Pa] or [atm] if `units` = 'IP', or
+ * altitude, [m] or [ft] if `units` = 'IP'
+ * @param {"SI" | "IP"} [units="SI"]
+ * @returns {number | undefined} atmospheric pressure, [Pa], undefined if neither option is provided
+ */
+export function p_atm_option({ p_atm, altitude }, units = "SI") {
+  if (p_atm !== undefined && altitude !== undefined) {
+    throw new Error("Please provide either p_atm or altitude, not both");
+  }
+  if (altitude !== undefined) {
+    return p_atm_altitude(
+      units.toUpperCase() === "IP" ? altitude * 0.3048 : altitude,
+    );
+  }
+  if (p_atm !== undefined) {
+    return units.toUpperCase() === "IP" ? p_atm * 101325 : p_atm;
+  }
+  return undefined;
+}
+
+/**
+ * Warns that a model has only been validated at sea level when the atmospheric pressure differs from the standard
+ * one by more than 1%, about 85 m of altitude.
+ *
+ * @param {string} model - name of the model
+ * @param {number | undefined} p_atm - atmospheric pressure, [Pa]
+ * @returns {void}
+ */
+export function check_sea_level(model, p_atm) {
+  if (p_atm !== undefined && Math.abs(p_atm / 101325 - 1) > 0.01) {
+    console.warn(
+      `The ${model} model has only been validated at sea level, the atmospheric pressure of ${round(
+        p_atm,
+        0,
+      )} Pa is not used in the calculation`,
+    );
+  }
+}
+
 /**
  * Met values of typical tasks.
  * @public
@@ -22,22 +22,50 @@ describe("NPM Package", () => {
     expect(jsthermalcomfort.models).toHaveProperty("heat_index");
   });
 
+  it("should have models.heat_index_array", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("heat_index_array");
+  });
+
   it("should have models.wc", () => {
     expect(jsthermalcomfort.models).toHaveProperty("wc");
   });
 
+  it("should have models.wc_array", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("wc_array");
+  });
+
   it("should have models.phs", () => {
     expect(jsthermalcomfort.models).toHaveProperty("phs");
   });
 
+  it("should have models.phs_array", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("phs_array");
+  });
+
+  it("should have models.phs_schedule", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("phs_schedule");
+  });
+
+  it("should have models.work_rest_schedule", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("work_rest_schedule");
+  });
+
   it("should have models.humidex", () => {
     expect(jsthermalcomfort.models).toHaveProperty("humidex");
   });
 
+  it("should have models.humidex_array", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("humidex_array");
+  });
+
   it("should have models.net", () => {
     expect(jsthermalcomfort.models).toHaveProperty("net");
   });
 
+  it("should have models.net_array", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("net_array");
+  });
+
   it("should have models.clo_tout", () => {
     expect(jsthermalcomfort.models).toHaveProperty("clo_tout");
   });
@@ -50,6 +78,18 @@ describe("NPM Package", () => {
     expect(jsthermalcomfort.models).toHaveProperty("wbgt");
   });
 
+  it("should have models.wbgt_array", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("wbgt_array");
+  });
+
+  it("should have models.wbgt_liljegren", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("wbgt_liljegren");
+  });
+
+  it("should have models.wbgt_liljegren_array", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("wbgt_liljegren_array");
+  });
+
   it("should have models.discomfort_index", () => {
     expect(jsthermalcomfort.models).toHaveProperty("discomfort_index");
   });
@@ -86,6 +126,10 @@ describe("NPM Package", () => {
     expect(jsthermalcomfort.models).toHaveProperty("at");
   });
 
+  it("should have models.at_array", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("at_array");
+  });
+
   it("should have models.pmv_ppd", () => {
     expect(jsthermalcomfort.models).toHaveProperty("pmv_ppd");
   });
@@ -106,10 +150,26 @@ describe("NPM Package", () => {
     expect(jsthermalcomfort.models).toHaveProperty("cooling_effect");
   });
 
+  it("should have models.comfort_zone", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("comfort_zone");
+  });
+
+  it("should have models.solve_pmv_target", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("solve_pmv_target");
+  });
+
   it("should have models.solar_gain", () => {
     expect(jsthermalcomfort.models).toHaveProperty("solar_gain");
   });
 
+  it("should have models.solar_gain_array", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("solar_gain_array");
+  });
+
+  it("should have models.solar_adjusted_mrt", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("solar_adjusted_mrt");
+  });
+
   it("should have models.athb", () => {
     expect(jsthermalcomfort.models).toHaveProperty("athb");
   });
@@ -138,10 +198,22 @@ describe("NPM Package", () => {
     expect(jsthermalcomfort.models).toHaveProperty("ankle_draft");
   });
 
+  it("should have models.draft_rating", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("draft_rating");
+  });
+
+  it("should have models.draft_rating_array", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("draft_rating_array");
+  });
+
   it("should have models.pet_steady", () => {
     expect(jsthermalcomfort.models).toHaveProperty("pet_steady");
   });
 
+  it("should have models.pet_steady_array", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("pet_steady_array");
+  });
+
   it("should have models.e_pmv", () => {
     expect(jsthermalcomfort.models).toHaveProperty("e_pmv");
   });
@@ -154,6 +226,18 @@ describe("NPM Package", () => {
     expect(jsthermalcomfort.models).toHaveProperty("vertical_tmp_grad_ppd");
   });
 
+  it("should have models.radiant_asymmetry_ppd", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("radiant_asymmetry_ppd");
+  });
+
+  it("should have models.floor_tmp_ppd", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("floor_tmp_ppd");
+  });
+
+  it("should have models.local_discomfort", () => {
+    expect(jsthermalcomfort.models).toHaveProperty("local_discomfort");
+  });
+
   it("should have models.use_fans_heatwaves", () => {
     expect(jsthermalcomfort.models).toHaveProperty("use_fans_heatwaves");
   });
@@ -200,6 +284,26 @@ describe("NPM Package", () => {
     expect(jsthermalcomfort.utilities).toHaveProperty("f_svv");
   });
 
+  it("should have utilities.sun_position", () => {
+    expect(jsthermalcomfort.utilities).toHaveProperty("sun_position");
+  });
+
+  it("should have utilities.p_atm_altitude", () => {
+    expect(jsthermalcomfort.utilities).toHaveProperty("p_atm_altitude");
+  });
+
+  it("should have utilities.sharp_angle", () => {
+    expect(jsthermalcomfort.utilities).toHaveProperty("sharp_angle");
+  });
+
+  it("should have utilities.clothing_ensemble", () => {
+    expect(jsthermalcomfort.utilities).toHaveProperty("clothing_ensemble");
+  });
+
+  it("should have utilities.jos3_clo_from_garments", () => {
+    expect(jsthermalcomfort.utilities).toHaveProperty("jos3_clo_from_garments");
+  });
+
   it("should have utilities.met_typical_tasks", () => {
     expect(jsthermalcomfort.utilities).toHaveProperty("met_typical_tasks");
   });
@@ -214,6 +318,10 @@ describe("NPM Package", () => {
     );
   });
 
+  it("should have utilities.garment_coverage", () => {
+    expect(jsthermalcomfort.utilities).toHaveProperty("garment_coverage");
+  });
+
   it("should have psychrometrics.p_sat", () => {
     expect(jsthermalcomfort.psychrometrics).toHaveProperty("p_sat");
   });
@@ -245,4 +353,34 @@ describe("NPM Package", () => {
   it("should have psychrometrics.t_dp", () => {
     expect(jsthermalcomfort.psychrometrics).toHaveProperty("t_dp");
   });
+
+  it("should have psychrometrics.t_globe", () => {
+    expect(jsthermalcomfort.psychrometrics).toHaveProperty("t_globe");
+  });
+
+  it("should have psychrometrics.t_globe_transient", () => {
+    expect(jsthermalcomfort.psychrometrics).toHaveProperty("t_globe_transient");
+  });
+
+  it("should have psychrometrics.t_mrt_outdoor", () => {
+    expect(jsthermalcomfort.psychrometrics).toHaveProperty("t_mrt_outdoor");
+  });
+
+  it("should have psychrometrics.t_mrt_outdoor_array", () => {
+    expect(jsthermalcomfort.psychrometrics).toHaveProperty(
+      "t_mrt_outdoor_array",
+    );
+  });
+
+  it("should have psychrometrics.t_mrt_surfaces", () => {
+    expect(jsthermalcomfort.psychrometrics).toHaveProperty("t_mrt_surfaces");
+  });
+
+  it("should have psychrometrics.psy_state", () => {
+    expect(jsthermalcomfort.psychrometrics).toHaveProperty("psy_state");
+  });
+
+  it("should have psychrometrics.psy_state_array", () => {
+    expect(jsthermalcomfort.psychrometrics).toHaveProperty("psy_state_array");
+  });
 });
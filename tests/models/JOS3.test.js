@@ -132,3 +132,579 @@ describe("JOS3", () => {
     });
   });
 });
+
+describe("JOS3 p_atm", () => {
+  it("scales the evaporative resistance with the atmospheric pressure", () => {
+    const model = new JOS3();
+    expect(model.p_atm).toBe(101325);
+    const r_et = model.r_et.get([0]);
+    model.p_atm = 101325 / 2;
+    expect(model.r_et.get([0])).toBeLessThan(r_et);
+  });
+
+  it("throws if the atmospheric pressure is not positive", () => {
+    const model = new JOS3();
+    expect(() => {
+      model.p_atm = 0;
+    }).toThrow("The atmospheric pressure must be a positive number");
+  });
+});
+
+describe("JOS3 iclo", () => {
+  it("sets the local vapor permeation efficiency", () => {
+    const model = new JOS3();
+    model.clo = 1;
+    const r_et_head = model.r_et.get([0]);
+    const r_et_chest = model.r_et.get([2]);
+    model.iclo = {
+      ...Object.fromEntries(BODY_NAMES.map((n) => [n, 0.45])),
+      chest: 0.2,
+    };
+    expect(model.iclo.get([2])).toBe(0.2);
+    expect(model.iclo.get([0])).toBe(0.45);
+    expect(model.r_et.get([2])).toBeGreaterThan(r_et_chest);
+    expect(model.r_et.get([0])).toBeCloseTo(r_et_head, 10);
+  });
+});
+
+describe("JOS3 simulate_scenario", () => {
+  it("gives the same results as the setters and simulate", () => {
+    const model = new JOS3();
+    const results = model.simulate_scenario([
+      { label: "neutral", duration: 600, to: 28, rh: 50, clo: 0.5, par: 1.2 },
+      { label: "hot", duration: 1200, to: 38 },
+      { label: "recovery", duration: 600, to: 28 },
+    ]);
+
+    const reference = new JOS3();
+    reference.to = 28;
+    reference.rh = 50;
+    reference.clo = 0.5;
+    reference.par = 1.2;
+    reference.simulate(10);
+    reference.to = 38;
+    reference.simulate(20);
+    reference.to = 28;
+    reference.simulate(10);
+    const expected = reference.dict_results();
+
+    expect(results.t_skin_mean).toEqual(expected.t_skin_mean);
+    expect(results.t_core_pelvis).toEqual(expected.t_core_pelvis);
+    expect(results.phase).toEqual([
+      null,
+      ...Array(10).fill("neutral"),
+      ...Array(20).fill("hot"),
+      ...Array(10).fill("recovery"),
+    ]);
+  });
+
+  it("runs a time-indexed table with garments", () => {
+    const model = new JOS3();
+    const results = model.simulate_scenario({
+      time: [0, 90, 300],
+      tdb: [25, 30, 30],
+      garments: [["T_shirt", "Thin_trousers"], ["T_shirt"], []],
+    });
+
+    expect(results.simulation_time).toEqual([
+      0, 60, 90, 150, 210, 270, 300, 360,
+    ]);
+    expect(results.phase).toEqual([
+      null,
+      "phase_1",
+      "phase_1",
+      "phase_2",
+      "phase_2",
+      "phase_2",
+      "phase_2",
+      "phase_3",
+    ]);
+    expect(math.sum(model.clo)).toBe(0);
+    expect(model.tdb.get([0])).toBe(30);
+  });
+
+  it("throws if a phase is not valid", () => {
+    const model = new JOS3();
+    expect(() => model.simulate_scenario([{ duration: 0, tdb: 25 }])).toThrow(
+      "The duration of each phase must be a positive number",
+    );
+    expect(() => model.simulate_scenario([{ duration: 60, met: 1.2 }])).toThrow(
+      "Unknown scenario property met",
+    );
+    expect(() => model.simulate_scenario({ time: [0, 60], tdb: [25] })).toThrow(
+      "The column tdb of the scenario table must have the same length as the time column",
+    );
+    expect(() =>
+      model.simulate_scenario([{ duration: 60, label: "a", phase: "b" }]),
+    ).toThrow("Please provide either label or phase, not both");
+  });
+
+  it("validates the whole scenario before running it", () => {
+    const model = new JOS3();
+    expect(() =>
+      model.simulate_scenario([
+        { duration: 600, tdb: 30 },
+        { duration: 600, met: 1.2 },
+      ]),
+    ).toThrow("Unknown scenario property met");
+    expect(() =>
+      model.simulate_scenario({ time: [0, 600, 300], tdb: [30, 32, 34] }),
+    ).toThrow("The duration of each phase must be a positive number");
+    expect(model.dict_results().simulation_time).toEqual([0]);
+    expect(model.tdb.get([0])).not.toBe(30);
+  });
+
+  it("accepts phase as an alias of label", () => {
+    const phases = new JOS3().simulate_scenario([
+      { phase: "neutral", duration: 120, to: 28 },
+      { label: "hot", duration: 60, to: 38 },
+    ]).phase;
+    const table = new JOS3().simulate_scenario({
+      time: [0, 120],
+      to: [28, 38],
+      phase: ["neutral", "hot"],
+    }).phase;
+
+    expect(phases).toEqual([null, "neutral", "neutral", "hot"]);
+    expect(table).toEqual(phases);
+  });
+});
+
+describe("JOS3 to_csv", () => {
+  it("returns the results with a row of units", () => {
+    const model = new JOS3();
+    model.simulate(3);
+    const lines = model.to_csv().trim().split("\n");
+
+    expect(lines).toHaveLength(6);
+    const columns = lines[0].split(",");
+    const units = lines[1].split(",");
+    expect(columns.slice(0, 5)).toEqual([
+      "cycle_time",
+      "simulation_time",
+      "dt",
+      "t_skin_mean",
+      "t_skin_head",
+    ]);
+    expect(units.slice(0, 5)).toEqual(["-", "sec", "sec", "°C", "°C"]);
+    expect(units[columns.indexOf("w_mean")]).toBe("-");
+    expect(units[columns.indexOf("cardiac_output")]).toBe("L/h");
+    expect(lines[5].split(",")[1]).toBe("180");
+  });
+
+  it("omits the units if unit is false", () => {
+    const model = new JOS3();
+    model.simulate(3);
+    expect(model.to_csv(false).trim().split("\n")).toHaveLength(5);
+  });
+});
+
+describe("JOS3 to_json and from_json", () => {
+  it("restores a model that continues the simulation", () => {
+    const model = new JOS3(1.8, 80, 20, 30, "female");
+    model.to = 35;
+    model.clo = 0.5;
+    model.p_atm = 90000;
+    model.simulate(5);
+
+    const restored = JOS3.from_json(model.to_json());
+    expect(restored.p_atm).toBe(90000);
+    expect(restored.dict_results()).toEqual(model.dict_results());
+
+    model.to = 15;
+    restored.to = 15;
+    model.simulate(5);
+    restored.simulate(5);
+    expect(restored.dict_results()).toEqual(model.dict_results());
+  });
+
+  it("saves the body parameters, options and units", () => {
+    const model = new JOS3(1.6, 55, 25, 40, "female");
+    model.options.shivering_threshold = true;
+    const snapshot = JSON.parse(model.to_json());
+
+    expect(snapshot.body).toMatchObject({
+      height: 1.6,
+      weight: 55,
+      fat: 25,
+      age: 40,
+      sex: "female",
+    });
+    expect(snapshot.options.shivering_threshold).toBe(true);
+    expect(snapshot.units.t_skin).toBe("°C");
+    expect(snapshot.state.simulation_time).toBe(0);
+    expect(JOS3.from_json(snapshot).options.shivering_threshold).toBe(true);
+  });
+
+  it("initialises the set-point temperatures of the other models", () => {
+    const snapshot = new JOS3().to_json();
+    const reference = new JOS3();
+    JOS3.from_json(snapshot);
+    const model = new JOS3(...Array(9).fill(undefined), true);
+
+    expect(model.dict_results()).toEqual(reference.dict_results());
+    expect(model.setpt_cr).toEqual(reference.setpt_cr);
+  });
+
+  it("throws if the snapshot is not a JOS3 model", () => {
+    expect(() => JOS3.from_json("{}")).toThrow(
+      "The snapshot is not a JOS3 model",
+    );
+  });
+});
+
+describe("JOS3 extra heat gain", () => {
+  it("sets and clears the extra heat gain of a layer", () => {
+    const model = new JOS3(
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      ["q_ex_skin", "q_ex_muscle"],
+    );
+    const reference = new JOS3();
+    model.to = 20;
+    reference.to = 20;
+    model.set_ex_q("skin", { back: 10, pelvis: 10 });
+    model.set_ex_q("muscle", 2);
+    model.simulate(5);
+    reference.simulate(5);
+
+    expect(model.t_skin.get([3])).toBeGreaterThan(reference.t_skin.get([3]));
+    const results = model.dict_results();
+    expect(results.q_ex_skin_back.at(-1)).toBe(10);
+    expect(results.q_ex_skin_chest.at(-1)).toBe(0);
+    expect(results.q_ex_muscle_head.at(-1)).toBe(2);
+    expect(results.q_ex_muscle_pelvis.at(-1)).toBe(2);
+    expect(results).not.toHaveProperty("hc_head");
+
+    model.clear_ex_q("skin");
+    expect(math.sum(model.ex_q)).toBe(4);
+    model.clear_ex_q();
+    expect(math.sum(model.ex_q)).toBe(0);
+  });
+
+  it.each([
+    { layer: "bone", value: 1, error: "Unknown layer bone" },
+    { layer: "fat", value: { chest: 1 }, error: "The chest has no fat layer" },
+    { layer: "skin", value: { tail: 1 }, error: "Unknown body segment tail" },
+    { layer: "skin", value: { head: "1" }, error: "must be a number" },
+  ])("throws for $layer and $value", ({ layer, value, error }) => {
+    const model = new JOS3();
+    expect(() => model.set_ex_q(layer, value)).toThrow(error);
+  });
+});
+
+describe("JOS3 heat transfer coefficients", () => {
+  it("sets and clears the coefficients of some segments", () => {
+    const model = new JOS3(
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      ["hc", "hr"],
+    );
+    const r_t = model.r_t.get([3]);
+    const hc_head = model.dict_results().hc_head[0];
+
+    model.set_hc({ back: 1 });
+    model.set_hc({ pelvis: 1 });
+    model.set_hr(4);
+    expect(model.r_t.get([3])).toBeGreaterThan(r_t);
+    model.simulate(2);
+
+    const results = model.dict_results();
+    expect(results.hc_back.at(-1)).toBe(1);
+    expect(results.hc_pelvis.at(-1)).toBe(1);
+    expect(results.hc_head.at(-1)).toBeCloseTo(hc_head, 10);
+    expect(results.hr_head.at(-1)).toBe(4);
+
+    const restored = JOS3.from_json(model.to_json());
+    expect(restored.r_t.toArray()).toEqual(model.r_t.toArray());
+
+    model.clear_hc(["back"]);
+    model.clear_hr();
+    model.simulate(1);
+    const cleared = model.dict_results();
+    expect(cleared.hc_back.at(-1)).not.toBe(1);
+    expect(cleared.hc_pelvis.at(-1)).toBe(1);
+    expect(cleared.hr_head.at(-1)).not.toBe(4);
+  });
+
+  it("throws if a coefficient is not positive", () => {
+    const model = new JOS3();
+    expect(() => model.set_hc({ head: 0 })).toThrow(
+      "The convective heat transfer coefficient must be a positive number",
+    );
+    expect(() => model.set_hr(-1)).toThrow(
+      "The radiative heat transfer coefficient must be a positive number",
+    );
+    expect(() => model.clear_hc(["tail"])).toThrow("Unknown body segment tail");
+  });
+});
+
+describe("JOS3 contacts", () => {
+  const seat = {
+    area_fraction: { pelvis: 0.3, left_thigh: 0.4, right_thigh: 0.4 },
+    t_surface: 15,
+    r_contact: 0.1,
+  };
+
+  it("exchanges heat by conduction with the surfaces in contact", () => {
+    const reference = new JOS3();
+    const model = new JOS3();
+    for (const jos of [reference, model]) {
+      jos.posture = "sitting";
+      jos.to = 28;
+    }
+    model.set_contact("seat", seat);
+    model.set_contact("backrest", {
+      area_fraction: { back: 0.5 },
+      t_surface: 40,
+      r_contact: 0.1,
+    });
+    reference.simulate(10);
+    model.simulate(10);
+
+    expect(model.t_skin.get([4])).toBeLessThan(reference.t_skin.get([4]));
+    expect(model.t_skin.get([3])).toBeGreaterThan(reference.t_skin.get([3]));
+
+    const results = model.dict_results();
+    expect(results.q_skin2contact_pelvis.at(-1)).toBeGreaterThan(0);
+    expect(results.q_skin2contact_back.at(-1)).toBeLessThan(0);
+    expect(results.q_skin2contact_head.at(-1)).toBe(0);
+    expect(results.q_skin2env_sensible_pelvis.at(-1)).toBeLessThan(
+      reference.dict_results().q_skin2env_sensible_pelvis.at(-1),
+    );
+  });
+
+  it("does not evaporate from a segment entirely in contact", () => {
+    const model = new JOS3();
+    model.to = 34;
+    model.set_contact("mattress", {
+      area_fraction: { back: 1 },
+      t_surface: 30,
+      r_contact: 0.1,
+    });
+    model.simulate(10);
+
+    const results = model.dict_results();
+    expect(results.w_chest.at(-1)).toBeGreaterThan(0.06);
+    expect(results.w_back.slice(1)).toEqual(Array(10).fill(0.06));
+    expect(results.q_skin2env_latent_back.slice(1)).toEqual(Array(10).fill(0));
+    expect(results.q_skin2contact_back.at(-1)).toBeGreaterThan(0);
+  });
+
+  it("does not change the results without contacts", () => {
+    const reference = new JOS3();
+    const model = new JOS3();
+    model.set_contact("seat", seat);
+    model.remove_contact("seat");
+    reference.simulate(5);
+    model.simulate(5);
+    expect(model.dict_results()).toEqual(reference.dict_results());
+  });
+
+  it("saves the contacts in the snapshot and in the scenario", () => {
+    const model = new JOS3();
+    model.simulate_scenario([
+      {
+        duration: 60,
+        contacts: {
+          seat,
+          floor: { ...seat, area_fraction: { left_foot: 0.3 } },
+        },
+      },
+      { duration: 60, contacts: { seat } },
+    ]);
+    expect(Object.keys(model.contacts)).toEqual(["seat"]);
+    expect(model.contacts.seat.area_fraction[4]).toBe(0.3);
+
+    const restored = JOS3.from_json(model.to_json());
+    expect(restored.contacts).toEqual(model.contacts);
+    model.clear_contacts();
+    expect(model.contacts).toEqual({});
+  });
+
+  it.each([
+    {
+      contact: { ...seat, area_fraction: { pelvis: 1.2 } },
+      error: "The contact area fractions must be between 0 and 1",
+    },
+    {
+      contact: { ...seat, area_fraction: { tail: 0.5 } },
+      error: "Unknown body segment tail",
+    },
+    {
+      contact: { ...seat, r_contact: 0 },
+      error: "The contact resistance must be a positive number",
+    },
+    {
+      contact: { ...seat, t_surface: "20" },
+      error: "The surface temperature must be a number",
+    },
+    {
+      contact: { ...seat, area_fraction: { pelvis: 0.8 } },
+      error: "The contact area fractions of the pelvis exceed 1",
+    },
+  ])("throws for $contact", ({ contact, error }) => {
+    const model = new JOS3();
+    model.set_contact("seat", seat);
+    expect(() => model.set_contact("other", contact)).toThrow(error);
+  });
+
+  it("throws if the contact to remove does not exist", () => {
+    const model = new JOS3();
+    expect(() => model.remove_contact("seat")).toThrow("Unknown contact seat");
+  });
+});
+
+describe("JOS3 devices", () => {
+  const fan = {
+    segments: ["head", "neck", "chest"],
+    v: 1,
+    power: 20,
+    schedule: [[0, 300]],
+  };
+  const foot_warmer = {
+    segments: ["left_foot", "right_foot"],
+    q: 10,
+    power: 30,
+  };
+  const panel = { segments: ["left_thigh", "right_thigh"], delta_tr: 10 };
+
+  it("changes the local skin temperatures and reports the power", () => {
+    const reference = new JOS3();
+    const model = new JOS3();
+    reference.to = 30;
+    model.to = 30;
+    model.set_device("fan", fan);
+    model.set_device("foot_warmer", foot_warmer);
+    model.set_device("panel", panel);
+    reference.simulate(10);
+    model.simulate(10);
+
+    const results = model.dict_results();
+    const expected = reference.dict_results();
+    expect(results.t_skin_left_foot.at(-1)).toBeGreaterThan(
+      expected.t_skin_left_foot.at(-1),
+    );
+    expect(results.t_skin_left_thigh.at(-1)).toBeGreaterThan(
+      expected.t_skin_left_thigh.at(-1),
+    );
+    expect(results.t_skin_head[5]).toBeLessThan(expected.t_skin_head[5]);
+
+    expect(results.power_fan).toEqual([
+      null,
+      20,
+      20,
+      20,
+      20,
+      20,
+      0,
+      0,
+      0,
+      0,
+      0,
+    ]);
+    expect(results.power_devices.at(-1)).toBe(30);
+    expect(results.q_device_head[1]).toBeLessThan(0);
+    expect(results.q_device_head.at(-1)).toBe(0);
+    expect(results.q_device_left_foot.at(-1)).toBeCloseTo(5, 10);
+    expect(results.q_device_left_thigh.at(-1)).toBeGreaterThan(0);
+    expect(results.q_device_pelvis.at(-1)).toBe(0);
+
+    // the devices do not change the inputs of the model
+    expect(model.v.get([0])).toBe(0.1);
+    expect(model.tr.get([11])).toBe(30);
+  });
+
+  it("includes the sensible and evaporative heat loss in q_device", () => {
+    const reference = new JOS3();
+    const model = new JOS3();
+    for (const jos of [reference, model]) {
+      jos.to = 34;
+      jos.rh = 60;
+    }
+    model.set_device("fan", fan);
+    reference.simulate(1);
+    model.simulate(1);
+
+    // both models start from the same state, the first time step isolates the effect of the fan
+    const results = model.dict_results();
+    const expected = reference.dict_results();
+    expect(results.q_skin2env_latent_head[1]).toBeGreaterThan(
+      expected.q_skin2env_latent_head[1],
+    );
+    expect(results.q_device_head[1]).toBeCloseTo(
+      expected.q_skin2env_head[1] - results.q_skin2env_head[1],
+      10,
+    );
+  });
+
+  it("does not change the results without devices", () => {
+    const reference = new JOS3();
+    const model = new JOS3();
+    model.set_device("fan", fan);
+    model.remove_device("fan");
+    reference.simulate(5);
+    model.simulate(5);
+    expect(model.dict_results()).toEqual(reference.dict_results());
+  });
+
+  it("saves the devices in the snapshot and in the scenario", () => {
+    const model = new JOS3();
+    const results = model.simulate_scenario([
+      { duration: 120, devices: { fan, foot_warmer } },
+      { duration: 120, devices: { foot_warmer } },
+    ]);
+    expect(Object.keys(model.devices)).toEqual(["foot_warmer"]);
+    expect(results.power_devices).toEqual([0, 50, 50, 30, 30]);
+
+    const restored = JOS3.from_json(model.to_json());
+    expect(restored.devices).toEqual(model.devices);
+    model.clear_devices();
+    expect(model.devices).toEqual({});
+  });
+
+  it.each([
+    {
+      device: { segments: [] },
+      error: "The device must target at least one body segment",
+    },
+    { device: { segments: ["tail"] }, error: "Unknown body segment tail" },
+    {
+      device: { segments: ["head"], v: -1 },
+      error: "The air speed of the device must be a non-negative number",
+    },
+    {
+      device: { segments: ["head"], q: "10" },
+      error: "The effects of the device must be numbers",
+    },
+    {
+      device: { segments: ["head"], power: -5 },
+      error: "The power of the device must be a non-negative number",
+    },
+    {
+      device: { segments: ["head"], schedule: [[60, 0]] },
+      error:
+        "The schedule of the device must be a list of [start, end] intervals",
+    },
+  ])("throws for $device", ({ device, error }) => {
+    const model = new JOS3();
+    expect(() => model.set_device("device", device)).toThrow(error);
+  });
+
+  it("throws if the device to remove does not exist", () => {
+    const model = new JOS3();
+    expect(() => model.remove_device("fan")).toThrow("Unknown device fan");
+  });
+});
@@ -1,5 +1,5 @@
 import { expect, describe, it } from "@jest/globals";
-import { at } from "../../src/models/at";
+import { at, at_array } from "../../src/models/at";
 
 describe("at", () => {
   it.each([
@@ -29,4 +29,44 @@ describe("at", () => {
       expect(result).toBeCloseTo(expected);
     },
   );
+
+  it("only rounds the result by default if kwargs is not provided", () => {
+    expect(at(25, 30, 0.1)).toBe(24.1);
+    expect(at(25, 30, 0.1, undefined, {})).not.toBe(24.1);
+    expect(at(25, 30, 0.1, undefined, {})).toBeCloseTo(24.1, 1);
+  });
+});
+
+describe("at_array", () => {
+  it.each([
+    {
+      tdb: [25, 23],
+      rh: [30, 70],
+      v: [0.1, 1],
+      q: undefined,
+      kwargs: undefined,
+      expected: [24.1, 24.8],
+    },
+    {
+      tdb: [23],
+      rh: [70],
+      v: [1],
+      q: [50],
+      kwargs: undefined,
+      expected: [28.1],
+    },
+    {
+      tdb: [77],
+      rh: [30],
+      v: [0.328],
+      q: undefined,
+      kwargs: { units: "IP", round: true },
+      expected: [75.3],
+    },
+  ])(
+    "returns $expected when tdb is $tdb, rh is $rh, v is $v and q is $q",
+    ({ tdb, rh, v, q, kwargs, expected }) => {
+      expect(at_array(tdb, rh, v, q, kwargs)).toStrictEqual(expected);
+    },
+  );
 });
@@ -0,0 +1,127 @@
+import { expect, describe, it } from "@jest/globals";
+import { comfort_zone } from "../../src/models/comfort_zone.js";
+import { pmv_ppd } from "../../src/models/pmv_ppd.js";
+import { deep_close_to_array } from "../test_utilities.js";
+
+describe("comfort_zone", () => {
+  it.each([
+    {
+      met: 1.1,
+      clo: 0.5,
+      vr: 0.1,
+      kwargs: { rh_step: 50 },
+      expected_cool: [25, 23.9, 22.9],
+      expected_warm: [28.3, 26.9, 25.7],
+      expected_hr: [0, 0.00923, 0.01758],
+    },
+    {
+      met: 1.1,
+      clo: 0.5,
+      vr: 0.8,
+      kwargs: { rh_step: 50 },
+      expected_cool: [28.5, 27.1, 25.8],
+      expected_warm: [32.1, 30.3, 28.4],
+      expected_hr: [0, 0.01121, 0.02107],
+    },
+    {
+      met: 1.1,
+      clo: 0.5,
+      vr: 0.328,
+      kwargs: { rh_step: 50, units: "IP" },
+      expected_cool: [77.1, 75, 73.1],
+      expected_warm: [82.9, 80.4, 78.3],
+      expected_hr: [0, 0.00923, 0.01758],
+    },
+  ])(
+    "returns the boundaries when met is $met, clo is $clo, vr is $vr",
+    ({ met, clo, vr, kwargs, expected_cool, expected_warm, expected_hr }) => {
+      const result = comfort_zone(met, clo, vr, kwargs);
+      deep_close_to_array(
+        result.cool_edge.map((point) => point.t_o),
+        expected_cool,
+        1,
+      );
+      deep_close_to_array(
+        result.warm_edge.map((point) => point.t_o),
+        expected_warm,
+        1,
+      );
+      deep_close_to_array(
+        result.cool_edge.map((point) => point.hr),
+        expected_hr,
+        4,
+      );
+      expect(result.cool_edge.map((point) => point.rh)).toStrictEqual([
+        0, 50, 100,
+      ]);
+    },
+  );
+
+  it("returns points on the PMV limits", () => {
+    const result = comfort_zone(1.2, 0.6, 0.1, { pmv_limits: [-0.7, 0.7] });
+    expect(result.cool_edge).toHaveLength(11);
+    for (const { t_o, rh } of result.cool_edge) {
+      expect(pmv_ppd(t_o, t_o, 0.1, rh, 1.2, 0.6, 0, "ASHRAE").pmv).toBeCloseTo(
+        -0.7,
+        1,
+      );
+    }
+    for (const { t_o, rh } of result.warm_edge) {
+      expect(pmv_ppd(t_o, t_o, 0.1, rh, 1.2, 0.6, 0, "ASHRAE").pmv).toBeCloseTo(
+        0.7,
+        1,
+      );
+    }
+  });
+
+  it("returns a closed polygon with the cool edge followed by the reversed warm edge", () => {
+    const result = comfort_zone(1.1, 0.5, 0.1, { rh_step: 25 });
+    expect(result.polygon).toStrictEqual([
+      ...result.cool_edge,
+      ...[...result.warm_edge].reverse(),
+    ]);
+  });
+
+  it("returns NaN if the boundary is outside the applicability limits", () => {
+    const result = comfort_zone(3, 1.5, 0.1, { rh_step: 50 });
+    deep_close_to_array(
+      result.cool_edge.map((point) => point.t_o),
+      [NaN, NaN, NaN],
+      1,
+    );
+  });
+
+  it("throws if the root finding fails for other reasons", () => {
+    expect(() => comfort_zone(NaN, 0.5, 0.1, { rh_step: 50 })).toThrow(
+      "Could not achieve required tolerance within iteration limit.",
+    );
+  });
+
+  it.each([
+    { kwargs: { altitude: 1600 } },
+    { kwargs: { p_atm: 83523 } },
+    { kwargs: { units: "IP", p_atm: 0.8243 } },
+    { kwargs: { units: "IP", altitude: 5249 } },
+  ])(
+    "calculates the humidity ratio at the pressure given by $kwargs",
+    ({ kwargs }) => {
+      const vr = kwargs.units === "IP" ? 0.328 : 0.1;
+      const result = comfort_zone(1.1, 0.5, vr, { rh_step: 50, ...kwargs });
+      expect(result.warm_edge.map((point) => point.hr)).toEqual([
+        0, 0.01349, 0.02563,
+      ]);
+    },
+  );
+
+  it("throws if both p_atm and altitude are provided", () => {
+    expect(() =>
+      comfort_zone(1.1, 0.5, 0.1, { p_atm: 83523, altitude: 1600 }),
+    ).toThrow("Please provide either p_atm or altitude, not both");
+  });
+
+  it.each([0, -10, NaN])("throws if rh_step is %p", (rh_step) => {
+    expect(() => comfort_zone(1.1, 0.5, 0.1, { rh_step })).toThrow(
+      "rh_step must be a positive number",
+    );
+  });
+});
@@ -0,0 +1,108 @@
+import { expect, describe, it } from "@jest/globals";
+import {
+  draft_rating,
+  draft_rating_array,
+} from "../../src/models/draft_rating.js";
+import { deep_close_to_array } from "../test_utilities.js";
+
+describe("draft_rating", () => {
+  it.each([
+    {
+      tdb: 20,
+      v: 0.15,
+      tu: 40,
+      units: "SI",
+      expected: { DR: 18, Category: "B", Acceptability: true },
+    },
+    {
+      tdb: 24,
+      v: 0.1,
+      tu: 20,
+      units: "SI",
+      expected: { DR: 6.1, Category: "A", Acceptability: true },
+    },
+    {
+      tdb: 24,
+      v: 0.03,
+      tu: 40,
+      units: "SI",
+      expected: { DR: 0, Category: "A", Acceptability: true },
+    },
+    {
+      tdb: 21,
+      v: 0.25,
+      tu: 40,
+      units: "SI",
+      expected: { DR: 32.8, Category: null, Acceptability: false },
+    },
+    {
+      tdb: 68,
+      v: 0.15 * 3.281,
+      tu: 40,
+      units: "IP",
+      expected: { DR: 18, Category: "B", Acceptability: true },
+    },
+  ])(
+    "returns $expected.DR when tdb is $tdb, v is $v, tu is $tu",
+    ({ tdb, v, tu, units, expected }) => {
+      const result = draft_rating(tdb, v, tu, units);
+      expect(result.DR).toBeCloseTo(expected.DR, 1);
+      expect(result.Category).toBe(expected.Category);
+      expect(result.Acceptability).toBe(expected.Acceptability);
+    },
+  );
+
+  it("uses a turbulence intensity of 40 % by default", () => {
+    expect(draft_rating(20, 0.15)).toStrictEqual(draft_rating(20, 0.15, 40));
+  });
+
+  it("caps the draught rating at 100 %", () => {
+    expect(draft_rating(18, 0.6, 40).DR).toBe(100);
+  });
+});
+
+describe("draft_rating_array", () => {
+  it.each([
+    {
+      tdb: [20, 24, 21],
+      v: [0.15, 0.1, 0.25],
+      tu: [40, 20, 40],
+      limit_inputs: true,
+      expected: {
+        DR: [18, 6.1, 32.8],
+        Category: ["B", "A", null],
+        Acceptability: [true, true, false],
+      },
+    },
+    {
+      tdb: [18, 20, 20],
+      v: [0.2, 0.6, 0.15],
+      tu: [40, 40, 70],
+      limit_inputs: true,
+      expected: {
+        DR: [NaN, NaN, NaN],
+        Category: [null, null, null],
+        Acceptability: [false, false, false],
+      },
+    },
+    {
+      tdb: [18],
+      v: [0.2],
+      tu: [40],
+      limit_inputs: false,
+      expected: {
+        DR: [30.1],
+        Category: [null],
+        Acceptability: [false],
+      },
+    },
+  ])(
+    "returns $expected.DR when tdb is $tdb, v is $v, tu is $tu",
+    ({ tdb, v, tu, limit_inputs, expected }) => {
+      const result = draft_rating_array(tdb, v, tu, "SI", limit_inputs);
+      deep_close_to_array(result.DR, expected.DR, 1);
+      expect(result.Category).toStrictEqual(expected.Category);
+      expect(result.Acceptability).toStrictEqual(expected.Acceptability);
+    },
+  );
+});
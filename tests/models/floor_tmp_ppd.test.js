@@ -0,0 +1,34 @@
+import { expect, describe, it } from "@jest/globals";
+import { floor_tmp_ppd } from "../../src/models/floor_tmp_ppd.js";
+
+describe("floor_tmp_ppd", () => {
+  it.each([
+    {
+      t_floor: 18,
+      units: undefined,
+      expected: { PPD_fl: 12.6, Acceptability: false },
+    },
+    {
+      t_floor: 24,
+      units: "SI",
+      expected: { PPD_fl: 5.5, Acceptability: true },
+    },
+    {
+      t_floor: 30,
+      units: "SI",
+      expected: { PPD_fl: 14.7, Acceptability: false },
+    },
+    {
+      t_floor: 75.2,
+      units: "IP",
+      expected: { PPD_fl: 5.5, Acceptability: true },
+    },
+  ])(
+    "returns $expected.PPD_fl when t_floor is $t_floor",
+    ({ t_floor, units, expected }) => {
+      const result = floor_tmp_ppd(t_floor, units);
+      expect(result.PPD_fl).toBeCloseTo(expected.PPD_fl, 1);
+      expect(result.Acceptability).toBe(expected.Acceptability);
+    },
+  );
+});
@@ -1,5 +1,5 @@
 import { expect, describe, it } from "@jest/globals";
-import { heat_index } from "../../src/models/heat_index";
+import { heat_index, heat_index_array } from "../../src/models/heat_index";
 
 describe("heat_index", () => {
   it("should be a function", () => {
@@ -11,13 +11,19 @@ describe("heat_index", () => {
       tdb: 25,
       rh: 50,
       options: undefined,
-      expected: 25.9,
+      expected: 24.9,
     },
     {
       tdb: 77,
       rh: 50,
       options: { units: "IP" },
-      expected: 78.6,
+      expected: 76.8,
+    },
+    {
+      tdb: 15,
+      rh: 50,
+      options: undefined,
+      expected: 13.9,
     },
     {
       tdb: 30,
@@ -31,6 +37,42 @@ describe("heat_index", () => {
       options: { units: "IP" },
       expected: 99.8,
     },
+    {
+      tdb: 95,
+      rh: 10,
+      options: { units: "IP" },
+      expected: 89.4,
+    },
+    {
+      tdb: 85,
+      rh: 90,
+      options: { units: "IP" },
+      expected: 101.8,
+    },
+    {
+      tdb: 40,
+      rh: 40,
+      options: { model: "lu_romps" },
+      expected: 48.6,
+    },
+    {
+      tdb: 30,
+      rh: 80,
+      options: { model: "lu_romps" },
+      expected: 36.8,
+    },
+    {
+      tdb: -10,
+      rh: 50,
+      options: { model: "lu_romps" },
+      expected: -10.4,
+    },
+    {
+      tdb: 60,
+      rh: 90,
+      options: { model: "lu_romps" },
+      expected: 198.8,
+    },
   ])(
     "returns $expected when tdb is $tdb, rh is $rh and options is $options",
     ({ tdb, rh, options, expected }) => {
@@ -40,6 +82,41 @@ describe("heat_index", () => {
     },
   );
 
+  it.each([
+    { tdb: 25, rh: 50, options: undefined, expected: "no risk" },
+    { tdb: 77, rh: 50, options: { units: "IP" }, expected: "no risk" },
+    { tdb: 15, rh: 50, options: undefined, expected: "no risk" },
+    { tdb: 30, rh: 80, options: undefined, expected: "extreme caution" },
+    { tdb: 86, rh: 80, options: { units: "IP" }, expected: "extreme caution" },
+    { tdb: 95, rh: 10, options: { units: "IP" }, expected: "caution" },
+    { tdb: 85, rh: 90, options: { units: "IP" }, expected: "extreme caution" },
+    { tdb: 40, rh: 40, options: { model: "lu_romps" }, expected: "danger" },
+    {
+      tdb: 30,
+      rh: 80,
+      options: { model: "lu_romps" },
+      expected: "extreme caution",
+    },
+    { tdb: -10, rh: 50, options: { model: "lu_romps" }, expected: "no risk" },
+    {
+      tdb: 60,
+      rh: 90,
+      options: { model: "lu_romps" },
+      expected: "extreme danger",
+    },
+  ])(
+    "returns the stress category $expected when tdb is $tdb, rh is $rh and options is $options",
+    ({ tdb, rh, options, expected }) => {
+      const result = heat_index(
+        tdb,
+        rh,
+        Object.assign({ return_stress_category: true }, options),
+      );
+
+      expect(result.stress_category).toBe(expected);
+    },
+  );
+
   it("should not round the heat index if the round options is false", () => {
     const not_rounded = heat_index(30, 60, { round: false });
     const rounded = heat_index(30, 60, { round: true });
@@ -47,4 +124,41 @@ describe("heat_index", () => {
     expect(not_rounded).toBeGreaterThan(rounded);
     expect(not_rounded).toBeLessThan(rounded + 0.04);
   });
+
+  it("should throw an error if the model is unknown", () => {
+    expect(() => heat_index(30, 60, { model: "steadman" })).toThrow(
+      "Unknown model steadman, it should be either nws or lu_romps",
+    );
+  });
+});
+
+describe("heat_index_array", () => {
+  it.each([
+    {
+      tdb: [25, 30, 45],
+      rh: [50, 80, 50],
+      options: undefined,
+      expected: [24.9, 37.7, 73.3],
+    },
+    {
+      tdb: [25, 30, 45],
+      rh: [50, 80, 50],
+      options: { return_stress_category: true },
+      expected: {
+        hi: [24.9, 37.7, 73.3],
+        stress_category: ["no risk", "extreme caution", "extreme danger"],
+      },
+    },
+    {
+      tdb: [77, 95],
+      rh: [50, 10],
+      options: { units: "IP", return_stress_category: true },
+      expected: { hi: [76.8, 89.4], stress_category: ["no risk", "caution"] },
+    },
+  ])(
+    "returns $expected when tdb is $tdb, rh is $rh and options is $options",
+    ({ tdb, rh, options, expected }) => {
+      expect(heat_index_array(tdb, rh, options)).toStrictEqual(expected);
+    },
+  );
 });
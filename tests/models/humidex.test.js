@@ -1,5 +1,5 @@
 import { expect, describe, it } from "@jest/globals";
-import { humidex } from "../../src/models/humidex";
+import { humidex, humidex_array } from "../../src/models/humidex";
 
 describe("humidex", () => {
   it.each([
@@ -69,3 +69,75 @@ describe("humidex", () => {
     },
   );
 });
+
+describe("humidex stress category", () => {
+  it("also returns the discomfort level as stress_category if return_stress_category is true", () => {
+    expect(
+      humidex(30, 56, { round: true, return_stress_category: true }),
+    ).toStrictEqual({
+      humidex: 37.6,
+      discomfort: "Evident discomfort",
+      stress_category: "Evident discomfort",
+    });
+  });
+});
+
+describe("humidex IP units", () => {
+  it("converts the input and the output if units is IP", () => {
+    expect(humidex(77, 50, { units: "IP", round: true })).toStrictEqual({
+      humidex: 82.8,
+      discomfort: "Little or no discomfort",
+    });
+  });
+});
+
+describe("humidex_array", () => {
+  it.each([
+    {
+      tdb: [22, 30, 40],
+      rh: [56, 56, 56],
+      options: undefined,
+      expected: {
+        humidex: [24.7, 37.6, 57.3],
+        discomfort: [
+          "Little or no discomfort",
+          "Evident discomfort",
+          "Heat stroke probable",
+        ],
+      },
+    },
+    {
+      tdb: [22, 30],
+      rh: [56, 56],
+      options: { round: true, return_stress_category: true },
+      expected: {
+        humidex: [24.7, 37.6],
+        discomfort: ["Little or no discomfort", "Evident discomfort"],
+        stress_category: ["Little or no discomfort", "Evident discomfort"],
+      },
+    },
+    {
+      tdb: [40],
+      rh: [56],
+      options: { round: false },
+      expected: {
+        humidex: [57.32156454581363],
+        discomfort: ["Heat stroke probable"],
+      },
+    },
+    {
+      tdb: [77, 86],
+      rh: [50, 50],
+      options: { units: "IP", round: true },
+      expected: {
+        humidex: [82.8, 97.2],
+        discomfort: ["Little or no discomfort", "Evident discomfort"],
+      },
+    },
+  ])(
+    "returns $expected when tdb is $tdb, rh is $rh and options is $options",
+    ({ tdb, rh, options, expected }) => {
+      expect(humidex_array(tdb, rh, options)).toStrictEqual(expected);
+    },
+  );
+});
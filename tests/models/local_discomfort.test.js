@@ -0,0 +1,120 @@
+import { expect, describe, it, jest } from "@jest/globals";
+import { local_discomfort } from "../../src/models/local_discomfort.js";
+
+const base_record = { tdb: 23, tr: 23, vr: 0.1, rh: 50, met: 1.2, clo: 0.5 };
+
+describe("local_discomfort", () => {
+  it("evaluates all the local discomfort criteria", () => {
+    const result = local_discomfort({
+      ...base_record,
+      v_ankle: 0.15,
+      vertical_tmp_grad: 2,
+      tu: 40,
+      t_floor: 22,
+      t_pr: { up: 25, down: 22 },
+    });
+    expect(result).toStrictEqual({
+      criteria: {
+        draft: { PPD: 7.9, Acceptability: true, Category: "A" },
+        ankle_draft: { PPD: 17.1, Acceptability: true },
+        vertical_tmp_grad: { PPD: 2.3, Acceptability: true, Category: "A" },
+        radiant_asymmetry: {
+          PPD: 3.5,
+          Acceptability: true,
+          Category: "A",
+          surface: "warm ceiling",
+        },
+        floor: { PPD: 6.1, Acceptability: true, Category: "A" },
+      },
+      limiting_criterion: "ankle_draft",
+      iso_category: "A",
+      ashrae_acceptability: true,
+    });
+  });
+
+  it("returns the same results in IP units", () => {
+    const result = local_discomfort(
+      {
+        ...base_record,
+        tdb: 73.4,
+        tr: 73.4,
+        vr: 0.328,
+        v_ankle: 0.15 * 3.281,
+        vertical_tmp_grad: (2 * 1.8) / 3.28,
+        tu: 40,
+        t_floor: 71.6,
+        t_pr: { up: 77, down: 71.6 },
+      },
+      "IP",
+    );
+    expect(result.criteria.draft.PPD).toBeCloseTo(7.9, 1);
+    expect(result.criteria.ankle_draft.PPD).toBeCloseTo(17.1, 1);
+    expect(result.criteria.vertical_tmp_grad.PPD).toBeCloseTo(2.3, 1);
+    expect(result.criteria.radiant_asymmetry.PPD).toBeCloseTo(3.5, 1);
+    expect(result.criteria.floor.PPD).toBeCloseTo(6.1, 1);
+  });
+
+  it("returns the worst ISO category and the limiting criterion", () => {
+    const result = local_discomfort({
+      ...base_record,
+      vertical_tmp_grad: 3,
+      t_floor: 30,
+      t_pr: { front: 14, back: 23, left: 23, right: 23 },
+    });
+    expect(result.criteria.vertical_tmp_grad.Category).toBe("C");
+    expect(result.criteria.radiant_asymmetry.Category).toBe("A");
+    expect(result.criteria.floor.Category).toBe("C");
+    expect(result.criteria.radiant_asymmetry.surface).toBe("cool wall");
+    expect(result.limiting_criterion).toBe("floor");
+    expect(result.iso_category).toBe("C");
+    expect(result.ashrae_acceptability).toBe(false);
+  });
+
+  it("skips the criteria that are not applicable for vr > 0.2 m/s", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const result = local_discomfort({
+      ...base_record,
+      tdb: 22,
+      vr: 0.3,
+      v_ankle: 0.15,
+      vertical_tmp_grad: 2,
+      tu: 40,
+    });
+    expect(Object.keys(result.criteria)).toStrictEqual(["draft"]);
+    expect(result.criteria.draft.Category).toBe(null);
+    expect(result.iso_category).toBe(null);
+    expect(result.ashrae_acceptability).toBe(true);
+    expect(warn).toHaveBeenCalledWith(
+      "The ankle_draft criterion is only applicable for air speed lower than 0.2 m/s",
+    );
+    expect(warn).toHaveBeenCalledWith(
+      "The vertical_tmp_grad criterion is only applicable for air speed lower than 0.2 m/s",
+    );
+    warn.mockRestore();
+  });
+
+  it("skips the criteria in IP units using the air speed in m/s", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const result = local_discomfort(
+      { ...base_record, tdb: 71.6, tr: 71.6, vr: 60, v_ankle: 30 },
+      "IP",
+    );
+    expect(result.criteria).toStrictEqual({});
+    warn.mockRestore();
+  });
+
+  it("does not hide the errors of the criteria", () => {
+    expect(() =>
+      local_discomfort({ ...base_record, v_ankle: 0.15 }, null),
+    ).toThrow();
+  });
+
+  it("returns no criteria if no local inputs are provided", () => {
+    expect(local_discomfort(base_record)).toStrictEqual({
+      criteria: {},
+      limiting_criterion: null,
+      iso_category: null,
+      ashrae_acceptability: true,
+    });
+  });
+});
@@ -1,5 +1,5 @@
 import { expect, describe, it } from "@jest/globals";
-import { net } from "../../src/models/net";
+import { net, net_array } from "../../src/models/net";
 
 describe("net", () => {
   it.each([
@@ -37,3 +37,60 @@ describe("net", () => {
     },
   );
 });
+
+describe("net stress categories", () => {
+  it.each([
+    { tdb: -5, expected: { net: -7.6, stress_category: "very cold" } },
+    { tdb: 5, expected: { net: 1.7, stress_category: "cold" } },
+    { tdb: 19, expected: { net: 14.8, stress_category: "cool" } },
+    { tdb: 22, expected: { net: 17.6, stress_category: "fresh" } },
+    { tdb: 30, expected: { net: 25.1, stress_category: "warm" } },
+    { tdb: 37, expected: { net: 31.6, stress_category: "hot" } },
+  ])("returns $expected when tdb is $tdb", ({ tdb, expected }) => {
+    const result = net(tdb, 50, 1, {
+      round: true,
+      return_stress_category: true,
+    });
+    expect(result).toStrictEqual(expected);
+  });
+
+  it("converts the inputs and the output if units is IP", () => {
+    const result = net(77, 50, 0.33, {
+      units: "IP",
+      round: true,
+      return_stress_category: true,
+    });
+    expect(result).toStrictEqual({ net: 72.6, stress_category: "comfortable" });
+  });
+});
+
+describe("net_array", () => {
+  it.each([
+    {
+      tdb: [37, 25, 21],
+      rh: [100, 50, 56],
+      v: [0.1, 0.1, 4],
+      options: undefined,
+      expected: [37, 22.5, 13.7],
+    },
+    {
+      tdb: [21],
+      rh: [56],
+      v: [4],
+      options: { round: false },
+      expected: [13.713298025191364],
+    },
+    {
+      tdb: [77, 50],
+      rh: [50, 50],
+      v: [0.33, 3],
+      options: { units: "IP", round: true, return_stress_category: true },
+      expected: { net: [72.6, 44.1], stress_category: ["comfortable", "cold"] },
+    },
+  ])(
+    "returns $expected when tdb is $tdb, rh is $rh, v is $v and options is $options",
+    ({ tdb, rh, v, options, expected }) => {
+      expect(net_array(tdb, rh, v, options)).toStrictEqual(expected);
+    },
+  );
+});
@@ -1,5 +1,5 @@
 import { expect, describe, it } from "@jest/globals";
-import { pet_steady } from "../../src/models/pet_steady";
+import { pet_steady, pet_steady_array } from "../../src/models/pet_steady";
 
 describe("pet_steady", () => {
   it("should be a function", () => {
@@ -20,4 +20,227 @@ describe("pet_steady", () => {
     const result = pet_steady(tdb, tr, v, rh, met, clo);
     expect(result).toBeCloseTo(expected);
   });
+
+  it.each([
+    {
+      tdb: 20,
+      scale: "central_european",
+      expected: {
+        pet: 18.85,
+        thermal_perception: "comfortable",
+        stress_category: "no thermal stress",
+      },
+    },
+    {
+      tdb: 20,
+      scale: "tropical",
+      expected: {
+        pet: 18.85,
+        thermal_perception: "cool",
+        stress_category: "moderate cold stress",
+      },
+    },
+    {
+      tdb: 30,
+      scale: "central_european",
+      expected: {
+        pet: 30.59,
+        thermal_perception: "warm",
+        stress_category: "moderate heat stress",
+      },
+    },
+    {
+      tdb: 30,
+      scale: "tropical",
+      expected: {
+        pet: 30.59,
+        thermal_perception: "slightly warm",
+        stress_category: "slight heat stress",
+      },
+    },
+  ])(
+    "returns $expected when tdb is $tdb and the scale is $scale",
+    ({ tdb, scale, expected }) => {
+      const result = pet_steady(
+        tdb,
+        tdb,
+        0.15,
+        50,
+        1.37,
+        0.5,
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        { return_stress_category: true, scale },
+      );
+      expect(result).toStrictEqual(expected);
+    },
+  );
+
+  it("converts the inputs and the output if units is IP", () => {
+    const result = pet_steady(
+      68,
+      68,
+      0.492,
+      50,
+      1.37,
+      0.5,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      { units: "IP" },
+    );
+    expect(result).toBeCloseTo(65.93, 1);
+  });
+
+  it("throws an error if the scale is unknown", () => {
+    expect(() =>
+      pet_steady(
+        20,
+        20,
+        0.15,
+        50,
+        1.37,
+        0.5,
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        { return_stress_category: true, scale: "arctic" },
+      ),
+    ).toThrow("Unknown scale arctic");
+  });
+});
+
+describe("pet_steady_array", () => {
+  it("returns the same values as pet_steady", () => {
+    const result = pet_steady_array(
+      [20, 30, -5, 30],
+      [20, 30, 40, 60],
+      [0.15, 0.15, 0.5, 1],
+      [50, 50, 2, 80],
+      [1.37, 1.37, 1.37, 1.37],
+      [0.5, 0.5, 0.9, 0.9],
+    );
+    expect(result).toStrictEqual([18.85, 30.59, 7.82, 43.05]);
+  });
+
+  it("broadcasts the body parameters", () => {
+    const tdb = [20, 30];
+    const age = [23, 40];
+    const sex = [1, 2];
+    const result = pet_steady_array(
+      tdb,
+      tdb,
+      [0.15, 0.15],
+      [50, 50],
+      1.37,
+      0.5,
+      1013.25,
+      1,
+      age,
+      sex,
+      70,
+      [1.8, 1.7],
+    );
+    const expected = tdb.map((_tdb, i) =>
+      pet_steady(
+        _tdb,
+        _tdb,
+        0.15,
+        50,
+        1.37,
+        0.5,
+        1013.25,
+        1,
+        age[i],
+        sex[i],
+        70,
+        [1.8, 1.7][i],
+      ),
+    );
+    expect(result).toStrictEqual(expected);
+  });
+
+  it("returns the classes and converts the units", () => {
+    const result = pet_steady_array(
+      [68, 86],
+      [68, 86],
+      [0.492, 0.492],
+      [50, 50],
+      1.37,
+      0.5,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      { units: "IP", return_stress_category: true },
+    );
+    expect(result.thermal_perception).toStrictEqual(["comfortable", "warm"]);
+    expect(result.stress_category).toStrictEqual([
+      "no thermal stress",
+      "moderate heat stress",
+    ]);
+    expect(result.pet[0]).toBeCloseTo(65.93, 1);
+  });
+});
+
+describe("pet_steady altitude", () => {
+  it("uses the standard pressure at the given altitude", () => {
+    const args = [30, 30, 0.15, 50, 1.37, 0.5];
+    const rest = [1, 23, 1, 75, 1.8, 0];
+    expect(pet_steady(...args, undefined, ...rest, { altitude: 1600 })).toBe(
+      pet_steady(...args, 835.23, ...rest),
+    );
+    expect(
+      pet_steady_array(
+        [30, 30],
+        [30, 30],
+        [0.15, 0.15],
+        [50, 50],
+        1.37,
+        0.5,
+        undefined,
+        ...rest,
+        { altitude: [0, 1600] },
+      ),
+    ).toEqual([30.59, 30.97]);
+  });
+
+  it("uses the atmospheric pressure in atm if units is IP", () => {
+    const args = [86, 86, 0.49, 50, 1.37, 0.5];
+    const rest = [1, 23, 1, 75, 1.8, 0];
+    const expected = pet_steady(...args, undefined, ...rest, {
+      units: "IP",
+      altitude: 5249,
+    });
+    expect(pet_steady(...args, 0.8243, ...rest, { units: "IP" })).toBeCloseTo(
+      expected,
+      1,
+    );
+    expect(pet_steady(...args, 1, ...rest, { units: "IP" })).toBe(
+      pet_steady(...args, undefined, ...rest, { units: "IP" }),
+    );
+  });
+
+  it("throws an error if both p_atm and altitude are provided", () => {
+    const args = [30, 30, 0.15, 50, 1.37, 0.5];
+    expect(() =>
+      pet_steady(...args, 835.23, 1, 23, 1, 75, 1.8, 0, { altitude: 1600 }),
+    ).toThrow("Please provide either p_atm or altitude, not both");
+  });
 });
@@ -1,6 +1,6 @@
-import { expect, describe, it } from "@jest/globals";
-import { deep_close_to_obj } from "../test_utilities";
-import { phs } from "../../src/models/phs";
+import { expect, describe, it, jest } from "@jest/globals";
+import { deep_close_to_obj, deep_close_to_obj_arrays } from "../test_utilities";
+import { phs, phs_array, phs_schedule } from "../../src/models/phs";
 
 describe("phs", () => {
   it("should be a function", () => {
@@ -246,4 +246,261 @@ describe("phs", () => {
       deep_close_to_obj(result, expected, 1);
     },
   );
+
+  it("scales the evaporative resistance with the atmospheric pressure", () => {
+    const sea_level = phs(40, 40, 0.3, 33.85, 150, 0.5, 2);
+    expect(phs(40, 40, 0.3, 33.85, 150, 0.5, 2, 0, { p_atm: 101325 })).toEqual(
+      sea_level,
+    );
+
+    const result = phs(40, 40, 0.3, 33.85, 150, 0.5, 2, 0, { altitude: 3000 });
+    expect(result.water_loss).toBe(4853.8);
+    expect(result.d_lim_loss_95).toBe(374);
+    expect(result.water_loss).toBeLessThan(sea_level.water_loss);
+    expect(
+      phs(40, 40, 0.3, 33.85, 150, 0.5, 2, 0, { p_atm: 70108 }).water_loss,
+    ).toBe(result.water_loss);
+  });
+
+  it("throws if both p_atm and altitude are provided", () => {
+    expect(() =>
+      phs(40, 40, 0.3, 33.85, 150, 0.5, 2, 0, { p_atm: 70108, altitude: 3000 }),
+    ).toThrow("Please provide either p_atm or altitude, not both");
+  });
+});
+
+describe("phs_array", () => {
+  it.each([
+    {
+      tdb: [40, 35],
+      tr: [40, 35],
+      v: [0.3, 0.3],
+      rh: [33.85, 71],
+      met: [150, 150],
+      clo: [0.5, 0.5],
+      posture: [2, 2],
+      wme: undefined,
+      kwargs: undefined,
+      expected: {
+        t_re: [37.5, 39.8],
+        t_sk: [35.3, 36.4],
+        t_cr: [37.5, 39.7],
+        t_cr_eq: [37.1, 37.1],
+        t_sk_t_cr_wg: [0.24, 0.1],
+        d_lim_loss_50: [440, 385],
+        d_lim_loss_95: [298, 256],
+        d_lim_t_re: [480, 75],
+        water_loss_watt: [266.1, 276.9],
+        water_loss: [6166.4, 6934.6],
+      },
+    },
+    {
+      tdb: [40, 40],
+      tr: [40, 40],
+      v: [0.3, 0.3],
+      rh: [33.85, 33.85],
+      met: [150, 150],
+      clo: [0.5, 0.5],
+      posture: [2, 2],
+      wme: [0, 0],
+      kwargs: { acclimatized: [100, 0], duration: [480, 60] },
+      expected: {
+        t_re: [37.5, 37.6],
+        t_sk: [35.3, 35.3],
+        t_cr: [37.5, 37.5],
+        t_cr_eq: [37.1, 37.1],
+        t_sk_t_cr_wg: [0.24, 0.24],
+        d_lim_loss_50: [440, 60],
+        d_lim_loss_95: [298, 60],
+        d_lim_t_re: [480, 60],
+        water_loss_watt: [266.1, 249],
+        water_loss: [6166.4, 599.7],
+      },
+    },
+    {
+      tdb: [40, 60],
+      tr: [40, 60],
+      v: [0.3, 0.3],
+      rh: [33.85, 30],
+      met: [150, 150],
+      clo: [0.5, 0.5],
+      posture: [2, 2],
+      wme: undefined,
+      kwargs: undefined,
+      expected: {
+        t_re: [37.5, NaN],
+        t_sk: [35.3, NaN],
+        t_cr: [37.5, NaN],
+        t_cr_eq: [37.1, NaN],
+        t_sk_t_cr_wg: [0.24, NaN],
+        d_lim_loss_50: [440, NaN],
+        d_lim_loss_95: [298, NaN],
+        d_lim_t_re: [480, NaN],
+        water_loss_watt: [266.1, NaN],
+        water_loss: [6166.4, NaN],
+      },
+    },
+    {
+      tdb: [40],
+      tr: [40],
+      v: [0.3],
+      rh: [33.85],
+      met: [150],
+      clo: [0.5],
+      posture: [2],
+      wme: undefined,
+      kwargs: { altitude: 3000 },
+      expected: {
+        t_re: [37.6],
+        t_sk: [35.3],
+        t_cr: [37.5],
+        t_cr_eq: [37.1],
+        t_sk_t_cr_wg: [0.23],
+        d_lim_loss_50: [480],
+        d_lim_loss_95: [374],
+        d_lim_t_re: [480],
+        water_loss_watt: [206.8],
+        water_loss: [4853.8],
+      },
+    },
+  ])(
+    "returns $expected when tdb is $tdb, tr is $tr, v is $v, rh is $rh, met is $met, " +
+      "clo is $clo, posture is $posture, wme is $wme and kwargs is $kwargs",
+    ({ expected, tdb, tr, v, rh, met, clo, posture, wme, kwargs }) => {
+      const result = phs_array(tdb, tr, v, rh, met, clo, posture, wme, kwargs);
+      deep_close_to_obj_arrays(result, expected, 1);
+    },
+  );
+
+  it("returns values outside the applicability limits if limit_inputs is false", () => {
+    const result = phs_array(
+      [60],
+      [60],
+      [0.3],
+      [30],
+      [150],
+      [0.5],
+      [2],
+      undefined,
+      { limit_inputs: false },
+    );
+    expect(result.t_re[0]).not.toBeNaN();
+  });
+});
+
+describe("phs_schedule", () => {
+  const work = {
+    tdb: 35,
+    tr: 35,
+    v: 0.3,
+    rh: 71,
+    met: 150,
+    clo: 0.5,
+    posture: 2,
+    duration: 45,
+  };
+  const rest = {
+    tdb: 25,
+    tr: 25,
+    v: 0.1,
+    rh: 50,
+    met: 65,
+    clo: 0.5,
+    posture: 1,
+    duration: 15,
+  };
+
+  it("returns the same end state as phs for a single segment", () => {
+    const result = phs_schedule([
+      {
+        tdb: 40,
+        tr: 40,
+        v: 0.3,
+        rh: 33.85,
+        met: 150,
+        clo: 0.5,
+        posture: 2,
+        duration: 480,
+      },
+    ]);
+    const expected = phs(40, 40, 0.3, 33.85, 150, 0.5, 2);
+    expect(result.time).toHaveLength(480);
+    expect(result.t_re.at(-1)).toBe(expected.t_re);
+    expect(result.t_sk.at(-1)).toBe(expected.t_sk);
+    expect(result.t_cr.at(-1)).toBe(expected.t_cr);
+    expect(result.water_loss.at(-1)).toBe(expected.water_loss);
+    expect(result.d_lim_t_re).toBe(expected.d_lim_t_re);
+    expect(result.d_lim_loss_50).toBe(expected.d_lim_loss_50);
+    expect(result.d_lim_loss_95).toBe(expected.d_lim_loss_95);
+  });
+
+  it("carries the state across segments", () => {
+    const segment = { ...work, tdb: 40, tr: 40, rh: 33.85, duration: 240 };
+    const result = phs_schedule([segment, segment]);
+    expect(result.t_re.at(-1)).toBe(37.5);
+    expect(result.water_loss.at(-1)).toBe(6166.4);
+    expect(result.d_lim_loss_95).toBe(298);
+  });
+
+  it("simulates a work/rest cycle", () => {
+    const result = phs_schedule([work, rest, work, rest]);
+    expect(result.time).toHaveLength(120);
+    expect(result.time[0]).toBe(1);
+    expect(result.t_re[44]).toBe(37.6);
+    expect(result.t_re[59]).toBe(37.3);
+    expect(result.t_re[104]).toBe(37.7);
+    expect(result.t_re.at(-1)).toBe(37.4);
+    expect(result.water_loss.at(-1)).toBe(1380.4);
+    expect(result.d_lim_t_re).toBe(120);
+    expect(result.d_lim_loss_50).toBe(120);
+    expect(result.d_lim_loss_95).toBe(120);
+  });
+
+  it("returns the time at which the limits are reached", () => {
+    const result = phs_schedule([{ ...work, duration: 480 }], { drink: 0 });
+    expect(result.d_lim_t_re).toBe(75);
+    expect(result.d_lim_loss_50).toBe(158);
+    expect(result.d_lim_loss_95).toBe(158);
+  });
+
+  it("uses the atmospheric pressure like phs", () => {
+    const segment = { ...work, tdb: 40, tr: 40, rh: 33.85, duration: 480 };
+    const result = phs_schedule([segment], { altitude: 3000 });
+    const expected = phs(40, 40, 0.3, 33.85, 150, 0.5, 2, 0, {
+      altitude: 3000,
+    });
+    expect(result.water_loss.at(-1)).toBe(expected.water_loss);
+    expect(result.t_re.at(-1)).toBe(expected.t_re);
+  });
+
+  it.each([0, -15, 1.5, NaN, undefined])(
+    "throws if the duration of a segment is %p",
+    (duration) => {
+      expect(() => phs_schedule([work, { ...rest, duration }])).toThrow(
+        "The duration of each segment must be a positive integer",
+      );
+    },
+  );
+
+  it.each(["tdb", "tr", "v", "rh", "met", "clo", "posture"])(
+    "throws if the %s of a segment is missing",
+    (key) => {
+      const segment = { ...rest, [key]: undefined };
+      expect(() => phs_schedule([work, segment])).toThrow(
+        `The ${key} of each segment must be a number`,
+      );
+    },
+  );
+
+  it("validates all the segments before simulating", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    expect(() =>
+      phs_schedule([
+        { ...work, tdb: 60 },
+        { ...rest, duration: 0 },
+      ]),
+    ).toThrow("The duration of each segment must be a positive integer");
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
 });
@@ -1,4 +1,4 @@
-import { expect, describe, it } from "@jest/globals";
+import { expect, describe, it, jest } from "@jest/globals";
 import {
   pmv_ppd,
   pmv_ppd_array,
@@ -260,3 +260,17 @@ describe("pmv_calculation", () => {
     },
   );
 });
+
+describe("pmv_ppd altitude", () => {
+  it("warns that the model is only validated at sea level", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const result = pmv_ppd(25, 25, 0.1, 50, 1.2, 0.5, 0, "ISO", {
+      altitude: 1600,
+    });
+    expect(result).toEqual(pmv_ppd(25, 25, 0.1, 50, 1.2, 0.5));
+    expect(warn).toHaveBeenCalledWith(
+      "The PMV model has only been validated at sea level, the atmospheric pressure of 83523 Pa is not used in the calculation",
+    );
+    warn.mockRestore();
+  });
+});
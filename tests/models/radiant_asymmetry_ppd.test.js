@@ -0,0 +1,56 @@
+import { expect, describe, it } from "@jest/globals";
+import { radiant_asymmetry_ppd } from "../../src/models/radiant_asymmetry_ppd.js";
+
+describe("radiant_asymmetry_ppd", () => {
+  it.each([
+    {
+      delta_t_pr: 5,
+      surface: "warm ceiling",
+      units: undefined,
+      expected: { PPD_ra: 6.7, Acceptability: false },
+    },
+    {
+      delta_t_pr: 10,
+      surface: "cool wall",
+      units: "SI",
+      expected: { PPD_ra: 4.1, Acceptability: true },
+    },
+    {
+      delta_t_pr: 14,
+      surface: "cool ceiling",
+      units: "SI",
+      expected: { PPD_ra: 5.1, Acceptability: false },
+    },
+    {
+      delta_t_pr: 23,
+      surface: "warm wall",
+      units: "SI",
+      expected: { PPD_ra: 3.9, Acceptability: true },
+    },
+    {
+      delta_t_pr: 0,
+      surface: "warm ceiling",
+      units: "SI",
+      expected: { PPD_ra: 0, Acceptability: true },
+    },
+    {
+      delta_t_pr: 18,
+      surface: "cool wall",
+      units: "IP",
+      expected: { PPD_ra: 4.1, Acceptability: true },
+    },
+  ])(
+    "returns $expected.PPD_ra when delta_t_pr is $delta_t_pr and surface is $surface",
+    ({ delta_t_pr, surface, units, expected }) => {
+      const result = radiant_asymmetry_ppd(delta_t_pr, surface, units);
+      expect(result.PPD_ra).toBeCloseTo(expected.PPD_ra, 1);
+      expect(result.Acceptability).toBe(expected.Acceptability);
+    },
+  );
+
+  it("throws an error if the surface is unknown", () => {
+    expect(() => radiant_asymmetry_ppd(5, "warm floor")).toThrow(
+      "Unknown surface warm floor",
+    );
+  });
+});
@@ -435,3 +435,66 @@ describe("set_tmp_array", () => {
     },
   );
 });
+
+describe("set_tmp altitude", () => {
+  it("uses the standard pressure at the given altitude", () => {
+    const kwargs = { round: false, altitude: 1600 };
+    const args = [25, 25, 0.1, 50, 1.2, 0.5, 0, undefined];
+    expect(set_tmp(...args, undefined, undefined, "SI", true, kwargs)).toBe(
+      set_tmp(...args, 83523, undefined, "SI", true, { round: false }),
+    );
+  });
+
+  it("calculates the pressure of each element in the array version", () => {
+    const result = set_tmp_array(
+      [25, 25],
+      [25, 25],
+      [0.1, 0.1],
+      [50, 50],
+      [1.2, 1.2],
+      [0.5, 0.5],
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      "SI",
+      true,
+      { altitude: [0, 1600] },
+    );
+    expect(result).toEqual([
+      set_tmp(25, 25, 0.1, 50, 1.2, 0.5),
+      set_tmp(25, 25, 0.1, 50, 1.2, 0.5, 0, undefined, 83523),
+    ]);
+  });
+
+  it("uses the altitude in ft and the pressure in atm if units is IP", () => {
+    const args = [77, 77, 0.328, 50, 1.2, 0.5, 0, undefined];
+    expect(
+      set_tmp(...args, undefined, undefined, "IP", true, { altitude: 5249 }),
+    ).toBe(set_tmp(...args, 0.8243, undefined, "IP"));
+  });
+
+  it("throws an error if both p_atm and altitude are provided", () => {
+    const args = [25, 25, 0.1, 50, 1.2, 0.5, 0, undefined];
+    expect(() =>
+      set_tmp(...args, 83523, undefined, "SI", true, { altitude: 1600 }),
+    ).toThrow("Please provide either p_atm or altitude, not both");
+    expect(() =>
+      set_tmp_array(
+        [25],
+        [25],
+        [0.1],
+        [50],
+        [1.2],
+        [0.5],
+        undefined,
+        undefined,
+        [83523],
+        undefined,
+        "SI",
+        true,
+        { altitude: 1600 },
+      ),
+    ).toThrow("Please provide either p_atm or altitude, not both");
+  });
+});
@@ -0,0 +1,56 @@
+import { expect, describe, it } from "@jest/globals";
+import { solar_adjusted_mrt } from "../../src/models/solar_adjusted_mrt";
+
+const options = {
+  tr: 24,
+  dates: ["2023-06-21T09:00", "2023-06-21T12:00", "2023-06-21T22:00"],
+  latitude: 37.87,
+  longitude: -122.27,
+  time_zone: -8,
+  window: { width: 3, height: 2, distance: 1.5, azimuth: 180 },
+  facing_azimuth: 90,
+  sol_transmittance: 0.5,
+  sol_radiation_dir: [600, 800, 0],
+  f_bes: 0.5,
+};
+
+describe("solar_adjusted_mrt", () => {
+  it("returns the solar geometry and the adjusted mean radiant temperature", () => {
+    expect(solar_adjusted_mrt(options)).toStrictEqual({
+      sol_altitude: [47.1, 75.4, -21.4],
+      sharp: [5.5, 80.4, 122.1],
+      delta_mrt: [6.7, 6.7, 0],
+      tr: [30.7, 30.7, 24],
+    });
+  });
+
+  it("accepts a time series of mean radiant temperatures", () => {
+    const result = solar_adjusted_mrt({ ...options, tr: [22, 23, 24] });
+    expect(result.tr).toStrictEqual([28.7, 29.7, 24]);
+  });
+
+  it("only accounts for the diffuse radiation when the sun is behind the façade", () => {
+    const result = solar_adjusted_mrt({
+      ...options,
+      dates: ["2023-06-21T09:00"],
+      sol_radiation_dir: [600],
+      window: { ...options.window, azimuth: 270 },
+    });
+    const no_direct = solar_adjusted_mrt({
+      ...options,
+      dates: ["2023-06-21T09:00"],
+      sol_radiation_dir: [600],
+      f_bes: 0,
+    });
+    expect(result.delta_mrt).toStrictEqual(no_direct.delta_mrt);
+    expect(result.delta_mrt[0]).toBeGreaterThan(0);
+  });
+
+  it("returns no solar gain when the direct normal irradiance is zero", () => {
+    const result = solar_adjusted_mrt({
+      ...options,
+      sol_radiation_dir: [0, 0, 0],
+    });
+    expect(result.delta_mrt).toStrictEqual([0, 0, 0]);
+  });
+});
@@ -1,5 +1,9 @@
 import { expect, describe, it } from "@jest/globals";
-import { find_span, solar_gain } from "../../src/models/solar_gain";
+import {
+  find_span,
+  solar_gain,
+  solar_gain_array,
+} from "../../src/models/solar_gain";
 import {
   deep_close_to_array,
   deep_close_to_obj,
@@ -121,3 +125,40 @@ describe("solar_gain", () => {
     },
   );
 });
+
+describe("solar_gain_array", () => {
+  it("returns the same values as solar_gain", () => {
+    const result = solar_gain_array(
+      [0, 30, 60],
+      [120, 120, 0],
+      [800, 800, 600],
+      [0.5, 0.5, 0.3],
+      0.7,
+      1,
+    );
+    expect(result).toStrictEqual({
+      erf: [76.7, 90.5, solar_gain(60, 0, 600, 0.3, 0.7, 1).erf],
+      delta_mrt: [18.4, 21.7, solar_gain(60, 0, 600, 0.3, 0.7, 1).delta_mrt],
+    });
+  });
+
+  it("supports the supine posture", () => {
+    const result = solar_gain_array(
+      [30],
+      [120],
+      [800],
+      0.5,
+      0.7,
+      1,
+      0.7,
+      "supine",
+    );
+    expect(result).toStrictEqual({ erf: [100.3], delta_mrt: [23.1] });
+  });
+
+  it("throws an error if the posture is not valid", () => {
+    expect(() =>
+      solar_gain_array([30], [120], [800], 0.5, 0.7, 1, 0.7, "lying"),
+    ).toThrow("Posture has to be either standing, supine or seated");
+  });
+});
@@ -0,0 +1,158 @@
+import { expect, describe, it } from "@jest/globals";
+import { solve_pmv_target } from "../../src/models/solve_pmv_target.js";
+import { pmv_ppd } from "../../src/models/pmv_ppd.js";
+import { set_tmp } from "../../src/models/set_tmp.js";
+
+describe("solve_pmv_target", () => {
+  it.each([
+    {
+      options: {
+        target: 0,
+        vary: "to",
+        fixed: { vr: 0.1, rh: 50, met: 1.2, clo: 0.5 },
+      },
+      expected: 24.72,
+    },
+    {
+      options: {
+        target: 0,
+        vary: "tdb",
+        fixed: { tr: 25, vr: 0.1, rh: 50, met: 1.2, clo: 0.5 },
+      },
+      expected: 24.46,
+    },
+    {
+      options: {
+        target: 0.5,
+        vary: "vr",
+        fixed: { tdb: 29, tr: 29, rh: 50, met: 1.2, clo: 0.5 },
+        standard: "ASHRAE",
+      },
+      expected: 0.44,
+    },
+    {
+      options: {
+        target: 0,
+        vary: "clo",
+        fixed: { tdb: 22, tr: 22, vr: 0.1, rh: 50, met: 1.2 },
+      },
+      expected: 0.93,
+    },
+    {
+      options: {
+        target: 0,
+        vary: "met",
+        fixed: { tdb: 22, tr: 22, vr: 0.1, rh: 50, clo: 0.5 },
+      },
+      expected: 1.6,
+    },
+    {
+      options: {
+        target: 0,
+        vary: "to",
+        fixed: { vr: 0.1, rh: 50, met: 1.2, clo: 0.5 },
+        units: "IP",
+      },
+      expected: 76.28,
+    },
+    {
+      options: {
+        target: 25,
+        vary: "to",
+        fixed: { vr: 0.1, rh: 50, met: 1.2, clo: 0.5 },
+        model: "set",
+      },
+      expected: 25.68,
+    },
+    {
+      options: {
+        target: 77,
+        vary: "to",
+        fixed: { vr: 0.328, rh: 50, met: 1.2, clo: 0.5 },
+        model: "set",
+        units: "IP",
+      },
+      expected: 78.23,
+    },
+  ])(
+    "returns $expected when $options.vary is varied to reach $options.target",
+    ({ options, expected }) => {
+      const result = solve_pmv_target(options);
+      expect(result.value).toBeCloseTo(expected, 2);
+      expect(result.reason).toBeNull();
+    },
+  );
+
+  it("returns a value at which the pmv equals the target", () => {
+    const { value } = solve_pmv_target({
+      target: 0.5,
+      vary: "to",
+      fixed: { vr: 0.1, rh: 50, met: 1.2, clo: 0.5 },
+    });
+    expect(pmv_ppd(value, value, 0.1, 50, 1.2, 0.5).pmv).toBeCloseTo(0.5, 1);
+  });
+
+  it("returns a value at which the set equals the target", () => {
+    const { value } = solve_pmv_target({
+      target: 25,
+      vary: "to",
+      fixed: { vr: 0.1, rh: 50, met: 1.2, clo: 0.5 },
+      model: "set",
+    });
+    expect(set_tmp(value, value, 0.1, 50, 1.2, 0.5)).toBeCloseTo(25, 1);
+  });
+
+  it("returns NaN and a reason if the target cannot be reached", () => {
+    const result = solve_pmv_target({
+      target: 0,
+      vary: "vr",
+      fixed: { tdb: 35, tr: 35, rh: 50, met: 1.2, clo: 0.5 },
+      standard: "ASHRAE",
+    });
+    expect(result.value).toBeNaN();
+    expect(result.reason).toBe(
+      "The pmv ranges from 3.15 to 1.66 when vr varies between 0 and 2, the target 0 cannot be reached",
+    );
+  });
+
+  it("uses the bracket in the units of the inputs", () => {
+    const result = solve_pmv_target({
+      target: 80,
+      vary: "to",
+      fixed: { vr: 0.1, rh: 50, met: 1.2, clo: 0.5 },
+      model: "set",
+      units: "IP",
+      bracket: [60, 70],
+    });
+    expect(result.value).toBeNaN();
+    expect(result.reason).toBe(
+      "The set ranges from 58.43 to 68.72 when to varies between 60 and 70, the target 80 cannot be reached",
+    );
+  });
+
+  it.each([
+    [{ vary: "rh", fixed: {} }, "vary should be one of tdb,to,vr,clo,met"],
+    [
+      { vary: "to", fixed: { vr: 0.1, rh: 50 } },
+      "Missing fixed inputs: met, clo",
+    ],
+    [
+      {
+        vary: "to",
+        fixed: { vr: 0.1, rh: 50, met: 1.2, clo: 0.5 },
+        standard: "CEN",
+      },
+      "PMV calculations can only be performed in compliance with ISO or ASHRAE Standards",
+    ],
+    [
+      {
+        vary: "to",
+        fixed: { vr: 0.1, rh: 50, met: 1.2, clo: 0.5 },
+        model: "utci",
+      },
+      "model should be either pmv or set, got utci",
+    ],
+  ])("throws for invalid options %o", (options, message) => {
+    expect(() => solve_pmv_target(options)).toThrow(message);
+  });
+});
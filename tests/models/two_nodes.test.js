@@ -638,3 +638,37 @@ describe("two_nodes_array", () => {
     },
   );
 });
+
+describe("two_nodes altitude", () => {
+  it("uses the standard pressure at the given altitude", () => {
+    const altitude = two_nodes(
+      30,
+      30,
+      0.1,
+      60,
+      1.2,
+      0.5,
+      0,
+      1.8258,
+      undefined,
+      "standing",
+      90,
+      {
+        altitude: 2400,
+      },
+    );
+    const p_atm = two_nodes(30, 30, 0.1, 60, 1.2, 0.5, 0, 1.8258, 75626);
+    expect(altitude).toEqual(p_atm);
+    expect(altitude.m_rsw).toBeLessThan(
+      two_nodes(30, 30, 0.1, 60, 1.2, 0.5).m_rsw,
+    );
+  });
+
+  it("throws an error if both p_atmospheric and altitude are provided", () => {
+    expect(() =>
+      two_nodes(30, 30, 0.1, 60, 1.2, 0.5, 0, 1.8258, 101325, "standing", 90, {
+        altitude: 2400,
+      }),
+    ).toThrow("Please provide either p_atm or altitude, not both");
+  });
+});
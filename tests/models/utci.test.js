@@ -1,4 +1,4 @@
-import { expect, describe, it } from "@jest/globals";
+import { expect, describe, it, jest } from "@jest/globals";
 import {
   deep_close_to_array,
   deep_close_to_obj_arrays,
@@ -112,3 +112,17 @@ describe("utci_array", () => {
     },
   );
 });
+
+describe("utci altitude", () => {
+  it("warns that the model is only validated at sea level", () => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    expect(utci(25, 25, 1.0, 50, "SI", false, true, { p_atm: 75626 })).toBe(
+      24.6,
+    );
+    expect(utci_array([25], [25], [1], [50], "SI", false, true, {})).toEqual([
+      24.6,
+    ]);
+    expect(warn).toHaveBeenCalledTimes(1);
+    warn.mockRestore();
+  });
+});
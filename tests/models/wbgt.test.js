@@ -1,5 +1,5 @@
 import { expect, describe, it } from "@jest/globals";
-import { wbgt } from "../../src/models/wbgt";
+import { wbgt, wbgt_array } from "../../src/models/wbgt";
 
 describe("wbgt", () => {
   it.each([
@@ -49,3 +49,66 @@ describe("wbgt", () => {
     }).toThrow("Please enter the dry bulb air temperature");
   });
 });
+
+describe("wbgt flags", () => {
+  it.each([
+    { twb: 22, tg: 30, expected: { wbgt: 24.4, stress_category: "white" } },
+    { twb: 25, tg: 32, expected: { wbgt: 27.1, stress_category: "white" } },
+    { twb: 26, tg: 33, expected: { wbgt: 28.1, stress_category: "green" } },
+    { twb: 28, tg: 35, expected: { wbgt: 30.1, stress_category: "yellow" } },
+    { twb: 29.5, tg: 36, expected: { wbgt: 31.4, stress_category: "red" } },
+    { twb: 30, tg: 38, expected: { wbgt: 32.4, stress_category: "black" } },
+  ])(
+    "returns $expected when twb is $twb and tg is $tg",
+    ({ twb, tg, expected }) => {
+      const result = wbgt(twb, tg, { return_stress_category: true });
+      expect(result).toStrictEqual(expected);
+    },
+  );
+});
+
+describe("wbgt_array", () => {
+  it.each([
+    {
+      twb: [25, 28],
+      tg: [32, 37],
+      options: undefined,
+      expected: [27.1, 30.7],
+    },
+    {
+      twb: [25, 19],
+      tg: [32, 60],
+      options: { tdb: [20, 20], with_solar_load: true },
+      expected: [25.9, 27.3],
+    },
+    {
+      twb: [25, 28],
+      tg: [32, 37],
+      options: { return_stress_category: true },
+      expected: { wbgt: [27.1, 30.7], stress_category: ["white", "yellow"] },
+    },
+    {
+      twb: [77, 80],
+      tg: [90, 86],
+      options: { units: "IP", return_stress_category: true },
+      expected: { wbgt: [80.9, 81.8], stress_category: ["white", "white"] },
+    },
+    {
+      twb: [79, 80],
+      tg: [89, 90],
+      options: { units: "IP", return_stress_category: true },
+      expected: { wbgt: [82, 83], stress_category: ["green", "green"] },
+    },
+  ])(
+    "returns $expected when twb is $twb, tg is $tg and options is $options",
+    ({ twb, tg, options, expected }) => {
+      expect(wbgt_array(twb, tg, options)).toStrictEqual(expected);
+    },
+  );
+
+  it("throws an error if with_solar_load is set and tdb is not", () => {
+    expect(() => {
+      wbgt_array([0], [0], { with_solar_load: true });
+    }).toThrow("Please enter the dry bulb air temperature");
+  });
+});
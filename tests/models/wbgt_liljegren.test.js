@@ -0,0 +1,111 @@
+import { expect, describe, it } from "@jest/globals";
+import {
+  wbgt_liljegren,
+  wbgt_liljegren_array,
+} from "../../src/models/wbgt_liljegren.js";
+import { wbgt } from "../../src/models/wbgt.js";
+import { deep_close_to_obj_arrays } from "../test_utilities.js";
+
+describe("wbgt_liljegren", () => {
+  it.each([
+    {
+      tdb: 30,
+      rh: 50,
+      v: 1,
+      solar: 800,
+      zenith: 30,
+      p_atm: undefined,
+      kwargs: undefined,
+      expected: { wbgt: 30.2, twb: 25.2, tg: 48.1 },
+    },
+    {
+      tdb: 30,
+      rh: 50,
+      v: 1,
+      solar: 0,
+      zenith: 90,
+      p_atm: undefined,
+      kwargs: undefined,
+      expected: { wbgt: 24.2, twb: 22, tg: 28.9 },
+    },
+    {
+      tdb: 35,
+      rh: 30,
+      v: 0.5,
+      solar: 1000,
+      zenith: 10,
+      p_atm: 101325,
+      kwargs: undefined,
+      expected: { wbgt: 33.9, twb: 26.3, tg: 59.8 },
+    },
+    {
+      tdb: 35,
+      rh: 30,
+      v: 0.5,
+      solar: 1000,
+      zenith: 10,
+      p_atm: 90000,
+      kwargs: undefined,
+      expected: { wbgt: 33.7, twb: 25.9, tg: 60.6 },
+    },
+    {
+      tdb: 30,
+      rh: 50,
+      v: 1,
+      solar: 800,
+      zenith: 30,
+      p_atm: 101325,
+      kwargs: { fdir: 0.5, round: false },
+      expected: { wbgt: 30.885, twb: 25.681, tg: 49.54 },
+    },
+  ])(
+    "returns $expected when tdb is $tdb, rh is $rh, v is $v, solar is $solar, zenith is $zenith, p_atm is $p_atm and kwargs is $kwargs",
+    ({ tdb, rh, v, solar, zenith, p_atm, kwargs, expected }) => {
+      const result = wbgt_liljegren(tdb, rh, v, solar, zenith, p_atm, kwargs);
+      expect(result.wbgt).toBeCloseTo(expected.wbgt, 2);
+      expect(result.twb).toBeCloseTo(expected.twb, 2);
+      expect(result.tg).toBeCloseTo(expected.tg, 2);
+    },
+  );
+
+  it("combines the temperatures using wbgt with solar load", () => {
+    const result = wbgt_liljegren(32, 40, 2, 600, 45, 101325, { round: false });
+    expect(result.wbgt).toBeCloseTo(
+      wbgt(result.twb, result.tg, {
+        tdb: 32,
+        with_solar_load: true,
+        round: false,
+      }),
+      10,
+    );
+  });
+});
+
+describe("wbgt_liljegren_array", () => {
+  it.each([
+    {
+      tdb: [30, 25],
+      rh: [50, 60],
+      v: [1, 2],
+      solar: [800, 0],
+      zenith: [30, 90],
+      p_atm: undefined,
+      expected: { wbgt: [30.2, 20.9], twb: [25.2, 19.4], tg: [48.1, 24] },
+    },
+    {
+      tdb: [35, 35],
+      rh: [30, 30],
+      v: [0.5, 0.5],
+      solar: [1000, 1000],
+      zenith: [10, 10],
+      p_atm: [101325, 90000],
+      expected: { wbgt: [33.9, 33.7], twb: [26.3, 25.9], tg: [59.8, 60.6] },
+    },
+  ])(
+    "returns $expected when tdb is $tdb, rh is $rh, v is $v, solar is $solar, zenith is $zenith and p_atm is $p_atm",
+    ({ tdb, rh, v, solar, zenith, p_atm, expected }) => {
+      const result = wbgt_liljegren_array(tdb, rh, v, solar, zenith, p_atm);
+      deep_close_to_obj_arrays(result, expected, 1);
+    },
+  );
+});
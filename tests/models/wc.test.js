@@ -1,5 +1,5 @@
-import { describe, it } from "@jest/globals";
-import { wc } from "../../src/models/wc.js";
+import { expect, describe, it } from "@jest/globals";
+import { wc, wc_array } from "../../src/models/wc.js";
 import { deep_close_to_obj } from "../test_utilities.js";
 
 describe("test_wc", () => {
@@ -37,3 +37,57 @@ describe("test_wc", () => {
     },
   );
 });
+
+describe("test_wc frostbite time", () => {
+  it.each([
+    { tdb: 0, v: 0.1, expected: "no risk" },
+    { tdb: -30, v: 1, expected: "10 to 30 minutes" },
+    { tdb: -30, v: 10, expected: "5 to 10 minutes" },
+    { tdb: -35, v: 5, expected: "2 to 5 minutes" },
+    { tdb: -45, v: 15, expected: "less than 2 minutes" },
+    // below 4.8 km/h the wind chill temperature is the air temperature
+    { tdb: -27.9, v: 1, expected: "no risk" },
+    { tdb: -28, v: 1, expected: "10 to 30 minutes" },
+    { tdb: -40, v: 1, expected: "5 to 10 minutes" },
+    { tdb: -48, v: 1, expected: "2 to 5 minutes" },
+    { tdb: -55, v: 1, expected: "less than 2 minutes" },
+  ])(
+    "return stress_category $expected if tdb = $tdb, v = $v",
+    ({ tdb, v, expected }) => {
+      const result = wc(tdb, v, { round: true, return_stress_category: true });
+      expect(result.stress_category).toBe(expected);
+      expect(result.wci).toBe(wc(tdb, v).wci);
+    },
+  );
+});
+
+describe("test_wc_array", () => {
+  it.each([
+    {
+      tdb: [0, -5, -10],
+      v: [0.1, 5.5, 11],
+      kwargs: undefined,
+      expected: { wci: [518.6, 1255.2, 1631.1] },
+    },
+    {
+      tdb: [0, -30],
+      v: [0.1, 10],
+      kwargs: { round: true, return_stress_category: true },
+      expected: {
+        wci: [518.6, 2349.9],
+        stress_category: ["no risk", "5 to 10 minutes"],
+      },
+    },
+    {
+      tdb: [32],
+      v: [0.328],
+      kwargs: { units: "IP", round: true },
+      expected: { wci: [518.6] },
+    },
+  ])(
+    "return $expected if tdb = $tdb, v = $v and kwargs = $kwargs",
+    ({ tdb, v, kwargs, expected }) => {
+      expect(wc_array(tdb, v, kwargs)).toStrictEqual(expected);
+    },
+  );
+});
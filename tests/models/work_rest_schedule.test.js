@@ -0,0 +1,109 @@
+import { expect, describe, it } from "@jest/globals";
+import { work_rest_schedule } from "../../src/models/work_rest_schedule.js";
+import { phs_schedule } from "../../src/models/phs.js";
+import { round } from "../../src/utilities/utilities.js";
+
+describe("work_rest_schedule", () => {
+  it("returns the recommendation of each hour", () => {
+    const hour = { tdb: 33, tr: 33, v: 0.3, rh: 50, twb: 26, tg: 34 };
+    const result = work_rest_schedule([hour, hour], 200);
+    expect(result).toEqual([
+      {
+        hour: 0,
+        work_fraction: 0.5,
+        work_minutes: 30,
+        rest_minutes: 30,
+        t_re: 37.2,
+        water_loss: 405.8,
+        wbgt: 28.4,
+        wbgt_limit: 29,
+        binding_constraint: "wbgt",
+      },
+      {
+        hour: 1,
+        work_fraction: 0.5,
+        work_minutes: 30,
+        rest_minutes: 30,
+        t_re: 37.2,
+        water_loss: 852.9,
+        wbgt: 28.4,
+        wbgt_limit: 29,
+        binding_constraint: "wbgt",
+      },
+    ]);
+  });
+
+  it.each([
+    {
+      hour: { tdb: 35, tr: 35, v: 0.3, rh: 71 },
+      hours: 4,
+      met: 150,
+      kwargs: undefined,
+      expected_fractions: [1, 0, 0.25, 0],
+      expected_constraints: [null, "t_re", "t_re", "t_re"],
+    },
+    {
+      hour: { tdb: 40, tr: 40, v: 0.3, rh: 33.85 },
+      hours: 4,
+      met: 150,
+      kwargs: { drink: 0 },
+      expected_fractions: [1, 1, 1, 0],
+      expected_constraints: [null, null, null, "water_loss"],
+    },
+    {
+      hour: { tdb: 35, tr: 35, v: 0.3, rh: 50, wbgt: 30 },
+      hours: 1,
+      met: 200,
+      kwargs: { acclimatized: 0 },
+      expected_fractions: [0],
+      expected_constraints: ["wbgt"],
+    },
+  ])(
+    "returns the work fractions $expected_fractions when hour is $hour, met is $met and kwargs is $kwargs",
+    ({
+      hour,
+      hours,
+      met,
+      kwargs,
+      expected_fractions,
+      expected_constraints,
+    }) => {
+      const result = work_rest_schedule(Array(hours).fill(hour), met, kwargs);
+      expect(result.map((h) => h.work_fraction)).toEqual(expected_fractions);
+      expect(result.map((h) => h.binding_constraint)).toEqual(
+        expected_constraints,
+      );
+    },
+  );
+
+  it("carries the state of the worker from one hour to the next", () => {
+    const hour = { tdb: 33, tr: 33, v: 0.3, rh: 50 };
+    const result = work_rest_schedule([hour, hour, hour], 200);
+    const segments = result
+      .flatMap(({ work_minutes, rest_minutes }) => [
+        { ...hour, met: 200, clo: 0.5, posture: 2, duration: work_minutes },
+        { ...hour, met: 65, clo: 0.5, posture: 1, duration: rest_minutes },
+      ])
+      .filter((segment) => segment.duration > 0);
+    const expected = phs_schedule(segments, { round: false });
+    expect(result[2].t_re).toBe(round(expected.t_re.at(-1), 1));
+    expect(result[2].water_loss).toBeCloseTo(expected.water_loss.at(-1), 0);
+  });
+
+  it("only checks the rectal temperature during the current hour", () => {
+    const hot = { tdb: 40, tr: 40, v: 0.3, rh: 70 };
+    const cool = { tdb: 20, tr: 20, v: 0.3, rh: 50 };
+    const result = work_rest_schedule([hot, cool, cool], 150);
+    expect(result[0].t_re).toBeGreaterThanOrEqual(38);
+    expect(result.map((h) => h.work_fraction)).toEqual([0, 0, 1]);
+  });
+
+  it("skips the WBGT cross-check if the WBGT is not available", () => {
+    const result = work_rest_schedule(
+      [{ tdb: 40, tr: 40, v: 0.3, rh: 33.85 }],
+      150,
+    );
+    expect(result[0].wbgt).toBeNaN();
+    expect(result[0].work_fraction).toBe(1);
+  });
+});
@@ -0,0 +1,172 @@
+import { expect, describe, it } from "@jest/globals";
+import {
+  psy_state,
+  psy_state_array,
+} from "../../src/psychrometrics/psy_state.js";
+
+const reference = {
+  tdb: 25,
+  rh: 50,
+  twb: 17.9,
+  tdp: 13.9,
+  hr: 0.00988,
+  h: 50258,
+  p_vap: 1585,
+  p_sat: 3169,
+  specific_volume: 0.858,
+  density: 1.177,
+  degree_saturation: 0.492,
+  p_atm: 101325,
+};
+
+describe("psy_state", () => {
+  it.each([
+    { properties: { tdb: 25, rh: 50 } },
+    { properties: { rh: 50, twb: 17.9 } },
+    { properties: { rh: 50, h: 50258 } },
+    { properties: { hr: 0.00988, rh: 50 } },
+    { properties: { p_vap: 1585, h: 50258 } },
+  ])(
+    "returns the state of air at 25 °C and 50% from $properties",
+    ({ properties }) => {
+      const { tdb, rh, twb, tdp } = reference;
+      expect(psy_state(properties)).toMatchObject({ tdb, rh, twb, tdp });
+    },
+  );
+
+  it("returns all the properties", () => {
+    expect(psy_state({ tdb: 25, rh: 50 })).toEqual(reference);
+  });
+
+  it.each([
+    {
+      properties: { tdb: 25, tdp: 14 },
+      kwargs: {},
+      expected: { tdb: 25, rh: 50.4, twb: 18, tdp: 14, hr: 0.00997 },
+    },
+    {
+      properties: { tdb: 25, twb: 17.9 },
+      kwargs: {},
+      expected: { tdb: 25, rh: 50.1, twb: 17.9, tdp: 13.9, hr: 0.00989 },
+    },
+    {
+      properties: { rh: 80, tdp: -12.5 },
+      kwargs: {},
+      expected: { tdb: -10, rh: 80, twb: -10.7, tdp: -12.5, hr: 0.00128 },
+    },
+    {
+      properties: { twb: 18, rh: 50 },
+      kwargs: { altitude: 1600 },
+      expected: { tdb: 25.7, rh: 50, twb: 18, tdp: 14.5, hr: 0.01254 },
+    },
+    {
+      properties: { tdb: 25, rh: 50 },
+      kwargs: { p_atm: 83523 },
+      expected: { tdb: 25, rh: 50, twb: 17.4, tdp: 13.9, hr: 0.01203 },
+    },
+    {
+      properties: { tdb: 77, rh: 50 },
+      kwargs: { units: "IP" },
+      expected: { tdb: 77, rh: 50, twb: 64.2, tdp: 57, hr: 0.00988, h: 29.29 },
+    },
+    {
+      properties: { tdb: 77, rh: 50 },
+      kwargs: { units: "IP", altitude: 5000 },
+      expected: { twb: 63.4, hr: 0.01191, p_atm: 0.832 },
+    },
+    {
+      properties: { tdb: 77, rh: 50 },
+      kwargs: { units: "IP", p_atm: 0.832 },
+      expected: { twb: 63.4, hr: 0.01191, p_atm: 0.832 },
+    },
+  ])(
+    "returns the expected state for $properties and $kwargs",
+    ({ properties, kwargs, expected }) => {
+      expect(psy_state(properties, kwargs)).toMatchObject(expected);
+    },
+  );
+
+  it("does not round the results if round is false", () => {
+    const state = psy_state({ tdb: 25, rh: 50 }, { round: false });
+    expect(state.hr).toBeCloseTo(0.00988, 5);
+    expect(state.hr).not.toBe(0.00988);
+  });
+
+  it.each([
+    {
+      properties: { tdb: 25 },
+      error: "Please provide exactly two properties of moist air",
+    },
+    {
+      properties: { tdb: 25, rh: 50, twb: 18 },
+      error: "Please provide exactly two properties of moist air",
+    },
+    {
+      properties: { tdb: 25, w: 0.01 },
+      error: "Unknown property w",
+    },
+    {
+      properties: { hr: 0.01, tdp: 14 },
+      error: "hr and tdp are not independent",
+    },
+    {
+      properties: { tdb: 25, tdp: 30 },
+      error: "The air would be supersaturated, relative humidity > 100%",
+    },
+    {
+      properties: { tdb: 25, rh: 50 },
+      kwargs: { p_atm: 90000, altitude: 1000 },
+      error: "Please provide either p_atm or altitude, not both",
+    },
+    {
+      properties: { tdb: 25, rh: 50 },
+      kwargs: { units: "US" },
+      error: "Unknown system US",
+    },
+  ])("throws for $properties", ({ properties, kwargs, error }) => {
+    expect(() => psy_state(properties, kwargs)).toThrow(error);
+  });
+});
+
+describe("psy_state_array", () => {
+  it("returns the state for each element", () => {
+    const state = psy_state_array(
+      { tdb: [25, 30], twb: [18, 20] },
+      { p_atm: [101325, 83523] },
+    );
+    expect(state.rh).toEqual([50.7, 42.4]);
+    expect(state.p_atm).toEqual([101325, 83523]);
+  });
+
+  it("uses single values for all the elements", () => {
+    const state = psy_state_array({ tdb: [25, 30], rh: 50 });
+    expect(state.tdb).toEqual([25, 30]);
+    expect(state.rh).toEqual([50, 50]);
+  });
+
+  it("returns empty arrays for empty inputs", () => {
+    const state = psy_state_array({ tdb: [], rh: [] });
+    expect(state.tdb).toEqual([]);
+    expect(state.p_atm).toEqual([]);
+  });
+
+  it.each([
+    {
+      properties: { tdb: 25, rh: 50 },
+      kwargs: undefined,
+      error: "At least one of the inputs should be an array",
+    },
+    {
+      properties: { tdb: [25, 30], rh: [50] },
+      kwargs: undefined,
+      error: "Provided arrays are not the same lengths",
+    },
+    {
+      properties: { tdb: [25, 30], rh: 50 },
+      kwargs: { p_atm: [101325, 90000, 83523] },
+      error: "Provided arrays are not the same lengths",
+    },
+  ])("throws for $properties and $kwargs", ({ properties, kwargs, error }) => {
+    expect(() => psy_state_array(properties, kwargs)).toThrow(error);
+  });
+});
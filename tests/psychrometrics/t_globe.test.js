@@ -0,0 +1,156 @@
+import { expect, describe, it } from "@jest/globals";
+import { t_globe, t_globe_transient } from "../../src/psychrometrics/t_globe";
+import { t_mrt } from "../../src/psychrometrics/t_mrt";
+import { deep_close_to_array } from "../test_utilities";
+
+describe("t_globe", () => {
+  it.each([
+    {
+      tdb: 30,
+      tr: 74.8,
+      v: 0.3,
+      d: 0.1,
+      emissivity: 0.95,
+      standard: "ISO",
+      expected: 53.2,
+    },
+    {
+      tdb: 26.1,
+      tr: 24.2,
+      v: 0.1931,
+      d: 0.1,
+      emissivity: 0.95,
+      standard: "Mixed Convection",
+      expected: 25.4,
+    },
+    {
+      tdb: 25,
+      tr: 35,
+      v: 0.1,
+      d: 0.04,
+      emissivity: 0.95,
+      standard: "Mixed Convection",
+      expected: 27.6,
+    },
+    {
+      tdb: 25,
+      tr: 35,
+      v: 0.1,
+      d: 0.15,
+      emissivity: 0.95,
+      standard: "Mixed Convection",
+      expected: 29.4,
+    },
+    {
+      tdb: 25,
+      tr: 35,
+      v: 1,
+      d: 0.15,
+      emissivity: 0.95,
+      standard: "Mixed Convection",
+      expected: 27.7,
+    },
+    {
+      tdb: 25,
+      tr: 25,
+      v: 0.1,
+      d: 0.15,
+      emissivity: 0.95,
+      standard: "Mixed Convection",
+      expected: 25,
+    },
+    {
+      tdb: 25,
+      tr: 35,
+      v: 0.1,
+      d: 0.5,
+      emissivity: 0.95,
+      standard: "Mixed Convection",
+      expected: NaN,
+    },
+  ])(
+    "returns $expected when tdb is $tdb, tr is $tr, v is $v, d is $d and standard is $standard",
+    ({ tdb, tr, v, d, emissivity, standard, expected }) => {
+      const result = t_globe(tdb, tr, v, d, emissivity, standard);
+      if (isNaN(expected)) {
+        expect(result).toBeNaN();
+      } else {
+        expect(result).toBeCloseTo(expected, 1);
+      }
+    },
+  );
+
+  it("is the inverse of t_mrt", () => {
+    const tg = t_globe(22, 28, 0.2, 0.15, 0.95, "ISO");
+    expect(t_mrt(tg, 22, 0.2, 0.15, 0.95, "ISO")).toBeCloseTo(28, 0);
+  });
+
+  it("throws for an unknown standard", () => {
+    expect(() => t_globe(25, 30, 0.1, 0.15, 0.95, "ASHRAE")).toThrow(
+      "No standard found",
+    );
+  });
+});
+
+describe("t_globe_transient", () => {
+  it.each([
+    {
+      tg: [25, 26, 26.8],
+      time: [0, 60, 120],
+      tdb: [25, 25, 25],
+      v: [0.1, 0.1, 0.1],
+      kwargs: { tau: 300 },
+      expected: [30, 30.5, 30.8],
+    },
+    {
+      tg: [25, 26, 26.8],
+      time: [0, 60, 120],
+      tdb: [25, 25, 25],
+      v: [0.1, 0.1, 0.1],
+      kwargs: undefined,
+      expected: [28.2, 28.8, 29.3],
+    },
+    {
+      tg: [25, 26, 26.8],
+      time: [0, 60, 120],
+      tdb: [25, 25, 25],
+      v: [1, 1, 1],
+      kwargs: undefined,
+      expected: [26.5, 27.3, 28],
+    },
+    {
+      tg: [25, 26, 26.8],
+      time: [0, 60, 120],
+      tdb: [25, 25, 25],
+      v: [0.1, 0.1, 0.1],
+      kwargs: { d: 0.04, heat_capacity: 700 },
+      expected: [26, 26.9, 27.6],
+    },
+  ])(
+    "returns $expected when tg is $tg, time is $time, tdb is $tdb, v is $v and kwargs is $kwargs",
+    ({ tg, time, tdb, v, kwargs, expected }) => {
+      const result = t_globe_transient(tg, time, tdb, v, kwargs);
+      deep_close_to_array(result, expected, 1);
+    },
+  );
+
+  it("recovers the steady state temperature of a first order response", () => {
+    const tau = 300;
+    const time = Array.from({ length: 60 }, (_, i) => i * 10);
+    const tg = time.map((t) => 30 - 5 * Math.exp(-t / tau));
+    const result = t_globe_transient(
+      tg,
+      time,
+      time.map(() => 25),
+      time.map(() => 0.1),
+      { tau },
+    );
+    result.slice(1, -1).forEach((value) => expect(value).toBeCloseTo(30, 0));
+  });
+
+  it("throws if there are less than two readings", () => {
+    expect(() => t_globe_transient([25], [0], [25], [0.1])).toThrow(
+      "At least two globe temperature readings are required",
+    );
+  });
+});
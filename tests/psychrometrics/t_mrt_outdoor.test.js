@@ -0,0 +1,140 @@
+import { expect, describe, it } from "@jest/globals";
+import {
+  t_mrt_outdoor,
+  t_mrt_outdoor_array,
+} from "../../src/psychrometrics/t_mrt_outdoor.js";
+
+const shortwave = {
+  sky: 900,
+  ground: 160,
+  north: 150,
+  east: 300,
+  south: 500,
+  west: 150,
+};
+const longwave = {
+  sky: 380,
+  ground: 520,
+  north: 470,
+  east: 470,
+  south: 480,
+  west: 470,
+};
+const global_diffuse = {
+  glob: 800,
+  diff: 100,
+  sol_altitude: 60,
+  t_sky: 10,
+  t_ground: 40,
+};
+
+describe("t_mrt_outdoor", () => {
+  it.each([
+    { options: { shortwave, longwave }, expected: 59 },
+    { options: global_diffuse, expected: 52.4 },
+    { options: { ...global_diffuse, sunlit: false }, expected: 38.5 },
+    { options: { ...global_diffuse, svf: 0.5 }, expected: 58.5 },
+    { options: { ...global_diffuse, posture: "sphere" }, expected: 57.9 },
+    {
+      options: {
+        glob: 0,
+        diff: 0,
+        sol_altitude: -10,
+        t_sky: -5,
+        t_ground: 15,
+      },
+      expected: 3.5,
+    },
+  ])("returns $expected when options are $options", ({ options, expected }) => {
+    expect(t_mrt_outdoor(options)).toBe(expected);
+  });
+
+  it("returns the temperature of an isothermal enclosure", () => {
+    const flux = 0.0000000567 * Math.pow(30 + 273.15, 4);
+    const dark = { sky: 0, ground: 0, north: 0, east: 0, south: 0, west: 0 };
+    const isothermal = {
+      sky: flux,
+      ground: flux,
+      north: flux,
+      east: flux,
+      south: flux,
+      west: flux,
+    };
+    const result = t_mrt_outdoor({
+      shortwave: dark,
+      longwave: isothermal,
+      round: false,
+    });
+    expect(result).toBeCloseTo(30, 6);
+  });
+
+  it("throws an error if the shortwave inputs are missing", () => {
+    expect(() => t_mrt_outdoor({ glob: 800, longwave })).toThrow(
+      "Please provide either the shortwave fluxes or glob, diff and sol_altitude",
+    );
+  });
+
+  it("throws an error if the longwave inputs are missing", () => {
+    expect(() => t_mrt_outdoor({ shortwave, t_sky: 10 })).toThrow(
+      "Please provide either the longwave fluxes or t_sky and t_ground",
+    );
+  });
+
+  it("throws an error if the posture is not valid", () => {
+    expect(() =>
+      t_mrt_outdoor({ shortwave, longwave, posture: "seated" }),
+    ).toThrow("Posture has to be either standing or sphere");
+  });
+});
+
+describe("t_mrt_outdoor_array", () => {
+  it.each([
+    {
+      options: {
+        glob: [800, 400],
+        diff: [100, 150],
+        sol_altitude: [60, 20],
+        t_sky: 10,
+        t_ground: [40, 30],
+      },
+      expected: [52.4, 53.5],
+    },
+    {
+      options: {
+        ...global_diffuse,
+        sunlit: [true, false],
+        svf: [1, 1],
+      },
+      expected: [52.4, 38.5],
+    },
+    {
+      options: {
+        shortwave: { ...shortwave, south: [500, 100] },
+        longwave,
+      },
+      expected: [59, 51.1],
+    },
+  ])("returns $expected when options are $options", ({ options, expected }) => {
+    expect(t_mrt_outdoor_array(options)).toStrictEqual(expected);
+  });
+
+  it.each([
+    {
+      options: global_diffuse,
+      error: "At least one of the inputs should be an array",
+    },
+    {
+      options: { ...global_diffuse, glob: [800, 400], diff: [100] },
+      error: "Provided arrays are not the same lengths",
+    },
+    {
+      options: {
+        shortwave: { ...shortwave, south: [500, 100] },
+        longwave: { ...longwave, sky: [380] },
+      },
+      error: "Provided arrays are not the same lengths",
+    },
+  ])("throws if the options are $options", ({ options, error }) => {
+    expect(() => t_mrt_outdoor_array(options)).toThrow(error);
+  });
+});
@@ -0,0 +1,198 @@
+import { expect, describe, it } from "@jest/globals";
+import { t_mrt_surfaces } from "../../src/psychrometrics/t_mrt_surfaces.js";
+
+const room = { length: 6, width: 4, height: 3 };
+const uniform = {
+  floor: 25,
+  ceiling: 25,
+  west: 25,
+  east: 25,
+  south: 25,
+  north: 25,
+};
+const warm_ceiling = {
+  floor: 22,
+  ceiling: 30,
+  west: 20,
+  east: 20,
+  south: 20,
+  north: 20,
+};
+const window = { surface: "east", y: [1, 3], z: [0.8, 2.4], temperature: 10 };
+
+describe("t_mrt_surfaces", () => {
+  it.each([
+    {
+      location: { x: 3, y: 2 },
+      posture: "seated",
+    },
+    {
+      location: { x: 1, y: 3.5 },
+      posture: "standing",
+    },
+  ])(
+    "returns the surface temperature in a uniform room ($posture)",
+    ({ location, posture }) => {
+      const result = t_mrt_surfaces({
+        room,
+        location,
+        surfaces: uniform,
+        posture,
+      });
+      expect(result.tr).toBe(25);
+      expect(Object.values(result.t_pr)).toEqual([25, 25, 25, 25, 25, 25]);
+      expect(result.asymmetry).toEqual({ vertical: 0, horizontal: 0 });
+      const f_sum = Object.values(result.angle_factors).reduce(
+        (sum, f) => sum + f,
+        0,
+      );
+      expect(f_sum).toBeCloseTo(1, 2);
+    },
+  );
+
+  it.each([
+    {
+      location: { x: 3, y: 2 },
+      patches: [window],
+      expected: {
+        tr: 22,
+        t_pr: {
+          floor: 21.9,
+          ceiling: 25.4,
+          west: 22.1,
+          east: 21.3,
+          south: 21.7,
+          north: 21.7,
+        },
+        asymmetry: { vertical: 3.5, horizontal: 0.8 },
+      },
+    },
+    {
+      location: { x: 5.5, y: 2 },
+      patches: [window],
+      expected: {
+        tr: 20.6,
+        t_pr: {
+          floor: 21.6,
+          ceiling: 21.4,
+          west: 22.7,
+          east: 17.8,
+          south: 20.5,
+          north: 20.5,
+        },
+        asymmetry: { vertical: -0.2, horizontal: 4.9 },
+      },
+    },
+  ])(
+    "returns $expected.tr at $location.x, $location.y",
+    ({ location, patches, expected }) => {
+      const result = t_mrt_surfaces({
+        room,
+        location,
+        surfaces: warm_ceiling,
+        patches,
+      });
+      expect(result.tr).toBe(expected.tr);
+      expect(result.t_pr).toEqual(expected.t_pr);
+      expect(result.asymmetry).toEqual(expected.asymmetry);
+    },
+  );
+
+  it("treats a patch covering a whole surface as the surface", () => {
+    const location = { x: 2, y: 1 };
+    const with_patch = t_mrt_surfaces({
+      room,
+      location,
+      surfaces: uniform,
+      patches: [{ surface: "east", y: [0, 4], z: [0, 3], temperature: 10 }],
+    });
+    const without_patch = t_mrt_surfaces({
+      room,
+      location,
+      surfaces: { ...uniform, east: 10 },
+    });
+    expect(with_patch).toEqual(without_patch);
+  });
+
+  it("is symmetric with respect to the centre of the room", () => {
+    const surfaces = { ...uniform, west: 15 };
+    const west = t_mrt_surfaces({ room, location: { x: 1, y: 2 }, surfaces });
+    const east = t_mrt_surfaces({
+      room,
+      location: { x: 5, y: 2 },
+      surfaces: { ...uniform, east: 15 },
+    });
+    expect(west.tr).toBe(east.tr);
+    expect(west.t_pr.west).toBe(east.t_pr.east);
+  });
+
+  it("throws if the input values are invalid", () => {
+    expect(() =>
+      t_mrt_surfaces({ room, location: { x: 7, y: 2 }, surfaces: uniform }),
+    ).toThrow("The occupant should be inside the room");
+    expect(() =>
+      t_mrt_surfaces({
+        room,
+        location: { x: 3, y: 2 },
+        surfaces: uniform,
+        posture: "supine",
+      }),
+    ).toThrow("Posture has to be either seated or standing");
+    expect(() =>
+      t_mrt_surfaces({
+        room,
+        location: { x: 3, y: 2 },
+        surfaces: uniform,
+        patches: [{ surface: "roof", temperature: 10 }],
+      }),
+    ).toThrow("Unknown surface roof");
+  });
+
+  it("extends a patch over the whole surface along the axes that are not given", () => {
+    const location = { x: 2, y: 1 };
+    const strip = t_mrt_surfaces({
+      room,
+      location,
+      surfaces: uniform,
+      patches: [{ surface: "east", z: [1, 2], temperature: 10 }],
+    });
+    const full_strip = t_mrt_surfaces({
+      room,
+      location,
+      surfaces: uniform,
+      patches: [{ surface: "east", y: [0, 4], z: [1, 2], temperature: 10 }],
+    });
+    expect(strip).toEqual(full_strip);
+  });
+
+  it.each([
+    {
+      patch: { surface: "east", y: [1, 5], z: [0.8, 2.4], temperature: 10 },
+      error: "The y extent of the patch on the east should be within [0, 4]",
+    },
+    {
+      patch: { surface: "floor", x: [-1, 2], temperature: 10 },
+      error: "The x extent of the patch on the floor should be within [0, 6]",
+    },
+    {
+      patch: { surface: "south", x: [3, 1], temperature: 10 },
+      error: "The x extent of the patch on the south should be within [0, 6]",
+    },
+    {
+      patch: { surface: "ceiling", y: 2, temperature: 10 },
+      error: "The y extent of the patch on the ceiling should be within [0, 4]",
+    },
+  ])(
+    "throws if the patch $patch is outside its surface",
+    ({ patch, error }) => {
+      expect(() =>
+        t_mrt_surfaces({
+          room,
+          location: { x: 3, y: 2 },
+          surfaces: uniform,
+          patches: [patch],
+        }),
+      ).toThrow(error);
+    },
+  );
+});
@@ -0,0 +1,219 @@
+import { describe, expect, it } from "@jest/globals";
+import {
+  clothing_ensemble,
+  garment_coverage,
+  jos3_clo_from_garments,
+} from "../../src/utilities/clothing.js";
+import { clo_individual_garments } from "../../src/utilities/utilities.js";
+import JOS3Defaults from "../../src/jos3_functions/JOS3Defaults.js";
+import { BODY_NAMES } from "../../src/jos3_functions/matrix.js";
+
+const summer_ensemble = [
+  "Men_underwear",
+  "T_shirt",
+  "Thin_trousers",
+  "Calf_length_socks",
+  "Shoes_or_sandals",
+];
+
+describe("clothing_ensemble", () => {
+  it.each([
+    {
+      garments: summer_ensemble,
+      kwargs: undefined,
+      expected: {
+        clo: 0.32,
+        f_cl: 1.09,
+        i_a: 0.7,
+        i_t: 0.962,
+        clo_r: 0.32,
+        i_t_r: 0.962,
+        i_mst: 0.38,
+        i_m: 0.38,
+        iclo: 0.169,
+        r_et: 0.0235,
+        r_ecl: 0.0175,
+      },
+    },
+    {
+      garments: [],
+      kwargs: undefined,
+      expected: {
+        clo: 0,
+        f_cl: 1,
+        i_a: 0.7,
+        i_t: 0.7,
+        clo_r: 0,
+        i_t_r: 0.7,
+        i_mst: 0.38,
+        i_m: 0.38,
+        iclo: 1,
+        r_et: 0.0171,
+        r_ecl: 0.0106,
+      },
+    },
+    {
+      garments: summer_ensemble,
+      kwargs: { v: 1, walk_sp: 1 },
+      expected: {
+        clo: 0.32,
+        f_cl: 1.09,
+        i_a: 0.7,
+        i_t: 0.962,
+        clo_r: 0.205,
+        i_t_r: 0.535,
+        i_mst: 0.38,
+        i_m: 0.794,
+        iclo: 0.169,
+        r_et: 0.0063,
+        r_ecl: 0.0032,
+      },
+    },
+    {
+      garments: [{ clo: 1, i_mst: 0.1 }, { clo: 0.5 }],
+      kwargs: { method: "regression" },
+      expected: {
+        clo: 1.414,
+        f_cl: 1.396,
+        i_a: 0.7,
+        i_t: 1.915,
+        clo_r: 1.414,
+        i_t_r: 1.915,
+        i_mst: 0.133,
+        i_m: 0.133,
+        iclo: 0.101,
+        r_et: 0.1341,
+        r_ecl: 0.1294,
+      },
+    },
+  ])(
+    "returns the properties of the ensemble $garments with $kwargs",
+    ({ garments, kwargs, expected }) => {
+      expect(clothing_ensemble(garments, kwargs)).toEqual(expected);
+    },
+  );
+
+  it("corrects the insulation of heavy ensembles for the air speed", () => {
+    const result = clothing_ensemble(
+      [
+        "Long_underwear_top",
+        "Long_underwear_bottoms",
+        "Thick_trousers",
+        "Long_sleeve_shirt_thick",
+        "Double_breasted_coat_thick",
+        "Boots",
+        "Knee_socks_thick",
+      ],
+      { v: 2 },
+    );
+    expect(result).toMatchObject({ clo: 1.59, clo_r: 1.205, i_m: 0.627 });
+  });
+
+  it("does not round the output when round is false", () => {
+    const result = clothing_ensemble(summer_ensemble, { round: false });
+    expect(result.clo).toBeCloseTo(0.32, 10);
+    expect(result.r_et).toBeCloseTo(0.02351, 5);
+  });
+
+  it("throws if a garment is not in the database", () => {
+    expect(() => clothing_ensemble(["Space_suit"])).toThrow(
+      "Unknown garment Space_suit",
+    );
+  });
+
+  it("throws if the method is not valid", () => {
+    expect(() =>
+      clothing_ensemble(summer_ensemble, { method: "average" }),
+    ).toThrow("Unknown method average, it should be either sum or regression");
+  });
+});
+
+describe("jos3_clo_from_garments", () => {
+  it.each([
+    {
+      garments: summer_ensemble,
+      expected: {
+        clo: [
+          0, 0, 0.283, 0.283, 0.663, 0.283, 0, 0, 0.283, 0, 0, 0.325, 0.491,
+          0.5, 0.325, 0.491, 0.5,
+        ],
+        iclo: [
+          0.45, 0.45, 0.157, 0.157, 0.245, 0.157, 0.45, 0.45, 0.157, 0.45, 0.45,
+          0.171, 0.214, 0.216, 0.171, 0.214, 0.216,
+        ],
+      },
+    },
+    {
+      garments: [],
+      expected: { clo: Array(17).fill(0), iclo: Array(17).fill(0.45) },
+    },
+    {
+      garments: [
+        { clo: 0.5, segments: ["chest", "back"], i_mst: 0.2 },
+        "Long_sleeve_shirt_thin",
+      ],
+      expected: {
+        clo: [
+          0, 0, 3.494, 3.494, 0, 0.714, 0.714, 0, 0.714, 0.714, 0, 0, 0, 0, 0,
+          0, 0,
+        ],
+        iclo: [
+          0.45, 0.45, 0.205, 0.205, 0.45, 0.252, 0.252, 0.45, 0.252, 0.252,
+          0.45, 0.45, 0.45, 0.45, 0.45, 0.45, 0.45,
+        ],
+      },
+    },
+  ])(
+    "returns the local clothing properties of $garments",
+    ({ garments, expected }) => {
+      expect(jos3_clo_from_garments(garments)).toEqual(expected);
+    },
+  );
+
+  it("keeps the area-weighted insulation of the garments", () => {
+    const area = JOS3Defaults.local_bsa;
+    const total_area = area.reduce((sum, value) => sum + value, 0);
+    const { clo } = jos3_clo_from_garments(summer_ensemble, { round: false });
+    const mean_clo =
+      clo.reduce((sum, value, index) => sum + value * area[index], 0) /
+      total_area;
+    expect(mean_clo).toBeCloseTo(0.32, 10);
+  });
+
+  it("derives the vapour permeation efficiency from the moisture permeability index of the garments", () => {
+    const { clo, iclo } = jos3_clo_from_garments([
+      { clo: 0.1, segments: ["left_thigh"], i_mst: 0.2 },
+      { clo: 0.1, segments: ["right_thigh"], i_mst: 0.5 },
+    ]);
+    expect(clo[11]).toBe(clo[14]);
+    expect(iclo[11]).toBeLessThan(iclo[14]);
+  });
+
+  it("gives the vapour permeation efficiency of clothing_ensemble for the same local clothing", () => {
+    const garment = { clo: 0.32, i_mst: 0.3 };
+    const { iclo } = jos3_clo_from_garments(
+      [{ ...garment, segments: BODY_NAMES }],
+      { round: false },
+    );
+    const ensemble = clothing_ensemble([garment], { round: false });
+    iclo.forEach((value) => expect(value).toBeCloseTo(ensemble.iclo, 10));
+  });
+
+  it("has a coverage for each garment of the database", () => {
+    expect(Object.keys(garment_coverage).sort()).toEqual(
+      Object.keys(clo_individual_garments).sort(),
+    );
+  });
+
+  it("throws if a garment is not in the database", () => {
+    expect(() => jos3_clo_from_garments(["Space_suit"])).toThrow(
+      "Unknown garment Space_suit",
+    );
+  });
+
+  it("throws if a body part is not valid", () => {
+    expect(() =>
+      jos3_clo_from_garments([{ clo: 0.1, segments: ["tail"] }]),
+    ).toThrow("Unknown body part tail");
+  });
+});
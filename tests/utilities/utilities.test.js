@@ -1,4 +1,4 @@
-import { describe, expect, it } from "@jest/globals";
+import { describe, expect, it, jest } from "@jest/globals";
 import {
   body_surface_area,
   v_relative,
@@ -13,6 +13,11 @@ import {
   v_relative_array,
   clo_typical_ensembles,
   transpose_sharp_altitude,
+  sun_position,
+  sharp_angle,
+  p_atm_altitude,
+  p_atm_option,
+  check_sea_level,
 } from "../../src/utilities/utilities";
 import {
   deep_close_to_array,
@@ -571,6 +576,25 @@ describe("check_standard_compliance_array", () => {
         clo: [NaN, 0.8, NaN],
       },
     },
+    {
+      standard: "ISO7933",
+      kwargs: {
+        tdb: [10, 40, 40],
+        tr: [10, 30, 40],
+        v: [0.3, 4, 0.3],
+        rh: [50, 70, 50],
+        met: [150, 150, 500],
+        clo: [0.5, 0.5, 1.2],
+      },
+      expected: {
+        tdb: [NaN, 40, 40],
+        tr: [10, NaN, 40],
+        v: [0.3, NaN, 0.3],
+        rh: [50, NaN, 50],
+        met: [150, 150, NaN],
+        clo: [0.5, 0.5, NaN],
+      },
+    },
   ])(
     "returns $expected when standard is $standard and kwargs is $kwargs",
     ({ standard, kwargs, expected }) => {
@@ -600,3 +624,128 @@ describe("clo_typical_ensembles", () => {
     ).toThrow();
   });
 });
+
+describe("sun_position", () => {
+  it.each([
+    {
+      latitude: 51.5,
+      longitude: 0,
+      date: "2023-12-21T12:00",
+      time_zone: 0,
+      expected: { altitude: 15.1, azimuth: 180.5 },
+    },
+    {
+      latitude: 0,
+      longitude: 0,
+      date: "2023-03-20T12:00",
+      time_zone: 0,
+      expected: { altitude: 87.9, azimuth: 102.7 },
+    },
+    {
+      latitude: 37.87,
+      longitude: -122.27,
+      date: "2023-06-21T12:00",
+      time_zone: -8,
+      expected: { altitude: 75.4, azimuth: 170.4 },
+    },
+    {
+      latitude: 37.87,
+      longitude: -122.27,
+      date: "2023-06-21T20:00Z",
+      time_zone: -8,
+      expected: { altitude: 75.4, azimuth: 170.4 },
+    },
+    {
+      latitude: 37.87,
+      longitude: -122.27,
+      date: new Date(Date.UTC(2023, 5, 21, 20)),
+      time_zone: undefined,
+      expected: { altitude: 75.4, azimuth: 170.4 },
+    },
+    {
+      latitude: 45.5,
+      longitude: 9.2,
+      date: "2023-09-01T18:00+01:00",
+      time_zone: undefined,
+      expected: { altitude: 10.2, azimuth: 271.8 },
+    },
+  ])(
+    "returns $expected when latitude is $latitude, longitude is $longitude and date is $date",
+    ({ latitude, longitude, date, time_zone, expected }) => {
+      expect(sun_position(latitude, longitude, date, time_zone)).toStrictEqual(
+        expected,
+      );
+    },
+  );
+
+  it("throws an error if the date is not valid", () => {
+    expect(() => sun_position(0, 0, "21/06/2023 12:00")).toThrow(
+      "Invalid date 21/06/2023 12:00",
+    );
+  });
+});
+
+describe("sharp_angle", () => {
+  it.each([
+    { sol_azimuth: 180, facing_azimuth: 180, expected: 0 },
+    { sol_azimuth: 220, facing_azimuth: 270, expected: 50 },
+    { sol_azimuth: 10, facing_azimuth: 350, expected: 20 },
+    { sol_azimuth: 90, facing_azimuth: 180, expected: 90 },
+    { sol_azimuth: 0, facing_azimuth: 180, expected: 180 },
+  ])(
+    "returns $expected when sol_azimuth is $sol_azimuth and facing_azimuth is $facing_azimuth",
+    ({ sol_azimuth, facing_azimuth, expected }) => {
+      expect(sharp_angle(sol_azimuth, facing_azimuth)).toBeCloseTo(expected, 6);
+    },
+  );
+});
+
+describe("p_atm_altitude", () => {
+  it.each([
+    { altitude: 0, units: "SI", expected: 101325 },
+    { altitude: 1600, units: "SI", expected: 83523 },
+    { altitude: 2400, units: "SI", expected: 75626 },
+    { altitude: -400, units: "SI", expected: 106223 },
+    { altitude: 5280, units: "IP", expected: 0.8234 },
+  ])(
+    "returns $expected when altitude is $altitude in $units units",
+    ({ altitude, units, expected }) => {
+      expect(p_atm_altitude(altitude, units)).toBeCloseTo(expected, 4);
+    },
+  );
+});
+
+describe("p_atm_option", () => {
+  it.each([
+    { kwargs: {}, units: "SI", expected: undefined },
+    { kwargs: { p_atm: 90000 }, units: "SI", expected: 90000 },
+    { kwargs: { p_atm: 0.8 }, units: "IP", expected: 81060 },
+    { kwargs: { altitude: 1600 }, units: "SI", expected: 83523 },
+    { kwargs: { altitude: 5249.3 }, units: "IP", expected: 83524 },
+  ])(
+    "returns $expected when the options are $kwargs in $units units",
+    ({ kwargs, units, expected }) => {
+      expect(p_atm_option(kwargs, units)).toBe(expected);
+    },
+  );
+
+  it("throws if both p_atm and altitude are provided", () => {
+    expect(() => p_atm_option({ p_atm: 90000, altitude: 1000 })).toThrow(
+      "Please provide either p_atm or altitude, not both",
+    );
+  });
+});
+
+describe("check_sea_level", () => {
+  it.each([
+    { p_atm: undefined, warns: false },
+    { p_atm: 101325, warns: false },
+    { p_atm: 100800, warns: false },
+    { p_atm: 83523, warns: true },
+  ])("warns: $warns when p_atm is $p_atm", ({ p_atm, warns }) => {
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+    check_sea_level("PMV", p_atm);
+    expect(warn).toHaveBeenCalledTimes(warns ? 1 : 0);
+    warn.mockRestore();
+  });
+});